@@ -24,6 +24,7 @@ module.exports = {
     'coverage/',
     'dist/',
     'build/',
-    '*.min.js'
+    '*.min.js',
+    'bb_ignore/'
   ]
 };
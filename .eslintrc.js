@@ -1,29 +0,0 @@
-module.exports = {
-  env: {
-    node: true,
-    es2022: true,
-    jest: true
-  },
-  extends: [
-    'eslint:recommended'
-  ],
-  parserOptions: {
-    ecmaVersion: 2022,
-    sourceType: 'module'
-  },
-  rules: {
-    'no-console': 'warn',
-    'no-unused-vars': 'warn',
-    'no-undef': 'error',
-    'semi': ['error', 'always'],
-    'quotes': ['error', 'single'],
-    'indent': ['error', 2]
-  },
-  ignorePatterns: [
-    'node_modules/',
-    'coverage/',
-    'dist/',
-    'build/',
-    '*.min.js'
-  ]
-};
@@ -1,42 +1,69 @@
-import { Queue, Worker, QueueScheduler, JobsOptions } from 'bullmq';
-import { queueRedis } from './queueRedisClient';
+import { Queue, Worker } from 'bullmq';
+import { queueRedis } from './queueRedisClient.js';
+import logger from '../../utility/logger.util.js';
 
-/**
- * Helper that returns { queue, scheduler, addJob(data, opts) }
- * – keeps all queues under a common prefix “bb‑queues”.
- */
-export function createQueue(queueName, processor) {
-  const q = new Queue(queueName, {
-    connection: queueRedis,
-    prefix: 'bb-queues',
-    defaultJobOptions: /** @type {JobsOptions} */ ({
-      removeOnComplete: 1000,
-      removeOnFail: 1000,
-    }),
-  });
+const PREFIX = 'bb-queues';
 
-  // Dedicated scheduler (required for delayed / repeatable jobs)
-  const qs = new QueueScheduler(queueName, {
-    connection: redis,
-    prefix: 'bb-queues',
-  });
+// every queue / worker opened here, so shutdown can close them
+export const openQueues = [];
+const queues = new Map();
 
-  // Optional processor (you can attach many workers later)
-  let worker;
-  if (processor) {
-    worker = new Worker(queueName, processor, {
-      connection: redis,
-      prefix: 'bb-queues',
-      concurrency: 5,
+/** The BullMQ queue `queueName`, opened (and Redis connected) on first use. */
+export function getQueue(queueName) {
+  if (!queues.has(queueName)) {
+    const q = new Queue(queueName, {
+      connection: queueRedis(),
+      prefix: PREFIX,
+      defaultJobOptions: /** @type {import('bullmq').JobsOptions} */ ({
+        removeOnComplete: 1000,
+        removeOnFail: 1000,
+      }),
     });
-    worker.on('completed', (job) =>
-      console.log(`✅  ${queueName} job ${job.id} done`)
-    );
-    worker.on('failed', (job, err) =>
-      console.error(`❌  ${queueName} job ${job?.id}`, err.message)
+    q.on('error', (err) =>
+      logger.error(`❌  ${queueName} queue error: ${err.message}`)
     );
+    queues.set(queueName, q);
+    openQueues.push(q);
   }
+  return queues.get(queueName);
+}
 
-  const add = (data = {}, opts = {}) => q.add(queueName, data, opts);
-  return { queue: q, scheduler: qs, worker, add };
+/**
+ * Helper that returns { queue, add(data, opts) }
+ * – keeps all queues under a common prefix “bb‑queues”.
+ * Nothing connects until the queue is first used; workers are started
+ * separately (createWorker) by the bootstrap in startWorkers.js.
+ */
+export function createQueue(queueName) {
+  return {
+    get queue() {
+      return getQueue(queueName);
+    },
+    add: (data = {}, opts = {}) =>
+      getQueue(queueName).add(queueName, data, opts),
+  };
+}
+
+/**
+ * Start a worker processing `queueName`.
+ * BullMQ ≥ 2 runs delayed / repeatable jobs without a QueueScheduler.
+ */
+export function createWorker(queueName, processor, workerOpts = {}) {
+  const worker = new Worker(queueName, processor, {
+    connection: queueRedis(),
+    prefix: PREFIX,
+    concurrency: 5,
+    ...workerOpts,
+  });
+  worker.on('completed', (job) =>
+    logger.info(`✅  ${queueName} job ${job.id} done`)
+  );
+  worker.on('failed', (job, err) =>
+    logger.error(`❌  ${queueName} job ${job?.id}: ${err.message}`)
+  );
+  worker.on('error', (err) =>
+    logger.error(`❌  ${queueName} worker error: ${err.message}`)
+  );
+  openQueues.push(worker);
+  return worker;
 }
@@ -1,6 +1,9 @@
-import { queueRedis } from './queueRedisClient.js';
+import { closeQueueRedis } from './queueRedisClient.js';
+import { openQueues } from './bullHelper.js';
 
 export async function shutdownQueues() {
-  console.log('⏏️  Closing BullMQ / Redis …');
-  await queueRedis.quit();
+  console.log('⏏️  Closing BullMQ / Redis …');
+  // workers finish their running jobs before the connection goes away
+  await Promise.allSettled(openQueues.map((q) => q.close()));
+  await closeQueueRedis();
 }
@@ -1,9 +1,11 @@
 // queue/queueRedis.js  ( ✱ NEW FILE ✱ )
 import { Redis } from 'ioredis';
 import dotenv from 'dotenv';
+import logger from '../../utility/logger.util.js';
 dotenv.config();
 
 const {
+  REDIS_URL,
   REDIS_HOST,
   REDIS_PORT,
   REDIS_USERNAME,
@@ -11,18 +13,41 @@ const {
   REDIS_USE_TLS,
 } = process.env;
 
-export const queueRedis = new Redis({
-  host: REDIS_HOST,
-  port: Number(REDIS_PORT),
-  username: REDIS_USERNAME || undefined,
-  password: REDIS_PASSWORD || undefined,
-  tls: REDIS_USE_TLS === 'true' ? {} : undefined,
-  // misc tuning
-  maxRetriesPerRequest: null,
-  enableReadyCheck: true,
-});
+let client = null;
 
-// queueRedis.on("ready", () =>
-//   console.log("🟢  BullMQ redis connected →", REDIS_HOST + ":" + REDIS_PORT)
-// );
-// queueRedis.on("error", (e) => console.error("🔴  BullMQ redis error:", e));
+/**
+ * The shared BullMQ connection, opened on first use so that the API boots
+ * without Redis. REDIS_URL wins over REDIS_HOST / REDIS_PORT.
+ */
+export function queueRedis() {
+  if (client) return client;
+  if (!REDIS_URL && !REDIS_HOST) {
+    throw new Error('❌ Redis is not configured: set REDIS_URL or REDIS_HOST');
+  }
+  const opts = {
+    // misc tuning
+    maxRetriesPerRequest: null,
+    enableReadyCheck: true,
+  };
+  client = REDIS_URL
+    ? new Redis(REDIS_URL, opts)
+    : new Redis({
+      host: REDIS_HOST,
+      port: Number(REDIS_PORT) || 6379,
+      username: REDIS_USERNAME || undefined,
+      password: REDIS_PASSWORD || undefined,
+      tls: REDIS_USE_TLS === 'true' ? {} : undefined,
+      ...opts,
+    });
+  client.on('error', (e) =>
+    logger.error(`🔴  BullMQ redis error: ${e.message}`)
+  );
+  return client;
+}
+
+/** Close the connection, if one was ever opened. */
+export async function closeQueueRedis() {
+  if (!client) return;
+  await client.quit();
+  client = null;
+}
@@ -0,0 +1,18 @@
+import logger from '../../utility/logger.util.js';
+import { startRecurringJournalWorker } from './workers/recurringJournal.worker.js';
+import { startGLJournalReversalWorker } from './workers/glJournalReversal.worker.js';
+import { startGLApprovalEscalationWorker } from './workers/glApprovalEscalation.worker.js';
+
+/**
+ * Start the BullMQ workers and their repeatable sweeps. Only index.js
+ * calls this, and only when ENABLE_QUEUE_WORKERS=true; without it the API
+ * runs without Redis (scheduling a job still needs REDIS_URL / REDIS_HOST).
+ * Sweeps register in the background: an unreachable Redis is logged and
+ * retried, it does not hold up the server.
+ */
+export function startQueueWorkers() {
+  startRecurringJournalWorker();
+  startGLJournalReversalWorker();
+  startGLApprovalEscalationWorker();
+  logger.info('🟢  BullMQ workers started');
+}
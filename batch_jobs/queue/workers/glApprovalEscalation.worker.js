@@ -0,0 +1,30 @@
+import { createQueue, createWorker } from '../bullHelper.js';
+import GLApprovalService from '../../../services/glApproval.service.js';
+import logger from '../../../utility/logger.util.js';
+
+const QUEUE_NAME = 'glApprovalEscalations';
+const SWEEP_JOB_ID = 'overdue-approvals';
+
+// sweep every 15 minutes for approval steps past their escalation time
+export const glApprovalEscalationQueue = createQueue(QUEUE_NAME);
+
+/** Register the repeatable sweep; re-adding the same job id is a no-op. */
+export async function scheduleEscalationSweep() {
+  await glApprovalEscalationQueue.add(
+    {},
+    { jobId: SWEEP_JOB_ID, repeat: { pattern: '*/15 * * * *' } }
+  );
+}
+
+/** Start the sweep's worker and register the sweep (see startWorkers.js). */
+export function startGLApprovalEscalationWorker() {
+  const worker = createWorker(
+    QUEUE_NAME,
+    async () => GLApprovalService.escalateOverdue(new Date()),
+    { concurrency: 1 }
+  );
+  scheduleEscalationSweep().catch((err) =>
+    logger.error(`❌ scheduleEscalationSweep Error: ${err.message}`)
+  );
+  return worker;
+}
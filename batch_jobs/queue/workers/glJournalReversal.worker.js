@@ -0,0 +1,33 @@
+import { createQueue, createWorker } from '../bullHelper.js';
+import GLJournalService from '../../../services/glJournal.service.js';
+import logger from '../../../utility/logger.util.js';
+
+const QUEUE_NAME = 'glJournalReversals';
+const SWEEP_JOB_ID = 'due-reversals';
+
+// daily sweep posting accrual reversals whose reverseOn has come
+export const glJournalReversalQueue = createQueue(QUEUE_NAME);
+
+/** Register the repeatable sweep; re-adding the same job id is a no-op. */
+export async function scheduleDueReversalSweep() {
+  await glJournalReversalQueue.add(
+    {},
+    {
+      jobId: SWEEP_JOB_ID,
+      repeat: { pattern: '5 0 * * *', tz: 'Asia/Kolkata' },
+    }
+  );
+}
+
+/** Start the sweep's worker and register the sweep (see startWorkers.js). */
+export function startGLJournalReversalWorker() {
+  const worker = createWorker(
+    QUEUE_NAME,
+    async () => GLJournalService.postDueReversals(new Date()),
+    { concurrency: 1 }
+  );
+  scheduleDueReversalSweep().catch((err) =>
+    logger.error(`❌ scheduleDueReversalSweep Error: ${err.message}`)
+  );
+  return worker;
+}
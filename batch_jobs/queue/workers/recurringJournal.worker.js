@@ -0,0 +1,52 @@
+import { createQueue, createWorker } from '../bullHelper.js';
+import RecurringJournalService from '../../../services/recurringJournal.service.js';
+
+const QUEUE_NAME = 'recurringGLJournals';
+
+// one repeatable job per recurring journal; the job id is the definition id
+export const recurringJournalQueue = createQueue(QUEUE_NAME);
+
+/** Start generating the scheduled journals (see startWorkers.js). */
+export function startRecurringJournalWorker() {
+  return createWorker(
+    QUEUE_NAME,
+    async (job) => {
+      // prevMillis is the time this repetition was scheduled for
+      const runDate = new Date(job.opts.prevMillis || job.timestamp);
+      const run = await RecurringJournalService.generate(
+        job.data.recurringJournalId,
+        { runDate, trigger: 'SCHEDULE', jobId: job.id }
+      );
+      return run ? { status: run.status, journalNum: run.journalNum } : null;
+    },
+    { concurrency: 1 }
+  );
+}
+
+/** Drop the repeatable job of a recurring journal, if any. */
+export async function unscheduleRecurringJournal(def) {
+  const jobs = await recurringJournalQueue.queue.getRepeatableJobs();
+  for (const j of jobs) {
+    if (j.id === String(def._id)) {
+      await recurringJournalQueue.queue.removeRepeatableByKey(j.key);
+    }
+  }
+}
+
+/** (Re)create the repeatable job from the definition's current schedule. */
+export async function scheduleRecurringJournal(def) {
+  await unscheduleRecurringJournal(def);
+  if (def.status !== 'ACTIVE') return;
+  await recurringJournalQueue.add(
+    { recurringJournalId: String(def._id) },
+    {
+      jobId: String(def._id),
+      repeat: {
+        pattern: RecurringJournalService.cronFor(def),
+        tz: def.schedule?.timezone,
+        startDate: def.startDate,
+        endDate: def.endDate,
+      },
+    }
+  );
+}
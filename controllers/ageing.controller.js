@@ -0,0 +1,47 @@
+// controllers/ageing.controller.js
+
+import AgeingService from '../services/ageing.service.js';
+
+/**
+ * Shared handler for AR / AP ageing.
+ * Query: asOf, buckets (e.g. "30,60,90"), basis (dueDate | invoiceDate),
+ *        currency, company, detail (true → include invoices),
+ *        format (json | csv | xlsx)
+ * A party id in the path drills down to that customer's / vendor's invoices.
+ */
+async function ageing(req, res, side, partyParam) {
+  try {
+    const { asOf, buckets, basis, currency, company, detail, format } =
+      req.query;
+    const party = req.params[partyParam];
+
+    const result = await AgeingService.getAgeing(side, {
+      asOf,
+      buckets,
+      basis,
+      currency,
+      company,
+      party,
+      detail: Boolean(party) || detail === 'true',
+    });
+
+    if (format === 'csv' || format === 'xlsx') {
+      const file = AgeingService.exportResult(result, format);
+      const day = result.asOf.toISOString().slice(0, 10);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${side.toLowerCase()}-ageing-${day}.${file.ext}"`
+      );
+      return res.send(file.body);
+    }
+
+    res.json({ status: 'success', data: result });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ status: 'failure', message: err.message });
+  }
+}
+
+export const getARAgeing = (req, res) => ageing(req, res, 'AR', 'customerId');
+export const getAPAgeing = (req, res) => ageing(req, res, 'AP', 'vendorId');
@@ -0,0 +1,258 @@
+// controllers/bankStatement.controller.js
+
+import mongoose from 'mongoose';
+import {
+  BankStatementModel,
+  STATEMENT_FORMATS,
+} from '../models/bankStatement.model.js';
+import BankReconciliationService from '../services/bankReconciliation.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.duplicate) {
+    return res.status(409).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'This statement has already been imported for the account.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const user = (req) => req.user?.username || 'system';
+
+/**
+ * Import a bank statement file (multipart field "file").
+ *    Body fields: bankAccount (required), format (CSV | OFX | QFX |
+ *    CAMT053 | MT940, detected when omitted), company, statementNo
+ *    (when the file has none)
+ * CSV needs a date column and amount, or debit / credit columns.
+ */
+export const importBankStatement = async (req, res) => {
+  try {
+    if (!req.file) throw new Error('Upload the file in the "file" field.');
+    const { bankAccount, format, company, statementNo } = req.body;
+    if (format && !STATEMENT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of ${STATEMENT_FORMATS.join(', ')}.`);
+    }
+    const statement = await BankReconciliationService.importStatement(
+      bankAccount,
+      req.file.buffer,
+      {
+        fileName: req.file.originalname,
+        format,
+        company,
+        statementNo,
+        user: user(req),
+      }
+    );
+    return res.status(201).json({
+      status: 'success',
+      message: `${statement.lines.length} line(s) imported as ${
+        statement.statementNo
+      }.`,
+      data: statement,
+    });
+  } catch (err) {
+    console.error('❌ importBankStatement Error:', err);
+    if (err.rows) {
+      return res
+        .status(422)
+        .json({ status: 'failure', message: err.message, data: err.rows });
+    }
+    return failure(res, err);
+  }
+};
+
+/** List statements without lines. Query: bankAccount, status, company */
+export const getBankStatements = async (req, res) => {
+  try {
+    const filter = {};
+    for (const f of ['bankAccount', 'status', 'company']) {
+      if (req.query[f]) filter[f] = req.query[f];
+    }
+    const statements = await BankStatementModel.find(filter)
+      .select('-lines')
+      .populate('bankAccount', 'sysCode accountCode bankName currency')
+      .sort({ toDate: -1 });
+    return res.json({ status: 'success', data: statements });
+  } catch (err) {
+    console.error('❌ getBankStatements Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getBankStatementById = async (req, res) => {
+  try {
+    const { statementId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      throw new Error('Invalid statement ID.');
+    }
+    const statement = await BankStatementModel.findById(statementId);
+    if (!statement) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Statement not found.' });
+    }
+    return res.json({ status: 'success', data: statement });
+  } catch (err) {
+    console.error('❌ getBankStatementById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Bank-book entries of the statement's account still free to match.
+ * Query: from, to (default: the statement period)
+ */
+export const getUnmatchedBookEntries = async (req, res) => {
+  try {
+    const statement = await BankStatementModel.findById(
+      req.params.statementId
+    )
+      .select('bankAccount company fromDate toDate')
+      .lean();
+    if (!statement) throw new Error('Statement not found.');
+    const used = await BankReconciliationService.matchedVoucherLines(
+      statement.bankAccount
+    );
+    const entries = await BankReconciliationService.bookEntries(
+      statement.bankAccount,
+      {
+        from: req.query.from || statement.fromDate,
+        to: req.query.to || new Date(statement.toDate.getTime() + 864e5 - 1),
+        company: statement.company,
+      }
+    );
+    const data = entries.filter((e) => !used.has(String(e.voucherLine)));
+    return res.json({ status: 'success', data, count: data.length });
+  } catch (err) {
+    console.error('❌ getUnmatchedBookEntries Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Match open lines automatically.
+ *    Request Body: { "dateWindow": 3 } // days, optional
+ */
+export const autoMatchBankStatement = async (req, res) => {
+  try {
+    const { statement, matched } = await BankReconciliationService.autoMatch(
+      req.params.statementId,
+      { dateWindow: req.body?.dateWindow ?? 3, user: user(req) }
+    );
+    return res.json({
+      status: 'success',
+      message: `${matched} line(s) matched.`,
+      data: statement,
+    });
+  } catch (err) {
+    console.error('❌ autoMatchBankStatement Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Match a line by hand.
+ *    Request Body: { "voucherLines": ["<voucher line _id>", ...] }
+ */
+export const matchStatementLine = async (req, res) => {
+  try {
+    const { statementId, lineId } = req.params;
+    const statement = await BankReconciliationService.match(
+      statementId,
+      lineId,
+      req.body?.voucherLines,
+      { user: user(req) }
+    );
+    return res.json({ status: 'success', data: statement });
+  } catch (err) {
+    console.error('❌ matchStatementLine Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const unmatchStatementLine = async (req, res) => {
+  try {
+    const { statementId, lineId } = req.params;
+    const statement = await BankReconciliationService.unmatch(
+      statementId,
+      lineId
+    );
+    return res.json({ status: 'success', data: statement });
+  } catch (err) {
+    console.error('❌ unmatchStatementLine Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Settle a line that has no book entry.
+ *    Request Body: { "remarks": "Bank reversed duplicate debit" }
+ */
+export const ignoreStatementLine = async (req, res) => {
+  try {
+    const { statementId, lineId } = req.params;
+    const statement = await BankReconciliationService.ignore(
+      statementId,
+      lineId,
+      { remarks: req.body?.remarks }
+    );
+    return res.json({ status: 'success', data: statement });
+  } catch (err) {
+    console.error('❌ ignoreStatementLine Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Unreconciled items on both sides and the difference. */
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await BankReconciliationService.report(
+      req.params.statementId
+    );
+    return res.json({ status: 'success', data: report });
+  } catch (err) {
+    console.error('❌ getReconciliationReport Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const finalizeBankStatement = async (req, res) => {
+  try {
+    const statement = await BankReconciliationService.finalize(
+      req.params.statementId,
+      { user: user(req) }
+    );
+    return res.json({
+      status: 'success',
+      message: `Statement ${statement.statementNo} reconciled.`,
+      data: statement,
+    });
+  } catch (err) {
+    console.error('❌ finalizeBankStatement Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Delete a statement that is not reconciled, releasing its matches. */
+export const deleteBankStatement = async (req, res) => {
+  try {
+    const statement = await BankReconciliationService.openStatement(
+      req.params.statementId
+    );
+    await statement.deleteOne();
+    return res.json({
+      status: 'success',
+      message: `Statement ${statement.statementNo} deleted.`,
+    });
+  } catch (err) {
+    console.error('❌ deleteBankStatement Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,173 @@
+// controllers/budget.controller.js
+
+import mongoose from 'mongoose';
+import { BudgetModel, BUDGET_STATUSES } from '../models/budget.model.js';
+import BudgetService from '../services/budget.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'Budget code must be unique per company.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+/**
+ * Create a budget, optionally with its lines.
+ *    Request Body:
+ *    {
+ *      "code": "BUD-FY25",
+ *      "name": "Operating budget FY2025-26",
+ *      "company": "<ObjectId>",
+ *      "fiscalYear": "<FiscalYears ObjectId>",
+ *      "lines": [
+ *        { "accountCode": "4.1.1", "periodStart": "2025-04-01",
+ *          "periodEnd": "2025-04-30", "amount": 500000,
+ *          "dims": { "site": "<ObjectId>" } }
+ *      ]
+ *    }
+ */
+export const createBudget = async (req, res) => {
+  try {
+    const budget = await BudgetModel.create({
+      ...req.body,
+      status: 'DRAFT',
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: budget });
+  } catch (err) {
+    console.error('❌ createBudget Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List budgets without their lines. Query: company, fiscalYear, status */
+export const getBudgets = async (req, res) => {
+  try {
+    const { company, fiscalYear, status } = req.query;
+    const filter = {};
+    if (company) filter.company = company === 'global' ? null : company;
+    if (fiscalYear) filter.fiscalYear = fiscalYear;
+    if (status) filter.status = status;
+    const budgets = await BudgetModel.find(filter)
+      .select('-lines')
+      .sort({ createdAt: -1 });
+    return res.json({ status: 'success', data: budgets });
+  } catch (err) {
+    console.error('❌ getBudgets Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getBudgetById = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(budgetId)) {
+      throw new Error('Invalid budget ID.');
+    }
+    const budget = await BudgetModel.findById(budgetId);
+    if (!budget) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Budget not found.' });
+    }
+    return res.json({ status: 'success', data: budget });
+  } catch (err) {
+    console.error('❌ getBudgetById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Update a budget. Lines can only change while it is DRAFT; `status`
+ * moves it to APPROVED or ARCHIVED.
+ */
+export const updateBudget = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(budgetId)) {
+      throw new Error('Invalid budget ID.');
+    }
+    const budget = await BudgetModel.findById(budgetId);
+    if (!budget) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Budget not found.' });
+    }
+
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    if (changes.status && !BUDGET_STATUSES.includes(changes.status)) {
+      throw new Error(`status must be one of ${BUDGET_STATUSES.join(', ')}.`);
+    }
+    if (budget.status !== 'DRAFT' && changes.lines) {
+      throw new Error(
+        `❌ Budget ${budget.code} is ${budget.status}; only DRAFT budgets can be changed.`
+      );
+    }
+    budget.set(changes);
+    await budget.save();
+    return res.json({ status: 'success', data: budget });
+  } catch (err) {
+    console.error('❌ updateBudget Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteBudget = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+    const budget = await BudgetModel.findOneAndDelete({
+      _id: budgetId,
+      status: 'DRAFT',
+    });
+    if (!budget) {
+      return res.status(404).json({
+        status: 'failure',
+        message: 'No DRAFT budget with that id.',
+      });
+    }
+    return res.json({
+      status: 'success',
+      message: `Budget ${budget.code} deleted.`,
+    });
+  } catch (err) {
+    console.error('❌ deleteBudget Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Import lines from a CSV / XLSX upload (form field `file`).
+ * Columns: accountCode, amount, period (YYYY-MM) or periodStart + periodEnd,
+ *          optional remarks and dimension ids (site, warehouse, ...)
+ * Query: mode = append (default) | replace
+ */
+export const importBudgetLines = async (req, res) => {
+  try {
+    if (!req.file) throw new Error('Upload the file in the "file" field.');
+    const { budget, imported } = await BudgetService.importLines(
+      req.params.budgetId,
+      req.file.buffer,
+      { mode: req.query.mode === 'replace' ? 'replace' : 'append' }
+    );
+    return res.json({
+      status: 'success',
+      message: `${imported} line(s) imported into ${budget.code}.`,
+      data: budget,
+    });
+  } catch (err) {
+    console.error('❌ importBudgetLines Error:', err);
+    if (err.rows) {
+      return res
+        .status(422)
+        .json({ status: 'failure', message: err.message, data: err.rows });
+    }
+    return failure(res, err);
+  }
+};
@@ -1,13 +1,22 @@
 // controllers/cashJournal.controller.js
 
 import mongoose from 'mongoose';
-import { BankAccountModel } from '../models/bankAccount.model.js';
-import { AccountModel } from '../models/account.model.js';
+import { BankModel as BankAccountModel } from '../models/bank.model.js';
 import { ARTransactionModel } from '../models/arTransaction.model.js';
 import { APTransactionModel } from '../models/apTransaction.model.js';
 import { GLJournalModel } from '../models/glJournal.model.js';
 import VoucherService from '../services/voucher.service.js'; // or directly use GLJournalModel
 import { CashFXRevalModel } from '../models/cashFXReval.model.js'; // if you want to store reval events (optional)
+import { CustomerReceiptModel } from '../models/customerReceipt.model.js';
+import ReceiptAllocationService from '../services/receiptAllocation.service.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+import PostingProfileService from '../services/postingProfile.service.js';
+import { VendorModel } from '../models/vendor.model.js';
+import { CustomerModel } from '../models/customer.model.js';
+import ExchangeRateService from '../services/exchangeRate.service.js';
+import FXRevaluationService from '../services/fxRevaluation.service.js';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import TDSService from '../services/tds.service.js';
 
 /**
  * Utility to round numbers to 2 decimal places.
@@ -18,15 +27,23 @@ function round2(x) {
 
 /**
  * 1) AR Receipt: Customer pays you -> Debit BankAccount, Credit Accounts Receivable.
+ *    The receipt is allocated across the customer's invoiced sales orders,
+ *    FIFO by due date or as listed in `allocations`; whatever is left stays
+ *    on account as an advance.
  *
  *    Request Body:
  *    {
  *      "bankAccountId": "<ObjectId>",
  *      "customerId": "<ObjectId>",
+ *      "company": "<ObjectId>",               // optional: the customer's
  *      "amount": 1000.00,
  *      "currency": "USD",
- *      "exchangeRate": 75.00,
- *      "invoiceId": "<SalesInvoice ObjectId>",
+ *      "exchangeRate": 75.00,                 // optional: SPOT rate of receiptDate
+ *      "allocationMethod": "FIFO" | "MANUAL",          // default FIFO
+ *      "allocations": [{ "salesOrderId": "<ObjectId>", "amount": 400 }],
+ *      "invoiceId": "<SalesOrder ObjectId>",          // shorthand for one MANUAL allocation
+ *      "paymentMode": "Online",
+ *      "transactionId": "UTR123",
  *      "remarks": "Receipt for INV_000123"
  *    }
  */
@@ -40,22 +57,18 @@ export const postARReceipt = async (req, res) => {
       customerId,
       amount,
       currency,
-      exchangeRate,
       invoiceId,
+      allocations,
+      paymentMode,
+      transactionId,
+      receiptDate,
       remarks,
     } = req.body;
 
     // 1. Basic validation
-    if (
-      !bankAccountId ||
-      !customerId ||
-      !invoiceId ||
-      !amount ||
-      !currency ||
-      !exchangeRate
-    ) {
+    if (!bankAccountId || !customerId || !amount || !currency) {
       throw new Error(
-        'bankAccountId, customerId, invoiceId, amount, currency, exchangeRate are required.'
+        'bankAccountId, customerId, amount, currency are required.'
       );
     }
     if (!mongoose.Types.ObjectId.isValid(bankAccountId)) {
@@ -64,7 +77,7 @@ export const postARReceipt = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(customerId)) {
       throw new Error('Invalid customerId.');
     }
-    if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    if (invoiceId && !mongoose.Types.ObjectId.isValid(invoiceId)) {
       throw new Error('Invalid invoiceId.');
     }
 
@@ -72,7 +85,7 @@ export const postARReceipt = async (req, res) => {
     const bankAcc = await BankAccountModel.findById(bankAccountId).session(
       session
     );
-    if (!bankAcc || !bankAcc.isActive) {
+    if (!bankAcc || !bankAcc.active) {
       throw new Error('BankAccount not found or inactive.');
     }
     if (bankAcc.currency !== currency) {
@@ -81,96 +94,96 @@ export const postARReceipt = async (req, res) => {
       );
     }
 
-    // 3. Determine COA IDs
-    //  - bankAcc.linkedCoaAccount (leaf COA for this bank account)
-    //  - AR account (lookup by code "1.1.2" or some known code)
-    const bankCoaId = bankAcc.linkedCoaAccount;
-    const arAccount = await AccountModel.findOne({
-      accountCode: '1.1.2', // replace with your actual AR leaf code
-    }).session(session);
-    if (!arAccount) {
-      throw new Error('Accounts Receivable account not found in COA.');
-    }
-    const arCoaId = arAccount._id;
-
-    // 4. Compute localAmount
-    const localAmount = round2(amount * exchangeRate);
+    const { company: givenCompany } = req.body;
+    if (givenCompany && !mongoose.Types.ObjectId.isValid(givenCompany)) {
+      throw new Error('Invalid company.');
+    }
+    const customer = await CustomerModel.findById(customerId)
+      .select('company')
+      .session(session);
+    if (!customer) throw new Error('Customer not found.');
+    const company = givenCompany || customer.company || null;
 
-    // 5. Create AR subledger transaction
-    const arTxn = await ARTransactionModel.create(
+    // 3. Receipt header (number is assigned on save); without a rate the
+    //    SPOT rate of the receipt date applies
+    const rcptDate = receiptDate ? new Date(receiptDate) : new Date();
+    const exchangeRate = await ExchangeRateService.resolve(
+      req.body.exchangeRate,
+      currency,
+      rcptDate,
+      { company, session }
+    );
+    const receipt = new CustomerReceiptModel({
+      customer: customerId,
+      company,
+      receiptDate: rcptDate,
+      bankAccount: bankAccountId,
+      amount: round2(amount),
+      currency: currency.trim(),
+      exchangeRate: round2(exchangeRate),
+      paymentMode,
+      transactionId,
+      allocationMethod:
+        invoiceId || req.body.allocationMethod === 'MANUAL' ? 'MANUAL' : 'FIFO',
+      remarks: remarks || '',
+      createdBy: req.user?.username || 'system',
+    });
+    await FiscalPeriodService.assertPostingAllowed(
+      receipt.receiptDate,
+      { company: receipt.company, source: 'CASH_JOURNAL' },
+      session
+    );
+
+    // 4. Create AR subledger transaction
+    const [arTxnDoc] = await ARTransactionModel.create(
       [
         {
-          txnDate: new Date(),
-          sourceType: 'SALES',
-          sourceId: invoiceId,
+          txnDate: receipt.receiptDate,
+          sourceType: 'RECEIPT',
+          sourceId: receipt._id,
           sourceLine: 1,
           customer: customerId,
-          amount: round2(amount),
-          currency: currency.trim(),
-          exchangeRate: round2(exchangeRate),
-          localAmount,
+          amount: receipt.amount,
+          currency: receipt.currency,
+          exchangeRate: receipt.exchangeRate,
+          localAmount: round2(receipt.amount * receipt.exchangeRate),
           bankAccount: bankAccountId,
           remarks: remarks || '',
         },
       ],
       { session }
     );
-    const arTxnDoc = arTxn[0];
+    receipt.arTxn = arTxnDoc._id;
+    await receipt.save({ session });
 
-    // 6. Build GL Journal lines
-    //    Line 1: Debit bank account (bankCoaId) by [amount/currency] → local = +localAmount
-    //    Line 2: Credit AR (arCoaId) by [amount/currency] → local = -localAmount
-    const voucherNo = await VoucherService.getNextVoucherNo();
-
-    const glLines = [
-      {
-        account: bankCoaId,
-        debit: round2(amount),
-        credit: 0,
-        currency: currency.trim(),
-        exchangeRate: round2(exchangeRate),
-        // localAmount = + (debit - credit) * exchangeRate
-        localAmount: localAmount,
-        subledger: {
-          sourceType: 'AR',
-          txnId: arTxnDoc._id,
-          lineNum: 1,
-        },
-      },
+    // 5. Allocate across invoices; the rest stays on account
+    const planned = await ReceiptAllocationService.plan(
+      receipt,
+      receipt.amount,
       {
-        account: arCoaId,
-        debit: 0,
-        credit: round2(amount),
-        currency: currency.trim(),
-        exchangeRate: round2(exchangeRate),
-        // localAmount = (0 - credit) * exchangeRate = -localAmount
-        localAmount: -localAmount,
-        subledger: {
-          sourceType: 'AR',
-          txnId: arTxnDoc._id,
-          lineNum: 1,
-        },
+        method: receipt.allocationMethod,
+        allocations: invoiceId ? [{ salesOrderId: invoiceId }] : allocations,
       },
-    ];
+      session
+    );
+    await ReceiptAllocationService.apply(receipt, planned, session);
 
-    // 7. Create GLJournal
-    const glJournal = new GLJournalModel({
-      voucherNo,
-      voucherDate: new Date(),
-      sourceType: 'AR_RECEIPT',
-      sourceId: arTxnDoc._id,
-      lines: glLines,
-    });
-    await glJournal.save({ session });
+    // 6. Voucher: Dr Bank / Cr AR
+    const voucher = await VoucherService.createReceiptVoucher(
+      { receipt, arTxn: arTxnDoc },
+      session
+    );
+    receipt.voucher = voucher._id;
+    await receipt.save({ session });
 
-    // 8. Commit
+    // 7. Commit
     await session.commitTransaction();
     session.endSession();
 
     return res.status(201).json({
       status: 'success',
-      message: 'AR Receipt posted and GL Journal created.',
-      data: { arTxn: arTxnDoc, glJournal },
+      message: `AR Receipt ${receipt.receiptNum} posted; ${receipt.allocatedAmt} allocated, ${receipt.onAccount} on account.`,
+      data: { receipt, arTxn: arTxnDoc, voucher },
     });
   } catch (error) {
     await session.abortTransaction();
@@ -180,8 +193,148 @@ export const postARReceipt = async (req, res) => {
   }
 };
 
+/**
+ * 1a) Allocate the on-account remainder of a posted receipt.
+ *     Body: { allocationMethod: "FIFO" | "MANUAL", allocations?: [...] }
+ */
+export const allocateARReceipt = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { receiptId } = req.params;
+    const { allocationMethod = 'FIFO', allocations } = req.body;
+
+    const receipt = await CustomerReceiptModel.findById(receiptId).session(
+      session
+    );
+    if (!receipt) throw new Error('Receipt not found.');
+    if (receipt.status !== 'Posted') {
+      throw new Error(`Receipt ${receipt.receiptNum} is ${receipt.status}.`);
+    }
+    if (receipt.onAccount <= 0) {
+      throw new Error(`Receipt ${receipt.receiptNum} is fully allocated.`);
+    }
+
+    const planned = await ReceiptAllocationService.plan(
+      receipt,
+      receipt.onAccount,
+      { method: allocationMethod, allocations },
+      session
+    );
+    await ReceiptAllocationService.apply(
+      receipt,
+      planned,
+      session,
+      new Date()
+    );
+    await receipt.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    return res.json({ status: 'success', data: receipt });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('❌ allocateARReceipt Error:', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * 1b) Reverse a posted receipt: unwind its allocations from the sales orders,
+ *     post a negative AR txn and a mirrored voucher.
+ */
+export const reverseARReceipt = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { receiptId } = req.params;
+    const receipt = await CustomerReceiptModel.findById(receiptId).session(
+      session
+    );
+    if (!receipt) throw new Error('Receipt not found.');
+    if (receipt.status !== 'Posted') {
+      throw new Error(`Receipt ${receipt.receiptNum} is already reversed.`);
+    }
+
+    await FiscalPeriodService.assertPostingAllowed(
+      new Date(),
+      { company: receipt.company, source: 'CASH_JOURNAL' },
+      session
+    );
+    await ReceiptAllocationService.unwind(receipt, session);
+
+    const [arTxnDoc] = await ARTransactionModel.create(
+      [
+        {
+          txnDate: new Date(),
+          sourceType: 'RECEIPT_REVERSAL',
+          sourceId: receipt._id,
+          sourceLine: 1,
+          customer: receipt.customer,
+          amount: -receipt.amount,
+          currency: receipt.currency,
+          exchangeRate: receipt.exchangeRate,
+          localAmount: -round2(receipt.amount * receipt.exchangeRate),
+          bankAccount: receipt.bankAccount,
+          remarks: `Reversal of ${receipt.receiptNum}`,
+        },
+      ],
+      { session }
+    );
+    const voucher = await VoucherService.createReceiptVoucher(
+      { receipt, arTxn: arTxnDoc, reverse: true },
+      session
+    );
+
+    receipt.status = 'Reversed';
+    receipt.reversedAt = new Date();
+    receipt.reversalArTxn = arTxnDoc._id;
+    receipt.reversalVoucher = voucher._id;
+    await receipt.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    return res.json({
+      status: 'success',
+      message: `AR Receipt ${receipt.receiptNum} reversed.`,
+      data: { receipt, arTxn: arTxnDoc, voucher },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('❌ reverseARReceipt Error:', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * 1c) List receipts, optionally for one customer / status.
+ */
+export const getARReceipts = async (req, res) => {
+  try {
+    const { customerId, status } = req.query;
+    const filter = {};
+    if (customerId) filter.customer = customerId;
+    if (status) filter.status = status;
+    const receipts = await CustomerReceiptModel.find(filter).sort({
+      receiptDate: -1,
+    });
+    return res.json({ status: 'success', data: receipts });
+  } catch (error) {
+    console.error('❌ getARReceipts Error:', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
 /**
  * 2) AP Payment: You pay a supplier -> Debit Accounts Payable, Credit BankAccount.
+ *    The payment is recorded on the purchase invoice; when its rate differs
+ *    from the invoice's, the realised FX gain/loss is added to the journal.
+ *    An invoice posted without TDS has it deducted from the payment under
+ *    the vendor's section: the bank pays the rest, TDS payable the tax.
  *
  *    Request Body:
  *    {
@@ -189,8 +342,9 @@ export const postARReceipt = async (req, res) => {
  *      "supplierId": "<ObjectId>",
  *      "amount": 500.00,
  *      "currency": "USD",
- *      "exchangeRate": 75.00,
+ *      "exchangeRate": 75.00,                 // optional: SPOT rate of the paymentDate
  *      "purchaseInvoiceId": "<PurchaseInvoice ObjectId>",
+ *      "paymentDate": "2025-06-30",           // optional: today
  *      "remarks": "Payment for PCH_000456"
  *    }
  */
@@ -204,8 +358,8 @@ export const postAPPayment = async (req, res) => {
       supplierId,
       amount,
       currency,
-      exchangeRate,
       purchaseInvoiceId,
+      paymentDate,
       remarks,
     } = req.body;
 
@@ -215,11 +369,10 @@ export const postAPPayment = async (req, res) => {
       !supplierId ||
       !purchaseInvoiceId ||
       !amount ||
-      !currency ||
-      !exchangeRate
+      !currency
     ) {
       throw new Error(
-        'bankAccountId, supplierId, purchaseInvoiceId, amount, currency, exchangeRate are required.'
+        'bankAccountId, supplierId, purchaseInvoiceId, amount, currency are required.'
       );
     }
     if (!mongoose.Types.ObjectId.isValid(bankAccountId)) {
@@ -231,12 +384,32 @@ export const postAPPayment = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(purchaseInvoiceId)) {
       throw new Error('Invalid purchaseInvoiceId.');
     }
+    const paidOn = paymentDate ? new Date(paymentDate) : new Date();
+    if (Number.isNaN(paidOn.getTime())) {
+      throw new Error('Invalid paymentDate.');
+    }
+
+    // the invoice's company and the payment date decide the open period
+    const invoice = await PurchaseOrderModel.findById(
+      purchaseInvoiceId
+    ).session(session);
+    if (!invoice) throw new Error('Purchase invoice not found.');
+    if (invoice.currency !== currency) {
+      throw new Error(
+        `Invoice ${invoice.orderNum} is in ${invoice.currency}, the payment in ${currency}.`
+      );
+    }
+    await FiscalPeriodService.assertPostingAllowed(
+      paidOn,
+      { company: invoice.company, source: 'CASH_JOURNAL' },
+      session
+    );
 
     // 2. Fetch BankAccount
     const bankAcc = await BankAccountModel.findById(bankAccountId).session(
       session
     );
-    if (!bankAcc || !bankAcc.isActive) {
+    if (!bankAcc || !bankAcc.active) {
       throw new Error('BankAccount not found or inactive.');
     }
     if (bankAcc.currency !== currency) {
@@ -245,26 +418,37 @@ export const postAPPayment = async (req, res) => {
       );
     }
 
-    // 3. Determine COA IDs
-    //  - bankAcc.linkedCoaAccount
-    //  - AP account (lookup by code "2.1.1" or whichever is your AP leaf code)
-    const bankCoaId = bankAcc.linkedCoaAccount;
-    const apAccount = await AccountModel.findOne({
-      accountCode: '2.1.1', // replace with your actual AP leaf code
-    }).session(session);
-    if (!apAccount) {
-      throw new Error('Accounts Payable account not found in COA.');
-    }
-    const apCoaId = apAccount._id;
-
-    // 4. Compute localAmount
+    // 3. Determine COA IDs from the bank and the posting profiles
+    const ctx = {
+      partyGroups: await PostingProfileService.partyGroups(
+        VendorModel,
+        supplierId,
+        session
+      ),
+      partyKind: 'vendor',
+      label: 'AP payment',
+    };
+    const bankCoaId = (
+      await PostingProfileService.bankAccount(bankAccountId, ctx, session)
+    )._id;
+    const apCoaId = (
+      await PostingProfileService.resolve('ACCOUNTS_PAYABLE', ctx, session)
+    )._id;
+
+    // 4. Compute localAmount (at the paymentDate's SPOT rate unless one is given)
+    const exchangeRate = await ExchangeRateService.resolve(
+      req.body.exchangeRate,
+      currency,
+      paidOn,
+      { session }
+    );
     const localAmount = round2(amount * exchangeRate);
 
     // 5. Create AP subledger transaction
     const apTxn = await APTransactionModel.create(
       [
         {
-          txnDate: new Date(),
+          txnDate: paidOn,
           sourceType: 'PURCHASE',
           sourceId: purchaseInvoiceId,
           sourceLine: 1,
@@ -281,6 +465,40 @@ export const postAPPayment = async (req, res) => {
     );
     const apTxnDoc = apTxn[0];
 
+    // 5b. Settle the invoice; a payment rate other than the invoice's
+    //     realises an FX gain/loss on the settled amount
+    const realisedFX = FXRevaluationService.realised(
+      'AP',
+      round2(amount),
+      await VoucherService.rateOf(invoice, invoice.invoiceDate, session),
+      exchangeRate
+    );
+    // 5c. TDS on the payment when the invoice had none deducted; the
+    //     vendor gets the rest, the tax is owed to the government
+    const tds = await TDSService.onPayment(
+      invoice,
+      {
+        amount: round2(amount),
+        exchangeRate,
+        date: paidOn,
+        sourceId: apTxnDoc._id,
+      },
+      session
+    );
+    const tdsLocal = tds?.tdsAmount || 0;
+    const tdsAmount = tds ? TDSService.documentAmount(tds) : 0;
+    invoice.paidAmt.push({
+      amount: round2(amount),
+      date: paidOn,
+      transactionId: String(apTxnDoc._id),
+      paymentMode: 'Online',
+    });
+    invoice.updateSettlementStatus();
+    invoice.netPaymentDue = round2(
+      invoice.netAR - (invoice.advance + invoice.totalPaid)
+    );
+    await invoice.save({ session });
+
     // 6. Build GL Journal lines
     //    Line 1: Debit AP (apCoaId) by amount ↑ local = +localAmount
     //    Line 2: Credit bank account (bankCoaId) by amount ↑ local = -localAmount
@@ -303,10 +521,10 @@ export const postAPPayment = async (req, res) => {
       {
         account: bankCoaId,
         debit: 0,
-        credit: round2(amount),
+        credit: round2(amount - tdsAmount),
         currency: currency.trim(),
         exchangeRate: round2(exchangeRate),
-        localAmount: -localAmount,
+        localAmount: round2(tdsLocal - localAmount),
         subledger: {
           sourceType: 'AP',
           txnId: apTxnDoc._id,
@@ -315,10 +533,63 @@ export const postAPPayment = async (req, res) => {
       },
     ];
 
+    if (tdsAmount) {
+      const tdsAcct = await PostingProfileService.resolve(
+        'TDS_PAYABLE',
+        ctx,
+        session
+      );
+      glLines.push({
+        account: tdsAcct._id,
+        debit: 0,
+        credit: tdsAmount,
+        currency: currency.trim(),
+        exchangeRate: round2(exchangeRate),
+        localAmount: -tdsLocal,
+        remarks: `TDS ${tds.section}`,
+        subledger: {
+          sourceType: 'AP',
+          txnId: apTxnDoc._id,
+          lineNum: 1,
+        },
+      });
+    }
+
+    if (realisedFX) {
+      // gain: Dr AP / Cr FX_GAIN, loss: Dr FX_LOSS / Cr AP (functional currency)
+      const fxAcct = await PostingProfileService.resolve(
+        realisedFX > 0 ? 'FX_GAIN' : 'FX_LOSS',
+        ctx,
+        session
+      );
+      const functional = await ExchangeRateService.functionalCurrency(
+        null,
+        session
+      );
+      const fxAmt = Math.abs(realisedFX);
+      const sub = { sourceType: 'AP', txnId: apTxnDoc._id, lineNum: 1 };
+      glLines.push(
+        FXRevaluationService.localLine(
+          { _id: apCoaId },
+          fxAmt,
+          realisedFX > 0,
+          functional,
+          { vendor: supplierId, subledger: sub, remarks: 'Realised FX' }
+        ),
+        FXRevaluationService.localLine(
+          fxAcct,
+          fxAmt,
+          realisedFX < 0,
+          functional,
+          { subledger: sub, remarks: 'Realised FX' }
+        )
+      );
+    }
+
     // 7. Create GLJournal
     const glJournal = new GLJournalModel({
       voucherNo,
-      voucherDate: new Date(),
+      voucherDate: paidOn,
       sourceType: 'AP_PAYMENT',
       sourceId: apTxnDoc._id,
       lines: glLines,
@@ -332,7 +603,7 @@ export const postAPPayment = async (req, res) => {
     return res.status(201).json({
       status: 'success',
       message: 'AP Payment posted and GL Journal created.',
-      data: { apTxn: apTxnDoc, glJournal },
+      data: { apTxn: apTxnDoc, glJournal, realisedFX, tds },
     });
   } catch (error) {
     await session.abortTransaction();
@@ -351,10 +622,11 @@ export const postAPPayment = async (req, res) => {
  *      "toBankAccountId": "<ObjectId>",
  *      "amountFrom": 1000.00,
  *      "currencyFrom": "USD",
- *      "exchangeRateFrom": 75.00,
+ *      "exchangeRateFrom": 75.00,   // optional: today's SPOT rate
  *      "amountTo": 800.00,
  *      "currencyTo": "EUR",
- *      "exchangeRateTo": 85.00,
+ *      "exchangeRateTo": 85.00,     // optional: today's SPOT rate
+ *      "company": "<ObjectId>",     // optional: whose fiscal calendar applies
  *      "remarks": "USD→EUR transfer"
  *    }
  *
@@ -371,10 +643,9 @@ export const postBankTransfer = async (req, res) => {
       toBankAccountId,
       amountFrom,
       currencyFrom,
-      exchangeRateFrom,
       amountTo,
       currencyTo,
-      exchangeRateTo,
+      company,
       remarks,
     } = req.body;
 
@@ -384,13 +655,11 @@ export const postBankTransfer = async (req, res) => {
       !toBankAccountId ||
       !amountFrom ||
       !currencyFrom ||
-      !exchangeRateFrom ||
       !amountTo ||
-      !currencyTo ||
-      !exchangeRateTo
+      !currencyTo
     ) {
       throw new Error(
-        'fromBankAccountId, toBankAccountId, amountFrom, currencyFrom, exchangeRateFrom, amountTo, currencyTo, exchangeRateTo are required.'
+        'fromBankAccountId, toBankAccountId, amountFrom, currencyFrom, amountTo, currencyTo are required.'
       );
     }
     if (
@@ -404,12 +673,17 @@ export const postBankTransfer = async (req, res) => {
         'fromBankAccountId and toBankAccountId cannot be the same.'
       );
     }
+    await FiscalPeriodService.assertPostingAllowed(
+      new Date(),
+      { company, source: 'CASH_JOURNAL' },
+      session
+    );
 
     // 2. Fetch both BankAccount documents
     const fromBA = await BankAccountModel.findById(fromBankAccountId).session(
       session
     );
-    if (!fromBA || !fromBA.isActive) {
+    if (!fromBA || !fromBA.active) {
       throw new Error('Source BankAccount not found or inactive.');
     }
     if (fromBA.currency !== currencyFrom) {
@@ -420,7 +694,7 @@ export const postBankTransfer = async (req, res) => {
     const toBA = await BankAccountModel.findById(toBankAccountId).session(
       session
     );
-    if (!toBA || !toBA.isActive) {
+    if (!toBA || !toBA.active) {
       throw new Error('Destination BankAccount not found or inactive.');
     }
     if (toBA.currency !== currencyTo) {
@@ -430,10 +704,22 @@ export const postBankTransfer = async (req, res) => {
     }
 
     // 3. Determine COA IDs
-    const fromCoaId = fromBA.linkedCoaAccount;
-    const toCoaId = toBA.linkedCoaAccount;
+    const ctx = { label: 'bank transfer' };
+    const fromCoaId = (
+      await PostingProfileService.bankAccount(fromBankAccountId, ctx, session)
+    )._id;
+    const toCoaId = (
+      await PostingProfileService.bankAccount(toBankAccountId, ctx, session)
+    )._id;
 
-    // 4. Compute local amounts
+    // 4. Compute local amounts (at today's SPOT rates unless given)
+    const rateOf = (given, cur) =>
+      ExchangeRateService.resolve(given, cur, new Date(), { session });
+    const exchangeRateFrom = await rateOf(
+      req.body.exchangeRateFrom,
+      currencyFrom
+    );
+    const exchangeRateTo = await rateOf(req.body.exchangeRateTo, currencyTo);
     const localFrom = round2(amountFrom * exchangeRateFrom);
     const localTo = round2(amountTo * exchangeRateTo);
     // FX difference in local currency
@@ -484,14 +770,11 @@ export const postBankTransfer = async (req, res) => {
       //     to **credit** an FX Gain account for diffLocal to make DR = CR.
       //   If diffLocal < 0, we need to **debit** an FX Loss account for |diffLocal|.
       //
-      const fxAcct = await AccountModel.findOne({
-        accountCode: diffLocal > 0 ? 'FX_GAIN' : 'FX_LOSS',
-      }).session(session);
-      if (!fxAcct) {
-        throw new Error(
-          `FX ${diffLocal > 0 ? 'Gain' : 'Loss'} account not found in COA.`
-        );
-      }
+      const fxAcct = await PostingProfileService.resolve(
+        diffLocal > 0 ? 'FX_GAIN' : 'FX_LOSS',
+        ctx,
+        session
+      );
 
       if (diffLocal > 0) {
         // Credit FX Gain by diffLocal (in functional currency)
@@ -564,7 +847,8 @@ export const postBankTransfer = async (req, res) => {
  *    {
  *      "bankAccountId": "<ObjectId>",
  *      "asOfDate": "2025-06-30",
- *      "spotRate": 76.00,
+ *      "spotRate": 76.00,          // optional: CLOSING rate of asOfDate
+ *      "company": "<ObjectId>",    // optional: whose closing rates and calendar apply
  *      "remarks": "June‐end FX revaluation"
  *    }
  */
@@ -573,10 +857,10 @@ export const postFXRevaluation = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { bankAccountId, asOfDate, spotRate, remarks } = req.body;
+    const { bankAccountId, asOfDate, company, remarks } = req.body;
 
-    if (!bankAccountId || !asOfDate || !spotRate) {
-      throw new Error('bankAccountId, asOfDate, and spotRate are required.');
+    if (!bankAccountId || !asOfDate) {
+      throw new Error('bankAccountId and asOfDate are required.');
     }
     if (!mongoose.Types.ObjectId.isValid(bankAccountId)) {
       throw new Error('Invalid bankAccountId.');
@@ -586,18 +870,40 @@ export const postFXRevaluation = async (req, res) => {
     const bankAcc = await BankAccountModel.findById(bankAccountId).session(
       session
     );
-    if (!bankAcc || !bankAcc.isActive) {
+    if (!bankAcc || !bankAcc.active) {
       throw new Error('BankAccount not found or inactive.');
     }
 
-    // It must be a non‐functional currency (i.e. currency != functional). For demonstration, assume INR is functional.
-    const functionalCurrency = 'INR';
+    // It must be a non‐functional currency (i.e. currency != functional).
+    const functionalCurrency = await ExchangeRateService.functionalCurrency(
+      company,
+      session
+    );
     if (bankAcc.currency === functionalCurrency) {
       throw new Error('Cannot revalue a bank account in functional currency.');
     }
+    // Without a typed-in rate, the CLOSING rate of asOfDate applies
+    const spotRate = await ExchangeRateService.resolve(
+      req.body.spotRate,
+      bankAcc.currency,
+      new Date(asOfDate),
+      { to: functionalCurrency, rateType: 'CLOSING', company, session }
+    );
+    const bankCoaId = (
+      await PostingProfileService.bankAccount(
+        bankAccountId,
+        { label: 'FX revaluation' },
+        session
+      )
+    )._id;
 
     // 2) Compute net foreign currency balance and booked local balance as of asOfDate
     const cutoff = new Date(asOfDate + 'T23:59:59.999Z');
+    await FiscalPeriodService.assertPostingAllowed(
+      cutoff,
+      { company, source: 'CASH_JOURNAL' },
+      session
+    );
 
     // a) Aggregate GLJournal lines to get:
     //    1. netForeign = Σ(debit if currency==bankAcc.currency) − Σ(credit if currency==bankAcc.currency)
@@ -606,7 +912,7 @@ export const postFXRevaluation = async (req, res) => {
       { $unwind: '$lines' },
       {
         $match: {
-          'lines.account': bankAcc.linkedCoaAccount,
+          'lines.account': bankCoaId,
           voucherDate: { $lte: cutoff },
           'lines.currency': bankAcc.currency,
         },
@@ -654,19 +960,16 @@ export const postFXRevaluation = async (req, res) => {
     // b) If diffLocal < 0 → local is lower → FX Loss. → Debit FX Loss, Credit Bank.
 
     // Fetch relevant FX Gain or FX Loss account
-    const fxAcct = await AccountModel.findOne({
-      accountCode: diffLocal > 0 ? 'FX_GAIN' : 'FX_LOSS',
-    }).session(session);
-    if (!fxAcct) {
-      throw new Error(
-        `FX ${diffLocal > 0 ? 'Gain' : 'Loss'} account not found in COA.`
-      );
-    }
+    const fxAcct = await PostingProfileService.resolve(
+      diffLocal > 0 ? 'FX_GAIN' : 'FX_LOSS',
+      { label: `FX revaluation of ${bankAcc.accountCode || bankAccountId}` },
+      session
+    );
 
     if (diffLocal > 0) {
       // Debit bank by diffLocal, Credit FX Gain by diffLocal
       glLines.push({
-        account: bankAcc.linkedCoaAccount,
+        account: bankCoaId,
         debit: 0,
         credit: 0, // local currency only
         currency: functionalCurrency,
@@ -708,7 +1011,7 @@ export const postFXRevaluation = async (req, res) => {
         },
       });
       glLines.push({
-        account: bankAcc.linkedCoaAccount,
+        account: bankCoaId,
         debit: 0,
         credit: 0,
         currency: functionalCurrency,
@@ -0,0 +1,138 @@
+// controllers/costingPolicy.controller.js
+
+import mongoose from 'mongoose';
+import { CostingPolicyModel } from '../models/costingPolicy.model.js';
+import InventoryCostingService from '../services/inventoryCosting.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message:
+        'A costing policy already exists for this company and item / item group.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Costing policy not found.' });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+/**
+ * Create a costing policy.
+ *    Request Body:
+ *    {
+ *      "method": "FIFO",                // MOVING_AVERAGE, WEIGHTED_AVERAGE,
+ *                                       // FIFO, LIFO or STANDARD
+ *      "item": "<ObjectId>",            // optional: just this item
+ *      "itemGroup": "<ObjectId>",       // optional: items in this group
+ *      "company": "<ObjectId>",         // optional, empty → every company
+ *      "description": "..."
+ *    }
+ */
+export const createCostingPolicy = async (req, res) => {
+  try {
+    checkIds(req.body.item, req.body.itemGroup, req.body.company);
+    const policy = await CostingPolicyModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: policy });
+  } catch (err) {
+    console.error('❌ createCostingPolicy Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * List costing policies. Query: company ("global"), item, itemGroup,
+ * method, active
+ */
+export const getCostingPolicies = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.company) filter.company = q.company === 'global' ? null : q.company;
+    for (const f of ['item', 'itemGroup', 'method']) {
+      if (q[f]) filter[f] = q[f];
+    }
+    if (q.active !== undefined) filter.active = q.active === 'true';
+    checkIds(filter.company, filter.item, filter.itemGroup);
+    const policies = await CostingPolicyModel.find(filter).sort({
+      company: 1,
+      item: 1,
+      itemGroup: 1,
+    });
+    return res.json({ status: 'success', data: policies });
+  } catch (err) {
+    console.error('❌ getCostingPolicies Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** The method an item is costed by. Query: company */
+export const getItemCostingMethod = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    checkIds(itemId, req.query.company);
+    const data = await InventoryCostingService.policyFor(
+      itemId,
+      req.query.company || null
+    );
+    return res.json({ status: 'success', data: { item: itemId, ...data } });
+  } catch (err) {
+    console.error('❌ getItemCostingMethod Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Change a policy. Stock already issued keeps its cost; the next inventory
+ * close settles by the new method.
+ */
+export const updateCostingPolicy = async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    checkIds(policyId);
+    const policy = await CostingPolicyModel.findById(policyId);
+    if (!policy) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    policy.set(changes);
+    await policy.save();
+    return res.json({ status: 'success', data: policy });
+  } catch (err) {
+    console.error('❌ updateCostingPolicy Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteCostingPolicy = async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    checkIds(policyId);
+    const policy = await CostingPolicyModel.findByIdAndDelete(policyId);
+    if (!policy) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: 'Costing policy deleted.',
+      data: policy,
+    });
+  } catch (err) {
+    console.error('❌ deleteCostingPolicy Error:', err);
+    return failure(res, err);
+  }
+};
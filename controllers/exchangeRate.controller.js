@@ -0,0 +1,174 @@
+// controllers/exchangeRate.controller.js
+
+import mongoose from 'mongoose';
+import { ExchangeRateModel } from '../models/exchangeRate.model.js';
+import ExchangeRateService from '../services/exchangeRate.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message:
+        'A rate for this company, currency pair, rate type and day already exists.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Exchange rate not found.' });
+
+/**
+ * Record one day's rate.
+ *    Request Body:
+ *    {
+ *      "fromCurrency": "USD", "toCurrency": "INR",
+ *      "rateType": "SPOT",              // SPOT | CLOSING | AVERAGE | BUDGET
+ *      "rateDate": "2025-06-30",
+ *      "rate": 83.42,
+ *      "company": "<ObjectId>"          // optional, empty → every company
+ *    }
+ */
+export const createExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRateModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: rate });
+  } catch (err) {
+    console.error('❌ createExchangeRate Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * List rates, newest first.
+ * Query: fromCurrency, toCurrency, rateType, company ("global"), from, to
+ */
+export const getExchangeRates = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.fromCurrency) filter.fromCurrency = q.fromCurrency.toUpperCase();
+    if (q.toCurrency) filter.toCurrency = q.toCurrency.toUpperCase();
+    if (q.rateType) filter.rateType = q.rateType.toUpperCase();
+    if (q.company) filter.company = q.company === 'global' ? null : q.company;
+    if (q.from || q.to) {
+      filter.rateDate = {};
+      if (q.from) filter.rateDate.$gte = new Date(q.from);
+      if (q.to) filter.rateDate.$lte = new Date(q.to);
+    }
+    const rates = await ExchangeRateModel.find(filter)
+      .sort({ rateDate: -1, fromCurrency: 1, toCurrency: 1 })
+      .limit(Math.min(Number(q.limit) || 500, 5000));
+    return res.json({ status: 'success', data: rates });
+  } catch (err) {
+    console.error('❌ getExchangeRates Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * The rate a transaction on `date` would pick up.
+ * Query: from (required), to (default the company's functional currency),
+ *        date (default today), rateType (SPOT), company
+ */
+export const lookupExchangeRate = async (req, res) => {
+  try {
+    const { from, to, date, rateType, company } = req.query;
+    if (!from) throw new Error('Query parameter "from" is required.');
+    if (company && !mongoose.Types.ObjectId.isValid(company)) {
+      throw new Error('Invalid company ID.');
+    }
+    const found = await ExchangeRateService.lookup(
+      from.toUpperCase(),
+      date ? new Date(date) : new Date(),
+      {
+        to: to?.toUpperCase(),
+        rateType: rateType?.toUpperCase() || 'SPOT',
+        company: company || null,
+      }
+    );
+    return res.json({ status: 'success', data: found });
+  } catch (err) {
+    console.error('❌ lookupExchangeRate Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Correct a rate; documents already converted keep their rate. */
+export const updateExchangeRate = async (req, res) => {
+  try {
+    const { rateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(rateId)) {
+      throw new Error('Invalid exchange rate ID.');
+    }
+    const rate = await ExchangeRateModel.findById(rateId);
+    if (!rate) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    rate.set(changes);
+    await rate.save();
+    return res.json({ status: 'success', data: rate });
+  } catch (err) {
+    console.error('❌ updateExchangeRate Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRateModel.findByIdAndDelete(req.params.rateId);
+    if (!rate) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: 'Exchange rate deleted.',
+      data: rate,
+    });
+  } catch (err) {
+    console.error('❌ deleteExchangeRate Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Import rates from a CSV / XLSX upload (form field `file`).
+ * Columns: fromCurrency, toCurrency, rateDate, rate, optional rateType
+ *          (SPOT) and company; a rate already kept for the same day is
+ *          overwritten.
+ * Query: company — default company for rows without one
+ */
+export const importExchangeRates = async (req, res) => {
+  try {
+    if (!req.file) throw new Error('Upload the file in the "file" field.');
+    const { company } = req.query;
+    if (company && !mongoose.Types.ObjectId.isValid(company)) {
+      throw new Error('Invalid company ID.');
+    }
+    const result = await ExchangeRateService.importRates(req.file.buffer, {
+      company: company || null,
+      user: req.user?.username,
+    });
+    return res.json({
+      status: 'success',
+      message: `${result.imported} rate(s) imported (${result.created} new, ${
+        result.updated
+      } updated).`,
+      data: result,
+    });
+  } catch (err) {
+    console.error('❌ importExchangeRates Error:', err);
+    if (err.rows) {
+      return res
+        .status(422)
+        .json({ status: 'failure', message: err.message, data: err.rows });
+    }
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,175 @@
+// controllers/fiscalCalendar.controller.js
+
+import mongoose from 'mongoose';
+import {
+  FiscalYearModel,
+  PERIOD_STATUSES,
+} from '../models/fiscalCalendar.model.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+
+/**
+ * Create a fiscal year. Without `periods` it is split into calendar months.
+ *    Request Body:
+ *    {
+ *      "code": "FY2025-26",
+ *      "company": "<ObjectId>",          // omit for the global calendar
+ *      "startDate": "2025-04-01",
+ *      "endDate": "2026-03-31",
+ *      "periods": [{ "periodNum": 1, "name": "Q1", "startDate": "...", "endDate": "..." }]
+ *    }
+ */
+export const createFiscalYear = async (req, res) => {
+  try {
+    const { code, company, startDate, endDate, periods } = req.body;
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (!code || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error('code, startDate and endDate are required.');
+    }
+
+    const overlap = await FiscalYearModel.findOne({
+      company: company || null,
+      startDate: { $lte: end },
+      endDate: { $gte: start },
+    });
+    if (overlap) {
+      return res.status(409).json({
+        status: 'failure',
+        message: `Overlaps fiscal year ${overlap.code}.`,
+      });
+    }
+
+    const year = await FiscalYearModel.create({
+      code,
+      company: company || null,
+      startDate: start,
+      endDate: end,
+      periods: (periods || []).map((p) => ({
+        ...p,
+        status: 'OPEN',
+      })),
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: year });
+  } catch (err) {
+    console.error('❌ createFiscalYear Error:', err);
+    if (err.code === 11000) {
+      return res.status(409).json({
+        status: 'failure',
+        message: 'Fiscal year code must be unique per company.',
+      });
+    }
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * List fiscal years. Query: company ("global" → the shared calendar), status
+ */
+export const getFiscalYears = async (req, res) => {
+  try {
+    const { company, status } = req.query;
+    const filter = {};
+    if (company) filter.company = company === 'global' ? null : company;
+    if (status) filter.status = status;
+    const years = await FiscalYearModel.find(filter).sort({ startDate: -1 });
+    return res.json({ status: 'success', data: years });
+  } catch (err) {
+    console.error('❌ getFiscalYears Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+export const getFiscalYearById = async (req, res) => {
+  try {
+    const { yearId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(yearId)) {
+      throw new Error('Invalid fiscal year ID.');
+    }
+    const year = await FiscalYearModel.findById(yearId);
+    if (!year) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Fiscal year not found.' });
+    }
+    return res.json({ status: 'success', data: year });
+  } catch (err) {
+    console.error('❌ getFiscalYearById Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * Which period a date falls in and whether it accepts postings.
+ * Query: date, company
+ */
+export const getPeriodForDate = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid date.');
+    const found = await FiscalPeriodService.findPeriod(
+      date,
+      req.query.company || null
+    );
+    return res.json({
+      status: 'success',
+      data: found
+        ? {
+          fiscalYear: { _id: found.year._id, code: found.year.code },
+          period: found.period || null,
+        }
+        : null,
+    });
+  } catch (err) {
+    console.error('❌ getPeriodForDate Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * Open, soft-close or hard-close one period.
+ *    Request Body: { "status": "SOFT_CLOSED" }
+ */
+export const changePeriodStatus = async (req, res) => {
+  try {
+    const { yearId, periodNum } = req.params;
+    const { status } = req.body;
+    if (!PERIOD_STATUSES.includes(status)) {
+      throw new Error(`status must be one of ${PERIOD_STATUSES.join(', ')}.`);
+    }
+    const year = await FiscalPeriodService.setPeriodStatus(
+      yearId,
+      periodNum,
+      status,
+      req.user?.username || 'system'
+    );
+    return res.json({ status: 'success', data: year });
+  } catch (err) {
+    console.error('❌ changePeriodStatus Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * Year-end close: moves REVENUE / EXPENSE balances into retained earnings
+ * and hard-closes the year.
+ *    Request Body: { "retainedEarningsAccount": "3.2.1" } // optional; defaults
+ *    to the RETAINED_EARNINGS posting profile
+ */
+export const runYearEndClose = async (req, res) => {
+  try {
+    const { yearId } = req.params;
+    const year = await FiscalPeriodService.runYearEndClose(yearId, {
+      retainedEarningsAccount: req.body?.retainedEarningsAccount,
+      user: req.user?.username || 'system',
+    });
+    return res.json({
+      status: 'success',
+      message: `${year.code} closed.`,
+      data: year,
+    });
+  } catch (err) {
+    console.error('❌ runYearEndClose Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
@@ -0,0 +1,136 @@
+// controllers/fxRevaluation.controller.js
+
+import mongoose from 'mongoose';
+import { FXRevaluationModel } from '../models/fxRevaluation.model.js';
+import FXRevaluationService from '../services/fxRevaluation.service.js';
+import GLJournalService from '../services/glJournal.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'This side has already been revalued as of that date.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+function readScope(src) {
+  const side = String(src.side || '').toUpperCase();
+  FXRevaluationService.side(side);
+  if (!src.asOfDate) throw new Error('asOfDate is required.');
+  if (src.company && !mongoose.Types.ObjectId.isValid(src.company)) {
+    throw new Error('Invalid company ID.');
+  }
+  return { side, asOfDate: src.asOfDate, company: src.company || null };
+}
+
+/**
+ * What a revaluation would post, without posting.
+ * Query: side (AR | AP), asOfDate, company
+ */
+export const previewFXRevaluation = async (req, res) => {
+  try {
+    const { side, ...opts } = readScope(req.query);
+    const data = await FXRevaluationService.preview(side, opts);
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ previewFXRevaluation Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Revalue open foreign-currency AR or AP at the CLOSING rate of asOfDate.
+ *    Request Body:
+ *    {
+ *      "side": "AR",                  // AR | AP
+ *      "asOfDate": "2025-06-30",
+ *      "company": "<ObjectId>",       // optional
+ *      "remarks": "June close"
+ *    }
+ * Each party's journal reverses on the first day of the next period; one
+ * already due (a back-dated run) is reversed right away.
+ */
+export const runFXRevaluation = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const { side, ...opts } = readScope(req.body);
+    const run = await FXRevaluationService.run(
+      side,
+      {
+        ...opts,
+        user: req.user?.username || 'system',
+        remarks: req.body.remarks || '',
+      },
+      session
+    );
+    await session.commitTransaction();
+    session.endSession();
+
+    const reversals = await GLJournalService.postDueReversals(new Date(), {
+      ids: await FXRevaluationService.reversalIds(run),
+    });
+    const posted = run.parties.filter((p) => p.journal).length;
+    return res.status(201).json({
+      status: 'success',
+      message: `${side} revalued: ${posted} journal(s), gain ${
+        run.totalGain
+      }, loss ${run.totalLoss}.`,
+      data: { run, reversals },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error('❌ runFXRevaluation Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List runs, newest first. Query: side, company, from, to */
+export const getFXRevaluations = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.side) filter.side = q.side.toUpperCase();
+    if (q.company) filter.company = q.company;
+    if (q.from || q.to) {
+      filter.asOfDate = {};
+      if (q.from) filter.asOfDate.$gte = new Date(q.from);
+      if (q.to) filter.asOfDate.$lte = new Date(q.to);
+    }
+    const runs = await FXRevaluationModel.find(filter)
+      .select('-parties.invoices')
+      .sort({ asOfDate: -1, side: 1 });
+    return res.json({ status: 'success', data: runs });
+  } catch (err) {
+    console.error('❌ getFXRevaluations Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getFXRevaluationById = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      throw new Error('Invalid revaluation ID.');
+    }
+    const run = await FXRevaluationModel.findById(runId).populate(
+      'parties.journal',
+      'globalJournalNum status reversalJournal'
+    );
+    if (!run) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Revaluation not found.' });
+    }
+    return res.json({ status: 'success', data: run });
+  } catch (err) {
+    console.error('❌ getFXRevaluationById Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,151 @@
+// controllers/glApprovalRule.controller.js
+
+import mongoose from 'mongoose';
+import { GLApprovalRuleModel } from '../models/glApprovalRule.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import GLApprovalService from '../services/glApproval.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'Approval rule code must be unique per company.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Approval rule not found.' });
+
+/**
+ * Create an approval rule for GL journals.
+ *    Request Body:
+ *    {
+ *      "code": "JV-HIGH",
+ *      "company": "<ObjectId>",          // optional, empty → every company
+ *      "templates": ["<JournalTemplates ObjectId>"],  // optional
+ *      "minAmount": 100000, "maxAmount": null,         // total debits
+ *      "accountFrom": "5000", "accountTo": "5999",     // optional
+ *      "steps": [
+ *        { "step": 1, "roles": ["<UserRoles id>"], "approval": "ANY",
+ *          "escalateAfterHours": 24, "escalateTo": "<UserRoles id>" },
+ *        { "step": 2, "roles": ["<id>", "<id>"], "approval": "ALL" }
+ *      ],
+ *      "priority": 10
+ *    }
+ */
+export const createApprovalRule = async (req, res) => {
+  try {
+    const rule = await GLApprovalRuleModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: rule });
+  } catch (err) {
+    console.error('❌ createApprovalRule Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List rules in evaluation order. Query: company ("global"), active */
+export const getApprovalRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active) filter.active = req.query.active === 'true';
+    if (req.query.company) {
+      filter.company =
+        req.query.company === 'global' ? null : req.query.company;
+    }
+    const rules = await GLApprovalRuleModel.find(filter)
+      .populate('steps.roles steps.escalateTo', 'name')
+      .sort({ priority: 1, code: 1 });
+    return res.json({ status: 'success', data: rules });
+  } catch (err) {
+    console.error('❌ getApprovalRules Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Which rule a journal would be submitted under, without submitting it. */
+export const matchApprovalRule = async (req, res) => {
+  try {
+    const { journalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(journalId)) {
+      throw new Error('Invalid journal ID.');
+    }
+    const journal = await GLJournalModel.findById(journalId);
+    if (!journal) throw new Error('Journal not found.');
+    const rule = await GLApprovalService.findRule(journal);
+    return res.json({
+      status: 'success',
+      message: rule
+        ? `Approval rule ${rule.code} applies.`
+        : 'No approval rule applies.',
+      data: rule,
+    });
+  } catch (err) {
+    console.error('❌ matchApprovalRule Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Changes apply to later submissions; pending workflows keep their steps. */
+export const updateApprovalRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(ruleId)) {
+      throw new Error('Invalid approval rule ID.');
+    }
+    const rule = await GLApprovalRuleModel.findById(ruleId);
+    if (!rule) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    rule.set(changes);
+    await rule.save();
+    return res.json({ status: 'success', data: rule });
+  } catch (err) {
+    console.error('❌ updateApprovalRule Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteApprovalRule = async (req, res) => {
+  try {
+    const rule = await GLApprovalRuleModel.findByIdAndDelete(
+      req.params.ruleId
+    );
+    if (!rule) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: `Approval rule ${rule.code} deleted.`,
+      data: rule,
+    });
+  } catch (err) {
+    console.error('❌ deleteApprovalRule Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Escalate overdue approval steps now; the glApprovalEscalations job does
+ * the same every 15 minutes.
+ */
+export const runApprovalEscalations = async (req, res) => {
+  try {
+    const result = await GLApprovalService.escalateOverdue(new Date());
+    return res.json({
+      status: 'success',
+      message: `${result.escalated.length} approval step(s) escalated.`,
+      data: result,
+    });
+  } catch (err) {
+    console.error('❌ runApprovalEscalations Error:', err);
+    return failure(res, err);
+  }
+};
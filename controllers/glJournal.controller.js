@@ -10,6 +10,12 @@ import { ItemModel } from '../models/item.model.js';
 import { CustomerModel } from '../models/customer.model.js';
 import { VendorModel } from '../models/vendor.model.js';
 import SubledgerService from '../services/subledgerTxn.service.js';
+import GLJournalService from '../services/glJournal.service.js';
+import ExchangeRateService from '../services/exchangeRate.service.js';
+import GSTService from '../services/gst.service.js';
+import FinancialReportService, {
+  REPORT_DIMENSIONS,
+} from '../services/financialReport.service.js';
 
 /**
  * Helper: rounds a number to two decimals
@@ -71,7 +77,7 @@ async function resolveLinkedAccount(line) {
  *       "debit": 500,
  *       "credit": 0,
  *       "currency": "USD",
- *       "exchangeRate": 75.0,
+ *       "exchangeRate": 75.0,    // optional: SPOT rate of journalDate
  *       // optionally: "localAmount"
  *       // optionally: "dims": { site, warehouse, … }
  *       // optionally: "extras": {...}
@@ -108,6 +114,9 @@ export const createGLJournal = async (req, res) => {
       journalDate = new Date(),
       reference = '',
       createdBy = req.user?.username || 'system',
+      reverseOn = null,
+      company = null,
+      placeOfSupply = null,
       lines: rawLines,
     } = req.body;
 
@@ -115,8 +124,30 @@ export const createGLJournal = async (req, res) => {
       throw new Error('A GL Journal must have at least one line.');
     }
 
-    // 1) run your tax/discount/charge computations
-    const computed = GLLineService.compute(rawLines);
+    // 1) lines without a typed-in rate take the SPOT rate of the journal
+    //    date, then run your tax/discount/charge computations
+    const rated = [];
+    for (const ln of rawLines) {
+      rated.push(
+        ln.exchangeRate == null && typeof ln.currency === 'string'
+          ? {
+            ...ln,
+            exchangeRate: await ExchangeRateService.rateFor(
+              ln.currency.trim(),
+              journalDate,
+              { session }
+            ),
+          }
+          : ln
+      );
+    }
+    // GST rates from HSN / SAC codes, CGST + SGST or IGST per line
+    await GSTService.applyToJournal(
+      rated,
+      { date: journalDate, company, placeOfSupply },
+      session
+    );
+    const computed = GLLineService.compute(rated);
 
     const processed = [];
     for (let i = 0; i < computed.length; i++) {
@@ -259,6 +290,11 @@ export const createGLJournal = async (req, res) => {
         chargePercent: ln.chargePercent,
         gstPercent: ln.gstPercent,
         tdsPercent: ln.tdsPercent,
+        hsnCode: ln.hsnCode,
+        sacCode: ln.sacCode,
+        taxability: ln.taxability,
+        reverseCharge: ln.reverseCharge,
+        supplyType: ln.supplyType,
         discountAmount: ln.discountAmount,
         chargesAmount: ln.chargesAmount,
         taxableValue: ln.taxableValue,
@@ -280,6 +316,9 @@ export const createGLJournal = async (req, res) => {
     const glj = new GLJournalModel({
       template: templateId,
       journalDate,
+      reverseOn, // accrual: auto-reversed on this date once posted
+      company,
+      placeOfSupply,
       status: 'DRAFT',
       reference: reference.trim(),
       createdBy: createdBy.trim(),
@@ -313,102 +352,26 @@ export const postGLJournal = async (req, res) => {
     // 1) Load & flip to POSTED
     const journal = await GLJournalModel.findById(id).session(session);
     if (!journal) throw new Error('Journal not found');
-    if (journal.status !== 'DRAFT') throw new Error('Only DRAFT can be posted');
-
-    journal.status = 'POSTED';
-    await journal.save({ session });
-
-    // 2) build & collect each subledger txn
-    const subTxns = []; // [{ lineNum, id }]
-
-    // 2) Create subledger txns for each line
-    for (let ln of journal.lines) {
-      // build common DTO
-      const base = {
-        sourceType: 'JOURNAL',
-        sourceId: journal._id,
-        sourceLine: ln.lineNum,
-        amount: ln.debit > 0 ? ln.debit : -ln.credit, // normal debit is positive and credit is negative
-        currency: ln.currency,
-        exchangeRate: ln.exchangeRate,
-        dims: ln.dims,
-        extras: ln.extras,
-      };
-      const baseForReversal = {
-        sourceType: 'JOURNAL_REVERSAL',
-        sourceId: journal._id,
-        sourceLine: ln.lineNum,
-        amount: ln.debit > 0 ? -ln.debit : ln.credit, // reversal -  debit is negative and credit is positive
-        currency: ln.currency,
-        exchangeRate: ln.exchangeRate,
-        dims: ln.dims,
-        extras: ln.extras,
-      };
-
-      let dto;
-      if (ln.customer) {
-        dto = {
-          ...base,
-          subledgerType: 'AR',
-          postingEventType: 'MANAGEMENT',
-          customer: ln.customer,
-        };
-      } else if (ln.vendor) {
-        dto = {
-          ...base,
-          subledgerType: 'AP',
-          postingEventType: 'MANAGEMENT',
-          supplier: ln.vendor,
-        };
-      } else if (ln.item) {
-        dto = {
-          ...base,
-          subledgerType: 'INV',
-          postingEventType: 'MANAGEMENT',
-          item: ln.item,
-        };
-      } else if (ln.bankAccount) {
-        dto = {
-          ...base,
-          subledgerType: 'BANK',
-          postingEventType: 'MANAGEMENT',
-          bankAccount: ln.bankAccount,
-        };
-      } else if (ln.account) {
-        // NEW: direct ledger subledger
-        dto = {
-          ...base,
-          subledgerType: 'LEDGER',
-          postingEventType: 'MANAGEMENT',
-          ledgerAccount: ln.account,
-        };
-      } else {
-        // nothing to create
-        continue;
-      }
-
-      const sub = await SubledgerService.create(dto, session);
-      subTxns.push({ lineNum: ln.lineNum, id: sub._id });
-
-      // (optionally) tag the sub-txn with the journal's voucher later
-    }
-
-    // 3) Create the Financial Voucher
-    // await VoucherService.createJournalVoucher(journal, session);
-    // 3) call voucher creation, passing along sub-txn map
-    await VoucherService.createJournalVoucher(
-      journal,
-      session,
-      subTxns,
-      'MANAGEMENT'
-    );
+    await GLJournalService.post(journal, session);
 
     // 4) Commit & respond
     await session.commitTransaction();
     session.endSession();
-    return res.json({ status: 'success', data: journal });
+
+    // a back-dated accrual whose reverseOn has already passed
+    let message;
+    if (journal.reversalJournal && journal.reverseOn <= new Date()) {
+      const { posted, failed } = await GLJournalService.postDueReversals(
+        new Date(),
+        { ids: [journal.reversalJournal] }
+      );
+      message = posted.length
+        ? `Reversal ${posted[0]} posted.`
+        : `Reversal left as DRAFT: ${failed[0]?.error}`;
+    }
+    return res.json({ status: 'success', message, data: journal });
   } catch (err) {
-    await session.abortTransaction();
+    if (session.inTransaction()) await session.abortTransaction();
     session.endSession();
     console.error('❌ postGLJournal error:', err);
     return res.status(400).json({ status: 'failure', message: err.message });
@@ -427,6 +390,7 @@ export const postGLJournalFinancial = async (req, res) => {
     const journal = await GLJournalModel.findById(id).session(session);
     if (!journal) throw new Error('Journal not found');
     // if (journal.status !== "DRAFT") throw new Error("Only DRAFT can be posted");
+    await GLJournalService.assertPeriodOpen(journal, session);
     journal.status = 'POSTED';
     await journal.save({ session });
 
@@ -732,6 +696,15 @@ export const updateGLJournalById = async (req, res) => {
     if (req.body.lines) {
       // (re‐validate & recompute)
       // … same logic as create …
+      await GSTService.applyToJournal(
+        req.body.lines,
+        {
+          date: req.body.journalDate || j.journalDate,
+          company: j.company,
+          placeOfSupply: j.placeOfSupply,
+        },
+        session
+      );
       const lines = GLLineService.compute(req.body.lines);
       j.lines = lines;
     }
@@ -928,168 +901,100 @@ export const listGLJournalWorkflows = async (req, res) => {
 };
 */
 
-/** 13) TRIAL BALANCE */
-/*
+/** Voucher dimension filters (site, warehouse, ...) from a report query. */
+function reportDimensions(query) {
+  const dimensions = {};
+  for (const dim of REPORT_DIMENSIONS) {
+    if (query[dim]) dimensions[dim] = query[dim];
+  }
+  return dimensions;
+}
+
+/** 13) TRIAL BALANCE
+ * Opening, period debits / credits and closing balance per account.
+ * Query: from, to (default: start of the fiscal year → today), company,
+ *        level (roll up to that hierarchy depth, 1 = top), includeZero,
+ *        and any voucher dimension (site, warehouse, ...) to filter lines
+ */
 export const getTrialBalance = async (req, res) => {
   try {
-    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
-    const data = await GLJournalModel.aggregate([
-      { $match: { voucherDate: { $lte: asOf } } },
-      { $unwind: "$lines" },
-      {
-        $group: {
-          _id: "$lines.account",
-          totalDebit: { $sum: "$lines.debit" },
-          totalCredit: { $sum: "$lines.credit" },
-        },
-      },
-      {
-        $lookup: {
-          from: "accounts",
-          localField: "_id",
-          foreignField: "_id",
-          as: "acct",
-        },
-      },
-      { $unwind: "$acct" },
-      {
-        $project: {
-          accountCode: "$acct.accountCode",
-          accountName: "$acct.accountName",
-          totalDebit: 1,
-          totalCredit: 1,
-          balance: { $subtract: ["$totalDebit", "$totalCredit"] },
-        },
-      },
-      { $sort: { accountCode: 1 } },
-    ]);
-
-    return res.json({ status: "success", data, count: data.length });
+    const { from, to, company, level, includeZero } = req.query;
+    const report = await FinancialReportService.trialBalance({
+      from,
+      to,
+      company,
+      level,
+      dimensions: reportDimensions(req.query),
+      includeZero: includeZero === 'true',
+    });
+    return res.json({
+      status: 'success',
+      data: report,
+      count: report.data.length,
+    });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ status: "failure", message: err.message });
+    console.error('❌ getTrialBalance Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
   }
 };
-*/
 
-/** 14) INCOME STATEMENT */
-/*
-export const getIncomeStatement = async (req, res) => {
+/** 14 / 15) COMPARATIVE INCOME STATEMENT AND BALANCE SHEET
+ * Query: from, to, company, level, site / warehouse / ... (dimensions),
+ *        compare (comma-separated PRIOR_PERIOD, PRIOR_YEAR, BUDGET),
+ *        budget (Budgets id, with BUDGET)
+ * The balance sheet is as of `to`; its PRIOR_PERIOD column is the day
+ * before `from`.
+ */
+async function comparativeStatement(req, res, statement) {
   try {
-    const start = req.query.start
-      ? new Date(req.query.start)
-      : new Date("1900-01-01");
-    const end = req.query.end ? new Date(req.query.end) : new Date();
-    const data = await GLJournalModel.aggregate([
-      { $match: { voucherDate: { $gte: start, $lte: end } } },
-      { $unwind: "$lines" },
-      {
-        $lookup: {
-          from: "accounts",
-          localField: "lines.account",
-          foreignField: "_id",
-          as: "acct",
-        },
-      },
-      { $unwind: "$acct" },
-      { $match: { "acct.type": { $in: ["REVENUE", "EXPENSE"] } } },
-      {
-        $group: {
-          _id: "$acct._id",
-          accountCode: { $first: "$acct.accountCode" },
-          accountName: { $first: "$acct.accountName" },
-          type: { $first: "$acct.type" },
-          sumDebit: { $sum: "$lines.debit" },
-          sumCredit: { $sum: "$lines.credit" },
-        },
-      },
+    const { from, to, company, level, compare, budget } = req.query;
+    const report = await FinancialReportService.comparativeStatement(
+      statement,
       {
-        $addFields: {
-          netAmount: {
-            $switch: {
-              branches: [
-                {
-                  case: { $eq: ["$type", "REVENUE"] },
-                  then: { $subtract: ["$sumCredit", "$sumDebit"] },
-                },
-                {
-                  case: { $eq: ["$type", "EXPENSE"] },
-                  then: { $subtract: ["$sumDebit", "$sumCredit"] },
-                },
-              ],
-              default: 0,
-            },
-          },
-        },
-      },
-      { $sort: { accountCode: 1 } },
-    ]);
-
-    return res.json({ status: "success", data });
+        from,
+        to,
+        company,
+        level,
+        compare,
+        budget,
+        dimensions: reportDimensions(req.query),
+      }
+    );
+    return res.json({ status: 'success', data: report });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ status: "failure", message: err.message });
+    console.error(`❌ ${statement} Error:`, err);
+    return res.status(400).json({ status: 'failure', message: err.message });
   }
-};
-*/
+}
 
-/** 15) BALANCE SHEET */
-/*
-export const getBalanceSheet = async (req, res) => {
-  try {
-    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
-    const data = await GLJournalModel.aggregate([
-      { $match: { voucherDate: { $lte: asOf } } },
-      { $unwind: "$lines" },
-      {
-        $lookup: {
-          from: "accounts",
-          localField: "lines.account",
-          foreignField: "_id",
-          as: "acct",
-        },
-      },
-      { $unwind: "$acct" },
-      { $match: { "acct.type": { $in: ["ASSET", "LIABILITY", "EQUITY"] } } },
-      {
-        $group: {
-          _id: "$acct._id",
-          accountCode: { $first: "$acct.accountCode" },
-          accountName: { $first: "$acct.accountName" },
-          type: { $first: "$acct.type" },
-          sumDebit: { $sum: "$lines.debit" },
-          sumCredit: { $sum: "$lines.credit" },
-        },
-      },
-      {
-        $addFields: {
-          netBalance: {
-            $switch: {
-              branches: [
-                {
-                  case: { $eq: ["$type", "ASSET"] },
-                  then: { $subtract: ["$sumDebit", "$sumCredit"] },
-                },
-                {
-                  case: { $in: ["$type", ["LIABILITY", "EQUITY"]] },
-                  then: { $subtract: ["$sumCredit", "$sumDebit"] },
-                },
-              ],
-              default: 0,
-            },
-          },
-        },
-      },
-      { $sort: { accountCode: 1 } },
-    ]);
+export const getIncomeStatement = (req, res) =>
+  comparativeStatement(req, res, 'INCOME_STATEMENT');
+
+export const getBalanceSheet = (req, res) =>
+  comparativeStatement(req, res, 'BALANCE_SHEET');
 
-    return res.json({ status: "success", data });
+/**
+ * Post the DRAFT reversals of accrual journals that have fallen due; the
+ * daily glJournalReversals job does the same.
+ *    Request Body: { "asOf": "2025-05-01" } // optional, default now
+ */
+export const runDueReversals = async (req, res) => {
+  try {
+    const asOf = req.body?.asOf ? new Date(req.body.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) throw new Error('Invalid asOf date.');
+    const result = await GLJournalService.postDueReversals(asOf);
+    return res.json({
+      status: 'success',
+      message: `${result.posted.length} reversal(s) posted, ${
+        result.failed.length
+      } failed.`,
+      data: result,
+    });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ status: "failure", message: err.message });
+    console.error('❌ runDueReversals Error:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
   }
 };
-*/
 
 /** 16) LEDGER ACCOUNT TRANSACTIONS */
 /*
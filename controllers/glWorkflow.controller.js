@@ -1,25 +1,23 @@
-import mongoose from 'mongoose';
 import { GLJournalModel } from '../models/glJournal.model.js';
+import GLApprovalService from '../services/glApproval.service.js';
 
 /**
- * Submit a DRAFT for approval.
+ * Submit a DRAFT for approval. Without `stepUsers` the matching approval
+ * rule (see /gl-approval-rules) decides the steps and approver roles.
+ *    Request Body: { "stepUsers": [ userId1, userId2, … ] } // optional
  */
 export const submitForApproval = async (req, res) => {
   try {
     const { id } = req.params;
-    const stepUsers = req.body.stepUsers; // [ userId1, userId2, … ]
-    if (!Array.isArray(stepUsers) || stepUsers.length === 0) {
-      return res.status(400).send('Must supply an array of approver IDs');
+    const { stepUsers } = req.body || {};
+    if (stepUsers !== undefined && !Array.isArray(stepUsers)) {
+      return res.status(400).send('stepUsers must be an array of approver IDs');
     }
 
     const j = await GLJournalModel.findById(id);
     if (!j) return res.status(404).send('Not found');
-    if (j.status !== 'DRAFT') {
-      return res.status(400).send('Only DRAFT can be submitted');
-    }
 
-    j.initWorkflow(stepUsers, req.user._id);
-    j.status = 'PENDING_APPROVAL';
+    await GLApprovalService.submit(j, { stepUsers, user: req.user });
     await j.save();
     res.json({ status: 'success', data: j });
   } catch (err) {
@@ -29,7 +27,8 @@ export const submitForApproval = async (req, res) => {
 };
 
 /**
- * Act on an approval step: approve, reject, or request changes.
+ * Act on an approval step: approve, reject, or request changes. On a
+ * parallel step the caller acts on the entry they are an approver of.
  */
 export const actOnApproval = async (req, res) => {
   try {
@@ -42,37 +41,8 @@ export const actOnApproval = async (req, res) => {
 
     const j = await GLJournalModel.findById(id);
     if (!j) return res.status(404).send('Not found');
-    if (j.currentStep !== +step) {
-      return res.status(400).send('Not this step’s turn');
-    }
-
-    const stepDoc = j.workflow.find((s) => s.step === +step);
-    stepDoc.status = action;
-    stepDoc.actedBy = req.user._id;
-    stepDoc.actedAt = new Date();
-    stepDoc.comment = comment;
-
-    j.addHistory({
-      user: req.user._id,
-      action,
-      step: +step,
-      comment,
-    });
-
-    if (action === 'APPROVED') {
-      const next = j.workflow.find((s) => s.step === +step + 1);
-      if (next) {
-        j.currentStep = next.step;
-      } else {
-        j.currentStep = null;
-        j.status = 'APPROVED';
-      }
-    } else {
-      // either REJECTED or CHANGES_REQUESTED
-      j.currentStep = null;
-      j.status = action;
-    }
 
+    GLApprovalService.act(j, +step, { user: req.user, action, comment });
     await j.save();
     res.json({ status: 'success', data: j });
   } catch (err) {
@@ -82,12 +52,13 @@ export const actOnApproval = async (req, res) => {
 };
 
 /**
- * Delegate the current step to another user.
+ * Delegate the current step to another user; only they may then act on
+ * it.
  */
 export const delegateStep = async (req, res) => {
   try {
     const { id, step } = req.params;
-    const { to } = req.body; // userId
+    const { to, role } = req.body; // userId; role picks a parallel entry
 
     const j = await GLJournalModel.findById(id);
     if (!j) return res.status(404).send('Not found');
@@ -95,8 +66,12 @@ export const delegateStep = async (req, res) => {
       return res.status(400).send('Not this step’s turn');
     }
 
-    const stepDoc = j.workflow.find((s) => s.step === +step);
-    const prevAssignee = stepDoc.assignedTo;
+    const stepDoc = GLApprovalService.stepEntry(j, +step, {
+      role,
+      user: req.user,
+    });
+    if (!stepDoc) return res.status(400).send('No pending entry to delegate');
+    const prevAssignee = stepDoc.assignedTo || `role ${stepDoc.role}`;
     stepDoc.assignedTo = to;
 
     j.addHistory({
@@ -131,6 +106,7 @@ export const recallSubmission = async (req, res) => {
     j.status = 'DRAFT';
     j.submittedAt = null;
     j.currentStep = null;
+    j.approvalRule = null;
     j.workflow = [];
     await j.save();
     res.json({ status: 'success', data: j });
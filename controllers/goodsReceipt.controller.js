@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { GoodsReceiptModel } from '../models/goodsReceipt.model.js';
+import PurchaseStockService from '../services/purchaseStock.service.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+import VoucherService from '../services/voucher.service.js';
+import { logError } from '../utility/logError.utils.js';
+
+// order statuses in which goods may still be received
+const RECEIVABLE_STATUSES = ['Confirmed', 'PartiallyReceived'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Check requested receipt lines against what is still open on the order.
+ * Purchase orders carry a single line ('1'), so the open quantity is the
+ * ordered less the received one.
+ * @param {Object} order purchase order
+ * @param {Array} docLines [{ lineNum, qty }]
+ * @returns {Array} normalised lines [{ lineNum, item, qty }]
+ */
+function checkOpenQty(order, docLines) {
+  if (!Array.isArray(docLines) || docLines.length === 0) {
+    throw new Error('At least one line is required to receive.');
+  }
+
+  let qty = 0;
+  for (const l of docLines) {
+    if (String(l.lineNum) !== '1') {
+      throw new Error(`Line ${l.lineNum} does not exist on ${order.orderNum}.`);
+    }
+    qty = round2(qty + Number(l.qty));
+  }
+  if (!(qty > 0)) throw new Error('Quantity for line 1 must be positive.');
+  const open = round2(order.quantity - order.receivedQty);
+  if (qty > open) {
+    throw new Error(`Cannot receive ${qty} on line 1; only ${open} is open.`);
+  }
+  return [{ lineNum: '1', item: order.item?._id || order.item, qty }];
+}
+
+/**
+ * POST /purchaseorders/:purchaseOrderId/receipts
+ * Body: { lines: [{ lineNum, qty }], receiptDate?, extReceiptId?, remarks? }
+ * Creates a Draft goods receipt; post it to take the stock in.
+ */
+export const createReceipt = async (req, res) => {
+  const { purchaseOrderId } = req.params;
+  const { lines, receiptDate, extReceiptId, remarks } = req.body;
+
+  try {
+    const order = await PurchaseOrderModel.findById(purchaseOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Purchase Order not found' });
+    }
+    if (order.orderType === 'Return') {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'Return orders issue their stock on invoicing.',
+      });
+    }
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Cannot receive against a purchase order in status ${order.status}.`,
+      });
+    }
+
+    const receipt = await GoodsReceiptModel.create({
+      purchaseOrder: order._id,
+      lines: checkOpenQty(order, lines),
+      receiptDate,
+      extReceiptId,
+      remarks,
+      createdBy: req.user?.username || 'SystemReceipt',
+    });
+
+    return res.status(201).json({ status: 'success', data: receipt });
+  } catch (error) {
+    logError('Goods Receipt Creation', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * GET /purchaseorders/:purchaseOrderId/receipts
+ */
+export const getReceiptsForOrder = async (req, res) => {
+  try {
+    const receipts = await GoodsReceiptModel.find({
+      purchaseOrder: req.params.purchaseOrderId,
+    }).sort({ createdAt: 1 });
+    return res.status(200).json({
+      status: 'success',
+      count: receipts.length,
+      data: receipts,
+    });
+  } catch (error) {
+    logError('Get Goods Receipts', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * PATCH /purchaseorders/:purchaseOrderId/receipts/:receiptId/post
+ * Releases the reservation and receives the stock for the received
+ * quantity only, accrues it at the PO price (Dr inventory, Cr goods
+ * received not invoiced) and rolls the order status forward.
+ */
+export const postReceipt = async (req, res) => {
+  const { purchaseOrderId, receiptId } = req.params;
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const order = await PurchaseOrderModel.findById(purchaseOrderId).session(
+      session
+    );
+    if (!order) throw new Error('Purchase Order not found');
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      throw new Error(
+        `Cannot receive against a purchase order in status ${order.status}.`
+      );
+    }
+
+    const receipt = await GoodsReceiptModel.findOne({
+      _id: receiptId,
+      purchaseOrder: order._id,
+    }).session(session);
+    if (!receipt) throw new Error('Goods receipt not found for this order');
+    if (receipt.status !== 'Draft') {
+      throw new Error(`Goods receipt ${receipt.grnId} is ${receipt.status}.`);
+    }
+    await FiscalPeriodService.assertPostingAllowed(
+      receipt.receiptDate,
+      { company: order.company, source: 'PURCHASE' },
+      session
+    );
+
+    // re-check against the order as it is now; other receipts may have
+    // been posted since this one was drafted
+    const receiptLines = checkOpenQty(order, receipt.lines);
+    const subset = receiptLines.map((l) => ({
+      lineNum: l.lineNum,
+      quantity: l.qty,
+    }));
+
+    await PurchaseStockService.releasePO(order, session, subset);
+    const invTxns = await PurchaseStockService.applyPO(order, session, subset);
+
+    // the invoice clears the accrual at this same rate
+    order.exchangeRate = await VoucherService.rateOf(
+      order,
+      receipt.receiptDate,
+      session
+    );
+    const voucher = await VoucherService.createGoodsReceiptVoucher(
+      { receipt, order, invTxns },
+      session
+    );
+
+    for (const l of receiptLines) {
+      order.receivedQty = round2(order.receivedQty + l.qty);
+    }
+    order.syncReceiptStatus();
+    order.updatedBy = req.user?.username || 'SystemReceipt';
+
+    receipt.status = 'Posted';
+    receipt.postedAt = new Date();
+    receipt.inventTxns = invTxns.map((t) => t._id);
+    receipt.voucherId = voucher._id;
+    receipt.voucherNo = voucher.voucherNo;
+    receipt.updatedBy = order.updatedBy;
+
+    await receipt.save({ session });
+    await order.save({ session });
+    await session.commitTransaction();
+
+    return res
+      .status(200)
+      .json({ status: 'success', data: { receipt, order } });
+  } catch (error) {
+    await session.abortTransaction();
+    logError('Goods Receipt Posting', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * PATCH /purchaseorders/:purchaseOrderId/receipts/:receiptId/cancel
+ * Only Draft receipts can be cancelled; posted stock stays received.
+ */
+export const cancelReceipt = async (req, res) => {
+  const { purchaseOrderId, receiptId } = req.params;
+  try {
+    const receipt = await GoodsReceiptModel.findOne({
+      _id: receiptId,
+      purchaseOrder: purchaseOrderId,
+    });
+    if (!receipt) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Goods receipt not found' });
+    }
+    if (receipt.status !== 'Draft') {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Only Draft goods receipts can be cancelled; ${receipt.grnId} is ${receipt.status}.`,
+      });
+    }
+    receipt.status = 'Cancelled';
+    receipt.updatedBy = req.user?.username || 'SystemReceipt';
+    await receipt.save();
+    return res.status(200).json({ status: 'success', data: receipt });
+  } catch (error) {
+    logError('Goods Receipt Cancel', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
@@ -0,0 +1,59 @@
+// controllers/gstReturn.controller.js
+
+import mongoose from 'mongoose';
+import GSTReturnService from '../services/gstReturn.service.js';
+
+/**
+ * Shared handler for the returns.
+ * Query: period (MMYYYY | YYYY-MM, required), company (required),
+ *        format (json | xlsx)
+ * JSON answers with the return in the portal's schema and the invoices
+ * failing validation (missing / invalid GSTIN, missing HSN / SAC); xlsx
+ * with a sheet per section and one for the errors.
+ */
+async function gstReturn(req, res, name, build, sheets) {
+  try {
+    const { period, company, format } = req.query;
+    if (!period) throw new Error('Query parameter "period" is required.');
+    if (!company || !mongoose.Types.ObjectId.isValid(company)) {
+      throw new Error('Query parameter "company" must be a company ID.');
+    }
+
+    const result = await build({ period, company });
+
+    if (format === 'xlsx') {
+      const file = GSTReturnService.exportWorkbook(sheets(result));
+      const fp = GSTReturnService.period(period).fp;
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${name}-${fp}.${file.ext}"`
+      );
+      return res.send(file.body);
+    }
+
+    const { [name]: data, errors } = result;
+    return res.json({ status: 'success', data: { [name]: data, errors } });
+  } catch (err) {
+    console.error(`❌ ${name} Error:`, err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  }
+}
+
+export const getGSTR1 = (req, res) =>
+  gstReturn(
+    req,
+    res,
+    'gstr1',
+    (q) => GSTReturnService.gstr1(q),
+    (r) => GSTReturnService.gstr1Sheets(r)
+  );
+
+export const getGSTR3B = (req, res) =>
+  gstReturn(
+    req,
+    res,
+    'gstr3b',
+    (q) => GSTReturnService.gstr3b(q),
+    (r) => GSTReturnService.gstr3bSheets(r)
+  );
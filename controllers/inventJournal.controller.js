@@ -8,6 +8,9 @@ import { createAuditLog } from '../audit_logging_service/utils/auditLogger.utils
 import { StockBalanceModel } from '../models/inventStockBalance.model.js';
 import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
 import ProvisionalBalanceService from '../services/provisionalBalance.service.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+import VoucherService from '../services/voucher.service.js';
+import InventoryCostingService from '../services/inventoryCosting.service.js';
 
 // In-memory helper to compute a line key based on dimensions
 const makeLineKey = (l) =>
@@ -395,18 +398,8 @@ export default class StockBalanceService {
           const purchaseDelta = receiptQty * line.purchasePrice;
           const revenueDelta = issueQty * line.salesPrice;
 
-          // fetch existing costPrice
-          const sbExisting = await StockBalanceModel.findOne({
-            ...commonKey,
-            site: line.from?.site || line.to.site,
-            warehouse: line.from?.warehouse || line.to.warehouse,
-          }).session(session);
-          const existingCost = sbExisting?.costPrice || 0;
-
-          // if receipt, costDelta = purchaseDelta; if issue, costDelta = -issueQty * existingCost
-          const costDelta = receiptQty
-            ? purchaseDelta
-            : -issueQty * existingCost;
+          // both at the cost posting put on the line (costJournal)
+          const costDelta = line.quantity * line.costPrice;
 
           await upsert(
             {
@@ -524,9 +517,11 @@ export default class StockBalanceService {
           }).session(session);
           const existingCost = sbExisting?.costPrice || 0;
 
+          // at the cost the line was posted at; journals posted before
+          // lines were costed fall back to how they were applied then
           const costDelta = receiptQty
-            ? purchaseDelta
-            : -issueQty * existingCost;
+            ? receiptQty * (line.costPrice || line.purchasePrice)
+            : -issueQty * (line.costPrice || existingCost);
 
           await upsert(
             {
@@ -548,6 +543,128 @@ export default class StockBalanceService {
   }
 }
 
+// the balance an INOUT / ADJUSTMENT line moves, by its cost dims
+const costDimsOf = (line) => ({
+  site: line.from?.site || line.to?.site,
+  warehouse: line.from?.warehouse || line.to?.warehouse,
+  config: line.config,
+  color: line.color,
+  size: line.size,
+  style: line.style,
+  version: line.version,
+  batch: line.batch,
+  serial: line.serial,
+});
+
+const costedLine = (journal, line) =>
+  !['TRANSFER', 'COUNTING'].includes(journal.type) && !!line.quantity;
+
+/**
+ * Cost INOUT / ADJUSTMENT lines by their items' costing methods before
+ * posting: issues at the method's issue cost (using up FIFO / LIFO
+ * layers), receipts at a STANDARD item's standard cost, else at their
+ * purchase price. Sets `costPrice` on the lines, which the stock balances
+ * and the voucher value them at, and returns each line's method.
+ */
+async function costJournal(journal, session) {
+  const methods = [];
+  for (const line of journal.lines) {
+    if (!costedLine(journal, line)) {
+      methods.push(null);
+      continue;
+    }
+    const dims = costDimsOf(line);
+    let costing;
+    if (line.quantity < 0) {
+      const sb = await StockBalanceModel.findOne({
+        item: line.item,
+        ...dims,
+      }).session(session);
+      costing = await InventoryCostingService.issueCost(
+        {
+          item: line.item,
+          dims,
+          qty: -line.quantity,
+          company: journal.company,
+          averageCost: sb?.costPrice || 0,
+        },
+        session
+      );
+    } else {
+      costing = await InventoryCostingService.receiptCost(
+        line.item,
+        journal.company,
+        line.purchasePrice || line.costPrice,
+        session
+      );
+    }
+    line.costPrice = costing.cost;
+    methods.push(costing.method);
+  }
+  return methods;
+}
+
+// FIFO / LIFO layers for the receipts of a posted journal
+async function openJournalLayers(journal, invTxns, methods, session) {
+  for (let i = 0; i < journal.lines.length; i++) {
+    const line = journal.lines[i];
+    if (!methods[i] || line.quantity <= 0) continue;
+    await InventoryCostingService.openLayer(
+      methods[i],
+      {
+        item: line.item,
+        dims: costDimsOf(line),
+        qty: line.quantity,
+        unitCost: line.costPrice,
+        receiptDate: invTxns[i]?.txnDate,
+        sourceType: 'JOURNAL',
+        sourceId: journal._id,
+        sourceLine: Number(line.lineNum) || i + 1,
+        inventTxn: invTxns[i]?._id,
+        refNum: journal.code,
+      },
+      session
+    );
+  }
+}
+
+// reversing: receipts come off their own layers, issues go back as new ones
+async function reverseJournalLayers(journal, session) {
+  for (let i = 0; i < journal.lines.length; i++) {
+    const line = journal.lines[i];
+    if (!costedLine(journal, line)) continue;
+    const dims = costDimsOf(line);
+    if (line.quantity > 0) {
+      await InventoryCostingService.issueCost(
+        {
+          item: line.item,
+          dims,
+          qty: line.quantity,
+          company: journal.company,
+          averageCost: line.costPrice,
+          source: { sourceType: 'JOURNAL', sourceId: journal._id },
+        },
+        session
+      );
+    } else {
+      await InventoryCostingService.restock(
+        {
+          item: line.item,
+          dims,
+          qty: -line.quantity,
+          unitCost: line.costPrice,
+          sourceType: 'JOURNAL',
+          sourceId: journal._id,
+          sourceLine: Number(line.lineNum) || i + 1,
+          refNum: journal.code,
+        },
+        journal.company,
+        session
+      );
+    }
+  }
+}
+
 function toTxn(journal, line) {
   // 1) storage dims:
   const storageDims =
@@ -595,6 +712,17 @@ function toTxn(journal, line) {
   };
 }
 
+// vouchers for a journal are in its company's currency
+async function localCurrency(journal, session) {
+  if (!journal.company) return 'INR';
+  const company = await mongoose
+    .model('Companies')
+    .findById(journal.company)
+    .select('currency')
+    .session(session);
+  return company?.currency || 'INR';
+}
+
 async function invalidateJournalCache(key = '/fms/api/v0/journals') {
   try {
     await redisClient.del(key);
@@ -971,6 +1099,13 @@ export const postJournal = async (req, res) => {
         status: 'failure',
         message: 'Only CONFIRMED journals can be posted.',
       });
+    const closed = await FiscalPeriodService.assertPostingAllowed(
+      journal.journalDate,
+      { company: journal.company, source: 'INVENT_JOURNAL' },
+      session
+    ).catch((err) => err);
+    if (closed instanceof Error)
+      return res.status(409).json({ status: 'failure', message: closed.message });
 
     // if (!journal || journal.status!=="CONFIRMED")
     //   return res.status(409).json({ message: "Must be CONFIRMED to post" });
@@ -991,12 +1126,27 @@ export const postJournal = async (req, res) => {
     });
     await InventoryTransactionModel.insertMany(revProv, { session });
 
-    // 1) Write all lines into InventoryTransactions- real transactions
+    // 1) Cost the lines by their items' costing methods, then write them
+    // into InventoryTransactions- real transactions
+    const methods = await costJournal(journal, session);
     const txns = journal.lines.map((line) => toTxn(journal, line));
-    await InventoryTransactionModel.insertMany(txns, { session });
+    const invTxns = await InventoryTransactionModel.insertMany(txns, {
+      session,
+    });
 
     // apply each line to stock balances
     await StockBalanceService.applyJournal(journal, session);
+    await openJournalLayers(journal, invTxns, methods, session);
+
+    // 2) value the movement in the ledger at cost
+    const voucher = await VoucherService.createInventJournalVoucher(
+      { journal, invTxns, currency: await localCurrency(journal, session) },
+      session
+    );
+    if (voucher) {
+      journal.voucherId = voucher._id;
+      journal.voucherNo = voucher.voucherNo;
+    }
 
     journal.status = 'POSTED';
     journal.posted = true;
@@ -1052,10 +1202,29 @@ export const reverseJournal = async (req, res) => {
       return res
         .status(409)
         .json({ status: 'failure', message: 'Already reversed.' });
+    const closed = await FiscalPeriodService.assertPostingAllowed(
+      new Date(),
+      { company: journal.company, source: 'INVENT_JOURNAL' },
+      session
+    ).catch((err) => err);
+    if (closed instanceof Error)
+      return res.status(409).json({ status: 'failure', message: closed.message });
 
     if (journal.status === 'POSTED') {
       // reverse stock changes
       await StockBalanceService.reverseJournal(journal, session);
+      await reverseJournalLayers(journal, session);
+      if (journal.voucherId) {
+        const voucher = await VoucherService.createInventJournalVoucher(
+          {
+            journal,
+            currency: await localCurrency(journal, session),
+            reverse: true,
+          },
+          session
+        );
+        journal.reversalVoucherNo = voucher?.voucherNo;
+      }
     }
 
     // 2) Write reversal transactions (negating qty & values)
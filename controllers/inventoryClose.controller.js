@@ -0,0 +1,166 @@
+// controllers/inventoryClose.controller.js
+
+import mongoose from 'mongoose';
+import { InventoryCloseModel } from '../models/inventoryClose.model.js';
+import InventoryCostingService from '../services/inventoryCosting.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Inventory close not found.' });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+const draftOf = async (req) => {
+  const { closeId } = req.params;
+  checkIds(closeId);
+  const close = await InventoryCloseModel.findById(closeId);
+  if (close && close.status !== 'Draft') {
+    throw new Error(`Inventory close ${close.closeId} is ${close.status}.`);
+  }
+  return close;
+};
+
+/**
+ * Run a recalculation for a period: the settlement comes back as a Draft
+ * to review before it is posted.
+ *    Request Body:
+ *    {
+ *      "fromDate": "2025-07-01",
+ *      "toDate": "2025-07-31",
+ *      "company": "<ObjectId>",         // optional, empty → every company
+ *      "remarks": "..."
+ *    }
+ */
+export const createInventoryClose = async (req, res) => {
+  try {
+    const { fromDate, toDate, company, remarks } = req.body;
+    checkIds(company);
+    const close = new InventoryCloseModel({
+      fromDate,
+      toDate,
+      company: company || null,
+      remarks,
+      status: 'Draft',
+      createdBy: req.user?.username || 'system',
+    });
+    await close.validate();
+    await InventoryCostingService.recalculate(close);
+    await close.save();
+    return res.status(201).json({ status: 'success', data: close });
+  } catch (err) {
+    console.error('❌ createInventoryClose Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List inventory closes. Query: company, status */
+export const getInventoryCloses = async (req, res) => {
+  try {
+    const q = req.query;
+    checkIds(q.company);
+    const filter = {};
+    if (q.company) filter.company = q.company;
+    if (q.status) filter.status = q.status;
+    const closes = await InventoryCloseModel.find(filter).sort({
+      toDate: -1,
+    });
+    return res.json({ status: 'success', data: closes });
+  } catch (err) {
+    console.error('❌ getInventoryCloses Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getInventoryCloseById = async (req, res) => {
+  try {
+    const { closeId } = req.params;
+    checkIds(closeId);
+    const close = await InventoryCloseModel.findById(closeId);
+    if (!close) return notFound(res);
+    return res.json({ status: 'success', data: close });
+  } catch (err) {
+    console.error('❌ getInventoryCloseById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Recalculate a Draft close against the transactions as they are now. */
+export const recalculateInventoryClose = async (req, res) => {
+  try {
+    const close = await draftOf(req);
+    if (!close) return notFound(res);
+    await InventoryCostingService.recalculate(close);
+    close.updatedBy = req.user?.username || 'system';
+    await close.save();
+    return res.json({ status: 'success', data: close });
+  } catch (err) {
+    console.error('❌ recalculateInventoryClose Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Post a Draft close: settles it again, books the adjustments between
+ * inventory and COGS and carries the settled values forward.
+ */
+export const postInventoryClose = async (req, res) => {
+  const { closeId } = req.params;
+  const session = await mongoose.startSession();
+  try {
+    checkIds(closeId);
+    session.startTransaction();
+    const close = await InventoryCloseModel.findById(closeId).session(session);
+    if (!close) {
+      await session.abortTransaction();
+      return notFound(res);
+    }
+    await InventoryCostingService.post(
+      close,
+      {
+        currency: await InventoryCostingService.currencyOf(
+          close.company,
+          session
+        ),
+        user: req.user?.username,
+      },
+      session
+    );
+    await session.commitTransaction();
+    return res.json({ status: 'success', data: close });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    console.error('❌ postInventoryClose Error:', err);
+    return failure(res, err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Only Draft closes can be cancelled. */
+export const cancelInventoryClose = async (req, res) => {
+  try {
+    const close = await draftOf(req);
+    if (!close) return notFound(res);
+    close.status = 'Cancelled';
+    close.updatedBy = req.user?.username || 'system';
+    await close.save();
+    return res.json({ status: 'success', data: close });
+  } catch (err) {
+    console.error('❌ cancelInventoryClose Error:', err);
+    return failure(res, err);
+  }
+};
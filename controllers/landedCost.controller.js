@@ -0,0 +1,179 @@
+// controllers/landedCost.controller.js
+
+import mongoose from 'mongoose';
+import { LandedCostModel } from '../models/landedCost.model.js';
+import LandedCostService from '../services/landedCost.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Landed cost not found.' });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+/**
+ * Draft a landed cost; the allocation comes back for review.
+ *    Request Body:
+ *    {
+ *      "receipts": ["<GoodsReceipt ObjectId>"],
+ *      "charges": [
+ *        { "chargeType": "FREIGHT", "amount": 12000, "basis": "WEIGHT" },
+ *        { "chargeType": "CUSTOMS_DUTY", "amount": 30000, "basis": "VALUE" }
+ *      ],
+ *      "costDate": "2025-07-10",
+ *      "vendor": "<ObjectId>",          // optional: who billed it
+ *      "reference": "BL-2231",          // optional: their bill number
+ *      "company": "<ObjectId>"
+ *    }
+ */
+export const createLandedCost = async (req, res) => {
+  try {
+    const landedCost = new LandedCostModel({
+      ...req.body,
+      status: 'Draft',
+      createdBy: req.user?.username || 'system',
+    });
+    await landedCost.validate();
+    await LandedCostService.allocate(landedCost);
+    await landedCost.save();
+    return res.status(201).json({ status: 'success', data: landedCost });
+  } catch (err) {
+    console.error('❌ createLandedCost Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List landed costs. Query: company, status, receipt */
+export const getLandedCosts = async (req, res) => {
+  try {
+    const q = req.query;
+    checkIds(q.company, q.receipt);
+    const filter = {};
+    if (q.company) filter.company = q.company;
+    if (q.status) filter.status = q.status;
+    if (q.receipt) filter.receipts = q.receipt;
+    const landedCosts = await LandedCostModel.find(filter).sort({
+      costDate: -1,
+    });
+    return res.json({ status: 'success', data: landedCosts });
+  } catch (err) {
+    console.error('❌ getLandedCosts Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getLandedCostById = async (req, res) => {
+  try {
+    const { landedCostId } = req.params;
+    checkIds(landedCostId);
+    const landedCost = await LandedCostModel.findById(landedCostId);
+    if (!landedCost) return notFound(res);
+    return res.json({ status: 'success', data: landedCost });
+  } catch (err) {
+    console.error('❌ getLandedCostById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Change a Draft landed cost; it is allocated again. */
+export const updateLandedCost = async (req, res) => {
+  try {
+    const { landedCostId } = req.params;
+    checkIds(landedCostId);
+    const landedCost = await LandedCostModel.findById(landedCostId);
+    if (!landedCost) return notFound(res);
+    if (landedCost.status !== 'Draft') {
+      throw new Error(
+        `Landed cost ${landedCost.lcId} is ${landedCost.status}.`
+      );
+    }
+    const changes = { ...req.body };
+    for (const f of ['lcId', 'status', 'allocations', 'voucherId']) {
+      delete changes[f];
+    }
+    delete changes.createdBy;
+    landedCost.set(changes);
+    landedCost.updatedBy = req.user?.username || 'system';
+    await landedCost.validate();
+    await LandedCostService.allocate(landedCost);
+    await landedCost.save();
+    return res.json({ status: 'success', data: landedCost });
+  } catch (err) {
+    console.error('❌ updateLandedCost Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Post a Draft landed cost: loads its charges into the stock's cost and
+ * books the voucher.
+ */
+export const postLandedCost = async (req, res) => {
+  const { landedCostId } = req.params;
+  const session = await mongoose.startSession();
+  try {
+    checkIds(landedCostId);
+    session.startTransaction();
+    const landedCost = await LandedCostModel.findById(landedCostId).session(
+      session
+    );
+    if (!landedCost) {
+      await session.abortTransaction();
+      return notFound(res);
+    }
+    await LandedCostService.post(
+      landedCost,
+      {
+        currency: await LandedCostService.currencyOf(
+          landedCost.company,
+          session
+        ),
+        user: req.user?.username,
+      },
+      session
+    );
+    await session.commitTransaction();
+    return res.json({ status: 'success', data: landedCost });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    console.error('❌ postLandedCost Error:', err);
+    return failure(res, err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Only Draft landed costs can be cancelled; posted costs stay loaded. */
+export const cancelLandedCost = async (req, res) => {
+  try {
+    const { landedCostId } = req.params;
+    checkIds(landedCostId);
+    const landedCost = await LandedCostModel.findById(landedCostId);
+    if (!landedCost) return notFound(res);
+    if (landedCost.status !== 'Draft') {
+      throw new Error(
+        `Only Draft landed costs can be cancelled; ${landedCost.lcId} is ${landedCost.status}.`
+      );
+    }
+    landedCost.status = 'Cancelled';
+    landedCost.updatedBy = req.user?.username || 'system';
+    await landedCost.save();
+    return res.json({ status: 'success', data: landedCost });
+  } catch (err) {
+    console.error('❌ cancelLandedCost Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,108 @@
+// controllers/matchTolerance.controller.js
+
+import mongoose from 'mongoose';
+import { MatchToleranceModel } from '../models/matchTolerance.model.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'A tolerance already exists for this company and vendor.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Match tolerance not found.' });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+/**
+ * Create a tolerance for matching vendor invoices.
+ *    Request Body:
+ *    {
+ *      "qtyPercent": 2,                 // of the received quantity
+ *      "pricePercent": 1,               // of the PO price
+ *      "company": "<ObjectId>",         // optional, empty → every company
+ *      "vendor": "<ObjectId>",          // optional, empty → every vendor
+ *      "description": "..."
+ *    }
+ */
+export const createMatchTolerance = async (req, res) => {
+  try {
+    const tolerance = await MatchToleranceModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: tolerance });
+  } catch (err) {
+    console.error('❌ createMatchTolerance Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List tolerances. Query: company ("global"), vendor ("any"), active */
+export const getMatchTolerances = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.company) filter.company = q.company === 'global' ? null : q.company;
+    if (q.vendor) filter.vendor = q.vendor === 'any' ? null : q.vendor;
+    if (q.active !== undefined) filter.active = q.active === 'true';
+    const tolerances = await MatchToleranceModel.find(filter).sort({
+      company: 1,
+      vendor: 1,
+    });
+    return res.json({ status: 'success', data: tolerances });
+  } catch (err) {
+    console.error('❌ getMatchTolerances Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Change a tolerance; invoices already matched keep their result. */
+export const updateMatchTolerance = async (req, res) => {
+  try {
+    const { toleranceId } = req.params;
+    checkIds(toleranceId);
+    const tolerance = await MatchToleranceModel.findById(toleranceId);
+    if (!tolerance) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    tolerance.set(changes);
+    await tolerance.save();
+    return res.json({ status: 'success', data: tolerance });
+  } catch (err) {
+    console.error('❌ updateMatchTolerance Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteMatchTolerance = async (req, res) => {
+  try {
+    const { toleranceId } = req.params;
+    checkIds(toleranceId);
+    const tolerance = await MatchToleranceModel.findByIdAndDelete(toleranceId);
+    if (!tolerance) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: 'Match tolerance deleted.',
+      data: tolerance,
+    });
+  } catch (err) {
+    console.error('❌ deleteMatchTolerance Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,146 @@
+// controllers/postingProfile.controller.js
+
+import mongoose from 'mongoose';
+import {
+  PostingProfileModel,
+  POSTING_TYPES,
+} from '../models/postingProfile.model.js';
+import PostingProfileService from '../services/postingProfile.service.js';
+
+const SELECTORS = ['company', 'itemGroup', 'partyGroup', 'site'];
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message:
+        'This posting type is already mapped for that company, item group, party group and site.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+/**
+ * Create a posting-profile mapping.
+ *    Request Body:
+ *    {
+ *      "postingType": "SALES_REVENUE",
+ *      "account": "<Accounts ObjectId>",
+ *      "company": "<ObjectId>",      // optional, empty → every company
+ *      "itemGroup": "<ObjectId>",    // optional
+ *      "partyGroup": "<ObjectId>",   // optional, customer or vendor group
+ *      "site": "<ObjectId>",         // optional
+ *      "priority": 100
+ *    }
+ */
+export const createPostingProfile = async (req, res) => {
+  try {
+    const profile = await PostingProfileModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: profile });
+  } catch (err) {
+    console.error('❌ createPostingProfile Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * List mappings. Query: postingType, company, itemGroup, partyGroup, site,
+ * active ("global" for a selector lists the mappings that leave it empty)
+ */
+export const getPostingProfiles = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.postingType) filter.postingType = req.query.postingType;
+    if (req.query.active) filter.active = req.query.active === 'true';
+    for (const f of SELECTORS) {
+      if (req.query[f]) {
+        filter[f] = req.query[f] === 'global' ? null : req.query[f];
+      }
+    }
+    const profiles = await PostingProfileModel.find(filter)
+      .populate('account', 'accountCode accountName type')
+      .sort({ postingType: 1, priority: 1 });
+    return res.json({ status: 'success', data: profiles });
+  } catch (err) {
+    console.error('❌ getPostingProfiles Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getPostingTypes = (req, res) =>
+  res.json({ status: 'success', data: POSTING_TYPES });
+
+/**
+ * Which account a posting type resolves to for a context, as posting would.
+ * Query: postingType, company, site, itemGroups, partyGroups (comma-separated)
+ */
+export const resolvePostingProfile = async (req, res) => {
+  try {
+    const { postingType, company, site } = req.query;
+    if (!POSTING_TYPES.includes(postingType)) {
+      throw new Error(
+        `postingType must be one of ${POSTING_TYPES.join(', ')}.`
+      );
+    }
+    const list = (v) => (v ? String(v).split(',').filter(Boolean) : []);
+    const account = await PostingProfileService.resolve(postingType, {
+      company,
+      site,
+      itemGroups: list(req.query.itemGroups),
+      partyGroups: list(req.query.partyGroups),
+    });
+    return res.json({ status: 'success', data: account });
+  } catch (err) {
+    console.error('❌ resolvePostingProfile Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const updatePostingProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(profileId)) {
+      throw new Error('Invalid posting profile ID.');
+    }
+    const profile = await PostingProfileModel.findById(profileId);
+    if (!profile) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Posting profile not found.' });
+    }
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    profile.set(changes);
+    await profile.save();
+    return res.json({ status: 'success', data: profile });
+  } catch (err) {
+    console.error('❌ updatePostingProfile Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deletePostingProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const profile = await PostingProfileModel.findByIdAndDelete(profileId);
+    if (!profile) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Posting profile not found.' });
+    }
+    return res.json({
+      status: 'success',
+      message: 'Posting profile deleted.',
+      data: profile,
+    });
+  } catch (err) {
+    console.error('❌ deletePostingProfile Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,206 @@
+// controllers/purchaseRequisition.controller.js
+
+import mongoose from 'mongoose';
+import { PurchaseRequisitionModel } from '../models/purchaseRequisition.model.js';
+import { RFQModel } from '../models/rfq.model.js';
+import { ItemModel } from '../models/item.model.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Purchase requisition not found.' });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+const load = async (req) => {
+  const { requisitionId } = req.params;
+  checkIds(requisitionId);
+  return PurchaseRequisitionModel.findById(requisitionId);
+};
+
+/**
+ * Raise a requisition (Draft).
+ *    Request Body:
+ *    {
+ *      "item": "<ObjectId>",
+ *      "quantity": 50,
+ *      "estimatedPrice": 420,           // optional, company currency
+ *      "requiredBy": "2025-08-01",
+ *      "department": "Maintenance",
+ *      "justification": "Spares for line 2",
+ *      "site": "<ObjectId>", "warehouse": "<ObjectId>",
+ *      "company": "<ObjectId>"
+ *    }
+ */
+export const createRequisition = async (req, res) => {
+  try {
+    checkIds(req.body.item);
+    if (!(await ItemModel.exists({ _id: req.body.item }))) {
+      throw new Error(`Item with ID ${req.body.item} does not exist.`);
+    }
+    const user = req.user?.username || 'system';
+    const requisition = await PurchaseRequisitionModel.create({
+      ...req.body,
+      status: 'Draft',
+      // the requester is whoever raises it, never what the body says
+      requestedBy: user,
+      createdBy: user,
+    });
+    return res.status(201).json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ createRequisition Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List requisitions. Query: company, status, requestedBy, item */
+export const getRequisitions = async (req, res) => {
+  try {
+    const q = req.query;
+    checkIds(q.company, q.item);
+    const filter = {};
+    for (const f of ['company', 'status', 'requestedBy', 'item']) {
+      if (q[f]) filter[f] = q[f];
+    }
+    const requisitions = await PurchaseRequisitionModel.find(filter).sort({
+      createdAt: -1,
+    });
+    return res.json({ status: 'success', data: requisitions });
+  } catch (err) {
+    console.error('❌ getRequisitions Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getRequisitionById = async (req, res) => {
+  try {
+    const requisition = await load(req);
+    if (!requisition) return notFound(res);
+    return res.json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ getRequisitionById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Change a Draft (or Rejected, to rework it) requisition. */
+export const updateRequisition = async (req, res) => {
+  try {
+    const requisition = await load(req);
+    if (!requisition) return notFound(res);
+    if (!['Draft', 'Rejected'].includes(requisition.status)) {
+      throw new Error(
+        `Requisition ${requisition.requisitionNum} is ${requisition.status}.`
+      );
+    }
+    const changes = { ...req.body };
+    for (const f of [
+      'requisitionNum',
+      'status',
+      'decidedBy',
+      'decidedAt',
+      'rfq',
+      'purchaseOrder',
+      'requestedBy',
+      'createdBy',
+    ]) {
+      delete changes[f];
+    }
+    requisition.set(changes);
+    requisition.updatedBy = req.user?.username || 'system';
+    await requisition.save();
+    return res.json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ updateRequisition Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Send a Draft (or reworked Rejected) requisition for approval. */
+export const submitRequisition = async (req, res) => {
+  try {
+    const requisition = await load(req);
+    if (!requisition) return notFound(res);
+    if (requisition.status === 'Rejected') requisition.transition('Draft');
+    requisition.transition('Submitted');
+    requisition.submittedAt = new Date();
+    requisition.rejectionReason = '';
+    requisition.updatedBy = req.user?.username || 'system';
+    await requisition.save();
+    return res.json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ submitRequisition Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Approve or reject a Submitted requisition. The requester cannot decide
+ * their own.
+ *    Request Body: { "action": "approve" | "reject", "reason": "..." }
+ */
+export const decideRequisition = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    if (!['approve', 'reject'].includes(action)) {
+      throw new Error('action must be approve or reject.');
+    }
+    const requisition = await load(req);
+    if (!requisition) return notFound(res);
+    const user = req.user?.username || 'system';
+    if (user === requisition.requestedBy) {
+      return res.status(403).json({
+        status: 'failure',
+        message: 'A requisition cannot be decided by its requester.',
+      });
+    }
+    if (action === 'reject' && !reason) {
+      throw new Error('A rejection needs a reason.');
+    }
+    requisition.transition(action === 'approve' ? 'Approved' : 'Rejected');
+    requisition.decidedBy = user;
+    requisition.decidedAt = new Date();
+    requisition.rejectionReason = action === 'reject' ? reason : '';
+    requisition.updatedBy = user;
+    await requisition.save();
+    return res.json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ decideRequisition Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Cancel a requisition not yet ordered; its open RFQ must go first. */
+export const cancelRequisition = async (req, res) => {
+  try {
+    const requisition = await load(req);
+    if (!requisition) return notFound(res);
+    const open = await RFQModel.findOne({
+      requisition: requisition._id,
+      status: { $in: ['Draft', 'Sent'] },
+    });
+    if (open) {
+      throw new Error(`Cancel RFQ ${open.rfqNum} before its requisition.`);
+    }
+    requisition.transition('Cancelled');
+    requisition.updatedBy = req.user?.username || 'system';
+    await requisition.save();
+    return res.json({ status: 'success', data: requisition });
+  } catch (err) {
+    console.error('❌ cancelRequisition Error:', err);
+    return failure(res, err);
+  }
+};
@@ -9,6 +9,12 @@ import { ItemModel } from '../models/item.model.js';
 import { VendorModel } from '../models/vendor.model.js';
 import { logError } from '../utility/logError.utils.js';
 import PurchaseStockService from '../services/purchaseStock.service.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+import VoucherService from '../services/voucher.service.js';
+import TDSService from '../services/tds.service.js';
+import { APTransactionModel } from '../models/apTransaction.model.js';
+import PurchaseMatchService from '../services/purchaseMatch.service.js';
+import PurchaseReturnService from '../services/purchaseReturn.service.js';
 
 /**
  * Helper function to validate status transitions
@@ -91,6 +97,25 @@ export const createPurchaseOrder = async (req, res) => {
       });
     }
 
+    // Returns must send back received, not-yet-returned goods
+    if (purchaseOrderBody.orderType === 'Return') {
+      try {
+        const original = await PurchaseOrderModel.findById(
+          purchaseOrderBody.returnOf?.purchaseOrder
+        );
+        // unless told otherwise, goods go back at the price they were bought
+        if (original) {
+          purchaseOrderBody.currency ||= original.currency;
+          purchaseOrderBody.price ??= original.price;
+        }
+        await PurchaseReturnService.resolve(
+          new PurchaseOrderModel(purchaseOrderBody)
+        );
+      } catch (err) {
+        return res.status(422).send({ status: 'failure', message: err.message });
+      }
+    }
+
     // Create Purchase Order
     const dbResponseNewPurchaseOrder = await PurchaseOrderModel.create(
       purchaseOrderBody
@@ -613,9 +638,122 @@ export const changePurchaseOrderStatus2 = async (req, res) => {
   }
 };
 
+/**
+ * Post the vendor invoice of a matched or approved order: take in the
+ * stock unless goods receipts already did (then clear their accrual and
+ * drop what is still reserved), book the AP txn, TDS and the voucher.
+ * The order keeps its ordered quantity and price; the invoice's amounts
+ * go on `match` and become what the order settles (AP, TDS, payments).
+ */
+async function postVendorInvoice(order, session) {
+  const { match } = order;
+  const received = order.receivedQty > 0;
+  order.invoiceDate = match.invoiceDate || new Date();
+  await FiscalPeriodService.assertPostingAllowed(
+    order.invoiceDate,
+    { company: order.company, source: 'PURCHASE' },
+    session
+  );
+
+  if (received) {
+    // what has not come in by now will not be received on this order
+    const open = Math.round((order.quantity - order.receivedQty) * 100) / 100;
+    if (open > 0) {
+      await PurchaseStockService.releasePO(order, session, [
+        { lineNum: '1', quantity: open },
+      ]);
+    }
+  } else {
+    await PurchaseStockService.releasePO(order, session);
+  }
+
+  // the vendor is owed what it invoiced
+  const amounts = order.amountsFor(match.invoiceQty, match.invoicePrice);
+  Object.assign(match, amounts);
+  Object.assign(order, amounts);
+  order.netPaymentDue =
+    Math.round((order.netAR - (order.advance + order.totalPaid)) * 100) / 100;
+  order.updateSettlementStatus();
+  // a return sends its lots back at the cost they came in at; without
+  // receipts the invoice is what came in
+  const ret =
+    order.orderType === 'Return'
+      ? await PurchaseReturnService.resolve(order, session)
+      : null;
+  const invTxns = received
+    ? []
+    : await PurchaseStockService.applyPO(
+      order,
+      session,
+      ret
+        ? PurchaseReturnService.stockSubset(ret)
+        : [{ lineNum: '1', quantity: match.invoiceQty }]
+    );
+  if (ret) await PurchaseReturnService.recordReturned(order, session, 1);
+
+  // AP txn and voucher for the invoice; a return credits the vendor
+  // older orders carry no rate: take the table's for the invoice date
+  order.exchangeRate = await VoucherService.rateOf(
+    order,
+    order.invoiceDate,
+    session
+  );
+  const apAmount =
+    (order.orderType === 'Return' ? -1 : 1) * order.netAmtAfterTax;
+  const [apTxn] = await APTransactionModel.create(
+    [
+      {
+        txnDate: order.invoiceDate,
+        sourceType: 'PURCHASE',
+        sourceId: order._id,
+        sourceLine: 1,
+        supplier: order.vendor?._id || order.vendor,
+        amount: apAmount,
+        currency: order.currency,
+        exchangeRate: order.exchangeRate,
+        localAmount: Math.round(apAmount * order.exchangeRate * 100) / 100,
+        remarks: match.vendorInvoiceNum || order.orderNum,
+      },
+    ],
+    { session }
+  );
+  // TDS on the invoice, settled against it
+  const whtTxn = await TDSService.onInvoice('AP', order, session);
+  const voucher = await VoucherService.createPurchaseVoucher(
+    {
+      order,
+      invTxns,
+      apTxn,
+      whtTxn,
+      invoice: { quantity: match.invoiceQty, price: match.invoicePrice },
+      received: received
+        ? { quantity: order.receivedQty, price: order.price }
+        : null,
+    },
+    session
+  );
+  order.voucherId = voucher._id;
+  order.voucherNo = voucher.voucherNo;
+  order.dueDate =
+    match.dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Body: { newStatus, invoiceDate?, dueDate? } and, moving to Invoiced, the
+ * vendor invoice: { vendorInvoiceNum?, invoiceQty?, invoicePrice? }. The
+ * invoice is matched against the receipts and the PO price; outside the
+ * tolerances it is held (202) and the order keeps its status.
+ */
 export const changePurchaseOrderStatus = async (req, res) => {
   const { purchaseOrderId } = req.params;
-  const { newStatus, invoiceDate, dueDate } = req.body;
+  const {
+    newStatus,
+    invoiceDate,
+    dueDate,
+    vendorInvoiceNum,
+    invoiceQty,
+    invoicePrice,
+  } = req.body;
 
   // 1) Basic validation outside the transaction
   const po = await PurchaseOrderModel.findById(purchaseOrderId);
@@ -643,6 +781,10 @@ export const changePurchaseOrderStatus = async (req, res) => {
     );
 
     // 4) Perform your reserve / release / apply / reverse calls:
+    const isReturn = order.orderType === 'Return';
+    if (isReturn && newStatus === 'Confirmed') {
+      await PurchaseReturnService.resolve(order, session);
+    }
     if (newStatus === 'Confirmed' && order.status === 'Draft') {
       await PurchaseStockService.reservePO(order, session);
     }
@@ -653,15 +795,59 @@ export const changePurchaseOrderStatus = async (req, res) => {
       await PurchaseStockService.releasePO(order, session);
     }
     if (newStatus === 'Invoiced') {
-      await PurchaseStockService.releasePO(order, session);
-      await PurchaseStockService.applyPO(order, session);
-      order.invoiceDate = invoiceDate ? new Date(invoiceDate) : new Date();
-      order.dueDate = dueDate
-        ? new Date(dueDate)
-        : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      if (order.match?.status === 'HELD') {
+        throw new Error(
+          'The vendor invoice is held for approval; approve or reject it first.'
+        );
+      }
+      order.match = {
+        ...(await PurchaseMatchService.match(
+          order,
+          {
+            quantity: invoiceQty,
+            price: invoicePrice,
+            vendorInvoiceNum,
+            invoiceDate: invoiceDate ? new Date(invoiceDate) : new Date(),
+            dueDate: dueDate ? new Date(dueDate) : null,
+          },
+          session
+        )),
+        submittedBy: req.user?.username || 'system',
+        submittedAt: new Date(),
+      };
+      if (order.match.status === 'HELD') {
+        // outside tolerance: keep it on the order, post nothing
+        await order.save({ session });
+        await session.commitTransaction();
+        return res.status(202).json({
+          status: 'success',
+          message: 'Vendor invoice is outside tolerance; held for approval.',
+          data: order,
+        });
+      }
+      await postVendorInvoice(order, session);
     }
     if (newStatus === 'Cancelled' && order.status === 'Invoiced') {
-      await PurchaseStockService.reversePO(order, session);
+      if (order.receivedQty > 0) {
+        throw new Error(
+          'Goods received on goods receipts go back on a return order.'
+        );
+      }
+      await FiscalPeriodService.assertPostingAllowed(
+        new Date(),
+        { company: order.company, source: 'PURCHASE' },
+        session
+      );
+      if (isReturn) {
+        await PurchaseStockService.reversePO(
+          order,
+          session,
+          await PurchaseReturnService.issuedSubset(order, session)
+        );
+        await PurchaseReturnService.recordReturned(order, session, -1);
+      } else {
+        await PurchaseStockService.reversePO(order, session);
+      }
     }
 
     // 5) Finally update the PO status and save
@@ -685,6 +871,81 @@ export const changePurchaseOrderStatus = async (req, res) => {
   }
 };
 
+/**
+ * PATCH /purchaseorders/:purchaseOrderId/invoice-match
+ * Body: { action: "approve" | "reject", remarks? }
+ * Decide a held vendor invoice: approving posts it and invoices the order,
+ * rejecting drops it so a corrected invoice can be submitted.
+ * Needs the PURCHASE_INVOICE_MATCH_APPROVE permission (see the route); the
+ * user who submitted the invoice cannot decide it.
+ */
+export const decideInvoiceMatch = async (req, res) => {
+  const { purchaseOrderId } = req.params;
+  const { action, remarks = '' } = req.body;
+  if (!['approve', 'reject'].includes(action)) {
+    return res.status(400).json({
+      status: 'failure',
+      message: 'action must be "approve" or "reject".',
+    });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    const order = await PurchaseOrderModel.findById(purchaseOrderId).session(
+      session
+    );
+    if (!order) {
+      await session.abortTransaction();
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Purchase Order not found' });
+    }
+    if (order.match?.status !== 'HELD') {
+      throw new Error(`No vendor invoice is held on ${order.orderNum}.`);
+    }
+    if (!req.user?.username) {
+      await session.abortTransaction();
+      return res
+        .status(401)
+        .json({ status: 'failure', message: 'Unauthenticated' });
+    }
+    if (order.match.submittedBy === req.user.username) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        status: 'failure',
+        message: 'A held vendor invoice cannot be decided by its submitter.',
+      });
+    }
+
+    order.match.decidedBy = req.user.username;
+    order.match.decidedAt = new Date();
+    order.match.remarks = remarks;
+    order.updatedBy = order.match.decidedBy;
+    if (action === 'reject') {
+      order.match.status = 'REJECTED';
+    } else {
+      if (!(STATUS_TRANSITIONS[order.status] || []).includes('Invoiced')) {
+        throw new Error(`Cannot invoice a purchase order in ${order.status}.`);
+      }
+      order.match.status = 'APPROVED';
+      await postVendorInvoice(order, session);
+      order.status = 'Invoiced';
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+    return res.json({ status: 'success', data: order });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('❌ decideInvoiceMatch failed:', err);
+    return res.status(400).json({ status: 'failure', message: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
 /**
  * Controller to generate an invoice number for a given Purchase Order.
  * This endpoint updates the invoiceNum field (and optionally sets status to "Invoiced")
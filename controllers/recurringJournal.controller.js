@@ -0,0 +1,219 @@
+// controllers/recurringJournal.controller.js
+
+import mongoose from 'mongoose';
+import { RecurringJournalModel } from '../models/recurringJournal.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import RecurringJournalService from '../services/recurringJournal.service.js';
+import {
+  scheduleRecurringJournal,
+  unscheduleRecurringJournal,
+} from '../batch_jobs/queue/workers/recurringJournal.worker.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'Recurring journal code must be unique per company.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+async function findDefinition(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('Invalid recurring journal ID.');
+  }
+  return RecurringJournalModel.findById(id);
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'Recurring journal not found.' });
+
+/**
+ * Create a recurring journal and schedule it.
+ *    Request Body:
+ *    {
+ *      "code": "RENT-HO",
+ *      "sourceJournal": "<GLJournals ObjectId>",
+ *      "schedule": { "frequency": "MONTHLY", "dayOfMonth": 1 },
+ *               // or { "frequency": "CRON", "cron": "0 2 L * *" }
+ *      "startDate": "2025-04-01",
+ *      "endDate": "2026-03-31",
+ *      "mode": "AUTO_POST"            // or DRAFT (default)
+ *    }
+ */
+export const createRecurringJournal = async (req, res) => {
+  try {
+    const source = await GLJournalModel.findById(req.body.sourceJournal);
+    if (!source) throw new Error('Source journal not found.');
+
+    const def = new RecurringJournalModel({
+      ...req.body,
+      company: req.body.company || source.company || null,
+      status: 'ACTIVE',
+      runs: [],
+      createdBy: req.user?.username || 'system',
+    });
+    RecurringJournalService.validateSchedule(def);
+    def.nextRunAt = RecurringJournalService.nextRun(def);
+    await def.save();
+    await scheduleRecurringJournal(def);
+    return res.status(201).json({ status: 'success', data: def });
+  } catch (err) {
+    console.error('❌ createRecurringJournal Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List definitions without run history. Query: company, status */
+export const getRecurringJournals = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.company) filter.company = req.query.company;
+    if (req.query.status) filter.status = req.query.status;
+    const defs = await RecurringJournalModel.find(filter)
+      .select('-runs')
+      .populate('sourceJournal', 'globalJournalNum reference')
+      .sort({ code: 1 });
+    return res.json({ status: 'success', data: defs });
+  } catch (err) {
+    console.error('❌ getRecurringJournals Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getRecurringJournalById = async (req, res) => {
+  try {
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    await def.populate('sourceJournal', 'globalJournalNum reference');
+    return res.json({ status: 'success', data: def });
+  } catch (err) {
+    console.error('❌ getRecurringJournalById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Run history with the current status of every generated journal. */
+export const getRecurringJournalRuns = async (req, res) => {
+  try {
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    await def.populate(
+      'runs.journal',
+      'globalJournalNum journalDate status reference'
+    );
+    const runs = [...def.runs].sort((a, b) => b.runDate - a.runDate);
+    return res.json({ status: 'success', data: runs, count: runs.length });
+  } catch (err) {
+    console.error('❌ getRecurringJournalRuns Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Change source, schedule, dates or mode; the job is rescheduled. An ENDED
+ * definition becomes ACTIVE again when a later endDate leaves runs to do.
+ */
+export const updateRecurringJournal = async (req, res) => {
+  try {
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    const changes = { ...req.body };
+    for (const f of ['runs', 'status', 'createdBy', 'lastRunAt']) {
+      delete changes[f];
+    }
+    def.set(changes);
+    RecurringJournalService.validateSchedule(def);
+    def.nextRunAt =
+      def.status === 'PAUSED'
+        ? null
+        : RecurringJournalService.nextRun(def, def.lastRunAt || undefined);
+    if (def.status === 'ENDED' && def.nextRunAt) def.status = 'ACTIVE';
+    await def.save();
+    await scheduleRecurringJournal(def);
+    return res.json({ status: 'success', data: def });
+  } catch (err) {
+    console.error('❌ updateRecurringJournal Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Pause or resume.
+ *    Request Body: { "status": "PAUSED" } // or ACTIVE
+ */
+export const changeRecurringJournalStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['ACTIVE', 'PAUSED'].includes(status)) {
+      throw new Error(
+        'status must be ACTIVE or PAUSED; ENDED follows from the end date.'
+      );
+    }
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    if (def.status === 'ENDED') throw new Error(`❌ ${def.code} has ended.`);
+    def.status = status;
+    def.nextRunAt =
+      status === 'ACTIVE' ? RecurringJournalService.nextRun(def) : null;
+    await def.save();
+    await scheduleRecurringJournal(def);
+    return res.json({ status: 'success', data: def });
+  } catch (err) {
+    console.error('❌ changeRecurringJournalStatus Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Generate a copy now, outside the schedule.
+ *    Request Body: { "runDate": "2025-05-31" } // optional, default today
+ */
+export const runRecurringJournalNow = async (req, res) => {
+  try {
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    const run = await RecurringJournalService.generate(def._id, {
+      runDate: req.body?.runDate ? new Date(req.body.runDate) : new Date(),
+      trigger: 'MANUAL',
+    });
+    return res.status(201).json({
+      status: 'success',
+      message: `${run.journalNum}: ${run.status}${
+        run.error ? ` (${run.error})` : ''
+      }`,
+      data: run,
+    });
+  } catch (err) {
+    console.error('❌ runRecurringJournalNow Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Delete a definition that never ran; otherwise pause it instead. */
+export const deleteRecurringJournal = async (req, res) => {
+  try {
+    const def = await findDefinition(req.params.id);
+    if (!def) return notFound(res);
+    if (def.runs.length) {
+      throw new Error(
+        `❌ ${def.code} has generated journals; pause it to keep its history.`
+      );
+    }
+    await unscheduleRecurringJournal(def);
+    await def.deleteOne();
+    return res.json({
+      status: 'success',
+      message: `Recurring journal ${def.code} deleted.`,
+    });
+  } catch (err) {
+    console.error('❌ deleteRecurringJournal Error:', err);
+    return failure(res, err);
+  }
+};
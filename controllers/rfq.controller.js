@@ -0,0 +1,243 @@
+// controllers/rfq.controller.js
+
+import mongoose from 'mongoose';
+import { RFQModel } from '../models/rfq.model.js';
+import { PurchaseRequisitionModel } from '../models/purchaseRequisition.model.js';
+import RFQService from '../services/rfq.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res, what = 'RFQ') =>
+  res.status(404).json({ status: 'failure', message: `${what} not found.` });
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+const load = async (req, session = null) => {
+  const { rfqId } = req.params;
+  checkIds(rfqId);
+  return RFQModel.findById(rfqId).session(session);
+};
+
+/**
+ * Draft an RFQ for an approved requisition.
+ *    Request Body:
+ *    {
+ *      "requisition": "<ObjectId>",
+ *      "vendors": ["<Vendor ObjectId>", "<Vendor ObjectId>"],
+ *      "responseDueDate": "2025-07-15",
+ *      "remarks": "..."
+ *    }
+ */
+export const createRFQ = async (req, res) => {
+  try {
+    const { requisition: requisitionId, vendors } = req.body;
+    checkIds(requisitionId, ...(vendors || []));
+    const requisition = await PurchaseRequisitionModel.findById(
+      requisitionId
+    );
+    if (!requisition) return notFound(res, 'Purchase requisition');
+    const rfq = await RFQService.fromRequisition(
+      requisition,
+      req.body,
+      req.user?.username
+    );
+    return res.status(201).json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ createRFQ Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List RFQs. Query: company, status, requisition, vendor */
+export const getRFQs = async (req, res) => {
+  try {
+    const q = req.query;
+    checkIds(q.company, q.requisition, q.vendor);
+    const filter = {};
+    for (const f of ['company', 'status', 'requisition']) {
+      if (q[f]) filter[f] = q[f];
+    }
+    if (q.vendor) filter['vendors.vendor'] = q.vendor;
+    const rfqs = await RFQModel.find(filter).sort({ createdAt: -1 });
+    return res.json({ status: 'success', data: rfqs });
+  } catch (err) {
+    console.error('❌ getRFQs Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getRFQById = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    return res.json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ getRFQById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Change a Draft RFQ's vendors, reply date or remarks.
+ *    Request Body: { "vendors": ["<ObjectId>"], "responseDueDate": "..." }
+ */
+export const updateRFQ = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    if (rfq.status !== 'Draft') {
+      throw new Error(`RFQ ${rfq.rfqNum} is ${rfq.status}.`);
+    }
+    const { vendors, responseDueDate, remarks } = req.body;
+    if (vendors) {
+      checkIds(...vendors);
+      rfq.vendors = vendors.map((vendor) => ({ vendor }));
+    }
+    if (responseDueDate !== undefined) rfq.responseDueDate = responseDueDate;
+    if (remarks !== undefined) rfq.remarks = remarks;
+    rfq.updatedBy = req.user?.username || 'system';
+    await rfq.save();
+    return res.json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ updateRFQ Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Send the RFQ to the vendors not yet sent to, emailing those with an
+ * address on file. Body (optional): { "vendors": ["<ObjectId>"] } to
+ * (re)send to just those.
+ */
+export const sendRFQ = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    const vendors = req.body?.vendors || null;
+    if (vendors) checkIds(...vendors);
+    await RFQService.send(rfq, vendors, req.user?.username);
+    return res.json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ sendRFQ Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Capture a vendor's quote.
+ *    Request Body:
+ *    {
+ *      "vendor": "<ObjectId>",
+ *      "price": 395, "currency": "INR",
+ *      "discount": 2,                   // % (optional)
+ *      "charges": 1500,                 // freight etc. (optional)
+ *      "leadTimeDays": 10,
+ *      "validUntil": "2025-07-31",
+ *      "paymentTerms": "Net30D",
+ *      "remarks": "..."
+ *    }
+ *    or { "vendor": "<ObjectId>", "declined": true, "remarks": "..." }
+ */
+export const recordQuote = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    checkIds(req.body.vendor);
+    RFQService.recordQuote(rfq, req.body.vendor, req.body);
+    rfq.updatedBy = req.user?.username || 'system';
+    await rfq.save();
+    return res.json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ recordQuote Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** The quotes side by side, ranked by total in the company's currency. */
+export const compareQuotes = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    const data = await RFQService.compare(rfq);
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ compareQuotes Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Award the RFQ to a vendor's quote, raising the purchase order.
+ *    Request Body:
+ *    {
+ *      "vendor": "<ObjectId>",
+ *      ...                              // other purchase order fields
+ *    }
+ */
+export const awardRFQ = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { vendor, ...overrides } = req.body;
+    checkIds(vendor);
+    session.startTransaction();
+    const rfq = await load(req, session);
+    if (!rfq) {
+      await session.abortTransaction();
+      return notFound(res);
+    }
+    const order = await RFQService.award(
+      rfq,
+      vendor,
+      overrides,
+      req.user?.username,
+      session
+    );
+    await session.commitTransaction();
+    return res.status(201).json({
+      status: 'success',
+      message: `RFQ ${rfq.rfqNum} awarded; purchase order ${order.orderNum} created.`,
+      data: { rfq, purchaseOrder: order },
+    });
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    console.error('❌ awardRFQ Error:', err);
+    return failure(res, err);
+  } finally {
+    session.endSession();
+  }
+};
+
+/** Cancel a Draft or Sent RFQ; its requisition can go out again. */
+export const cancelRFQ = async (req, res) => {
+  try {
+    const rfq = await load(req);
+    if (!rfq) return notFound(res);
+    if (!['Draft', 'Sent'].includes(rfq.status)) {
+      throw new Error(
+        `Only Draft or Sent RFQs can be cancelled; ${rfq.rfqNum} is ${rfq.status}.`
+      );
+    }
+    rfq.status = 'Cancelled';
+    rfq.updatedBy = req.user?.username || 'system';
+    await rfq.save();
+    await PurchaseRequisitionModel.updateOne(
+      { _id: rfq.requisition, rfq: rfq._id },
+      { $set: { rfq: null } }
+    );
+    return res.json({ status: 'success', data: rfq });
+  } catch (err) {
+    console.error('❌ cancelRFQ Error:', err);
+    return failure(res, err);
+  }
+};
@@ -0,0 +1,394 @@
+import mongoose from 'mongoose';
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import { SalesShipmentModel } from '../models/salesShipment.model.js';
+import { SalesDeliveryModel } from '../models/salesDelivery.model.js';
+import SalesStockService from '../services/salesStock.service.js';
+import { logError } from '../utility/logError.utils.js';
+
+// order statuses in which a shipment / delivery may still be posted
+const SHIPPABLE_STATUSES = ['Confirmed', 'PartiallyShipped', 'PartiallyDelivered'];
+const DELIVERABLE_STATUSES = ['PartiallyShipped', 'Shipped', 'PartiallyDelivered'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Check requested document lines against what is still open on the order.
+ * @param {Object} order sales order (with lines)
+ * @param {Array} docLines [{ lineNum, qty }]
+ * @param {Function} openQty (orderLine) => quantity still open for this step
+ * @param {String} label used in error messages ("ship", "deliver")
+ * @returns {Array} normalised lines [{ lineNum, item, qty }]
+ */
+export function checkOpenQty(order, docLines, openQty, label) {
+  if (!Array.isArray(docLines) || docLines.length === 0) {
+    throw new Error(`At least one line is required to ${label}.`);
+  }
+
+  const requested = new Map();
+  for (const l of docLines) {
+    const key = String(l.lineNum);
+    requested.set(key, round2((requested.get(key) || 0) + Number(l.qty)));
+  }
+
+  return [...requested.entries()].map(([lineNum, qty]) => {
+    const ol = order.lines.find((x) => String(x.lineNum) === lineNum);
+    if (!ol) {
+      throw new Error(`Line ${lineNum} does not exist on ${order.orderNum}.`);
+    }
+    if (!(qty > 0)) {
+      throw new Error(`Quantity for line ${lineNum} must be positive.`);
+    }
+    const open = round2(openQty(ol));
+    if (qty > open) {
+      throw new Error(
+        `Cannot ${label} ${qty} on line ${lineNum}; only ${open} is open.`
+      );
+    }
+    return { lineNum, item: ol.item, qty };
+  });
+}
+
+const shipOpenQty = (ol) => ol.quantity - ol.shippedQty;
+const deliverOpenQty = (ol) => ol.shippedQty - ol.deliveredQty;
+
+async function loadOrder(salesOrderId, session = null) {
+  const order = await SalesOrderModel.findById(salesOrderId).session(session);
+  if (order) order.ensureLines();
+  return order;
+}
+
+/* ──────────────────────────── Shipments ──────────────────────────── */
+
+/**
+ * POST /salesorders/:salesOrderId/shipments
+ * Body: { lines: [{ lineNum, qty }], shipmentDate?, shipmentMode?,
+ *         extShipmentId?, remarks? }
+ * Creates a Draft shipment; post it to issue the stock.
+ */
+export const createShipment = async (req, res) => {
+  const { salesOrderId } = req.params;
+  const { lines, shipmentDate, shipmentMode, extShipmentId, remarks } =
+    req.body;
+
+  try {
+    const order = await loadOrder(salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found' });
+    }
+    if (order.orderType === 'Return') {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'Return orders receive their stock on invoicing.',
+      });
+    }
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Cannot ship a sales order in status ${order.status}.`,
+      });
+    }
+
+    const shipLines = checkOpenQty(order, lines, shipOpenQty, 'ship');
+
+    const shipment = await SalesShipmentModel.create({
+      salesOrder: order._id,
+      lines: shipLines,
+      shipmentDate,
+      shipmentMode,
+      extShipmentId,
+      remarks,
+      createdBy: req.user?.username || 'SystemShipment',
+    });
+
+    return res.status(201).json({ status: 'success', data: shipment });
+  } catch (error) {
+    logError('Sales Shipment Creation', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * GET /salesorders/:salesOrderId/shipments
+ */
+export const getShipmentsForOrder = async (req, res) => {
+  try {
+    const shipments = await SalesShipmentModel.find({
+      salesOrder: req.params.salesOrderId,
+    }).sort({ createdAt: 1 });
+    return res.status(200).json({
+      status: 'success',
+      count: shipments.length,
+      data: shipments,
+    });
+  } catch (error) {
+    logError('Get Sales Shipments', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * PATCH /salesorders/:salesOrderId/shipments/:shipmentId/post
+ * Releases the reservation and issues stock for the shipped quantity only,
+ * then rolls the order status forward from the line quantities.
+ */
+export const postShipment = async (req, res) => {
+  const { salesOrderId, shipmentId } = req.params;
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const order = await loadOrder(salesOrderId, session);
+    if (!order) throw new Error('Sales Order not found');
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw new Error(`Cannot ship a sales order in status ${order.status}.`);
+    }
+
+    const shipment = await SalesShipmentModel.findOne({
+      _id: shipmentId,
+      salesOrder: order._id,
+    }).session(session);
+    if (!shipment) throw new Error('Shipment not found for this sales order');
+    if (shipment.status !== 'Draft') {
+      throw new Error(`Shipment ${shipment.shipmentId} is ${shipment.status}.`);
+    }
+
+    // re-check against the order as it is now; other shipments may have
+    // been posted since this one was drafted
+    const shipLines = checkOpenQty(order, shipment.lines, shipOpenQty, 'ship');
+    const subset = shipLines.map((l) => ({
+      lineNum: l.lineNum,
+      quantity: l.qty,
+    }));
+
+    await SalesStockService.releaseSO(order, session, subset);
+    const invTxns = await SalesStockService.applySO(order, session, subset);
+
+    for (const l of shipLines) {
+      const ol = order.lines.find((x) => String(x.lineNum) === l.lineNum);
+      ol.shippedQty = round2(ol.shippedQty + l.qty);
+    }
+    order.syncFulfilmentStatus();
+    order.updatedBy = req.user?.username || 'SystemShipment';
+
+    shipment.status = 'Posted';
+    shipment.postedAt = new Date();
+    shipment.inventTxns = invTxns.map((t) => t._id);
+    shipment.updatedBy = order.updatedBy;
+
+    await shipment.save({ session });
+    await order.save({ session });
+    await session.commitTransaction();
+
+    return res
+      .status(200)
+      .json({ status: 'success', data: { shipment, order } });
+  } catch (error) {
+    await session.abortTransaction();
+    logError('Sales Shipment Posting', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * PATCH /salesorders/:salesOrderId/shipments/:shipmentId/cancel
+ * Only Draft shipments can be cancelled; posted stock stays issued.
+ */
+export const cancelShipment = async (req, res) => {
+  const { salesOrderId, shipmentId } = req.params;
+  try {
+    const shipment = await SalesShipmentModel.findOne({
+      _id: shipmentId,
+      salesOrder: salesOrderId,
+    });
+    if (!shipment) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Shipment not found' });
+    }
+    if (shipment.status !== 'Draft') {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Only Draft shipments can be cancelled; ${shipment.shipmentId} is ${shipment.status}.`,
+      });
+    }
+    shipment.status = 'Cancelled';
+    shipment.updatedBy = req.user?.username || 'SystemShipment';
+    await shipment.save();
+    return res.status(200).json({ status: 'success', data: shipment });
+  } catch (error) {
+    logError('Sales Shipment Cancel', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
+
+/* ──────────────────────────── Deliveries ─────────────────────────── */
+
+/**
+ * POST /salesorders/:salesOrderId/deliveries
+ * Body: { lines: [{ lineNum, qty, shipment? }], deliveryDate?, deliveryMode?,
+ *         extDeliveryId?, receivedBy?, remarks? }
+ */
+export const createDelivery = async (req, res) => {
+  const { salesOrderId } = req.params;
+  const {
+    lines,
+    deliveryDate,
+    deliveryMode,
+    extDeliveryId,
+    receivedBy,
+    remarks,
+  } = req.body;
+
+  try {
+    const order = await loadOrder(salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found' });
+    }
+    if (!DELIVERABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Cannot deliver a sales order in status ${order.status}.`,
+      });
+    }
+
+    const checked = checkOpenQty(order, lines, deliverOpenQty, 'deliver');
+    const shipmentOf = new Map(
+      (lines || []).map((l) => [String(l.lineNum), l.shipment])
+    );
+
+    const delivery = await SalesDeliveryModel.create({
+      salesOrder: order._id,
+      lines: checked.map((l) => ({ ...l, shipment: shipmentOf.get(l.lineNum) })),
+      deliveryDate,
+      deliveryMode,
+      extDeliveryId,
+      receivedBy,
+      remarks,
+      createdBy: req.user?.username || 'SystemDelivery',
+    });
+
+    return res.status(201).json({ status: 'success', data: delivery });
+  } catch (error) {
+    logError('Sales Delivery Creation', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * GET /salesorders/:salesOrderId/deliveries
+ */
+export const getDeliveriesForOrder = async (req, res) => {
+  try {
+    const deliveries = await SalesDeliveryModel.find({
+      salesOrder: req.params.salesOrderId,
+    }).sort({ createdAt: 1 });
+    return res.status(200).json({
+      status: 'success',
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    logError('Get Sales Deliveries', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * PATCH /salesorders/:salesOrderId/deliveries/:deliveryId/post
+ * Confirms receipt at the customer. No stock moves here; the goods left the
+ * warehouse when the shipment was posted.
+ */
+export const postDelivery = async (req, res) => {
+  const { salesOrderId, deliveryId } = req.params;
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const order = await loadOrder(salesOrderId, session);
+    if (!order) throw new Error('Sales Order not found');
+    if (!DELIVERABLE_STATUSES.includes(order.status)) {
+      throw new Error(
+        `Cannot deliver a sales order in status ${order.status}.`
+      );
+    }
+
+    const delivery = await SalesDeliveryModel.findOne({
+      _id: deliveryId,
+      salesOrder: order._id,
+    }).session(session);
+    if (!delivery) throw new Error('Delivery not found for this sales order');
+    if (delivery.status !== 'Draft') {
+      throw new Error(`Delivery ${delivery.deliveryId} is ${delivery.status}.`);
+    }
+
+    const checked = checkOpenQty(
+      order,
+      delivery.lines,
+      deliverOpenQty,
+      'deliver'
+    );
+    for (const l of checked) {
+      const ol = order.lines.find((x) => String(x.lineNum) === l.lineNum);
+      ol.deliveredQty = round2(ol.deliveredQty + l.qty);
+    }
+    order.syncFulfilmentStatus();
+    order.updatedBy = req.user?.username || 'SystemDelivery';
+
+    delivery.status = 'Posted';
+    delivery.postedAt = new Date();
+    delivery.updatedBy = order.updatedBy;
+
+    await delivery.save({ session });
+    await order.save({ session });
+    await session.commitTransaction();
+
+    return res
+      .status(200)
+      .json({ status: 'success', data: { delivery, order } });
+  } catch (error) {
+    await session.abortTransaction();
+    logError('Sales Delivery Posting', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * PATCH /salesorders/:salesOrderId/deliveries/:deliveryId/cancel
+ */
+export const cancelDelivery = async (req, res) => {
+  const { salesOrderId, deliveryId } = req.params;
+  try {
+    const delivery = await SalesDeliveryModel.findOne({
+      _id: deliveryId,
+      salesOrder: salesOrderId,
+    });
+    if (!delivery) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Delivery not found' });
+    }
+    if (delivery.status !== 'Draft') {
+      return res.status(400).json({
+        status: 'failure',
+        message: `Only Draft deliveries can be cancelled; ${delivery.deliveryId} is ${delivery.status}.`,
+      });
+    }
+    delivery.status = 'Cancelled';
+    delivery.updatedBy = req.user?.username || 'SystemDelivery';
+    await delivery.save();
+    return res.status(200).json({ status: 'success', data: delivery });
+  } catch (error) {
+    logError('Sales Delivery Cancel', error);
+    return res.status(500).json({ status: 'failure', message: error.message });
+  }
+};
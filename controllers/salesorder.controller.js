@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import {
   SalesOrderModel,
   STATUS_TRANSITIONS,
+  FULFILMENT_STATUSES,
 } from '../models/salesorder.model.js';
 import {
   SalesInvoiceNumberCounterModel,
@@ -14,6 +15,12 @@ import { logError } from '../utility/logError.utils.js';
 import SalesStockService from '../services/salesStock.service.js';
 import { ARTransactionModel } from '../models/arTransaction.model.js';
 import VoucherService from '../services/voucher.service.js';
+import TDSService from '../services/tds.service.js';
+import EInvoiceService from '../services/einvoice.service.js';
+import SalesReturnService from '../services/salesReturn.service.js';
+import CreditLimitService from '../services/creditLimit.service.js';
+import FiscalPeriodService from '../services/fiscalPeriod.service.js';
+import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
 
 /**
  * Helper function to validate status transitions
@@ -98,6 +105,19 @@ export const isValidStatusTransition = {
   AnyMode: ['Draft', 'Confirmed', 'Invoiced', 'Cancelled', 'AdminMode'],
 };
 
+/**
+ * An invoice number the IRP takes as the e-invoice's document number: at
+ * most 16 characters of letters, digits, "/" and "-", e.g. DEF/2526/000001.
+ * The prefix keeps its first 4 letters or digits.
+ */
+export function invoiceNumberOf(prefix, seq, date = new Date()) {
+  const year = date.getFullYear();
+  const start = date.getMonth() + 1 >= 4 ? year : year - 1;
+  const fy = `${String(start).slice(-2)}${String(start + 1).slice(-2)}`;
+  const code = String(prefix).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return `${code.slice(0, 4)}/${fy}/${String(seq).padStart(6, '0')}`;
+}
+
 // Helper function to generate an invoice number (same as your existing implementation)
 async function generateInvoiceNumber() {
   const counter = await SalesOrderCounterModel.findByIdAndUpdate(
@@ -105,34 +125,26 @@ async function generateInvoiceNumber() {
     { $inc: { seq: 1 } },
     { new: true, upsert: true }
   );
-  const seqNumber = counter.seq.toString().padStart(6, '0');
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1;
-  let financialYear;
-  if (month >= 4) {
-    financialYear = `${year}-${(year + 1).toString().slice(-2)}`;
-  } else {
-    financialYear = `${year - 1}-${year.toString().slice(-2)}`;
-  }
-  const monthPrefix = now.toLocaleString('en-US', { month: 'short' });
-  const companyPrefix = process.env.COMPANY_PREFIX || 'DEF';
-  return `${companyPrefix}/${financialYear}/${monthPrefix}/INV-${seqNumber}`;
+  return invoiceNumberOf(process.env.COMPANY_PREFIX || 'DEF', counter.seq);
 }
 
-export async function getNextInvoiceNum() {
+/**
+ * The next number of the sales invoice series, e.g. SINV/2526/000001.
+ * Drawn in the invoicing transaction's `session`, an aborted invoice gives
+ * its number back.
+ */
+export async function getNextInvoiceNum({ session = null, date } = {}) {
   const ctr = await SalesInvoiceNumberCounterModel.findByIdAndUpdate(
     { _id: 'salesInvoiceNum' },
     { $inc: { seq: 1 } },
-    { new: true, upsert: true }
+    { new: true, upsert: true, session }
   );
 
   if (!ctr || ctr.seq === undefined) {
     throw new Error('❌ Failed to generate sales invoice number');
   }
 
-  // Format exactly like you want, e.g. INV_000001
-  return `SINV_${ctr.seq.toString().padStart(6, '0')}`;
+  return invoiceNumberOf('SINV', ctr.seq, date);
 }
 
 export const createSalesOrder = async (req, res) => {
@@ -140,10 +152,12 @@ export const createSalesOrder = async (req, res) => {
 
   try {
     // Check for required fields
-    if (!salesOrderBody.customer || !salesOrderBody.item) {
+    const hasLines =
+      Array.isArray(salesOrderBody.lines) && salesOrderBody.lines.length > 0;
+    if (!salesOrderBody.customer || (!salesOrderBody.item && !hasLines)) {
       return res.status(422).send({
         status: 'failure',
-        message: 'Customer and Item are required fields.',
+        message: 'Customer and either Item or at least one line are required.',
       });
     }
 
@@ -159,12 +173,30 @@ export const createSalesOrder = async (req, res) => {
     }
 
     // Validate existence of the item
-    const itemExists = await ItemModel.findById(salesOrderBody.item);
-    if (!itemExists) {
-      return res.status(404).send({
-        status: 'failure',
-        message: `Item with ID ${salesOrderBody.item} does not exist.`,
-      });
+    const itemIds = hasLines
+      ? salesOrderBody.lines.map((l) => l.item)
+      : [salesOrderBody.item];
+    for (const itemId of new Set(itemIds.map(String))) {
+      const itemExists = await ItemModel.findById(itemId);
+      if (!itemExists) {
+        return res.status(404).send({
+          status: 'failure',
+          message: `Item with ID ${itemId} does not exist.`,
+        });
+      }
+    }
+
+    // Returns must credit invoiced, not-yet-returned quantity of the original
+    if (salesOrderBody.orderType === 'Return') {
+      const draft = new SalesOrderModel(salesOrderBody);
+      draft.ensureLines();
+      draft.recalcTotals();
+      try {
+        const { original } = await SalesReturnService.resolve(draft);
+        salesOrderBody.returnOf.invoiceNum ||= original.invoiceNum;
+      } catch (err) {
+        return res.status(422).send({ status: 'failure', message: err.message });
+      }
     }
 
     // Create Sales Order
@@ -237,7 +269,8 @@ export const getSalesOrderById = async (req, res) => {
     // Use populate to fetch customer and item details
     const salesOrder = await SalesOrderModel.findById(salesOrderId)
       .populate('customer', 'name contactNum address')
-      .populate('item', 'name description price type unit');
+      .populate('item', 'name description price type unit')
+      .populate('lines.item', 'code name price type unit');
 
     if (!salesOrder) {
       return res.status(404).send({
@@ -306,10 +339,12 @@ export const updateSalesOrderById = async (req, res) => {
 
   try {
     // Check for required fields
-    if (!updatedData.customer || !updatedData.item) {
+    const hasLines =
+      Array.isArray(updatedData.lines) && updatedData.lines.length > 0;
+    if (!updatedData.customer || (!updatedData.item && !hasLines)) {
       return res.status(422).send({
         status: 'failure',
-        message: 'Customer and Item are required fields.',
+        message: 'Customer and either Item or at least one line are required.',
       });
     }
 
@@ -497,6 +532,139 @@ export const deleteAllSalesOrders = async (req, res) => {
   }
 };
 
+/**
+ * GET /salesorders/:salesOrderId/credit-check
+ * Customer exposure if this order were confirmed, against the credit limit.
+ */
+export const getCreditCheck = async (req, res) => {
+  try {
+    const order = await SalesOrderModel.findById(req.params.salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found' });
+    }
+    const creditCheck = await CreditLimitService.getExposure(order);
+    res.json({
+      status: 'success',
+      data: { creditCheck, creditOverride: order.creditOverride },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * POST /salesorders/:salesOrderId/credit-override
+ * Body: { approver?, comment? }
+ * Route a Draft order that breaches the credit limit for override approval.
+ */
+export const requestCreditOverride = async (req, res) => {
+  try {
+    const { approver, comment } = req.body;
+    const order = await SalesOrderModel.findById(req.params.salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found' });
+    }
+    if (order.status !== 'Draft') {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'Only Draft orders can be routed for a credit override.',
+      });
+    }
+
+    const creditCheck = await CreditLimitService.getExposure(order);
+    if (creditCheck.withinLimit) {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'Order is within the credit limit; no override needed.',
+        data: { creditCheck },
+      });
+    }
+
+    order.creditOverride = {
+      status: 'PENDING',
+      amount: order.netAR,
+      exposure: creditCheck,
+      requestedBy: req.user?._id,
+      requestedAt: new Date(),
+      approver,
+      comment,
+    };
+    await order.save();
+    res.status(202).json({ status: 'success', data: order });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
+/**
+ * PATCH /salesorders/:salesOrderId/credit-override
+ * Body: { action: 'APPROVED' | 'REJECTED', comment? }
+ * Needs the CREDIT_OVERRIDE_APPROVE permission (see the route); the user
+ * who requested the override cannot decide it.
+ */
+export const actOnCreditOverride = async (req, res) => {
+  try {
+    const { action, comment } = req.body;
+    const valid = ['APPROVED', 'REJECTED'];
+    if (!valid.includes(action)) {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'action must be one of ' + valid.join(),
+      });
+    }
+
+    const order = await SalesOrderModel.findById(req.params.salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found' });
+    }
+    const override = order.creditOverride;
+    if (override?.status !== 'PENDING') {
+      return res.status(400).json({
+        status: 'failure',
+        message: 'No credit override is awaiting approval on this order.',
+      });
+    }
+    if (!req.user?._id) {
+      return res
+        .status(401)
+        .json({ status: 'failure', message: 'Unauthenticated' });
+    }
+    if (String(override.requestedBy) === String(req.user._id)) {
+      return res.status(403).json({
+        status: 'failure',
+        message: 'A credit override cannot be decided by its requester.',
+      });
+    }
+    if (
+      override.approver &&
+      String(override.approver) !== String(req.user._id)
+    ) {
+      return res.status(403).json({
+        status: 'failure',
+        message: 'This credit override is assigned to another approver.',
+      });
+    }
+
+    override.status = action;
+    override.actedBy = req.user?._id;
+    override.actedAt = new Date();
+    if (comment) override.comment = comment;
+    await order.save();
+    res.json({ status: 'success', data: order });
+  } catch (err) {
+    console.error(err);
+    res.status(400).json({ status: 'failure', message: err.message });
+  }
+};
+
 /**
  * Add a payment to a Sales Order.
  * Expected JSON body:
@@ -767,6 +935,12 @@ export const changeSalesOrderStatus = async (req, res) => {
       .status(404)
       .json({ status: 'failure', message: 'Sales Order not found' });
   }
+  if (FULFILMENT_STATUSES.includes(newStatus)) {
+    return res.status(400).json({
+      status: 'failure',
+      message: `${newStatus} is set by posting shipments and deliveries, not by hand.`,
+    });
+  }
   const allowed = STATUS_TRANSITIONS[so.status] || [];
   if (!allowed.includes(newStatus)) {
     return res.status(400).json({
@@ -774,11 +948,33 @@ export const changeSalesOrderStatus = async (req, res) => {
       message: `Invalid status transition ${so.status} → ${newStatus}`,
     });
   }
+  if (
+    newStatus === 'Confirmed' &&
+    so.status === 'Draft' &&
+    so.orderType !== 'Return'
+  ) {
+    const creditCheck = await CreditLimitService.getExposure(so);
+    if (!creditCheck.withinLimit && !CreditLimitService.overrideCovers(so)) {
+      return res.status(409).json({
+        status: 'failure',
+        message:
+          so.creditOverride?.status === 'PENDING'
+            ? 'Credit limit exceeded; the override request is awaiting approval.'
+            : `Credit limit of ${creditCheck.creditLimit} exceeded by ${creditCheck.exceededBy}. Request a credit override to confirm this order.`,
+        data: { creditCheck, creditOverride: so.creditOverride },
+      });
+    }
+  }
 
   const session = await mongoose.startSession();
   try {
     session.startTransaction();
     const order = await SalesOrderModel.findById(salesOrderId).session(session);
+    order.ensureLines();
+    const isReturn = order.orderType === 'Return';
+    if (isReturn && newStatus === 'Confirmed') {
+      await SalesReturnService.resolve(order, session);
+    }
     if (newStatus === 'Confirmed' && order.status === 'Draft') {
       await SalesStockService.reserveSO(order, session);
     }
@@ -791,25 +987,74 @@ export const changeSalesOrderStatus = async (req, res) => {
 
     // 1) Reserve/release unchanged...
     if (newStatus === 'Invoiced') {
+      // the invoice date drives the AR txn, the voucher and the fiscal period
+      order.invoiceDate = invoiceDate ? new Date(invoiceDate) : new Date();
+      await FiscalPeriodService.assertPostingAllowed(
+        order.invoiceDate,
+        { company: order.company, source: 'SALES' },
+        session
+      );
       if (!order.invoiceNum || order.invoiceNum === 'NA') {
-        order.invoiceNum = await getNextInvoiceNum();
+        order.invoiceNum = await getNextInvoiceNum({
+          session,
+          date: order.invoiceDate,
+        });
       }
-      // a) release/reserve as before
-      await SalesStockService.releaseSO(order, session);
-      // b) apply stock and capture created txns
-      const invTxns = await SalesStockService.applySO(order, session);
-
-      // c) AR transaction
+      // a) release/apply only the unshipped remainder; stock already issued
+      //    by posted shipments is not moved again. A return takes every
+      //    line back at the cost the original invoice issued it at.
+      let unshipped;
+      if (isReturn) {
+        const ret = await SalesReturnService.resolve(order, session);
+        unshipped = await SalesReturnService.stockSubset(ret, session);
+        await SalesReturnService.recordReturned(ret, session, 1);
+      } else {
+        unshipped = order.lines
+          .filter((l) => l.quantity - l.shippedQty > 0)
+          .map((l) => ({
+            lineNum: l.lineNum,
+            quantity: Math.round((l.quantity - l.shippedQty) * 100) / 100,
+          }));
+      }
+      if (unshipped.length) {
+        await SalesStockService.releaseSO(order, session, unshipped);
+        await SalesStockService.applySO(order, session, unshipped);
+      }
+      for (const l of order.lines) {
+        l.shippedQty = l.quantity;
+        l.invoicedQty = l.quantity;
+      }
+      // b) every issue for this order (shipments + remainder) is invoiced
+      const invTxns = await InventoryTransactionModel.find({
+        sourceType: 'SALES',
+        sourceId: order._id,
+        'extras.actionType': 'APPLY',
+      }).session(session);
+
+      // older orders carry no rate: take the table's for the invoice date
+      order.exchangeRate = await VoucherService.rateOf(
+        order,
+        order.invoiceDate,
+        session
+      );
+      // c) AR transaction (a return credits the customer)
+      const arAmount = isReturn ? -order.netAR : order.netAR;
       const [arTxn] = await ARTransactionModel.create(
         [
           {
-            txnDate: invoiceDate || new Date(),
-            sourceType: 'SALES',
+            txnDate: order.invoiceDate,
+            sourceType: isReturn ? 'SALES_RETURN' : 'SALES',
             sourceId: order._id,
             sourceLine: 1,
             customer: order.customer,
-            amount: order.netAR,
-            extras: { orderNum: order.orderNum },
+            amount: arAmount,
+            currency: order.currency,
+            exchangeRate: order.exchangeRate,
+            localAmount:
+              Math.round(arAmount * order.exchangeRate * 100) / 100,
+            remarks: isReturn
+              ? `${order.orderNum} returns ${order.returnOf.invoiceNum || ''}`.trim()
+              : order.orderNum,
           },
         ],
         { session }
@@ -817,7 +1062,8 @@ export const changeSalesOrderStatus = async (req, res) => {
       //const arTxn = null;
       // d) build taxTxn, whtTxn, chargesTxn similarly...
       const taxTxn = null;
-      const whtTxn = null;
+      // TDS the customer deducts, settled against the invoice
+      const whtTxn = await TDSService.onInvoice('AR', order, session);
       const chargesTxn = null;
       const discTxn = null;
 
@@ -831,14 +1077,26 @@ export const changeSalesOrderStatus = async (req, res) => {
       order.voucherId = voucher._id;
       order.voucherNo = voucher.voucherNo;
 
-      order.invoiceDate = invoiceDate ? new Date(invoiceDate) : new Date();
       order.dueDate = dueDate
         ? new Date(dueDate)
         : new Date(Date.now() + 30 * 86400e3);
     }
 
     if (newStatus === 'Cancelled' && order.status === 'Invoiced') {
+      await FiscalPeriodService.assertPostingAllowed(
+        new Date(),
+        { company: order.company, source: 'SALES' },
+        session
+      );
+      // an invoice with posted returns against it stays until they go
+      if (!isReturn) {
+        await SalesReturnService.assertNotReturned(order, session);
+      }
       await SalesStockService.reverseSO(order, session);
+      if (isReturn) {
+        const ret = await SalesReturnService.resolveForCancel(order, session);
+        await SalesReturnService.recordReturned(ret, session, -1);
+      }
     }
 
     order.status = newStatus;
@@ -858,23 +1116,60 @@ export const changeSalesOrderStatus = async (req, res) => {
  * Controller to generate an invoice number for a given Sales Order.
  * This endpoint updates the invoiceNum field (and optionally sets status to "Invoiced")
  * and returns the updated order.
+ * With `eInvoice: true` (body or query) the invoice of an Invoiced order is
+ * also registered with the IRP: its IRN, ack number and signed QR code are kept on
+ * `order.einvoice`. An e-invoice failing the IRP schema is a 422 listing
+ * the failures in `errors`.
  */
 export const generateInvoiceForOrder = async (req, res) => {
   try {
     const { salesOrderId } = req.params;
+    const eInvoice =
+      req.body?.eInvoice === true || req.query.eInvoice === 'true';
     const order = await SalesOrderModel.findById(salesOrderId);
     if (!order) {
       return res
         .status(404)
         .json({ status: 'failure', message: 'Sales Order not found.' });
     }
+    // an invoice registered with the IRP keeps its number
+    if (order.einvoice?.status === 'GENERATED') {
+      return res.status(409).json({
+        status: 'failure',
+        message:
+          `Invoice ${order.invoiceNum} has IRN ${order.einvoice.irn}; ` +
+          'cancel it first.',
+      });
+    }
+    // only an issued invoice is registered for an IRN
+    if (eInvoice && order.status !== 'Invoiced') {
+      return res.status(409).json({
+        status: 'failure',
+        message:
+          `Sales order ${order.orderNum} is ${order.status}; only ` +
+          'Invoiced orders can be registered with the IRP.',
+      });
+    }
 
-    // Generate a new invoice number
-    const newInvoiceNum = await generateInvoiceNumber();
+    const numbered = order.invoiceNum && order.invoiceNum !== 'NA';
+    // an issued invoice keeps the number its voucher, AR txn and GST
+    // returns carry; it is registered with the IRP as it is
+    if (eInvoice && !numbered) {
+      return res.status(409).json({
+        status: 'failure',
+        message: `Sales order ${order.orderNum} has no invoice number.`,
+      });
+    }
+    if (!numbered || order.status !== 'Invoiced') {
+      // Optionally, update the status to "Invoiced" if desired:
+      //order.status = "Invoiced";
+      order.invoiceNum = await generateInvoiceNumber();
+    }
 
-    // Optionally, update the status to "Invoiced" if desired:
-    //order.status = "Invoiced";
-    order.invoiceNum = newInvoiceNum;
+    if (eInvoice) {
+      order.invoiceDate ||= new Date();
+      await EInvoiceService.generate(order, { provider: req.body?.provider });
+    }
 
     // Save the updated order
     await order.save();
@@ -886,6 +1181,13 @@ export const generateInvoiceForOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating invoice:', error);
+    if (Array.isArray(error.errors)) {
+      return res.status(422).json({
+        status: 'failure',
+        message: error.message,
+        errors: error.errors,
+      });
+    }
     return res.status(500).json({
       status: 'failure',
       message: 'Failed to generate invoice.',
@@ -894,6 +1196,64 @@ export const generateInvoiceForOrder = async (req, res) => {
   }
 };
 
+/**
+ * The e-invoice of a sales order: what is registered (IRN, ack, the data
+ * in its signed QR code) and the IRP JSON the order builds now, with the
+ * schema failures in `errors`.
+ */
+export const getEInvoice = async (req, res) => {
+  try {
+    const order = await SalesOrderModel.findById(req.params.salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found.' });
+    }
+    const ctx = await EInvoiceService.context(order);
+    const payload = EInvoiceService.build(order, ctx);
+    return res.json({
+      status: 'success',
+      data: {
+        applies: EInvoiceService.applies(order, ctx),
+        einvoice: order.einvoice,
+        qr: EInvoiceService.decode(order.einvoice?.signedQRCode),
+        payload,
+        errors: EInvoiceService.validate(payload),
+      },
+    });
+  } catch (error) {
+    console.error('❌ getEInvoice Error:', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
+/**
+ * Cancel the IRN of a sales order (the IRP allows it within 24 hours).
+ *    Request Body: { "reason": 1..4, "remarks": "..." }
+ *    reason: 1 duplicate, 2 data entry mistake, 3 order cancelled, 4 others
+ */
+export const cancelEInvoice = async (req, res) => {
+  try {
+    const order = await SalesOrderModel.findById(req.params.salesOrderId);
+    if (!order) {
+      return res
+        .status(404)
+        .json({ status: 'failure', message: 'Sales Order not found.' });
+    }
+    const { reason, remarks } = req.body;
+    await EInvoiceService.cancel(order, { reason, remarks });
+    await order.save();
+    return res.json({
+      status: 'success',
+      message: `IRN ${order.einvoice.irn} cancelled.`,
+      data: order,
+    });
+  } catch (error) {
+    console.error('❌ cancelEInvoice Error:', error);
+    return res.status(400).json({ status: 'failure', message: error.message });
+  }
+};
+
 export const deleteDraftSalesOrders = async (req, res) => {
   try {
     // Restrict deletion to only 'Draft' sales orders
@@ -0,0 +1,188 @@
+// controllers/taxCode.controller.js
+
+import mongoose from 'mongoose';
+import { TaxCodeModel, GST_STATE_CODES } from '../models/taxCode.model.js';
+import GSTService from '../services/gst.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'This HSN / SAC code already exists for the company.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res.status(404).json({ status: 'failure', message: 'Tax code not found.' });
+
+/**
+ * Create an HSN / SAC code with its rates.
+ *    Request Body:
+ *    {
+ *      "codeType": "HSN",               // HSN | SAC
+ *      "code": "8471",
+ *      "description": "Computers",
+ *      "rates": [
+ *        { "effectiveFrom": "2017-07-01", "gstPercent": 18 },
+ *        { "effectiveFrom": "2025-09-22", "gstPercent": 12 }
+ *      ],                               // + taxability?, reverseCharge?
+ *      "company": "<ObjectId>"          // optional, empty → every company
+ *    }
+ */
+export const createTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCodeModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: taxCode });
+  } catch (err) {
+    console.error('❌ createTaxCode Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List codes. Query: codeType, code (prefix), company ("global"), active */
+export const getTaxCodes = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.codeType) filter.codeType = q.codeType.toUpperCase();
+    if (q.code) filter.code = { $regex: `^${q.code.replace(/\D/g, '')}` };
+    if (q.company) filter.company = q.company === 'global' ? null : q.company;
+    if (q.active !== undefined) filter.active = q.active === 'true';
+    const codes = await TaxCodeModel.find(filter).sort({
+      codeType: 1,
+      code: 1,
+    });
+    return res.json({ status: 'success', data: codes });
+  } catch (err) {
+    console.error('❌ getTaxCodes Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * The rate a document dated `date` would pick up for a code, and — given a
+ * side and party — its supply type.
+ * Query: code (required), date (default today), company,
+ *        side (AR | AP), party, placeOfSupply
+ */
+export const lookupTaxCode = async (req, res) => {
+  try {
+    const { code, date, company, side, party, placeOfSupply } = req.query;
+    if (!code) throw new Error('Query parameter "code" is required.');
+    for (const id of [company, party]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error(`Invalid ID ${id}.`);
+      }
+    }
+    const data = await GSTService.rateOf(
+      code,
+      date ? new Date(date) : new Date(),
+      { company: company || null }
+    );
+    if (side) {
+      if (!['AR', 'AP'].includes(side)) {
+        throw new Error('side must be AR or AP.');
+      }
+      Object.assign(
+        data,
+        await GSTService.determine(side, {
+          company: company || null,
+          party: party || null,
+          placeOfSupply: placeOfSupply || null,
+        })
+      );
+    }
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ lookupTaxCode Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** GST state codes and names. */
+export const getGSTStates = (req, res) =>
+  res.json({ status: 'success', data: GST_STATE_CODES });
+
+export const getTaxCodeById = async (req, res) => {
+  try {
+    const { taxCodeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taxCodeId)) {
+      throw new Error('Invalid tax code ID.');
+    }
+    const taxCode = await TaxCodeModel.findById(taxCodeId);
+    if (!taxCode) return notFound(res);
+    return res.json({ status: 'success', data: taxCode });
+  } catch (err) {
+    console.error('❌ getTaxCodeById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Change a code or replace its rates; orders already priced keep their
+ * rate. A rate change is better added with POST /:taxCodeId/rates.
+ */
+export const updateTaxCode = async (req, res) => {
+  try {
+    const { taxCodeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taxCodeId)) {
+      throw new Error('Invalid tax code ID.');
+    }
+    const taxCode = await TaxCodeModel.findById(taxCodeId);
+    if (!taxCode) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    taxCode.set(changes);
+    await taxCode.save();
+    return res.json({ status: 'success', data: taxCode });
+  } catch (err) {
+    console.error('❌ updateTaxCode Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Add a rate from a date on.
+ *    Request Body:
+ *    { "effectiveFrom": "2025-09-22", "gstPercent": 5,
+ *      "taxability": "TAXABLE", "reverseCharge": false }
+ */
+export const addTaxRate = async (req, res) => {
+  try {
+    const { taxCodeId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(taxCodeId)) {
+      throw new Error('Invalid tax code ID.');
+    }
+    const taxCode = await TaxCodeModel.findById(taxCodeId);
+    if (!taxCode) return notFound(res);
+    taxCode.rates.push(req.body);
+    await taxCode.save();
+    return res.status(201).json({ status: 'success', data: taxCode });
+  } catch (err) {
+    console.error('❌ addTaxRate Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteTaxCode = async (req, res) => {
+  try {
+    const taxCode = await TaxCodeModel.findByIdAndDelete(req.params.taxCodeId);
+    if (!taxCode) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: 'Tax code deleted.',
+      data: taxCode,
+    });
+  } catch (err) {
+    console.error('❌ deleteTaxCode Error:', err);
+    return failure(res, err);
+  }
+};
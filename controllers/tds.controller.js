@@ -0,0 +1,271 @@
+// controllers/tds.controller.js
+
+import mongoose from 'mongoose';
+import {
+  TDSSectionModel,
+  TDSEntryModel,
+  TDS_SIDES,
+} from '../models/tds.model.js';
+import TDSService from '../services/tds.service.js';
+
+function failure(res, err) {
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({ status: 'failure', message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      status: 'failure',
+      message: 'This TDS section already exists for the company.',
+    });
+  }
+  return res.status(400).json({ status: 'failure', message: err.message });
+}
+
+const notFound = (res) =>
+  res
+    .status(404)
+    .json({ status: 'failure', message: 'TDS section not found.' });
+
+const sideOf = (side = 'AP') => {
+  if (!TDS_SIDES.includes(side)) throw new Error('side must be AP or AR.');
+  return side;
+};
+
+const checkIds = (...ids) => {
+  for (const id of ids) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error(`Invalid ID ${id}.`);
+    }
+  }
+};
+
+/**
+ * Create a TDS section.
+ *    Request Body:
+ *    {
+ *      "code": "194C",
+ *      "description": "Payments to contractors",
+ *      "rate": 2,                       // companies, firms, ...
+ *      "rateIndividual": 1,             // individuals / HUFs (optional)
+ *      "rateNoPAN": 20,                 // deductee without a valid PAN
+ *      "singleThreshold": 30000,        // per payment (0 = none)
+ *      "annualThreshold": 100000,       // per financial year (0 = none)
+ *      "deductOnExcess": false,         // true → only above the annual one
+ *      "company": "<ObjectId>"          // optional, empty → every company
+ *    }
+ */
+export const createTDSSection = async (req, res) => {
+  try {
+    const section = await TDSSectionModel.create({
+      ...req.body,
+      createdBy: req.user?.username || 'system',
+    });
+    return res.status(201).json({ status: 'success', data: section });
+  } catch (err) {
+    console.error('❌ createTDSSection Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** List sections. Query: company ("global"), active */
+export const getTDSSections = async (req, res) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    if (q.company) filter.company = q.company === 'global' ? null : q.company;
+    if (q.active !== undefined) filter.active = q.active === 'true';
+    const sections = await TDSSectionModel.find(filter).sort({ code: 1 });
+    return res.json({ status: 'success', data: sections });
+  } catch (err) {
+    console.error('❌ getTDSSections Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const getTDSSectionById = async (req, res) => {
+  try {
+    const { sectionId } = req.params;
+    checkIds(sectionId);
+    const section = await TDSSectionModel.findById(sectionId);
+    if (!section) return notFound(res);
+    return res.json({ status: 'success', data: section });
+  } catch (err) {
+    console.error('❌ getTDSSectionById Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Change a section; deductions already recorded keep their rate. */
+export const updateTDSSection = async (req, res) => {
+  try {
+    const { sectionId } = req.params;
+    checkIds(sectionId);
+    const section = await TDSSectionModel.findById(sectionId);
+    if (!section) return notFound(res);
+    const changes = { ...req.body };
+    delete changes.createdBy;
+    section.set(changes);
+    await section.save();
+    return res.json({ status: 'success', data: section });
+  } catch (err) {
+    console.error('❌ updateTDSSection Error:', err);
+    return failure(res, err);
+  }
+};
+
+export const deleteTDSSection = async (req, res) => {
+  try {
+    const section = await TDSSectionModel.findByIdAndDelete(
+      req.params.sectionId
+    );
+    if (!section) return notFound(res);
+    return res.json({
+      status: 'success',
+      message: 'TDS section deleted.',
+      data: section,
+    });
+  } catch (err) {
+    console.error('❌ deleteTDSSection Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * The TDS an amount would have deducted, without recording it.
+ * Query: party (required), amount (INR, required), side (AP | AR),
+ *        section (default: the party's), date, company
+ */
+export const previewTDS = async (req, res) => {
+  try {
+    const { party, amount, section, date, company } = req.query;
+    if (!party || !amount) {
+      throw new Error('Query parameters "party" and "amount" are required.');
+    }
+    checkIds(party, company);
+    const data = await TDSService.compute(sideOf(req.query.side), {
+      company: company || null,
+      party,
+      section: section || null,
+      amount: Number(amount),
+      date: date ? new Date(date) : new Date(),
+    });
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ previewTDS Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Deductions. Query: company, side, section, vendor, customer, pan,
+ *                    financialYear, quarter, status
+ */
+export const getTDSEntries = async (req, res) => {
+  try {
+    const q = req.query;
+    checkIds(q.company, q.vendor, q.customer);
+    const filter = {};
+    for (const f of ['company', 'vendor', 'customer', 'financialYear']) {
+      if (q[f]) filter[f] = q[f];
+    }
+    for (const f of ['side', 'section', 'pan', 'quarter', 'status']) {
+      if (q[f]) filter[f] = q[f].toUpperCase();
+    }
+    const entries = await TDSEntryModel.find(filter).sort({ txnDate: -1 });
+    return res.json({ status: 'success', data: entries });
+  } catch (err) {
+    console.error('❌ getTDSEntries Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Record a challan paying a section's deductions.
+ *    Request Body:
+ *    {
+ *      "section": "194C",
+ *      "bsrCode": "0510002",
+ *      "challanNum": "00012",
+ *      "depositDate": "2025-07-07",
+ *      "upTo": "2025-06-30",            // deductions up to this day, or
+ *      "entryIds": ["<ObjectId>"],      // just these
+ *      "company": "<ObjectId>", "side": "AP", "reference": "..."
+ *    }
+ */
+export const depositTDS = async (req, res) => {
+  try {
+    const { company, entryIds } = req.body;
+    checkIds(company, ...(entryIds || []));
+    const data = await TDSService.deposit({
+      ...req.body,
+      company: company || null,
+      side: sideOf(req.body.side),
+    });
+    return res.status(201).json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ depositTDS Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * TDS payable (AP) / receivable (AR) ledger per section.
+ * Query: company, side, section, from, to
+ */
+export const getTDSLedger = async (req, res) => {
+  try {
+    const { company, section, from, to } = req.query;
+    checkIds(company);
+    const data = await TDSService.ledger({
+      company: company || null,
+      side: sideOf(req.query.side),
+      section,
+      from,
+      to: to || new Date(),
+    });
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ getTDSLedger Error:', err);
+    return failure(res, err);
+  }
+};
+
+/** Quarterly return data. Query: financialYear, quarter, company, side */
+export const getTDSReturn = async (req, res) => {
+  try {
+    const { financialYear, quarter, company } = req.query;
+    checkIds(company);
+    const data = await TDSService.quarterlyReturn({
+      company: company || null,
+      financialYear,
+      quarter,
+      side: sideOf(req.query.side),
+    });
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ getTDSReturn Error:', err);
+    return failure(res, err);
+  }
+};
+
+/**
+ * Per-deductee certificates for a quarter.
+ * Query: financialYear, quarter, company, side, party
+ */
+export const getTDSCertificates = async (req, res) => {
+  try {
+    const { financialYear, quarter, company, party } = req.query;
+    checkIds(company, party);
+    const data = await TDSService.certificates({
+      company: company || null,
+      financialYear,
+      quarter,
+      side: sideOf(req.query.side),
+      party: party || null,
+    });
+    return res.json({ status: 'success', data });
+  } catch (err) {
+    console.error('❌ getTDSCertificates Error:', err);
+    return failure(res, err);
+  }
+};
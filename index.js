@@ -61,7 +61,7 @@ import multer from 'multer';
 // import { SalesOrderModel } from "./bb3_sales_management_service/models/bb3SalesOrder.model.js";
 import { fileRouter } from './shared_service/routes/fileUploadViaMulter.routes.js';
 import { siteRouter } from './routes/sites.routes.js';
-// import printRoutes from "./routes/print.routes.js";
+import printRoutes from './routes/print.routes.js';
 import whRouter from './routes/warehouse.routes.js';
 import zoneRouter from './routes/zone.routes.js';
 import locationRouter from './routes/location.routes.js';
@@ -85,6 +85,24 @@ import glJournalRouter from './routes/glJournal.routes.js';
 import glJournalTemplateRouter from './routes/journalTemplate.routes.js';
 import bankRouter from './routes/bank.routes.js';
 import subledgerRouter from './routes/subledgerTxn.routes.js';
+import cashJournalRouter from './routes/cashJournal.routes.js';
+import fiscalCalendarRouter from './routes/fiscalCalendar.routes.js';
+import postingProfileRouter from './routes/postingProfile.routes.js';
+import budgetRouter from './routes/budget.routes.js';
+import recurringJournalRouter from './routes/recurringJournal.routes.js';
+import glApprovalRuleRouter from './routes/glApprovalRule.routes.js';
+import bankStatementRouter from './routes/bankStatement.routes.js';
+import exchangeRateRouter from './routes/exchangeRate.routes.js';
+import fxRevaluationRouter from './routes/fxRevaluation.routes.js';
+import taxCodeRouter from './routes/taxCode.routes.js';
+import gstReturnRouter from './routes/gstReturn.routes.js';
+import tdsRouter from './routes/tds.routes.js';
+import matchToleranceRouter from './routes/matchTolerance.routes.js';
+import landedCostRouter from './routes/landedCost.routes.js';
+import purchaseRequisitionRouter from './routes/purchaseRequisition.routes.js';
+import rfqRouter from './routes/rfq.routes.js';
+import costingPolicyRouter from './routes/costingPolicy.routes.js';
+import inventoryCloseRouter from './routes/inventoryClose.routes.js';
 
 // import redisClient from "./middleware/redisClient.js";
 
@@ -94,7 +112,8 @@ import subledgerRouter from './routes/subledgerTxn.routes.js';
 // });
 
 // import { queueRedis } from "./batch_jobs/queue/queueRedisClient.js";
-// import { shutdownQueues } from "./batch_jobs/queue/gracefulShutdown.js";
+import { shutdownQueues } from './batch_jobs/queue/gracefulShutdown.js';
+import { startQueueWorkers } from './batch_jobs/queue/startWorkers.js';
 // import { sendOtp } from "./controllers/userOtp.controller.js";
 // import { verifyOtp } from "./controllers/userOtp.controller.js";
 // import { authenticateJWT } from "./middleware/authJwtHandler.js";
@@ -301,6 +320,27 @@ AumMrigahApp.use('/fms/api/v0/accounts', ledgerAccountRouter);
 AumMrigahApp.use('/fms/api/v0/gl-journals', glJournalRouter);
 AumMrigahApp.use('/fms/api/v0/gl-journal-templates', glJournalTemplateRouter);
 AumMrigahApp.use('/fms/api/v0/subledgers', subledgerRouter);
+AumMrigahApp.use('/fms/api/v0/cash-journals', cashJournalRouter);
+AumMrigahApp.use('/fms/api/v0/fiscal-years', fiscalCalendarRouter);
+AumMrigahApp.use('/fms/api/v0/posting-profiles', postingProfileRouter);
+AumMrigahApp.use('/fms/api/v0/budgets', budgetRouter);
+AumMrigahApp.use('/fms/api/v0/recurring-journals', recurringJournalRouter);
+AumMrigahApp.use('/fms/api/v0/gl-approval-rules', glApprovalRuleRouter);
+AumMrigahApp.use('/fms/api/v0/bank-statements', bankStatementRouter);
+AumMrigahApp.use('/fms/api/v0/exchange-rates', exchangeRateRouter);
+AumMrigahApp.use('/fms/api/v0/fx-revaluations', fxRevaluationRouter);
+AumMrigahApp.use('/fms/api/v0/tax-codes', taxCodeRouter);
+AumMrigahApp.use('/fms/api/v0/gst-returns', gstReturnRouter);
+AumMrigahApp.use('/fms/api/v0/tds', tdsRouter);
+AumMrigahApp.use('/fms/api/v0/match-tolerances', matchToleranceRouter);
+AumMrigahApp.use('/fms/api/v0/landed-costs', landedCostRouter);
+AumMrigahApp.use(
+  '/fms/api/v0/purchase-requisitions',
+  purchaseRequisitionRouter
+);
+AumMrigahApp.use('/fms/api/v0/rfqs', rfqRouter);
+AumMrigahApp.use('/fms/api/v0/costing-policies', costingPolicyRouter);
+AumMrigahApp.use('/fms/api/v0/inventory-closes', inventoryCloseRouter);
 
 // // Main Functional Modules
 dbgRoutes('Mounting userRouter router on /fms/api/v0/users');
@@ -319,6 +359,7 @@ AumMrigahApp.use('/fms/api/v0/companies', companyRouter);
 // Sales and AR Module
 dbgRoutes('Mounting salesOrderRouter router on /fms/api/v0/salesorders');
 AumMrigahApp.use('/fms/api/v0/salesorders', salesOrderRouter);
+AumMrigahApp.use('/fms/api/v0/salesorders', printRoutes);
 
 // Procurement Module and AP module
 dbgRoutes('Mounting purchaseOrderRouter router on /fms/api/v0/purchaseorders');
@@ -374,7 +415,6 @@ dbgRoutesBB3(
 );
 // BB functionality - commented out
 // AumMrigahApp.use('/fms/api/v0/sales-orders', salesOrderRoutes);
-// AumMrigahApp.use("/fms/api/v0/sales-orders", printRoutes);
 
 // dbgRoutesBB3("Mounting upload-BB3 router on /bb/api/v3/upload");
 // AumMrigahApp.use("/bb/api/v3/upload", genericUploadRouter);
@@ -556,6 +596,8 @@ const startServer = async () => {
     dbgDB('🔹Connecting to MongoDB at', process.env.ATLAS_URI);
     await connectToDb();
     dbgDB('✅ MongoDB connection established');
+    // background jobs (recurring journals, …) need Redis: opt in
+    if (process.env.ENABLE_QUEUE_WORKERS === 'true') startQueueWorkers();
     AumMrigahApp.listen(PORT, () => {
       console.log(
         `The Node Launch FMS backend server 1.0.0 has been now running at ${PORT} with the cloud Mongo db`
@@ -584,14 +626,14 @@ startServer();
 // });
 
 // graceful shutdown (SIGINT / SIGTERM)
-// process.on("SIGINT", async () => {
-//   await shutdownQueues();
-//   process.exit(0);
-// });
-// process.on("SIGTERM", async () => {
-//   await shutdownQueues();
-//   process.exit(0);
-// });
+process.on('SIGINT', async () => {
+  await shutdownQueues();
+  process.exit(0);
+});
+process.on('SIGTERM', async () => {
+  await shutdownQueues();
+  process.exit(0);
+});
 
 // process.on("uncaughtException", (err) => {
 //   logger.error("🛑 Uncaught Exception", {
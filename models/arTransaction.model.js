@@ -27,7 +27,8 @@ const arTxnSchema = new Schema(
     },
     sourceType: {
       type: String,
-      enum: ['SALES'], // always SALES in this context
+      // returns and receipt reversals carry a negative amount
+      enum: ['SALES', 'SALES_RETURN', 'RECEIPT', 'RECEIPT_REVERSAL'],
       required: true,
     },
     sourceId: {
@@ -0,0 +1,83 @@
+// models/bankStatement.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+export const STATEMENT_FORMATS = ['CSV', 'OFX', 'QFX', 'CAMT053', 'MT940'];
+export const STATEMENT_LINE_STATUSES = ['UNMATCHED', 'MATCHED', 'IGNORED'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// one bank-book entry (the bank line of a posted voucher) a line matches
+const statementMatchSchema = new Schema(
+  {
+    voucher: {
+      type: Schema.Types.ObjectId,
+      ref: 'FinancialVouchers',
+      required: true,
+    },
+    voucherLine: { type: Schema.Types.ObjectId, required: true },
+    voucherNo: { type: String },
+    voucherDate: { type: Date },
+    amount: { type: Number, required: true, set: round2 },
+    matchedBy: { type: String, enum: ['AUTO', 'MANUAL'], default: 'MANUAL' },
+    matchedAt: { type: Date, default: Date.now },
+    user: { type: String, default: 'system' },
+  },
+  { _id: false }
+);
+
+const statementLineSchema = new Schema({
+  lineNum: { type: Number, required: true },
+  bookingDate: { type: Date, required: true },
+  valueDate: { type: Date },
+  // money into the account is positive, money out negative
+  amount: { type: Number, required: true, set: round2 },
+  description: { type: String, trim: true, default: '' },
+  reference: { type: String, trim: true, default: '' },
+  counterparty: { type: String, trim: true, default: '' },
+  // the bank's own id for the line (OFX FITID, camt AcctSvcrRef, ...)
+  bankTxnId: { type: String, trim: true, default: '' },
+  status: { type: String, enum: STATEMENT_LINE_STATUSES, default: 'UNMATCHED' },
+  matches: { type: [statementMatchSchema], default: [] },
+  remarks: { type: String, default: '' },
+});
+
+/**
+ * A bank statement imported from the bank's file. Each line is matched to
+ * one or more bank-book entries (bank lines of posted vouchers) or
+ * ignored; a statement whose lines are all settled can be RECONCILED,
+ * which locks it.
+ */
+const bankStatementSchema = new Schema(
+  {
+    bankAccount: { type: Schema.Types.ObjectId, ref: 'Banks', required: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    statementNo: { type: String, required: true, trim: true },
+    format: { type: String, enum: STATEMENT_FORMATS, required: true },
+    fileName: { type: String, default: '' },
+    accountRef: { type: String, default: '' }, // account number in the file
+    currency: { type: String, required: true },
+    fromDate: { type: Date, required: true },
+    toDate: { type: Date, required: true },
+    openingBalance: { type: Number, default: null },
+    closingBalance: { type: Number, default: null },
+    status: {
+      type: String,
+      enum: ['IMPORTED', 'RECONCILED'],
+      default: 'IMPORTED',
+    },
+    lines: { type: [statementLineSchema], default: [] },
+    reconciledAt: { type: Date, default: null },
+    reconciledBy: { type: String, default: null },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+bankStatementSchema.index({ bankAccount: 1, statementNo: 1 }, { unique: true });
+bankStatementSchema.index({ bankAccount: 1, toDate: -1 });
+bankStatementSchema.index({ 'lines.matches.voucherLine': 1 });
+
+export const BankStatementModel =
+  mongoose.models.BankStatements ||
+  model('BankStatements', bankStatementSchema);
@@ -0,0 +1,60 @@
+// models/budget.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { VOUCHER_DIMENSIONS } from './voucher.model.js';
+
+export const BUDGET_STATUSES = ['DRAFT', 'APPROVED', 'ARCHIVED'];
+
+/**
+ * One budgeted amount: an account over a period, optionally for one
+ * combination of dims (same names as on voucher lines). `amount` is on the
+ * account's normal side, as the statements show it.
+ */
+const budgetLineSchema = new Schema(
+  {
+    accountCode: { type: String, required: true, trim: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    dims: Object.fromEntries(
+      VOUCHER_DIMENSIONS.map((d) => [d, { type: Schema.Types.ObjectId }])
+    ),
+    amount: { type: Number, required: true },
+    remarks: { type: String, trim: true, default: '' },
+  },
+  { _id: true }
+);
+
+const budgetSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true },
+    name: { type: String, trim: true, default: '' },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    fiscalYear: { type: Schema.Types.ObjectId, ref: 'FiscalYears' },
+    currency: { type: String, default: 'INR' },
+    status: { type: String, enum: BUDGET_STATUSES, default: 'DRAFT' },
+    lines: { type: [budgetLineSchema], default: [] },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+budgetSchema.pre('validate', function (next) {
+  for (const [i, line] of this.lines.entries()) {
+    if (!line.periodStart || !line.periodEnd) continue;
+    // a period end date covers the whole day
+    line.periodEnd.setHours(23, 59, 59, 999);
+    if (line.periodEnd < line.periodStart) {
+      return next(
+        new Error(
+          `❌ Budget line ${i + 1} (${line.accountCode}) ends before it starts.`
+        )
+      );
+    }
+  }
+  next();
+});
+
+budgetSchema.index({ company: 1, code: 1 }, { unique: true });
+
+export const BudgetModel =
+  mongoose.models.Budgets || model('Budgets', budgetSchema);
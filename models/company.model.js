@@ -1,6 +1,7 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { dbgModels } from '../index.js';
 import { CompanyCounterModel } from './counter.model.js';
+import { GST_STATE_CODES } from './taxCode.model.js';
 
 /**
  * Subschema for Bank Account Details.
@@ -213,6 +214,15 @@ const companySchema = new Schema(
     },
     bankDetails: [bankDetailsSchema], // Array of bank account details.
     taxInfo: taxInfoSchema, // Tax information subdocument.
+    // GST state code; empty → taken from the first two digits of taxInfo.gstNumber
+    gstState: {
+      type: String,
+      default: '',
+      validate: {
+        validator: (v) => !v || Boolean(GST_STATE_CODES[v]),
+        message: '⚠️ {VALUE} is not a GST state code.',
+      },
+    },
     // Additional fields if needed (like active flag, created/updated timestamps) can be added:
     archived: { type: Boolean, default: false }, // New field
     createdBy: {
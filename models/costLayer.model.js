@@ -0,0 +1,40 @@
+// models/costLayer.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+/**
+ * One receipt of a FIFO or LIFO item, as it is used up. Issues take
+ * `remainingQty` off the oldest (FIFO) or newest (LIFO) open layers of the
+ * same item and cost dims and are costed at their `unitCost`. An inventory
+ * close replaces the open layers of what it settles with the ones it
+ * computed (sourceType CLOSE for the opening balance brought forward).
+ */
+const costLayerSchema = new Schema(
+  {
+    item: { type: Schema.Types.ObjectId, ref: 'Items', required: true },
+    // site, warehouse, product and tracking dims, joined; see
+    // InventoryCostingService.costKey
+    costKey: { type: String, required: true },
+    dims: { type: Schema.Types.Mixed, default: {} },
+    receiptDate: { type: Date, default: Date.now },
+    sourceType: {
+      type: String,
+      enum: ['PURCHASE', 'SALES', 'JOURNAL', 'CLOSE'],
+      required: true,
+    },
+    sourceId: { type: Schema.Types.ObjectId, required: true },
+    sourceLine: { type: Number, default: 1 },
+    inventTxn: { type: Schema.Types.ObjectId, ref: 'InventoryTransactions' },
+    refNum: { type: String, default: '' },
+    qty: { type: Number, required: true, min: 0 },
+    remainingQty: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, default: 0 },
+  },
+  { timestamps: true }
+);
+
+costLayerSchema.index({ item: 1, costKey: 1, remainingQty: 1, receiptDate: 1 });
+costLayerSchema.index({ inventTxn: 1 });
+costLayerSchema.index({ sourceType: 1, sourceId: 1, sourceLine: 1 });
+
+export const CostLayerModel =
+  mongoose.models.CostLayers || model('CostLayers', costLayerSchema);
@@ -0,0 +1,65 @@
+// models/costingPolicy.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+// MOVING_AVERAGE is how stock was always costed and what an item without a
+// policy keeps; WEIGHTED_AVERAGE is periodic, settled by the inventory close
+export const COSTING_METHODS = [
+  'MOVING_AVERAGE',
+  'WEIGHTED_AVERAGE',
+  'FIFO',
+  'LIFO',
+  'STANDARD',
+];
+
+/**
+ * How an item's issues are costed. A policy names an item or an item group
+ * (one of the item's `groups`), or neither to cover every item of its
+ * company; with no company it applies to all companies. An item's own
+ * policy wins over its group's, a group's over the company-wide one, and
+ * that over the global one.
+ */
+const costingPolicySchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    item: { type: Schema.Types.ObjectId, ref: 'Items', default: null },
+    itemGroup: {
+      type: Schema.Types.ObjectId,
+      ref: 'GlobalGroups',
+      default: null,
+    },
+    method: {
+      type: String,
+      required: true,
+      enum: {
+        values: COSTING_METHODS,
+        message:
+          '⚠️ {VALUE} is not a valid costing method. Use among these only: MOVING_AVERAGE, WEIGHTED_AVERAGE, FIFO, LIFO, STANDARD.',
+      },
+      default: 'MOVING_AVERAGE',
+    },
+    description: { type: String, trim: true, default: '' },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+costingPolicySchema.pre('validate', function (next) {
+  if (this.item && this.itemGroup) {
+    this.invalidate(
+      'itemGroup',
+      '⚠️ A costing policy is for an item or an item group, not both.'
+    );
+  }
+  next();
+});
+
+costingPolicySchema.index(
+  { company: 1, item: 1, itemGroup: 1 },
+  { unique: true }
+);
+
+export const CostingPolicyModel =
+  mongoose.models.CostingPolicies ||
+  model('CostingPolicies', costingPolicySchema);
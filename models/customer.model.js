@@ -1,5 +1,6 @@
 import mongoose, { model, Schema } from 'mongoose';
 import { CustomerCounterModel } from './counter.model.js';
+import { GST_STATE_CODES } from './taxCode.model.js';
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
@@ -185,6 +186,17 @@ const customerSchema = new Schema(
       required: false,
       default: '',
     },
+    // GST state code; empty → taken from the first two digits of the GSTIN
+    gstState: {
+      type: String,
+      default: '',
+      validate: {
+        validator: (v) => !v || Boolean(GST_STATE_CODES[v]),
+        message: '⚠️ {VALUE} is not a GST state code.',
+      },
+    },
+    // TDS section (e.g. 194J) the customer deducts under on our invoices
+    tdsSection: { type: String, trim: true, uppercase: true, default: '' },
     ledgerGroup: {
       // this will be used in futuer like to group multiple customer accounts to post to single account code
       type: String,
@@ -0,0 +1,124 @@
+// models/customerReceipt.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { SalesOrderCounterModel } from './counter.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const allocationSchema = new Schema(
+  {
+    salesOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'SalesOrders',
+      required: true,
+    },
+    orderNum: { type: String },
+    invoiceNum: { type: String },
+    dueDate: { type: Date },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Allocated amount must be positive'],
+      set: round2,
+    },
+    allocatedAt: { type: Date, default: Date.now },
+    // local gain (+) / loss (−) from the receipt rate differing from the
+    // invoice's
+    realisedFX: { type: Number, default: 0, set: round2 },
+  },
+  { _id: false }
+);
+
+/**
+ * One customer receipt, allocated across the customer's invoiced sales
+ * orders. Whatever is not allocated stays on account as an advance.
+ */
+const customerReceiptSchema = new Schema(
+  {
+    receiptNum: { type: String, unique: true },
+    customer: {
+      type: Schema.Types.ObjectId,
+      ref: 'Customers',
+      required: true,
+    },
+    // the customer's company unless given; else the first invoice's
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    receiptDate: { type: Date, default: Date.now },
+    bankAccount: {
+      type: Schema.Types.ObjectId,
+      ref: 'Banks',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Receipt amount must be positive'],
+      set: round2,
+    },
+    currency: { type: String, required: true },
+    exchangeRate: { type: Number, required: true, default: 1 },
+    paymentMode: { type: String, default: 'Online' },
+    transactionId: { type: String },
+    allocationMethod: {
+      type: String,
+      enum: ['FIFO', 'MANUAL'],
+      default: 'FIFO',
+    },
+    allocations: { type: [allocationSchema], default: [] },
+    // unallocated remainder kept on account as an advance
+    onAccount: { type: Number, default: 0, set: round2 },
+    arTxn: { type: Schema.Types.ObjectId, ref: 'ARTransactions' },
+    voucher: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    // realised FX vouchers of its allocations (and of their reversal)
+    fxVouchers: [{ type: Schema.Types.ObjectId, ref: 'FinancialVouchers' }],
+    status: {
+      type: String,
+      enum: ['Posted', 'Reversed'],
+      default: 'Posted',
+    },
+    reversedAt: { type: Date },
+    reversalArTxn: { type: Schema.Types.ObjectId, ref: 'ARTransactions' },
+    reversalVoucher: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+customerReceiptSchema.virtual('allocatedAmt').get(function () {
+  return round2(this.allocations.reduce((sum, a) => sum + a.amount, 0));
+});
+
+customerReceiptSchema.pre('validate', function (next) {
+  this.onAccount = round2(this.amount - this.allocatedAmt);
+  if (this.onAccount < 0) {
+    return next(
+      new Error(
+        `❌ Allocations (${this.allocatedAmt}) exceed the receipt amount (${this.amount}).`
+      )
+    );
+  }
+  next();
+});
+
+customerReceiptSchema.pre('save', async function (next) {
+  if (!this.isNew || this.receiptNum) return next();
+  try {
+    const counter = await SalesOrderCounterModel.findByIdAndUpdate(
+      { _id: 'customerReceiptNumber' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.receiptNum = `RCPT_${counter.seq.toString().padStart(6, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+customerReceiptSchema.index({ customer: 1, status: 1 });
+customerReceiptSchema.index({ 'allocations.salesOrder': 1 });
+
+export const CustomerReceiptModel =
+  mongoose.models.CustomerReceipts ||
+  model('CustomerReceipts', customerReceiptSchema);
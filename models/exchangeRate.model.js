@@ -0,0 +1,75 @@
+// models/exchangeRate.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+// SPOT: transaction-day rate, the default for orders, journals and receipts
+// CLOSING: period-end rate used by FX revaluation
+// AVERAGE / BUDGET: for reporting and planning
+export const RATE_TYPES = ['SPOT', 'CLOSING', 'AVERAGE', 'BUDGET'];
+
+const currency = {
+  type: String,
+  required: true,
+  uppercase: true,
+  trim: true,
+  enum: {
+    values: CURRENCIES,
+    message: `⚠️ {VALUE} is not a valid currency. Use one of ${CURRENCIES.join(
+      ', '
+    )}.`,
+  },
+};
+
+/**
+ * One day's rate for a currency pair and rate type: 1 `fromCurrency` =
+ * `rate` `toCurrency`. A rate applies from `rateDate` until the next one of
+ * the same pair and type. Rates without a company apply to every company
+ * that has none of its own.
+ */
+const exchangeRateSchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    fromCurrency: currency,
+    toCurrency: currency,
+    rateType: { type: String, enum: RATE_TYPES, default: 'SPOT' },
+    // the calendar day, stored as UTC midnight
+    rateDate: {
+      type: Date,
+      required: true,
+      set: (v) => {
+        const d = new Date(v);
+        return isNaN(d)
+          ? v
+          : new Date(
+            Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+          );
+      },
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.000001, 'Exchange rate must be positive.'],
+      set: (v) => Math.round(v * 1e6) / 1e6,
+    },
+    source: { type: String, trim: true, default: 'MANUAL' }, // MANUAL, IMPORT, RBI, ...
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.pre('validate', function (next) {
+  if (this.fromCurrency && this.fromCurrency === this.toCurrency) {
+    return next(new Error('❌ fromCurrency and toCurrency must differ.'));
+  }
+  next();
+});
+
+exchangeRateSchema.index(
+  { company: 1, fromCurrency: 1, toCurrency: 1, rateType: 1, rateDate: -1 },
+  { unique: true }
+);
+
+export const ExchangeRateModel =
+  mongoose.models.ExchangeRates || model('ExchangeRates', exchangeRateSchema);
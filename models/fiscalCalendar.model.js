@@ -0,0 +1,155 @@
+// models/fiscalCalendar.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+// OPEN: anything posts. SOFT_CLOSED: only ADJUSTMENT / PERIOD_CLOSE GL
+// journals post. HARD_CLOSED: nothing posts and the period cannot reopen.
+export const PERIOD_STATUSES = ['OPEN', 'SOFT_CLOSED', 'HARD_CLOSED'];
+
+export const PERIOD_STATUS_TRANSITIONS = {
+  OPEN: ['SOFT_CLOSED', 'HARD_CLOSED'],
+  SOFT_CLOSED: ['OPEN', 'HARD_CLOSED'],
+  HARD_CLOSED: [],
+};
+
+const fiscalPeriodSchema = new Schema(
+  {
+    periodNum: { type: Number, required: true, min: 1 },
+    name: { type: String, required: true, trim: true }, // e.g. "Apr-2025"
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    status: { type: String, enum: PERIOD_STATUSES, default: 'OPEN' },
+    closedBy: { type: String },
+    closedAt: { type: Date },
+    remarks: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+const fiscalYearSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true }, // e.g. "FY2025-26"
+    // null → the calendar used by companies that have none of their own
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    status: { type: String, enum: PERIOD_STATUSES, default: 'OPEN' },
+    periods: { type: [fiscalPeriodSchema], default: [] },
+    // year-end close run: REVENUE / EXPENSE into retained earnings
+    yearEnd: {
+      status: {
+        type: String,
+        enum: ['NOT_RUN', 'COMPLETED', 'FAILED'],
+        default: 'NOT_RUN',
+      },
+      retainedEarningsAccount: { type: String },
+      voucher: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+      voucherNo: { type: String },
+      closedAccounts: [
+        {
+          _id: false,
+          accountCode: String,
+          type: { type: String },
+          balance: Number,
+        },
+      ],
+      netIncome: { type: Number },
+      // one closing voucher per company the year closed
+      closings: [
+        {
+          _id: false,
+          company: { type: Schema.Types.ObjectId, ref: 'Companies' },
+          retainedEarningsAccount: String,
+          voucher: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+          voucherNo: String,
+          closedAccounts: [
+            {
+              _id: false,
+              accountCode: String,
+              type: { type: String },
+              balance: Number,
+            },
+          ],
+          netIncome: Number,
+        },
+      ],
+      runAt: { type: Date },
+      runBy: { type: String },
+      error: { type: String },
+    },
+    createdBy: { type: String, default: 'system' },
+    updatedBy: { type: String },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Split the year into calendar months, the first and last clipped to the
+ * year boundaries.
+ */
+fiscalYearSchema.methods.generateMonthlyPeriods = function () {
+  const periods = [];
+  let start = new Date(this.startDate);
+  let num = 1;
+  while (start <= this.endDate) {
+    const monthEnd = new Date(
+      start.getFullYear(),
+      start.getMonth() + 1,
+      0,
+      23,
+      59,
+      59,
+      999
+    );
+    const end = monthEnd < this.endDate ? monthEnd : new Date(this.endDate);
+    periods.push({
+      periodNum: num++,
+      name: `${start.toLocaleString('en-US', { month: 'short' })}-${start.getFullYear()}`,
+      startDate: start,
+      endDate: end,
+    });
+    start = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+  }
+  this.periods = periods;
+  return this.periods;
+};
+
+fiscalYearSchema.methods.periodFor = function (date) {
+  const d = new Date(date);
+  return this.periods.find((p) => p.startDate <= d && d <= p.endDate);
+};
+
+fiscalYearSchema.pre('validate', function (next) {
+  if (this.endDate) this.endDate.setHours(23, 59, 59, 999);
+  if (this.startDate >= this.endDate) {
+    return next(new Error('❌ Fiscal year must end after it starts.'));
+  }
+  if (!this.periods.length) this.generateMonthlyPeriods();
+
+  const sorted = [...this.periods].sort((a, b) => a.startDate - b.startDate);
+  for (let i = 0; i < sorted.length; i++) {
+    const p = sorted[i];
+    if (p.startDate > p.endDate) {
+      return next(new Error(`❌ Period ${p.name} ends before it starts.`));
+    }
+    if (p.startDate < this.startDate || p.endDate > this.endDate) {
+      return next(new Error(`❌ Period ${p.name} lies outside ${this.code}.`));
+    }
+    if (i > 0 && p.startDate <= sorted[i - 1].endDate) {
+      return next(
+        new Error(`❌ Period ${p.name} overlaps ${sorted[i - 1].name}.`)
+      );
+    }
+  }
+
+  // the year is as closed as its most open period
+  const rank = (s) => PERIOD_STATUSES.indexOf(s);
+  this.status = PERIOD_STATUSES[Math.min(...this.periods.map((p) => rank(p.status)))];
+  next();
+});
+
+fiscalYearSchema.index({ company: 1, code: 1 }, { unique: true });
+fiscalYearSchema.index({ company: 1, startDate: 1, endDate: 1 });
+
+export const FiscalYearModel =
+  mongoose.models.FiscalYears || model('FiscalYears', fiscalYearSchema);
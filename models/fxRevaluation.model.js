@@ -0,0 +1,71 @@
+// models/fxRevaluation.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+export const FX_REVALUATION_SIDES = ['AR', 'AP'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// one open invoice as it stood on the revaluation date
+const revaluedInvoiceSchema = new Schema(
+  {
+    invoice: { type: Schema.Types.ObjectId, required: true }, // sales / purchase order
+    orderNum: { type: String },
+    invoiceNum: { type: String },
+    invoiceDate: { type: Date },
+    openAmount: { type: Number, required: true, set: round2 }, // document currency
+    bookedRate: { type: Number, required: true },
+    bookedLocal: { type: Number, required: true, set: round2 },
+  },
+  { _id: false }
+);
+
+// one customer / vendor and currency: its open invoices and the journal
+// that moved their local value to the closing rate
+const revaluedPartySchema = new Schema(
+  {
+    party: { type: Schema.Types.ObjectId, required: true, refPath: 'partyModel' },
+    partyModel: { type: String, enum: ['Customers', 'Vendors'], required: true },
+    currency: { type: String, required: true },
+    openAmount: { type: Number, required: true, set: round2 },
+    bookedLocal: { type: Number, required: true, set: round2 },
+    closingRate: { type: Number, required: true },
+    revaluedLocal: { type: Number, required: true, set: round2 },
+    // positive is an unrealised gain, negative a loss
+    gainLoss: { type: Number, required: true, set: round2 },
+    journal: { type: Schema.Types.ObjectId, ref: 'GLJournals', default: null },
+    invoices: { type: [revaluedInvoiceSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * A period-end revaluation of open foreign-currency AR or AP at the
+ * CLOSING rate. Each party with a difference gets a posted GL journal that
+ * reverses itself on `reverseOn`, the first day of the next period.
+ */
+const fxRevaluationSchema = new Schema(
+  {
+    side: { type: String, enum: FX_REVALUATION_SIDES, required: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    asOfDate: { type: Date, required: true },
+    reverseOn: { type: Date, required: true },
+    functionalCurrency: { type: String, required: true },
+    parties: { type: [revaluedPartySchema], default: [] },
+    totalGain: { type: Number, default: 0, set: round2 },
+    totalLoss: { type: Number, default: 0, set: round2 },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+// one run per side and date
+fxRevaluationSchema.index(
+  { company: 1, side: 1, asOfDate: 1 },
+  { unique: true }
+);
+
+export const FXRevaluationModel =
+  mongoose.models.FXRevaluations ||
+  model('FXRevaluations', fxRevaluationSchema);
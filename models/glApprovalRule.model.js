@@ -0,0 +1,91 @@
+// models/glApprovalRule.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+// ALL: every role of the step must approve (parallel sign-off)
+// ANY: the first approval from any of the step's roles completes it
+export const STEP_APPROVAL_MODES = ['ALL', 'ANY'];
+
+const ruleStepSchema = new Schema(
+  {
+    step: { type: Number, required: true, min: 1 }, // steps run in order
+    roles: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'UserRoles' }],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: 'Every approval step needs at least one role.',
+      },
+    },
+    approval: { type: String, enum: STEP_APPROVAL_MODES, default: 'ALL' },
+    // still pending this many hours after the step opened → escalate
+    escalateAfterHours: { type: Number, min: 0, default: null },
+    escalateTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'UserRoles',
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * An approval rule for GL journals. Each condition left empty matches
+ * anything: journal template, company, amount band (total debits in local
+ * currency) and an account-code range any line may fall in. The matching
+ * rule with the lowest `priority` decides the approval steps.
+ */
+const glApprovalRuleSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true },
+    name: { type: String, trim: true, default: '' },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    templates: [{ type: Schema.Types.ObjectId, ref: 'JournalTemplates' }],
+    minAmount: { type: Number, default: null },
+    maxAmount: { type: Number, default: null },
+    accountFrom: { type: String, trim: true, default: null },
+    accountTo: { type: String, trim: true, default: null },
+    steps: {
+      type: [ruleStepSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: 'An approval rule needs at least one step.',
+      },
+    },
+    priority: { type: Number, default: 100 },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+glApprovalRuleSchema.pre('validate', function (next) {
+  if (
+    this.minAmount != null &&
+    this.maxAmount != null &&
+    this.maxAmount < this.minAmount
+  ) {
+    return next(new Error('❌ maxAmount must not be below minAmount.'));
+  }
+  if (this.accountFrom && this.accountTo && this.accountTo < this.accountFrom) {
+    return next(new Error('❌ accountTo must not sort before accountFrom.'));
+  }
+  const noTarget = this.steps.find(
+    (s) => s.escalateAfterHours != null && !s.escalateTo
+  );
+  if (noTarget) {
+    return next(
+      new Error(
+        `❌ Step ${noTarget.step}: escalateAfterHours needs escalateTo.`
+      )
+    );
+  }
+  this.steps.sort((a, b) => a.step - b.step);
+  next();
+});
+
+glApprovalRuleSchema.index({ company: 1, code: 1 }, { unique: true });
+glApprovalRuleSchema.index({ active: 1, priority: 1 });
+
+export const GLApprovalRuleModel =
+  mongoose.models.GLApprovalRules ||
+  model('GLApprovalRules', glApprovalRuleSchema);
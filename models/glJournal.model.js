@@ -6,6 +6,7 @@ import {
   LocalNumberingModel,
   SharedNumberingModel,
 } from './counter.model.js';
+import { TAXABILITY } from './taxCode.model.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 1. Define the sub‐schema for each GL line
@@ -58,6 +59,12 @@ const glLineSchema = new Schema(
     chargesCode: { type: String },
     discountCode: { type: String },
 
+    // GST engine: taxability and reverse charge from the HSN / SAC code,
+    // INTRA (CGST + SGST) or INTER (IGST) from the states involved
+    taxability: { type: String, enum: TAXABILITY, default: 'TAXABLE' },
+    reverseCharge: { type: Boolean, default: false },
+    supplyType: { type: String, enum: ['INTRA', 'INTER'], default: 'INTRA' },
+
     // computed outputs:
     discountAmount: { type: Number, default: 0 },
     chargesAmount: { type: Number, default: 0 },
@@ -207,18 +214,30 @@ glLineSchema.pre('validate', function (next) {
 // ——————————————————————————————————————————
 // 2. Approval step + audit history
 // ——————————————————————————————————————————
+// Manual submissions assign one user per step. Rule-driven steps have an
+// entry per approver role (several entries share a step when approval is
+// parallel); anyone holding the role may act until the entry is delegated
+// to a named user.
 const approvalStepSchema = new Schema(
   {
     step: { type: Number, required: true },
-    assignedTo: { type: Schema.Types.ObjectId, ref: 'Users', required: true },
+    assignedTo: { type: Schema.Types.ObjectId, ref: 'Users', default: null },
+    role: { type: Schema.Types.ObjectId, ref: 'UserRoles', default: null },
+    candidates: [{ type: Schema.Types.ObjectId, ref: 'Users' }],
+    approval: { type: String, enum: ['ALL', 'ANY'], default: 'ALL' },
     status: {
       type: String,
-      enum: ['PENDING', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED'],
+      enum: ['PENDING', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED', 'SKIPPED'],
       default: 'PENDING',
     },
     actedBy: { type: Schema.Types.ObjectId, ref: 'Users' },
     actedAt: { type: Date },
     comment: { type: String },
+    // time-based escalation (rule-driven steps)
+    escalateAfterHours: { type: Number, default: null },
+    dueAt: { type: Date, default: null },
+    escalateTo: { type: Schema.Types.ObjectId, ref: 'UserRoles', default: null },
+    escalatedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -246,6 +265,27 @@ const glJournalSchema = new Schema(
       ref: 'JournalTemplates',
       required: false,
     },
+    // set on copies generated by a recurring journal definition
+    recurringJournal: {
+      type: Schema.Types.ObjectId,
+      ref: 'RecurringGLJournals',
+      default: null,
+    },
+    // auto-reversing accruals: posting creates a mirror journal dated
+    // `reverseOn` (linked both ways) that posts itself on that date
+    reverseOn: { type: Date, default: null },
+    reversalJournal: {
+      type: Schema.Types.ObjectId,
+      ref: 'GLJournals',
+      default: null,
+    },
+    reversalOf: { type: Schema.Types.ObjectId, ref: 'GLJournals', default: null },
+    // set on unrealised gain/loss journals of a period-end FX revaluation
+    fxRevaluation: {
+      type: Schema.Types.ObjectId,
+      ref: 'FXRevaluations',
+      default: null,
+    },
     globalJournalNum: { type: String, required: true, unique: true }, // "GJ-000001" across company for across company journal inc
     localJournalNum: { type: String, required: true }, // "LAJ-000001" within company for journal inc
     localSharedOrderNum: { type: String }, // "SAH-000001" within company for any shared booking inc
@@ -276,6 +316,9 @@ const glJournalSchema = new Schema(
       required: true,
       default: Date.now,
     },
+    // GST state code of the place of supply; empty → each line's customer /
+    // vendor state, intra-state for lines with neither
+    placeOfSupply: { type: String, default: null },
     reference: {
       type: String,
       trim: true,
@@ -342,6 +385,11 @@ const glJournalSchema = new Schema(
     },
     // — Workflow & history —
     submittedAt: { type: Date },
+    approvalRule: {
+      type: Schema.Types.ObjectId,
+      ref: 'GLApprovalRules',
+      default: null,
+    },
     currentStep: { type: Number, default: null },
     workflow: { type: [approvalStepSchema], default: [] }, // ◀︎─── new
     history: { type: [historySchema], default: [] }, // ◀︎─── new
@@ -596,6 +644,9 @@ glJournalSchema.index({ globalJournalNum: 1 });
 glJournalSchema.index({ localJournalNum: 1 });
 glJournalSchema.index({ localSharedOrderNum: 1 });
 glJournalSchema.index({ globalSharedOrderNum: 1 });
+// due auto-reversals
+glJournalSchema.index({ reversalOf: 1, status: 1, journalDate: 1 });
+glJournalSchema.index({ status: 1, 'workflow.dueAt': 1 });
 
 export const GLJournalModel =
   mongoose.models.GLJournals || model('GLJournals', glJournalSchema);
@@ -0,0 +1,86 @@
+import mongoose, { Schema, model } from 'mongoose';
+import { PurchaseOrderCounterModel } from './counter.model.js';
+
+export async function generateReceiptId() {
+  const counter = await PurchaseOrderCounterModel.findByIdAndUpdate(
+    { _id: 'receiptNumber' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const seqNumber = counter.seq.toString().padStart(6, '0');
+  return `GRN_${seqNumber}`;
+}
+
+const receiptLineSchema = new Schema(
+  {
+    // lineNum of the purchase order line being received
+    lineNum: { type: String, required: true },
+    item: { type: Schema.Types.ObjectId, ref: 'Items' },
+    qty: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Receipt quantity must be positive'],
+      set: (v) => Math.round(v * 100) / 100,
+    },
+  },
+  { _id: false }
+);
+
+const goodsReceiptSchema = new Schema(
+  {
+    grnId: { type: String, unique: true },
+    // the vendor's delivery note / challan number
+    extReceiptId: { type: String, default: 'NA' },
+    purchaseOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'PurchaseOrders',
+      required: true,
+    },
+    receiptDate: { type: Date, default: Date.now },
+    lines: {
+      type: [receiptLineSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: '⚠️ A goods receipt needs at least one line.',
+      },
+    },
+    // inventory transactions and accrual voucher created on posting
+    inventTxns: [
+      { type: Schema.Types.ObjectId, ref: 'InventoryTransactions' },
+    ],
+    voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    voucherNo: { type: String },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Posted', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Posted\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    postedAt: { type: Date },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'SystemReceipt' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+goodsReceiptSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.grnId) {
+      this.grnId = await generateReceiptId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+goodsReceiptSchema.index({ purchaseOrder: 1, status: 1 });
+
+export const GoodsReceiptModel =
+  mongoose.models.GoodsReceipts || model('GoodsReceipts', goodsReceiptSchema);
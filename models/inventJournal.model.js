@@ -94,6 +94,10 @@ const inventoryJournalSchema = new Schema(
 
     posted: { type: Boolean, default: false },
     postedAt: { type: Date },
+    // financial voucher written on posting, and the one undoing it
+    voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    voucherNo: { type: String },
+    reversalVoucherNo: { type: String },
 
     company: { type: Schema.Types.ObjectId, ref: 'Companies', required: false },
     groups: [{ type: Schema.Types.ObjectId, ref: 'GlobalGroups' }],
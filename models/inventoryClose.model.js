@@ -0,0 +1,117 @@
+// models/inventoryClose.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { PurchaseOrderCounterModel } from './counter.model.js';
+import { COSTING_METHODS } from './costingPolicy.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export async function generateInventoryCloseId() {
+  const counter = await PurchaseOrderCounterModel.findByIdAndUpdate(
+    { _id: 'inventoryCloseNumber' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const seqNumber = counter.seq.toString().padStart(6, '0');
+  return `IC_${seqNumber}`;
+}
+
+// a layer left on hand at the end of the period (FIFO / LIFO)
+const closingLayerSchema = new Schema(
+  {
+    sourceType: { type: String },
+    sourceId: { type: Schema.Types.ObjectId },
+    sourceLine: { type: Number },
+    inventTxn: { type: Schema.Types.ObjectId, ref: 'InventoryTransactions' },
+    refNum: { type: String },
+    receiptDate: { type: Date },
+    qty: { type: Number, default: 0 },
+    unitCost: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// one item and its cost dims, settled for the period
+const settlementSchema = new Schema(
+  {
+    item: { type: Schema.Types.ObjectId, ref: 'Items' },
+    costKey: { type: String },
+    dims: { type: Schema.Types.Mixed, default: {} },
+    method: { type: String, enum: COSTING_METHODS },
+    openingQty: { type: Number, default: 0 },
+    openingValue: { type: Number, default: 0, set: round2 },
+    receiptQty: { type: Number, default: 0 },
+    receiptValue: { type: Number, default: 0, set: round2 },
+    // net of reversals, positive; valued as posted
+    issueQty: { type: Number, default: 0 },
+    issueValue: { type: Number, default: 0, set: round2 },
+    closingQty: { type: Number, default: 0 },
+    // closing stock as booked, and as the method values it
+    bookValue: { type: Number, default: 0, set: round2 },
+    settledValue: { type: Number, default: 0, set: round2 },
+    // settled − book: positive raises inventory and lowers COGS
+    adjustment: { type: Number, default: 0, set: round2 },
+    layers: [closingLayerSchema],
+    note: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * An inventory close: for the period, issues of periodic weighted average,
+ * FIFO and LIFO items are settled against the period's receipts, closing
+ * stock is revalued by the method, and the difference to what was booked
+ * moves between inventory and COGS. Drafts are a recalculation to review;
+ * posting books the voucher and carries the values forward.
+ */
+const inventoryCloseSchema = new Schema(
+  {
+    closeId: { type: String, unique: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    fromDate: { type: Date, required: true },
+    toDate: { type: Date, required: true },
+    lines: [settlementSchema],
+    totalAdjustment: { type: Number, default: 0, set: round2 },
+    voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    voucherNo: { type: String },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Posted', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Posted\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    postedAt: { type: Date },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+inventoryCloseSchema.pre('validate', function (next) {
+  if (this.fromDate && this.toDate && this.toDate < this.fromDate) {
+    this.invalidate('toDate', '⚠️ The period cannot end before it starts.');
+  }
+  next();
+});
+
+inventoryCloseSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.closeId) {
+      this.closeId = await generateInventoryCloseId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+inventoryCloseSchema.index({ company: 1, status: 1, toDate: -1 });
+
+export const InventoryCloseModel =
+  mongoose.models.InventoryCloses ||
+  model('InventoryCloses', inventoryCloseSchema);
@@ -14,6 +14,7 @@ const txnSchema = new Schema(
         'TRANSFER',
         'ADJUSTMENT',
         'COUNTING',
+        'LANDED_COST',
       ],
       required: true,
     },
@@ -35,6 +35,9 @@ const itemSchema = new Schema(
       },
       default: 'Goods',
     },
+    // GST classification (see tax codes): HSN for goods, SAC for services
+    hsnCode: { type: String, trim: true, default: '' },
+    sacCode: { type: String, trim: true, default: '' },
     unit: {
       type: String,
       required: true,
@@ -45,6 +48,9 @@ const itemSchema = new Schema(
       },
       default: 'pcs',
     },
+    // per unit; landed costs can be allocated by these
+    weight: { type: Number, min: 0, default: 0 }, // kg
+    volume: { type: Number, min: 0, default: 0 }, // m³
     price: {
       type: Number,
       required: true,
@@ -63,6 +69,16 @@ const itemSchema = new Schema(
       },
       get: (v) => v.toFixed(2),
     },
+    // what receipts and issues are valued at under a STANDARD costing
+    // policy; receipts at any other price post a purchase price variance
+    standardCost: {
+      type: Number,
+      min: [0, '⚠️ A standard cost cannot be negative'],
+      default: 0,
+      set: function (v) {
+        return Math.round(v * 100) / 100;
+      },
+    },
     minPrice: {
       type: Number,
       required: false,
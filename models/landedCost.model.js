@@ -0,0 +1,138 @@
+// models/landedCost.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { PurchaseOrderCounterModel } from './counter.model.js';
+
+export const LANDED_COST_TYPES = [
+  'FREIGHT',
+  'CUSTOMS_DUTY',
+  'INSURANCE',
+  'OTHER',
+];
+
+// what a charge is spread over: received quantity, PO value, or the items'
+// weight / volume times the quantity
+export const ALLOCATION_BASES = ['QUANTITY', 'VALUE', 'WEIGHT', 'VOLUME'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export async function generateLandedCostId() {
+  const counter = await PurchaseOrderCounterModel.findByIdAndUpdate(
+    { _id: 'landedCostNumber' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const seqNumber = counter.seq.toString().padStart(6, '0');
+  return `LC_${seqNumber}`;
+}
+
+const chargeSchema = new Schema(
+  {
+    chargeType: { type: String, enum: LANDED_COST_TYPES, required: true },
+    description: { type: String, trim: true, default: '' },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ A landed cost charge must be positive'],
+      set: round2,
+    },
+    basis: { type: String, enum: ALLOCATION_BASES, default: 'VALUE' },
+  },
+  { _id: false }
+);
+
+// one receipt line's share of the charges
+const allocationSchema = new Schema(
+  {
+    receipt: { type: Schema.Types.ObjectId, ref: 'GoodsReceipts' },
+    grnId: { type: String },
+    inventTxn: { type: Schema.Types.ObjectId, ref: 'InventoryTransactions' },
+    lineNum: { type: Number },
+    item: { type: Schema.Types.ObjectId, ref: 'Items' },
+    dims: { type: Schema.Types.Mixed, default: {} },
+    qty: { type: Number, default: 0 },
+    value: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 },
+    volume: { type: Number, default: 0 },
+    shares: [
+      {
+        _id: false,
+        chargeType: { type: String, enum: LANDED_COST_TYPES },
+        amount: { type: Number, default: 0 },
+      },
+    ],
+    amount: { type: Number, default: 0 },
+    // set on posting: the part still on hand goes into inventory, the
+    // part already sold to COGS
+    onHandQty: { type: Number, default: 0 },
+    inventoryAmount: { type: Number, default: 0 },
+    cogsAmount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A landed-cost voucher: freight, duty, insurance and the like billed for
+ * inbound goods, loaded onto the goods receipts it names. Amounts are in
+ * the company's currency.
+ */
+const landedCostSchema = new Schema(
+  {
+    lcId: { type: String, unique: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    // the carrier / broker / insurer who billed it, and their bill number
+    vendor: { type: Schema.Types.ObjectId, ref: 'Vendors', default: null },
+    reference: { type: String, trim: true, default: '' },
+    costDate: { type: Date, default: Date.now },
+    receipts: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'GoodsReceipts' }],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: '⚠️ A landed cost needs at least one goods receipt.',
+      },
+    },
+    charges: {
+      type: [chargeSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: '⚠️ A landed cost needs at least one charge.',
+      },
+    },
+    allocations: [allocationSchema],
+    totalAmount: { type: Number, default: 0, set: round2 },
+    voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    voucherNo: { type: String },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Posted', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Posted\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    postedAt: { type: Date },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+landedCostSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.lcId) {
+      this.lcId = await generateLandedCostId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+landedCostSchema.index({ receipts: 1 });
+landedCostSchema.index({ company: 1, status: 1 });
+
+export const LandedCostModel =
+  mongoose.models.LandedCosts || model('LandedCosts', landedCostSchema);
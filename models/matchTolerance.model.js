@@ -0,0 +1,40 @@
+// models/matchTolerance.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const percent = {
+  type: Number,
+  min: [0, '⚠️ A tolerance cannot be negative'],
+  max: [100, '⚠️ A tolerance cannot exceed 100%'],
+  default: 0,
+  set: round2,
+};
+
+/**
+ * How far a vendor invoice may stray from its purchase order and goods
+ * receipts and still post without approval: `qtyPercent` of the received
+ * (or, with no receipts, the ordered) quantity and `pricePercent` of the
+ * PO price, either way. A vendor's own tolerance wins over its company's,
+ * and a company's over the global one (no company). With none at all the
+ * invoice has to match exactly.
+ */
+const matchToleranceSchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    vendor: { type: Schema.Types.ObjectId, ref: 'Vendors', default: null },
+    qtyPercent: percent,
+    pricePercent: percent,
+    description: { type: String, trim: true, default: '' },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+matchToleranceSchema.index({ company: 1, vendor: 1 }, { unique: true });
+
+export const MatchToleranceModel =
+  mongoose.models.MatchTolerances ||
+  model('MatchTolerances', matchToleranceSchema);
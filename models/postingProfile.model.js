@@ -0,0 +1,104 @@
+// models/postingProfile.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { AccountModel } from './account.model.js';
+
+// Every account role the posting services ask for.
+export const POSTING_TYPES = [
+  // sales
+  'SALES_REVENUE',
+  'COGS',
+  'DISCOUNT_ALLOWED',
+  'CHARGES_REVENUE',
+  'GST_PAYABLE',
+  'TAX_PAYABLE',
+  'TDS_RECEIVABLE',
+  'ACCOUNTS_RECEIVABLE',
+  // purchase
+  'ACCOUNTS_PAYABLE',
+  'DISCOUNT_RECEIVED',
+  'GST_RECEIVABLE',
+  // GST the company pays itself on reverse-charge purchases
+  'GST_RCM_PAYABLE',
+  // TDS deducted from vendors, owed to the government
+  'TDS_PAYABLE',
+  // goods receipt accrual, cleared when the vendor invoice posts
+  'GOODS_RECEIVED_NOT_INVOICED',
+  // invoiced price against the PO price of received goods
+  'PURCHASE_PRICE_VARIANCE',
+  // inventory
+  'INVENTORY',
+  'INVENTORY_ADJUSTMENT',
+  // freight, duty and insurance loaded onto receipts, owed to whoever bills it
+  'LANDED_COST_CLEARING',
+  // cash / bank
+  'BANK',
+  'CHARGES_EXPENSE',
+  'FX_GAIN',
+  'FX_LOSS',
+  // period-end revaluation of open foreign-currency AR / AP
+  'FX_UNREALISED_GAIN',
+  'FX_UNREALISED_LOSS',
+  // period close
+  'RETAINED_EARNINGS',
+];
+
+/**
+ * One posting-profile mapping: which account a posting type goes to.
+ * Each selector left empty matches anything; the most specific mapping
+ * wins (item group, then customer/vendor group, then site, then company)
+ * and `priority` (lower first) settles mappings equally specific.
+ */
+const postingProfileSchema = new Schema(
+  {
+    postingType: { type: String, enum: POSTING_TYPES, required: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    itemGroup: {
+      type: Schema.Types.ObjectId,
+      ref: 'GlobalGroups',
+      default: null,
+    },
+    // customer group for sales / receipts, vendor group for purchase / payments
+    partyGroup: {
+      type: Schema.Types.ObjectId,
+      ref: 'GlobalGroups',
+      default: null,
+    },
+    site: { type: Schema.Types.ObjectId, ref: 'Sites', default: null },
+    account: { type: Schema.Types.ObjectId, ref: 'Accounts', required: true },
+    priority: { type: Number, default: 100 },
+    active: { type: Boolean, default: true },
+    description: { type: String, trim: true, default: '' },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+postingProfileSchema.pre('validate', async function (next) {
+  if (!this.isModified('account')) return next();
+  try {
+    const acct = await AccountModel.findById(this.account)
+      .select('accountCode isLeaf isArchived')
+      .lean();
+    if (!acct) return next(new Error('❌ Account not found.'));
+    if (!acct.isLeaf || acct.isArchived) {
+      return next(
+        new Error(
+          `❌ ${acct.accountCode} is archived or not a leaf account.`
+        )
+      );
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+postingProfileSchema.index(
+  { postingType: 1, company: 1, itemGroup: 1, partyGroup: 1, site: 1 },
+  { unique: true }
+);
+
+export const PostingProfileModel =
+  mongoose.models.PostingProfiles ||
+  model('PostingProfiles', postingProfileSchema);
@@ -0,0 +1,119 @@
+// models/purchaseRequisition.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { PurchaseOrderCounterModel } from './counter.model.js';
+
+// Draft → Submitted → Approved → Ordered (through an RFQ's award);
+// a rejected requisition goes back to Draft to be reworked
+export const REQUISITION_TRANSITIONS = {
+  Draft: ['Submitted', 'Cancelled'],
+  Submitted: ['Approved', 'Rejected', 'Cancelled'],
+  Approved: ['Ordered', 'Cancelled'],
+  Rejected: ['Draft', 'Cancelled'],
+  Ordered: [],
+  Cancelled: [],
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+export async function generateRequisitionId() {
+  const counter = await PurchaseOrderCounterModel.findByIdAndUpdate(
+    { _id: 'requisitionNumber' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const seqNumber = counter.seq.toString().padStart(6, '0');
+  return `PR_${seqNumber}`;
+}
+
+/**
+ * An internal request to buy an item, approved before any vendor is asked
+ * for a quote. Amounts are estimates in the company's currency.
+ */
+const purchaseRequisitionSchema = new Schema(
+  {
+    requisitionNum: { type: String, unique: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    requestedBy: { type: String, required: true },
+    department: { type: String, trim: true, default: '' },
+    item: { type: Schema.Types.ObjectId, ref: 'Items', required: true },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Requested quantity must be positive'],
+      set: round2,
+    },
+    estimatedPrice: {
+      type: Number,
+      default: 0,
+      min: [0, '⚠️ Estimated price cannot be negative'],
+      set: round2,
+    },
+    requiredBy: { type: Date, default: null },
+    site: { type: Schema.Types.ObjectId, ref: 'Sites', default: null },
+    warehouse: {
+      type: Schema.Types.ObjectId,
+      ref: 'Warehouses',
+      default: null,
+    },
+    justification: { type: String, trim: true, default: '' },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: Object.keys(REQUISITION_TRANSITIONS),
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Submitted\',\'Approved\',\'Rejected\',\'Ordered\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    submittedAt: { type: Date },
+    decidedBy: { type: String, default: null },
+    decidedAt: { type: Date },
+    rejectionReason: { type: String, default: '' },
+    rfq: { type: Schema.Types.ObjectId, ref: 'RFQs', default: null },
+    purchaseOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'PurchaseOrders',
+      default: null,
+    },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+purchaseRequisitionSchema.virtual('estimatedAmount').get(function () {
+  return round2(this.quantity * this.estimatedPrice);
+});
+
+/** Move to `next`, throwing when the status does not allow it. */
+purchaseRequisitionSchema.methods.transition = function (next) {
+  const allowed = REQUISITION_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(next)) {
+    throw new Error(
+      `❌ Requisition ${this.requisitionNum} cannot go from ${this.status} to ${next}.`
+    );
+  }
+  this.status = next;
+  return this;
+};
+
+purchaseRequisitionSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.requisitionNum) {
+      this.requisitionNum = await generateRequisitionId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+purchaseRequisitionSchema.index({ company: 1, status: 1 });
+purchaseRequisitionSchema.index({ requestedBy: 1 });
+
+export const PurchaseRequisitionModel =
+  mongoose.models.PurchaseRequisitions ||
+  model('PurchaseRequisitions', purchaseRequisitionSchema);
@@ -1,5 +1,8 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { PurchaseOrderCounterModel } from './counter.model.js';
+import ExchangeRateService from '../services/exchangeRate.service.js';
+import GSTService from '../services/gst.service.js';
+import { TAXABILITY } from './taxCode.model.js';
 
 // Define allowed status transitions
 const STATUS_TRANSITIONS1 = {
@@ -31,12 +34,17 @@ export const STATUS_TRANSITIONS = {
     'AdminMode',
     'AnyMode',
   ],
+  // set by posting goods receipts; received goods can only be invoiced
+  PartiallyReceived: ['Invoiced', 'AdminMode', 'AnyMode'],
+  Received: ['Invoiced', 'AdminMode', 'AnyMode'],
   Invoiced: ['AdminMode', 'AnyMode'],
   Cancelled: ['AdminMode', 'AnyMode'],
   AdminMode: ['Draft', 'AnyMode'],
   AnyMode: ['Draft', 'Confirmed', 'Invoiced', 'Cancelled', 'AdminMode'],
 };
 
+export const MATCH_STATUSES = ['MATCHED', 'HELD', 'APPROVED', 'REJECTED'];
+
 // Suppose you have a function getDaysFromPaymentTerm that returns the day offset:
 function getDaysFromPaymentTerm(paymentTerm) {
   switch (paymentTerm) {
@@ -62,6 +70,56 @@ function getDaysFromPaymentTerm(paymentTerm) {
   }
 }
 
+// fields the GST engine works from
+const GST_INPUTS = [
+  'vendor',
+  'company',
+  'item',
+  'hsnCode',
+  'sacCode',
+  'placeOfSupply',
+  'reverseCharge',
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// The vendor invoice matched against the order and its goods receipts.
+// Outside the tolerances it is HELD and nothing posts until approved.
+const invoiceMatchSchema = new Schema(
+  {
+    status: { type: String, enum: MATCH_STATUSES, required: true },
+    vendorInvoiceNum: { type: String, trim: true, default: '' },
+    invoiceDate: { type: Date },
+    dueDate: { type: Date },
+    // what the invoice is matched against
+    orderedQty: { type: Number, default: 0 },
+    receivedQty: { type: Number, default: 0 },
+    orderPrice: { type: Number, default: 0 },
+    invoiceQty: { type: Number, default: 0, set: round2 },
+    invoicePrice: { type: Number, default: 0, set: round2 },
+    // the invoice's amounts on the order's discount, charges and tax terms
+    discountAmt: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    withholdingTaxAmt: { type: Number, default: 0 },
+    netAmtAfterTax: { type: Number, default: 0 },
+    netAR: { type: Number, default: 0 },
+    qtyVariance: { type: Number, default: 0 }, // % of the matched quantity
+    priceVariance: { type: Number, default: 0 }, // % of the PO price
+    qtyTolerance: { type: Number, default: 0 },
+    priceTolerance: { type: Number, default: 0 },
+    reasons: [{ type: String }],
+    submittedBy: { type: String, default: null },
+    submittedAt: { type: Date },
+    decidedBy: { type: String, default: null },
+    decidedAt: { type: Date },
+    remarks: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
 // Purchase Order Schema
 const purchaseOrderSchema1C1I = new Schema(
   {
@@ -80,12 +138,47 @@ const purchaseOrderSchema1C1I = new Schema(
       },
       default: 'Purchase',
     },
+    // return orders only: the purchase order (and optionally the goods
+    // receipt) the goods came in on, and per batch / serial how much goes
+    // back when those were recorded on receipt
+    returnOf: {
+      purchaseOrder: {
+        type: Schema.Types.ObjectId,
+        ref: 'PurchaseOrders',
+        required: [
+          function () {
+            return this.orderType === 'Return';
+          },
+          '⚠️ A return order must reference the original purchase order.',
+        ],
+      },
+      goodsReceipt: {
+        type: Schema.Types.ObjectId,
+        ref: 'GoodsReceipts',
+        default: null,
+      },
+      lots: [
+        {
+          _id: false,
+          batch: { type: Schema.Types.ObjectId, ref: 'Batches' },
+          serial: { type: Schema.Types.ObjectId, ref: 'Serials' },
+          quantity: {
+            type: Number,
+            min: [0.01, '⚠️ A returned lot quantity must be positive'],
+            set: round2,
+          },
+        },
+      ],
+    },
     invoiceNum: {
       type: String,
       required: false,
       //unique: true,
       default: 'NA',
     },
+    // once "Invoiced" → link to the voucher we generate
+    voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
+    voucherNo: { type: String },
     // ***** NEW FIELDS ADDED *****
     invoiceDate: {
       type: Date,
@@ -198,6 +291,18 @@ const purchaseOrderSchema1C1I = new Schema(
         return Math.round(v * 100) / 100;
       },
     },
+    // posted on goods receipts so far
+    receivedQty: { type: Number, default: 0, set: round2 },
+    // sent back to the vendor on invoiced return orders
+    returnedQty: { type: Number, default: 0, set: round2 },
+    match: { type: invoiceMatchSchema, default: null },
+    // set when the order was raised by awarding an RFQ
+    requisition: {
+      type: Schema.Types.ObjectId,
+      ref: 'PurchaseRequisitions',
+      default: null,
+    },
+    rfq: { type: Schema.Types.ObjectId, ref: 'RFQs', default: null },
     currency: {
       type: String,
       required: true,
@@ -208,6 +313,21 @@ const purchaseOrderSchema1C1I = new Schema(
       },
       default: 'INR',
     },
+    // left empty, the SPOT rate of the order's date is filled in on save
+    exchangeRate: {
+      type: Number,
+      default: null,
+    },
+    // GST: the order's HSN / SAC code (else its item's) sets `tax`
+    hsnCode: { type: String, trim: true, default: '' },
+    sacCode: { type: String, trim: true, default: '' },
+    taxability: { type: String, enum: TAXABILITY, default: 'TAXABLE' },
+    // GST state code of the place of supply; empty → the company's state
+    placeOfSupply: { type: String, default: null },
+    // INTRA: CGST + SGST, INTER: IGST — from the vendor's state vs this
+    supplyType: { type: String, enum: ['INTRA', 'INTER'], default: 'INTRA' },
+    // the company pays the GST itself instead of the vendor charging it
+    reverseCharge: { type: Boolean, default: false },
 
     charges: {
       type: Number,
@@ -264,6 +384,10 @@ const purchaseOrderSchema1C1I = new Schema(
         return Math.round(v * 100) / 100;
       },
     },
+    // the GST split; under reverse charge the tax the company self-assesses
+    cgst: { type: Number, default: 0, set: (v) => Math.round(v * 100) / 100 },
+    sgst: { type: Number, default: 0, set: (v) => Math.round(v * 100) / 100 },
+    igst: { type: Number, default: 0, set: (v) => Math.round(v * 100) / 100 },
     discountAmt: {
       type: Number,
       default: 0.0,
@@ -278,6 +402,14 @@ const purchaseOrderSchema1C1I = new Schema(
         return Math.round(v * 100) / 100;
       },
     },
+    // TDS section deducted under; empty → the vendor's
+    tdsSection: { type: String, trim: true, uppercase: true, default: '' },
+    // TDS deducted on invoicing, settled through paidAmt as mode 'TDS'
+    tdsAmount: {
+      type: Number,
+      default: 0,
+      set: (v) => Math.round(v * 100) / 100,
+    },
     netAmtAfterTax: {
       type: Number,
       default: 0.0,
@@ -522,6 +654,7 @@ const purchaseOrderSchema1C1I = new Schema(
               'UPI',
               'Crypto',
               'Barter',
+              'TDS',
             ],
             message: '⚠️ {VALUE} is not a supported payment mode.',
           },
@@ -550,6 +683,8 @@ const purchaseOrderSchema1C1I = new Schema(
           'Draft',
           'Approved',
           'Confirmed',
+          'PartiallyReceived',
+          'Received',
           'Shipped', // Outbound Transit
           'Delivered',
           'Invoiced',
@@ -679,6 +814,62 @@ purchaseOrderSchema1C1I.methods.updateSettlementStatus = function () {
   }
 };
 
+// Method: Discount, GST, TDS and net amounts of `quantity` at `price` on
+// the order's terms (a vendor invoice is priced this way too)
+purchaseOrderSchema1C1I.methods.amountsFor = function (quantity, price) {
+  const doc = this;
+  const initialAmt = quantity * price;
+  const discountAmt =
+    Math.round(((doc.discount * initialAmt) / 100) * 100) / 100;
+  const gst =
+    Math.round(
+      ((doc.tax * (initialAmt - discountAmt + doc.charges)) / 100) * 100
+    ) / 100;
+  // under reverse charge the vendor charges no GST
+  const taxAmount = doc.reverseCharge ? 0 : gst;
+  const withholdingTaxAmt =
+    Math.round(
+      ((doc.withholdingTax * (initialAmt - discountAmt + doc.charges)) / 100) *
+        100
+    ) / 100;
+  const netAmtAfterTax =
+    Math.round((initialAmt - discountAmt + doc.charges + taxAmount) * 100) /
+    100;
+  const netAR = Math.round((netAmtAfterTax + withholdingTaxAmt) * 100) / 100;
+  return {
+    discountAmt,
+    ...GSTService.split(gst, doc.supplyType),
+    taxAmount,
+    withholdingTaxAmt,
+    netAmtAfterTax,
+    netAR,
+  };
+};
+
+// Method: Compute discount, GST, TDS and net amounts from quantity and price
+purchaseOrderSchema1C1I.methods.computeAmounts = function () {
+  const doc = this;
+  Object.assign(doc, doc.amountsFor(doc.quantity, doc.price));
+  // Compute total paid using the virtual (or inline reduction)
+  // const totalPaid =
+  //   doc.paidAmt && doc.paidAmt.length
+  //     ? doc.paidAmt.reduce((sum, val) => sum + val, 0)
+  //     : 0;
+  const totalPaid = doc.totalPaid; // using the virtual field
+  doc.netPaymentDue =
+    Math.round((doc.netAR - totalPaid - doc.advance) * 100) / 100;
+  //doc.paidAmt = paidAmt;
+
+  // Update settlement status based on current advance and totalPaid
+  doc.updateSettlementStatus();
+};
+
+// Method: Roll the status forward from the received quantity
+purchaseOrderSchema1C1I.methods.syncReceiptStatus = function () {
+  if (this.receivedQty >= this.quantity) this.status = 'Received';
+  else if (this.receivedQty > 0) this.status = 'PartiallyReceived';
+};
+
 // Pre-save hook to generate order number
 purchaseOrderSchema1C1I.pre('save', async function (next) {
   const doc = this;
@@ -721,47 +912,7 @@ purchaseOrderSchema1C1I.pre('save', async function (next) {
       }
     }
 
-    // Calculate Computed Fields
-    const initialAmt = doc.quantity * doc.price;
-    const discountAmt =
-      Math.round(((doc.discount * initialAmt) / 100) * 100) / 100;
-    const taxAmount =
-      Math.round(
-        ((doc.tax * (doc.quantity * doc.price - discountAmt + doc.charges)) /
-          100) *
-          100
-      ) / 100;
-    const withholdingTaxAmt =
-      Math.round(
-        ((doc.withholdingTax *
-          (doc.quantity * doc.price - discountAmt + doc.charges)) /
-          100) *
-          100
-      ) / 100;
-    const netAmtAfterTax =
-      Math.round(
-        (doc.quantity * doc.price - discountAmt + doc.charges + taxAmount) * 100
-      ) / 100;
-    const netAR = Math.round((netAmtAfterTax + withholdingTaxAmt) * 100) / 100;
-    // Compute total paid using the virtual (or inline reduction)
-    // const totalPaid =
-    //   doc.paidAmt && doc.paidAmt.length
-    //     ? doc.paidAmt.reduce((sum, val) => sum + val, 0)
-    //     : 0;
-    const totalPaid = doc.totalPaid; // using the virtual field
-    const netPaymentDue =
-      Math.round((netAR - totalPaid - this.advance) * 100) / 100;
-
-    doc.discountAmt = discountAmt;
-    doc.taxAmount = taxAmount;
-    doc.withholdingTaxAmt = withholdingTaxAmt;
-    doc.netAmtAfterTax = netAmtAfterTax;
-    doc.netAR = netAR;
-    doc.netPaymentDue = netPaymentDue;
-    //doc.paidAmt = paidAmt;
-
-    // Update settlement status based on current advance and totalPaid
-    doc.updateSettlementStatus();
+    doc.computeAmounts();
 
     // if (
     //   doc.status === "Invoiced" &&
@@ -851,11 +1002,44 @@ purchaseOrderSchema1C1I.pre('save', async function (next) {
 purchaseOrderSchema1C1I.pre(/^find/, function (next) {
   this.populate(
     'vendor',
-    'code name contactNum address currency registrationNum panNum active'
-  ).populate('item', 'code name price type unit');
+    'code name contactNum address currency registrationNum gstState panNum active'
+  ).populate('item', 'code name price type unit hsnCode sacCode');
   next();
 });
 
+// Default the exchange rate from the rate table
+purchaseOrderSchema1C1I.pre('validate', async function () {
+  if (this.exchangeRate > 0) return;
+  // older orders without a rate get theirs when they post
+  if (!this.isNew && !this.isModified('currency')) return;
+  this.exchangeRate = await ExchangeRateService.rateFor(
+    this.currency,
+    this.invoiceDate || this.createdAt || new Date(),
+    { company: this.company }
+  );
+});
+
+// GST rate from the order's HSN / SAC code and the supply type from the
+// vendor's and the company's states; frozen once the order leaves Draft
+purchaseOrderSchema1C1I.pre('validate', async function () {
+  if (!this.isNew) {
+    if (this.status !== 'Draft') return;
+    if (!GST_INPUTS.some((f) => this.isModified(f))) return;
+    // a new vendor brings its own place of supply
+    if (this.isModified('vendor') && !this.isModified('placeOfSupply')) {
+      this.placeOfSupply = null;
+    }
+  }
+  const where = await GSTService.applyToOrder(
+    'AP',
+    this,
+    [this],
+    this.$session()
+  );
+  this.placeOfSupply = where.placeOfSupply;
+  this.supplyType = where.supplyType;
+});
+
 // Calculate Line Amount Automatically
 purchaseOrderSchema1C1I.pre('validate', function (next) {
   const initialAmt = this.quantity * this.price;
@@ -897,7 +1081,8 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       update.charges ||
       update.tax ||
       update.withholdingTax ||
-      update.advance
+      update.advance ||
+      GST_INPUTS.some((f) => update[f] !== undefined)
     ) {
       // Fetch the existing document to get current values if not provided in the update
       const docToUpdate = await this.model.findOne(this.getQuery());
@@ -906,7 +1091,32 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       const price = update.price || docToUpdate.price || 0;
       const discount = update.discount || docToUpdate.discount || 0;
       const charges = update.charges || docToUpdate.charges || 0;
-      const tax = update.tax || docToUpdate.tax || 0;
+      const pick = (f) =>
+        update[f] !== undefined ? update[f] : docToUpdate[f];
+
+      // GST: a new vendor brings its own place of supply
+      const gstLine = {
+        item: pick('item'),
+        hsnCode: pick('hsnCode'),
+        sacCode: pick('sacCode'),
+        tax: update.tax || docToUpdate.tax || 0,
+      };
+      const where = await GSTService.applyToOrder(
+        'AP',
+        {
+          company: pick('company'),
+          vendor: pick('vendor'),
+          placeOfSupply:
+            update.placeOfSupply !== undefined || !update.vendor
+              ? pick('placeOfSupply')
+              : null,
+          reverseCharge: pick('reverseCharge'),
+          invoiceDate: docToUpdate.invoiceDate,
+          createdAt: docToUpdate.createdAt,
+        },
+        [gstLine]
+      );
+      const tax = gstLine.tax;
       const withholdingTax =
         update.withholdingTax || docToUpdate.withholdingTax || 0;
       const advance = update.advance || docToUpdate.advance || 0;
@@ -916,7 +1126,8 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
         Math.round(((discount * initialAmt) / 100) * 100) / 100;
       const lineAmt =
         Math.round((quantity * price - discountAmt + charges) * 100) / 100;
-      const taxAmount = Math.round(((tax * lineAmt) / 100) * 100) / 100;
+      const gst = Math.round(((tax * lineAmt) / 100) * 100) / 100;
+      const taxAmount = gstLine.reverseCharge ? 0 : gst;
       const withholdingTaxAmt =
         Math.round(((withholdingTax * lineAmt) / 100) * 100) / 100;
       const netAmtAfterTax = Math.round((lineAmt + taxAmount) * 100) / 100;
@@ -934,6 +1145,14 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
 
       update.lineAmt = lineAmt;
       update.discountAmt = discountAmt;
+      update.tax = tax;
+      update.hsnCode = gstLine.hsnCode;
+      update.sacCode = gstLine.sacCode;
+      update.taxability = gstLine.taxability;
+      update.reverseCharge = gstLine.reverseCharge;
+      update.placeOfSupply = where.placeOfSupply;
+      update.supplyType = where.supplyType;
+      Object.assign(update, GSTService.split(gst, where.supplyType));
       update.taxAmount = taxAmount;
       update.withholdingTaxAmt = withholdingTaxAmt;
       update.netAmtAfterTax = netAmtAfterTax;
@@ -955,6 +1174,7 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
     // Handle status reversion to Draft on modifications
     const fieldsBeingUpdated = [
       'orderType',
+      'returnOf',
       'vendor',
       'item',
       'purchaseAddress',
@@ -966,6 +1186,11 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       'charges',
       'tax',
       'withholdingTax',
+      'tdsSection',
+      'hsnCode',
+      'sacCode',
+      'placeOfSupply',
+      'reverseCharge',
       'settlementStatus',
       'archived',
       'createdBy',
@@ -977,6 +1202,13 @@ purchaseOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
     const isModifying = fieldsBeingUpdated.some((field) => field in update);
 
     if (isModifying) {
+      // received goods are booked against the order as it stands
+      const current = await this.model.findOne(this.getQuery());
+      if (current?.receivedQty > 0) {
+        throw new Error(
+          `❌ Purchase order ${current.orderNum} has goods receipts and can no longer be changed.`
+        );
+      }
       // Set status back to Draft
       update.status = 'Draft';
     }
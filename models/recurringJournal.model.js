@@ -0,0 +1,84 @@
+// models/recurringJournal.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+export const RECURRENCE_FREQUENCIES = ['MONTHLY', 'QUARTERLY', 'CRON'];
+export const RECURRING_MODES = ['DRAFT', 'AUTO_POST'];
+export const RECURRING_STATUSES = ['ACTIVE', 'PAUSED', 'ENDED'];
+
+// one generated journal (or failed attempt)
+const runSchema = new Schema(
+  {
+    runDate: { type: Date, required: true }, // journal date of the copy
+    ranAt: { type: Date, default: Date.now },
+    trigger: { type: String, enum: ['SCHEDULE', 'MANUAL'], default: 'SCHEDULE' },
+    status: {
+      type: String,
+      enum: ['GENERATED', 'POSTED', 'POST_FAILED', 'FAILED'],
+      required: true,
+    },
+    journal: { type: Schema.Types.ObjectId, ref: 'GLJournals' },
+    journalNum: { type: String },
+    jobId: { type: String },
+    error: { type: String },
+  },
+  { _id: true }
+);
+
+/**
+ * A recurring journal: a source GL journal copied on a schedule (monthly,
+ * quarterly or a cron expression) until `endDate`, either as a DRAFT or
+ * posted straight away. `runs` is the history of every copy made.
+ */
+const recurringJournalSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true },
+    name: { type: String, trim: true, default: '' },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    sourceJournal: {
+      type: Schema.Types.ObjectId,
+      ref: 'GLJournals',
+      required: true,
+    },
+    schedule: {
+      frequency: {
+        type: String,
+        enum: RECURRENCE_FREQUENCIES,
+        required: true,
+        default: 'MONTHLY',
+      },
+      // MONTHLY / QUARTERLY: day of month, 31 → last day of every month
+      dayOfMonth: { type: Number, min: 1, max: 31, default: 1 },
+      hour: { type: Number, min: 0, max: 23, default: 2 },
+      // CRON: standard 5-field expression, e.g. "0 2 L * *"
+      cron: { type: String, trim: true },
+      timezone: { type: String, default: 'Asia/Kolkata' },
+    },
+    startDate: { type: Date, required: true, default: Date.now },
+    endDate: { type: Date, required: true },
+    mode: { type: String, enum: RECURRING_MODES, default: 'DRAFT' },
+    status: { type: String, enum: RECURRING_STATUSES, default: 'ACTIVE' },
+    nextRunAt: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    runs: { type: [runSchema], default: [] },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+recurringJournalSchema.pre('validate', function (next) {
+  if (this.endDate) this.endDate.setHours(23, 59, 59, 999);
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('❌ endDate must not be before startDate.'));
+  }
+  if (this.schedule?.frequency === 'CRON' && !this.schedule.cron) {
+    return next(new Error('❌ A CRON schedule needs schedule.cron.'));
+  }
+  next();
+});
+
+recurringJournalSchema.index({ company: 1, code: 1 }, { unique: true });
+
+export const RecurringJournalModel =
+  mongoose.models.RecurringGLJournals ||
+  model('RecurringGLJournals', recurringJournalSchema);
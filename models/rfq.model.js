@@ -0,0 +1,154 @@
+// models/rfq.model.js
+import mongoose, { Schema, model } from 'mongoose';
+import { PurchaseOrderCounterModel } from './counter.model.js';
+
+export const RFQ_VENDOR_STATUSES = ['INVITED', 'QUOTED', 'DECLINED'];
+
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+const round2 = (v) => (v == null ? v : Math.round(v * 100) / 100);
+
+export async function generateRFQId() {
+  const counter = await PurchaseOrderCounterModel.findByIdAndUpdate(
+    { _id: 'rfqNumber' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const seqNumber = counter.seq.toString().padStart(6, '0');
+  return `RFQ_${seqNumber}`;
+}
+
+// one invited vendor and, once they reply, their quote
+const rfqVendorSchema = new Schema(
+  {
+    vendor: { type: Schema.Types.ObjectId, ref: 'Vendors', required: true },
+    status: { type: String, enum: RFQ_VENDOR_STATUSES, default: 'INVITED' },
+    sentAt: { type: Date, default: null },
+    emailedTo: { type: String, default: '' },
+    price: {
+      type: Number,
+      default: null,
+      min: [0, '⚠️ Quoted price cannot be negative'],
+      set: round2,
+    },
+    currency: {
+      type: String,
+      enum: {
+        values: CURRENCIES,
+        message:
+          '⚠️ {VALUE} is not a valid currency. Use among these only\'INR\',\'USD\',\'EUR\',\'GBP\'.',
+      },
+      default: 'INR',
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, '⚠️ Discount cannot be negative'],
+      max: [100, '⚠️ Discount cannot exceed 100%'],
+      set: round2,
+    },
+    // freight and the like on the whole quantity, in the quote's currency
+    charges: { type: Number, default: 0, set: round2 },
+    leadTimeDays: {
+      type: Number,
+      default: null,
+      min: [0, '⚠️ Lead time cannot be negative'],
+    },
+    validUntil: { type: Date, default: null },
+    paymentTerms: { type: String, default: null },
+    quotedAt: { type: Date, default: null },
+    remarks: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * A request for quotation: an approved requisition's item and quantity
+ * put to several vendors. Awarding one vendor's quote raises the purchase
+ * order.
+ */
+const rfqSchema = new Schema(
+  {
+    rfqNum: { type: String, unique: true },
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    requisition: {
+      type: Schema.Types.ObjectId,
+      ref: 'PurchaseRequisitions',
+      required: true,
+    },
+    item: { type: Schema.Types.ObjectId, ref: 'Items', required: true },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Quantity must be positive'],
+      set: round2,
+    },
+    requiredBy: { type: Date, default: null },
+    responseDueDate: { type: Date, default: null },
+    site: { type: Schema.Types.ObjectId, ref: 'Sites', default: null },
+    warehouse: {
+      type: Schema.Types.ObjectId,
+      ref: 'Warehouses',
+      default: null,
+    },
+    vendors: {
+      type: [rfqVendorSchema],
+      validate: {
+        validator: (v) =>
+          Array.isArray(v) &&
+          v.length > 0 &&
+          new Set(v.map((r) => String(r.vendor))).size === v.length,
+        message: '⚠️ An RFQ needs at least one vendor, each invited once.',
+      },
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Sent', 'Awarded', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Sent\',\'Awarded\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    awardedVendor: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vendors',
+      default: null,
+    },
+    awardedBy: { type: String, default: null },
+    awardedAt: { type: Date },
+    purchaseOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'PurchaseOrders',
+      default: null,
+    },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'system' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+/** The invitation row of `vendorId`, or null. */
+rfqSchema.methods.vendorRow = function (vendorId) {
+  return this.vendors.find((r) => String(r.vendor) === String(vendorId));
+};
+
+rfqSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.rfqNum) {
+      this.rfqNum = await generateRFQId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+rfqSchema.index({ requisition: 1 });
+rfqSchema.index({ company: 1, status: 1 });
+rfqSchema.index({ 'vendors.vendor': 1 });
+
+export const RFQModel = mongoose.models.RFQs || model('RFQs', rfqSchema);
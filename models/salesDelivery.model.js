@@ -0,0 +1,82 @@
+import mongoose, { Schema, model } from 'mongoose';
+import { generateDeliveryId } from './salesorder.model.js';
+
+const deliveryLineSchema = new Schema(
+  {
+    // lineNum of the sales order line being delivered
+    lineNum: { type: String, required: true },
+    item: { type: Schema.Types.ObjectId, ref: 'Items' },
+    qty: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Delivery quantity must be positive'],
+      set: (v) => Math.round(v * 100) / 100,
+    },
+    // the posted shipment this quantity arrived with (optional)
+    shipment: { type: Schema.Types.ObjectId, ref: 'SalesShipments' },
+  },
+  { _id: false }
+);
+
+const salesDeliverySchema = new Schema(
+  {
+    deliveryId: { type: String, unique: true },
+    extDeliveryId: { type: String, default: 'NA' },
+    salesOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'SalesOrders',
+      required: true,
+    },
+    deliveryDate: { type: Date, default: Date.now },
+    deliveryMode: {
+      type: String,
+      enum: {
+        values: ['Air', 'Road', 'Sea'],
+        message:
+          '⚠️ {VALUE} is not a supported delivery mode Air or Road or Sea.',
+      },
+      default: 'Road',
+    },
+    receivedBy: { type: String, default: '' },
+    lines: {
+      type: [deliveryLineSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: '⚠️ A delivery needs at least one line.',
+      },
+    },
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Posted', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Posted\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    postedAt: { type: Date },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'SystemDelivery' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+salesDeliverySchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.deliveryId) {
+      this.deliveryId = await generateDeliveryId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+salesDeliverySchema.index({ salesOrder: 1, status: 1 });
+
+export const SalesDeliveryModel =
+  mongoose.models.SalesDeliveries ||
+  model('SalesDeliveries', salesDeliverySchema);
@@ -0,0 +1,83 @@
+import mongoose, { Schema, model } from 'mongoose';
+import { generateShipmentId } from './salesorder.model.js';
+
+const shipmentLineSchema = new Schema(
+  {
+    // lineNum of the sales order line being shipped
+    lineNum: { type: String, required: true },
+    item: { type: Schema.Types.ObjectId, ref: 'Items' },
+    qty: {
+      type: Number,
+      required: true,
+      min: [0.01, '⚠️ Shipment quantity must be positive'],
+      set: (v) => Math.round(v * 100) / 100,
+    },
+  },
+  { _id: false }
+);
+
+const salesShipmentSchema = new Schema(
+  {
+    shipmentId: { type: String, unique: true },
+    extShipmentId: { type: String, default: 'NA' },
+    salesOrder: {
+      type: Schema.Types.ObjectId,
+      ref: 'SalesOrders',
+      required: true,
+    },
+    shipmentDate: { type: Date, default: Date.now },
+    shipmentMode: {
+      type: String,
+      enum: {
+        values: ['Air', 'Road', 'Sea'],
+        message:
+          '⚠️ {VALUE} is not a supported shipment mode Air or Road or Sea.',
+      },
+      default: 'Road',
+    },
+    lines: {
+      type: [shipmentLineSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: '⚠️ A shipment needs at least one line.',
+      },
+    },
+    // inventory transactions created when the shipment was posted
+    inventTxns: [
+      { type: Schema.Types.ObjectId, ref: 'InventoryTransactions' },
+    ],
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['Draft', 'Posted', 'Cancelled'],
+        message:
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Posted\',\'Cancelled\'.',
+      },
+      default: 'Draft',
+    },
+    postedAt: { type: Date },
+    remarks: { type: String, default: '' },
+    createdBy: { type: String, default: 'SystemShipment' },
+    updatedBy: { type: String, default: null },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+salesShipmentSchema.pre('save', async function (next) {
+  try {
+    if (this.isNew && !this.shipmentId) {
+      this.shipmentId = await generateShipmentId();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+salesShipmentSchema.index({ salesOrder: 1, status: 1 });
+
+export const SalesShipmentModel =
+  mongoose.models.SalesShipments ||
+  model('SalesShipments', salesShipmentSchema);
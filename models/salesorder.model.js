@@ -1,5 +1,8 @@
 import mongoose, { Schema, model } from 'mongoose';
 import { SalesOrderCounterModel } from './counter.model.js';
+import ExchangeRateService from '../services/exchangeRate.service.js';
+import GSTService from '../services/gst.service.js';
+import { TAXABILITY } from './taxCode.model.js';
 
 // Define allowed status transitions
 export const STATUS_TRANSITIONS1 = {
@@ -66,22 +69,88 @@ export const STATUS_TRANSITIONS1 = {
   ],
 };
 
+// Once a shipment is posted the order can no longer go back to Draft or be
+// cancelled directly; the shipped stock has to be invoiced.
 export const STATUS_TRANSITIONS = {
   Draft: ['Confirmed', 'Cancelled', 'AdminMode', 'AnyMode'],
   Confirmed: [
     'Draft',
     'Confirmed',
+    'PartiallyShipped',
+    'Shipped',
     'Cancelled',
     'Invoiced',
     'AdminMode',
     'AnyMode',
   ],
+  PartiallyShipped: [
+    'PartiallyShipped',
+    'Shipped',
+    'PartiallyDelivered',
+    'Delivered',
+    'Invoiced',
+    'AdminMode',
+    'AnyMode',
+  ],
+  Shipped: [
+    'PartiallyDelivered',
+    'Delivered',
+    'Invoiced',
+    'AdminMode',
+    'AnyMode',
+  ],
+  PartiallyDelivered: [
+    'PartiallyShipped',
+    'Shipped',
+    'PartiallyDelivered',
+    'Delivered',
+    'Invoiced',
+    'AdminMode',
+    'AnyMode',
+  ],
+  Delivered: ['PartiallyInvoiced', 'Invoiced', 'AdminMode', 'AnyMode'],
+  PartiallyInvoiced: ['PartiallyInvoiced', 'Invoiced', 'AdminMode', 'AnyMode'],
   Invoiced: ['Cancelled', 'AdminMode', 'AnyMode'],
   Cancelled: ['AdminMode', 'AnyMode'],
   AdminMode: ['Draft', 'AnyMode'],
-  AnyMode: ['Draft', 'Confirmed', 'Invoiced', 'Cancelled', 'AdminMode'],
+  AnyMode: [
+    'Draft',
+    'Confirmed',
+    'PartiallyShipped',
+    'Shipped',
+    'PartiallyDelivered',
+    'Delivered',
+    'PartiallyInvoiced',
+    'Invoiced',
+    'Cancelled',
+    'AdminMode',
+  ],
 };
 
+/**
+ * Derive the order status from the per-line shipped / delivered / invoiced
+ * quantities. Invoicing wins over delivery, delivery over shipment.
+ * @param {Array} lines sales order lines
+ * @returns {String} one of Confirmed | FULFILMENT_STATUSES | Invoiced
+ */
+export function deriveFulfilmentStatus(lines = []) {
+  const open = lines.filter((l) => l.quantity > 0);
+  if (!open.length) return 'Confirmed';
+
+  const stage = (field, partial, full) => {
+    if (open.every((l) => l[field] >= l.quantity)) return full;
+    if (open.some((l) => l[field] > 0)) return partial;
+    return null;
+  };
+
+  return (
+    stage('invoicedQty', 'PartiallyInvoiced', 'Invoiced') ||
+    stage('deliveredQty', 'PartiallyDelivered', 'Delivered') ||
+    stage('shippedQty', 'PartiallyShipped', 'Shipped') ||
+    'Confirmed'
+  );
+}
+
 // Suppose you have a function getDaysFromPaymentTerm that returns the day offset:
 export function getDaysFromPaymentTerm(paymentTerm) {
   switch (paymentTerm) {
@@ -107,14 +176,83 @@ export function getDaysFromPaymentTerm(paymentTerm) {
   }
 }
 
+// Statuses that are derived from the line quantities posted by shipment,
+// delivery and invoicing documents. They cannot be set by hand.
+export const FULFILMENT_STATUSES = [
+  'PartiallyShipped',
+  'Shipped',
+  'PartiallyDelivered',
+  'Delivered',
+  'PartiallyInvoiced',
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
 const salesLineSchema = new Schema({
   lineNum: { type: String, required: false },
   item: { type: Schema.Types.ObjectId, ref: 'Items' },
+  quantity: { type: Number, default: 0, set: round2 },
+  price: { type: Number, default: 0, set: round2 },
+  // pricing inputs (discount / tax / withholding are percentages)
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, '⚠️ Discount cannot be negative'],
+    max: [100, '⚠️ Discount cannot exceed 100%'],
+    set: round2,
+  },
+  charges: { type: Number, default: 0, set: round2 },
+  tax: {
+    type: Number,
+    default: 0,
+    min: [0, '⚠️ Tax cannot be negative'],
+    max: [100, '⚠️ Tax cannot exceed 100%'],
+    set: round2,
+  },
+  withholdingTax: {
+    type: Number,
+    default: 0,
+    min: [0, '⚠️ Withholding Tax cannot be negative'],
+    max: [100, '⚠️ Withholding Tax cannot exceed 100%'],
+    set: round2,
+  },
+  // GST: the line's HSN / SAC code (else its item's) sets `tax`
+  hsnCode: { type: String, trim: true, default: '' },
+  sacCode: { type: String, trim: true, default: '' },
+  taxability: { type: String, enum: TAXABILITY, default: 'TAXABLE' },
+  reverseCharge: { type: Boolean, default: false },
+  // computed by computeSalesLine()
+  discountAmt: { type: Number, default: 0, set: round2 },
+  lineAmt: { type: Number, default: 0, set: round2 },
+  taxAmount: { type: Number, default: 0, set: round2 },
+  cgst: { type: Number, default: 0, set: round2 },
+  sgst: { type: Number, default: 0, set: round2 },
+  igst: { type: Number, default: 0, set: round2 },
+  withholdingTaxAmt: { type: Number, default: 0, set: round2 },
+  netAmtAfterTax: { type: Number, default: 0, set: round2 },
+  // fulfilment progress, maintained by shipments / deliveries / invoicing
+  shippedQty: { type: Number, default: 0, set: round2 },
+  deliveredQty: { type: Number, default: 0, set: round2 },
+  invoicedQty: { type: Number, default: 0, set: round2 },
+  // quantity credited back by invoiced return orders
+  returnedQty: { type: Number, default: 0, set: round2 },
+  // return orders only: the line of the original order being returned
+  originalLineNum: { type: String },
   // optional storage/product dims for inventory lines:
   dims: {
     site: { type: Schema.Types.ObjectId, ref: 'Sites' },
     warehouse: { type: Schema.Types.ObjectId, ref: 'Warehouses' },
+    zone: { type: Schema.Types.ObjectId, ref: 'Zones' },
+    location: { type: Schema.Types.ObjectId, ref: 'Locations' },
+    aisle: { type: Schema.Types.ObjectId, ref: 'Aisles' },
+    rack: { type: Schema.Types.ObjectId, ref: 'Racks' },
+    shelf: { type: Schema.Types.ObjectId, ref: 'Shelves' },
+    bin: { type: Schema.Types.ObjectId, ref: 'Bins' },
     config: { type: Schema.Types.ObjectId, ref: 'Configurations' },
+    color: { type: Schema.Types.ObjectId, ref: 'Colors' },
+    size: { type: Schema.Types.ObjectId, ref: 'Sizes' },
+    style: { type: Schema.Types.ObjectId, ref: 'Styles' },
+    version: { type: Schema.Types.ObjectId, ref: 'Versions' },
     batch: { type: Schema.Types.ObjectId, ref: 'Batches' },
     serial: { type: Schema.Types.ObjectId, ref: 'Serials' },
   },
@@ -123,6 +261,82 @@ const salesLineSchema = new Schema({
   extras: { type: Map, of: Schema.Types.Mixed, default: {} },
 });
 
+/**
+ * Price one sales line in place:
+ *   lineAmt        = qty × price − discount% + charges
+ *   cgst/sgst/igst = tax% of lineAmt, split by supply type
+ *   taxAmount      = their sum, 0 under reverse charge (the buyer pays it)
+ *   netAmtAfterTax = lineAmt + taxAmount
+ * @param {Object} line sales line (plain object or subdocument)
+ * @param {string} supplyType INTRA | INTER
+ * @returns {Object} the same line
+ */
+export function computeSalesLine(line, supplyType = 'INTRA') {
+  const gross = (line.quantity || 0) * (line.price || 0);
+  line.discountAmt = round2(((line.discount || 0) * gross) / 100);
+  line.lineAmt = round2(gross - line.discountAmt + (line.charges || 0));
+  const gst = round2(((line.tax || 0) * line.lineAmt) / 100);
+  Object.assign(line, GSTService.split(gst, supplyType));
+  line.taxAmount = line.reverseCharge ? 0 : gst;
+  line.withholdingTaxAmt = round2(
+    ((line.withholdingTax || 0) * line.lineAmt) / 100
+  );
+  line.netAmtAfterTax = round2(line.lineAmt + line.taxAmount);
+  return line;
+}
+
+/**
+ * Header totals for a set of priced lines.
+ * @param {Array} lines lines already run through computeSalesLine()
+ */
+export function summariseSalesLines(lines = []) {
+  const sum = (f) => round2(lines.reduce((acc, l) => acc + (l[f] || 0), 0));
+  const totals = {
+    quantity: sum('quantity'),
+    charges: sum('charges'),
+    discountAmt: sum('discountAmt'),
+    lineAmt: sum('lineAmt'),
+    taxAmount: sum('taxAmount'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    withholdingTaxAmt: sum('withholdingTaxAmt'),
+    netAmtAfterTax: sum('netAmtAfterTax'),
+  };
+  totals.netAR = round2(totals.netAmtAfterTax + totals.withholdingTaxAmt);
+  return totals;
+}
+
+// line fields only shipments, deliveries, invoicing and returns move;
+// updates from clients never set them
+const LINE_PROGRESS_FIELDS = [
+  'shippedQty',
+  'deliveredQty',
+  'invoicedQty',
+  'returnedQty',
+];
+
+// header fields that a header-mirrored line 1 is kept in sync with
+const HEADER_LINE_FIELDS = [
+  'item',
+  'quantity',
+  'price',
+  'discount',
+  'charges',
+  'tax',
+  'withholdingTax',
+];
+
+// header fields the GST engine works from
+const GST_INPUTS = [
+  'customer',
+  'company',
+  'placeOfSupply',
+  'reverseCharge',
+  'item',
+  'lines',
+];
+
 // Sales Order Schema
 const salesOrderSchema1C1I = new Schema(
   {
@@ -141,6 +355,20 @@ const salesOrderSchema1C1I = new Schema(
       },
       default: 'Sales',
     },
+    // return orders only: the invoiced sales order being returned
+    returnOf: {
+      salesOrder: {
+        type: Schema.Types.ObjectId,
+        ref: 'SalesOrders',
+        required: [
+          function () {
+            return this.orderType === 'Return';
+          },
+          '⚠️ A return order must reference the original sales order.',
+        ],
+      },
+      invoiceNum: { type: String },
+    },
     invoiceNum: {
       // this is used in case of single so single invoicing with single item
       type: String,
@@ -152,6 +380,25 @@ const salesOrderSchema1C1I = new Schema(
     // ── NEW: once “Invoiced” → link to the voucher we generate
     voucherId: { type: Schema.Types.ObjectId, ref: 'FinancialVouchers' },
     voucherNo: { type: String },
+    // e-invoice registration with the IRP (B2B and export invoices)
+    einvoice: {
+      type: new Schema(
+        {
+          provider: { type: String },
+          irn: { type: String },
+          ackNo: { type: String },
+          ackDate: { type: Date },
+          signedInvoice: { type: String },
+          signedQRCode: { type: String },
+          status: { type: String, enum: ['GENERATED', 'CANCELLED'] },
+          cancelDate: { type: Date },
+          cancelReason: { type: String },
+          cancelRemarks: { type: String },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     // ***** NEW FIELDS ADDED *****
     invoiceDate: {
       type: Date,
@@ -169,10 +416,16 @@ const salesOrderSchema1C1I = new Schema(
       required: true,
     },
     lines: { type: [salesLineSchema], required: false },
+    // single-item orders only; multi-line orders carry the items on lines[]
     item: {
       type: Schema.Types.ObjectId,
       ref: 'Items', // Reference to the Item model
-      required: true,
+      required: [
+        function () {
+          return !this.lines || this.lines.length === 0;
+        },
+        '⚠️ Either a header item or at least one line is required.',
+      ],
     },
     site: { type: Schema.Types.ObjectId, ref: 'Sites', required: false },
     warehouse: {
@@ -291,11 +544,17 @@ const salesOrderSchema1C1I = new Schema(
       },
       default: 'INR',
     },
+    // left empty, the SPOT rate of the order's date is filled in on save
     exchangeRate: {
       type: Number,
-      required: true,
-      default: 1,
+      default: null,
     },
+    // GST state code of the place of supply; empty → the customer's state
+    placeOfSupply: { type: String, default: null },
+    // INTRA: CGST + SGST, INTER: IGST — from the company's state vs this
+    supplyType: { type: String, enum: ['INTRA', 'INTER'], default: 'INTRA' },
+    // the customer pays the GST on the whole invoice
+    reverseCharge: { type: Boolean, default: false },
 
     charges: {
       type: Number,
@@ -352,6 +611,9 @@ const salesOrderSchema1C1I = new Schema(
         return Math.round(v * 100) / 100;
       },
     },
+    cgst: { type: Number, default: 0, set: round2 },
+    sgst: { type: Number, default: 0, set: round2 },
+    igst: { type: Number, default: 0, set: round2 },
     discountAmt: {
       type: Number,
       default: 0.0,
@@ -366,6 +628,10 @@ const salesOrderSchema1C1I = new Schema(
         return Math.round(v * 100) / 100;
       },
     },
+    // TDS section the customer deducts under; empty → the customer's
+    tdsSection: { type: String, trim: true, uppercase: true, default: '' },
+    // TDS the customer deducts, settled through paidAmt as mode 'TDS'
+    tdsAmount: { type: Number, default: 0, set: round2 },
     netAmtAfterTax: {
       type: Number,
       default: 0.0,
@@ -666,6 +932,7 @@ const salesOrderSchema1C1I = new Schema(
               'UPI',
               'Crypto',
               'Barter',
+              'TDS',
             ],
             message: '⚠️ {VALUE} is not a supported payment mode.',
           },
@@ -704,16 +971,38 @@ const salesOrderSchema1C1I = new Schema(
         values: [
           'Draft',
           'Confirmed',
+          'PartiallyShipped',
+          'Shipped',
+          'PartiallyDelivered',
+          'Delivered',
+          'PartiallyInvoiced',
           'Invoiced',
           'Cancelled',
           'AdminMode',
           'AnyMode',
         ],
         message:
-          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Cancelled\',\'Confirmed\',\'Invoiced\',\'AdminMode\',\'AnyMode\'.',
+          '⚠️ {VALUE} is not a valid status . Use among these only\'Draft\',\'Cancelled\',\'Confirmed\',\'PartiallyShipped\',\'Shipped\',\'PartiallyDelivered\',\'Delivered\',\'PartiallyInvoiced\',\'Invoiced\',\'AdminMode\',\'AnyMode\'.',
       },
       default: 'Draft',
     },
+    // set when confirming would breach the customer's credit limit and the
+    // order is routed for an override instead of being blocked
+    creditOverride: {
+      status: {
+        type: String,
+        enum: ['PENDING', 'APPROVED', 'REJECTED'],
+      },
+      // order amount (netAR) the override was requested / approved for
+      amount: { type: Number, set: round2 },
+      exposure: { type: Schema.Types.Mixed },
+      requestedBy: { type: Schema.Types.ObjectId, ref: 'Users' },
+      requestedAt: { type: Date },
+      approver: { type: Schema.Types.ObjectId, ref: 'Users' },
+      actedBy: { type: Schema.Types.ObjectId, ref: 'Users' },
+      actedAt: { type: Date },
+      comment: { type: String },
+    },
     // shipmentStatus: {
     //   type: String,
     //   required: true,
@@ -926,6 +1215,80 @@ salesOrderSchema1C1I.virtual('combinedPaid').get(function () {
 });
 
 // Method: Update settlement status based on (advance + totalPaid) vs. netAR
+/**
+ * Single-item orders still come in through the header; mirror them into
+ * line 1 so shipments and deliveries always have a line to track against.
+ */
+salesOrderSchema1C1I.methods.ensureLines = function () {
+  const mirrored =
+    this.lines?.length === 1 && this.lines[0].extras?.get('fromHeader');
+  if (mirrored && !(this.lines[0].shippedQty > 0)) {
+    for (const f of HEADER_LINE_FIELDS) this.lines[0][f] = this[f];
+    return;
+  }
+  if ((!this.lines || this.lines.length === 0) && this.item) {
+    this.lines = [
+      {
+        lineNum: '1',
+        item: this.item,
+        quantity: this.quantity,
+        price: this.price,
+        discount: this.discount,
+        charges: this.charges,
+        tax: this.tax,
+        withholdingTax: this.withholdingTax,
+        extras: { fromHeader: true },
+        dims: {
+          site: this.site,
+          warehouse: this.warehouse,
+          zone: this.zone,
+          location: this.location,
+          aisle: this.aisle,
+          rack: this.rack,
+          shelf: this.shelf,
+          bin: this.bin,
+          config: this.config,
+          color: this.color,
+          size: this.size,
+          style: this.style,
+          version: this.version,
+          batch: this.batch,
+          serial: this.serial,
+        },
+      },
+    ];
+  }
+};
+
+/**
+ * Price every line and roll the amounts up into the header totals.
+ */
+salesOrderSchema1C1I.methods.recalcTotals = function () {
+  this.lines.forEach((l, idx) => {
+    if (!l.lineNum) l.lineNum = String(idx + 1);
+    computeSalesLine(l, this.supplyType);
+  });
+  if (!this.item && this.lines.length) this.item = this.lines[0].item;
+
+  const totals = summariseSalesLines(this.lines);
+  Object.assign(this, totals);
+  if (this.lines.length === 1) this.price = this.lines[0].price;
+  this.netPaymentDue = round2(this.netAR - this.totalPaid - this.advance);
+  return totals;
+};
+
+/**
+ * Move the order to the status implied by its line quantities.
+ * Only applies while the order is in the fulfilment part of its life cycle.
+ */
+salesOrderSchema1C1I.methods.syncFulfilmentStatus = function () {
+  if (!['Confirmed', ...FULFILMENT_STATUSES].includes(this.status)) {
+    return this.status;
+  }
+  this.status = deriveFulfilmentStatus(this.lines);
+  return this.status;
+};
+
 salesOrderSchema1C1I.methods.updateSettlementStatus = function () {
   const totalPaid = this.totalPaid;
   const combined = this.advance + totalPaid;
@@ -1031,43 +1394,9 @@ salesOrderSchema1C1I.pre('save', async function (next) {
       }
     }
 
-    // Calculate Computed Fields
-    const initialAmt = doc.quantity * doc.price;
-    const discountAmt =
-      Math.round(((doc.discount * initialAmt) / 100) * 100) / 100;
-    const taxAmount =
-      Math.round(
-        ((doc.tax * (doc.quantity * doc.price - discountAmt + doc.charges)) /
-          100) *
-          100
-      ) / 100;
-    const withholdingTaxAmt =
-      Math.round(
-        ((doc.withholdingTax *
-          (doc.quantity * doc.price - discountAmt + doc.charges)) /
-          100) *
-          100
-      ) / 100;
-    const netAmtAfterTax =
-      Math.round(
-        (doc.quantity * doc.price - discountAmt + doc.charges + taxAmount) * 100
-      ) / 100;
-    const netAR = Math.round((netAmtAfterTax + withholdingTaxAmt) * 100) / 100;
-    // Compute total paid using the virtual (or inline reduction)
-    // const totalPaid =
-    //   doc.paidAmt && doc.paidAmt.length
-    //     ? doc.paidAmt.reduce((sum, val) => sum + val, 0)
-    //     : 0;
-    const totalPaid = doc.totalPaid; // using the virtual field
-    const netPaymentDue =
-      Math.round((netAR - totalPaid - this.advance) * 100) / 100;
-
-    doc.discountAmt = discountAmt;
-    doc.taxAmount = taxAmount;
-    doc.withholdingTaxAmt = withholdingTaxAmt;
-    doc.netAmtAfterTax = netAmtAfterTax;
-    doc.netAR = netAR;
-    doc.netPaymentDue = netPaymentDue;
+    // Calculate Computed Fields (line by line, rolled up to the header)
+    doc.ensureLines();
+    doc.recalcTotals();
     //doc.paidAmt = paidAmt;
 
     // Update settlement status based on current advance and totalPaid
@@ -1175,16 +1504,53 @@ salesOrderSchema1C1I.pre('save', async function (next) {
 salesOrderSchema1C1I.pre(/^find/, function (next) {
   this.populate(
     'customer',
-    'code name contactNum address currency registrationNum panNum active'
-  ).populate('item', 'code name price type unit');
+    'code name contactNum address currency registrationNum gstState panNum active'
+  ).populate('item', 'code name price type unit hsnCode sacCode');
   next();
 });
 
+// Default the exchange rate from the rate table
+salesOrderSchema1C1I.pre('validate', async function () {
+  if (this.exchangeRate > 0) return;
+  // older orders without a rate get theirs when they post
+  if (!this.isNew && !this.isModified('currency')) return;
+  this.exchangeRate = await ExchangeRateService.rateFor(
+    this.currency,
+    this.invoiceDate || this.createdAt || new Date(),
+    { company: this.company }
+  );
+});
+
+// GST rates from the lines' HSN / SAC codes and the supply type from the
+// company's and the customer's states; frozen once the order is confirmed
+salesOrderSchema1C1I.pre('validate', async function () {
+  if (!this.isNew) {
+    if (!['Draft', 'Rejected', 'Approved'].includes(this.status)) return;
+    if (!GST_INPUTS.some((f) => this.isModified(f))) return;
+    // a new customer brings its own place of supply
+    if (this.isModified('customer') && !this.isModified('placeOfSupply')) {
+      this.placeOfSupply = null;
+    }
+  }
+  this.ensureLines();
+  const where = await GSTService.applyToOrder(
+    'AR',
+    this,
+    this.lines,
+    this.$session()
+  );
+  this.placeOfSupply = where.placeOfSupply;
+  this.supplyType = where.supplyType;
+  // keep a header-mirrored line 1 from reverting to the header's rate
+  if (this.lines.length === 1 && this.lines[0].extras?.get('fromHeader')) {
+    this.tax = this.lines[0].tax;
+  }
+});
+
 // Calculate Line Amount Automatically
 salesOrderSchema1C1I.pre('validate', function (next) {
-  const initialAmt = this.quantity * this.price;
-  const discountAmt = Math.round(this.discount * initialAmt) / 100;
-  this.lineAmt = this.quantity * this.price - discountAmt + this.charges;
+  this.ensureLines();
+  this.recalcTotals();
   next();
 });
 
@@ -1195,6 +1561,17 @@ salesOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
   //const newStatus = update.status || (update.$set && update.$set.status);
 
   try {
+    // fulfilment progress cannot be written through an update
+    const progress = new RegExp(
+      `^lines\\.[^.]+\\.(${LINE_PROGRESS_FIELDS.join('|')})$`
+    );
+    for (const target of [update, update.$set, update.$inc]) {
+      if (!target) continue;
+      for (const k of Object.keys(target)) {
+        if (progress.test(k)) delete target[k];
+      }
+    }
+
     // Validate existence of the customer
     if (update.customer) {
       const customerExists = await mongoose
@@ -1215,57 +1592,91 @@ salesOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       }
     }
 
+    // Validate existence of the line items
+    if (Array.isArray(update.lines)) {
+      const lineItems = [
+        ...new Set(update.lines.map((l) => String(l.item)).filter(Boolean)),
+      ];
+      const found = await mongoose
+        .model('Items')
+        .countDocuments({ _id: { $in: lineItems } });
+      if (found !== lineItems.length) {
+        throw new Error('❌ One or more line items do not exist.');
+      }
+    }
+
     // Recalculate computed fields if relevant fields are being updated
     if (
-      update.quantity ||
-      update.price ||
-      update.discount ||
-      update.charges ||
-      update.tax ||
-      update.withholdingTax ||
-      update.advance
+      Array.isArray(update.lines) ||
+      HEADER_LINE_FIELDS.some((f) => update[f] !== undefined) ||
+      GST_INPUTS.some((f) => update[f] !== undefined) ||
+      update.advance !== undefined
     ) {
       // Fetch the existing document to get current values if not provided in the update
       const docToUpdate = await this.model.findOne(this.getQuery());
+      const pick = (f) =>
+        update[f] !== undefined ? update[f] : docToUpdate[f];
+
+      let lines;
+      const mirrored =
+        !Array.isArray(update.lines) &&
+        docToUpdate.lines.length === 1 &&
+        docToUpdate.lines[0].extras?.get('fromHeader');
+      if (Array.isArray(update.lines)) {
+        // keep each line's fulfilment progress as it is on the order
+        lines = update.lines.map((l) => {
+          const line = l.toObject ? l.toObject() : { ...l };
+          const prev = docToUpdate.lines.find(
+            (p) => l.lineNum && String(p.lineNum) === String(l.lineNum)
+          );
+          for (const f of LINE_PROGRESS_FIELDS) line[f] = prev?.[f] || 0;
+          return line;
+        });
+      } else if (mirrored) {
+        // header-driven single item order: re-mirror the header into line 1
+        const line = docToUpdate.lines[0].toObject();
+        for (const f of HEADER_LINE_FIELDS) line[f] = pick(f);
+        lines = [line];
+      } else {
+        lines = docToUpdate.lines.map((l) => l.toObject());
+      }
+
+      // GST: a new customer brings its own place of supply
+      const where = await GSTService.applyToOrder(
+        'AR',
+        {
+          company: pick('company'),
+          customer: pick('customer'),
+          placeOfSupply:
+            update.placeOfSupply !== undefined || !update.customer
+              ? pick('placeOfSupply')
+              : null,
+          reverseCharge: pick('reverseCharge'),
+          invoiceDate: docToUpdate.invoiceDate,
+          createdAt: docToUpdate.createdAt,
+        },
+        lines
+      );
+      update.placeOfSupply = where.placeOfSupply;
+      update.supplyType = where.supplyType;
+      if (mirrored) update.tax = lines[0].tax;
+
+      lines.forEach((l, idx) => {
+        if (!l.lineNum) l.lineNum = String(idx + 1);
+        computeSalesLine(l, where.supplyType);
+      });
 
-      const quantity = update.quantity || docToUpdate.quantity || 1;
-      const price = update.price || docToUpdate.price || 0;
-      const discount = update.discount || docToUpdate.discount || 0;
-      const charges = update.charges || docToUpdate.charges || 0;
-      const tax = update.tax || docToUpdate.tax || 0;
-      const withholdingTax =
-        update.withholdingTax || docToUpdate.withholdingTax || 0;
-      const advance = update.advance || docToUpdate.advance || 0;
-
-      const initialAmt = quantity * price;
-      const discountAmt =
-        Math.round(((discount * initialAmt) / 100) * 100) / 100;
-      const lineAmt =
-        Math.round((quantity * price - discountAmt + charges) * 100) / 100;
-      const taxAmount = Math.round(((tax * lineAmt) / 100) * 100) / 100;
-      const withholdingTaxAmt =
-        Math.round(((withholdingTax * lineAmt) / 100) * 100) / 100;
-      const netAmtAfterTax = Math.round((lineAmt + taxAmount) * 100) / 100;
-      const netAR =
-        Math.round(
-          (netAmtAfterTax + (withholdingTax * initialAmt) / 100) * 100
-        ) / 100;
+      const totals = summariseSalesLines(lines);
       // Use the existing paidAmt array from the document
       const totalPaid =
         docToUpdate.paidAmt && docToUpdate.paidAmt.length
           ? docToUpdate.paidAmt.reduce((sum, val) => sum + val.amount, 0)
           : 0;
-      const netPaymentDue =
-        Math.round((netAR - totalPaid - advance) * 100) / 100;
-
-      update.lineAmt = lineAmt;
-      update.discountAmt = discountAmt;
-      update.taxAmount = taxAmount;
-      update.withholdingTaxAmt = withholdingTaxAmt;
-      update.netAmtAfterTax = netAmtAfterTax;
-      update.netAR = netAR;
-      update.netPaymentDue = netPaymentDue;
-      //update.paidAmt = paidAmt;
+      const advance = pick('advance') || 0;
+
+      if (lines.length) update.lines = lines;
+      Object.assign(update, totals);
+      update.netPaymentDue = round2(totals.netAR - totalPaid - advance);
     }
 
     // // If the update sets status to "Invoiced", generate a new invoice number.
@@ -1283,6 +1694,8 @@ salesOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       'orderType',
       'customer',
       'item',
+      'lines',
+      'returnOf',
       'salesAddress',
       'advance',
       'quantity',
@@ -1292,6 +1705,9 @@ salesOrderSchema1C1I.pre('findOneAndUpdate', async function (next) {
       'charges',
       'tax',
       'withholdingTax',
+      'tdsSection',
+      'placeOfSupply',
+      'reverseCharge',
       'settlementStatus',
       'archived',
       'createdBy',
@@ -0,0 +1,141 @@
+// models/taxCode.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+// GST state codes: the first two digits of a GSTIN
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '96': 'Other Country', // exports and imports
+  '97': 'Other Territory',
+};
+
+// HSN classifies goods, SAC services
+export const TAX_CODE_TYPES = ['HSN', 'SAC'];
+
+// TAXABLE: GST at the rate; EXEMPT / NIL_RATED / NON_GST: no GST charged
+export const TAXABILITY = ['TAXABLE', 'EXEMPT', 'NIL_RATED', 'NON_GST'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// one rate of a code, applying from `effectiveFrom` until the next one
+const taxRateSchema = new Schema(
+  {
+    // the calendar day, stored as UTC midnight
+    effectiveFrom: {
+      type: Date,
+      required: true,
+      set: (v) => {
+        const d = new Date(v);
+        return isNaN(d)
+          ? v
+          : new Date(
+            Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+          );
+      },
+    },
+    gstPercent: {
+      type: Number,
+      required: true,
+      min: [0, '⚠️ GST rate cannot be negative'],
+      max: [100, '⚠️ GST rate cannot exceed 100%'],
+      set: round2,
+    },
+    taxability: { type: String, enum: TAXABILITY, default: 'TAXABLE' },
+    // notified supplies on which the recipient pays the GST
+    reverseCharge: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+/**
+ * An HSN or SAC code and its GST rates over time. Codes without a company
+ * apply to every company that has none of its own.
+ */
+const taxCodeSchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    codeType: { type: String, enum: TAX_CODE_TYPES, required: true },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: (v) => /^\d{4,8}$/.test(v),
+        message: '⚠️ An HSN / SAC code is 4 to 8 digits.',
+      },
+    },
+    description: { type: String, trim: true, default: '' },
+    rates: {
+      type: [taxRateSchema],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: '⚠️ A tax code needs at least one rate.',
+      },
+    },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+taxCodeSchema.pre('validate', function (next) {
+  this.rates.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  for (let i = 0; i < this.rates.length; i++) {
+    const r = this.rates[i];
+    if (i && +r.effectiveFrom === +this.rates[i - 1].effectiveFrom) {
+      return next(
+        new Error(
+          `❌ ${this.code} has two rates effective from ${r.effectiveFrom
+            .toISOString()
+            .slice(0, 10)}.`
+        )
+      );
+    }
+    if (r.taxability !== 'TAXABLE' && r.gstPercent) {
+      return next(
+        new Error(`❌ A ${r.taxability} rate of ${this.code} must be 0%.`)
+      );
+    }
+  }
+  next();
+});
+
+taxCodeSchema.index({ company: 1, codeType: 1, code: 1 }, { unique: true });
+
+export const TaxCodeModel =
+  mongoose.models.TaxCodes || model('TaxCodes', taxCodeSchema);
@@ -0,0 +1,122 @@
+// models/tds.model.js
+import mongoose, { Schema, model } from 'mongoose';
+
+// AP: the company deducts from a vendor and owes the tax (TDS payable);
+// AR: a customer deducts from the company, claimed back (TDS receivable)
+export const TDS_SIDES = ['AP', 'AR'];
+
+export const TDS_SOURCE_TYPES = [
+  'PURCHASE_INVOICE',
+  'AP_PAYMENT',
+  'SALES_INVOICE',
+];
+
+export const TDS_QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const percent = {
+  type: Number,
+  min: [0, '⚠️ A TDS rate cannot be negative'],
+  max: [100, '⚠️ A TDS rate cannot exceed 100%'],
+  set: (v) => (v === null || v === undefined ? v : round2(v)),
+};
+
+/**
+ * A TDS section (194C, 194J, ...) and how much it deducts: `rate`, or
+ * `rateIndividual` for individuals and HUFs, or `rateNoPAN` when the
+ * deductee has no valid PAN. Nothing is deducted while a payment stays
+ * within `singleThreshold` and the deductee's total in the financial year
+ * within `annualThreshold` (0 = no threshold). `deductOnExcess` deducts
+ * only on the part of the year's total above `annualThreshold` (194Q).
+ * Sections without a company apply to every company that has none of its
+ * own.
+ */
+const tdsSectionSchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: { type: String, trim: true, default: '' },
+    rate: { ...percent, required: true },
+    rateIndividual: { ...percent, default: null },
+    rateNoPAN: { ...percent, default: 20 },
+    singleThreshold: { type: Number, min: 0, default: 0, set: round2 },
+    annualThreshold: { type: Number, min: 0, default: 0, set: round2 },
+    deductOnExcess: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: 'system' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+tdsSectionSchema.index({ company: 1, code: 1 }, { unique: true });
+
+export const TDSSectionModel =
+  mongoose.models.TDSSections || model('TDSSections', tdsSectionSchema);
+
+// the challan a deduction was paid to the government with
+const challanSchema = new Schema(
+  {
+    bsrCode: { type: String, trim: true, required: true },
+    challanNum: { type: String, trim: true, required: true },
+    depositDate: { type: Date, required: true },
+    reference: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+/**
+ * One deduction under a section, in INR. Amounts within the thresholds are
+ * recorded too (with no tax) so the deductee's yearly total is known.
+ */
+const tdsEntrySchema = new Schema(
+  {
+    company: { type: Schema.Types.ObjectId, ref: 'Companies', default: null },
+    side: { type: String, enum: TDS_SIDES, required: true },
+    section: { type: String, required: true, uppercase: true },
+    vendor: { type: Schema.Types.ObjectId, ref: 'Vendors' },
+    customer: { type: Schema.Types.ObjectId, ref: 'Customers' },
+    partyName: { type: String, default: '' },
+    pan: { type: String, uppercase: true, default: '' },
+    // fourth letter of the PAN: P individual, H HUF, C company, F firm, ...
+    deducteeType: { type: String, default: '' },
+    txnDate: { type: Date, required: true },
+    financialYear: { type: String, required: true }, // e.g. "2025-26"
+    quarter: { type: String, enum: TDS_QUARTERS, required: true },
+    sourceType: { type: String, enum: TDS_SOURCE_TYPES, required: true },
+    sourceId: { type: Schema.Types.ObjectId, required: true },
+    // the purchase / sales order the amount was credited or paid against
+    invoice: { type: Schema.Types.ObjectId },
+    sourceRef: { type: String, default: '' },
+    // the document's currency and rate, to convert the tax back
+    currency: { type: String, default: 'INR' },
+    exchangeRate: { type: Number, default: 1 },
+    // amount paid or credited
+    baseAmount: { type: Number, required: true, set: round2 },
+    // the part of it beyond the thresholds
+    taxableAmount: { type: Number, default: 0, set: round2 },
+    rate: { type: Number, default: 0 },
+    tdsAmount: { type: Number, default: 0, set: round2 },
+    status: {
+      type: String,
+      enum: ['DEDUCTED', 'DEPOSITED'],
+      default: 'DEDUCTED',
+    },
+    challan: { type: challanSchema, default: null },
+    remarks: { type: String, default: '' },
+    extras: { type: Map, of: Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true }
+);
+
+tdsEntrySchema.index({ company: 1, side: 1, section: 1, financialYear: 1 });
+tdsEntrySchema.index({ sourceType: 1, sourceId: 1 });
+
+export const TDSEntryModel =
+  mongoose.models.TDSEntries || model('TDSEntries', tdsEntrySchema);
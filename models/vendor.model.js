@@ -1,5 +1,6 @@
 import mongoose, { model, Schema } from 'mongoose';
 import { VendorCounterModel } from './counter.model.js';
+import { GST_STATE_CODES } from './taxCode.model.js';
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
@@ -170,6 +171,17 @@ const vendorSchema = new Schema(
       required: false,
       default: '',
     },
+    // GST state code; empty → taken from the first two digits of the GSTIN
+    gstState: {
+      type: String,
+      default: '',
+      validate: {
+        validator: (v) => !v || Boolean(GST_STATE_CODES[v]),
+        message: '⚠️ {VALUE} is not a GST state code.',
+      },
+    },
+    // TDS section (e.g. 194C) we deduct under on its invoices and payments
+    tdsSection: { type: String, trim: true, uppercase: true, default: '' },
     remarks: {
       type: String,
       required: false,
@@ -35,6 +35,7 @@ const voucherLineSchema = new Schema({
       enum: [
         'INVENTORY',
         'AR',
+        'AP',
         'TAX',
         'WHT',
         'CHARGES',
@@ -52,6 +53,12 @@ const voucherLineSchema = new Schema({
   extras: { type: Map, of: Schema.Types.Mixed, default: {} },
 });
 
+// receipts and journals are not tied to a single invoice
+function isInvoiceVoucher() {
+  const doc = this.ownerDocument ? this.ownerDocument() : this;
+  return ['SALES_INVOICE', 'SALES_CREDIT_NOTE'].includes(doc.sourceType);
+}
+
 const voucherSchema = new Schema(
   {
     voucherNo: { type: String, required: true, unique: true },
@@ -98,9 +105,27 @@ const voucherSchema = new Schema(
       default: 'NONE',
     },
     voucherDate: { type: Date, required: true, default: Date.now },
+    // posting company; lets year-end close and reports split the ledger
+    company: { type: Schema.Types.ObjectId, ref: 'Companies' },
     sourceType: {
       type: String,
-      enum: ['SALES_ORDER', 'SALES_INVOICE', 'PURCHASE_ORDER', 'JOURNAL'],
+      enum: [
+        'SALES_ORDER',
+        'SALES_INVOICE',
+        'SALES_CREDIT_NOTE',
+        'AR_RECEIPT',
+        'PURCHASE_ORDER',
+        'PURCHASE_INVOICE',
+        'PURCHASE_CREDIT_NOTE',
+        // vendor returns; PURCHASE_CREDIT_NOTE is kept for older vouchers
+        'PURCHASE_DEBIT_NOTE',
+        'GOODS_RECEIPT',
+        'LANDED_COST',
+        'INVENT_JOURNAL',
+        'INVENTORY_CLOSE',
+        'JOURNAL',
+        'PERIOD_CLOSE',
+      ],
       required: true,
     },
     sourceId: { type: Schema.Types.ObjectId, required: true },
@@ -109,9 +134,12 @@ const voucherSchema = new Schema(
       invoiceId: {
         type: Schema.Types.ObjectId,
         ref: 'SalesOrders',
-        required: true,
+        required: [isInvoiceVoucher, 'invoiceRef.invoiceId is required'],
+      },
+      invoiceNum: {
+        type: String,
+        required: [isInvoiceVoucher, 'invoiceRef.invoiceNum is required'],
       },
-      invoiceNum: { type: String, required: true },
     },
     lines: { type: [voucherLineSchema], required: true },
   },
@@ -127,6 +155,11 @@ voucherSchema.pre('save', function (next) {
   next();
 });
 
+voucherSchema.index({ company: 1, voucherDate: 1 });
+
+// names of the line dims (site, warehouse, ...) reports and budgets key on
+export const VOUCHER_DIMENSIONS = Object.keys(voucherLineSchema.obj.dims);
+
 export const VoucherModel =
   mongoose.models.FinancialVouchers ||
   model('FinancialVouchers', voucherSchema);
@@ -0,0 +1,37 @@
+// routes/bankStatement.routes.js
+import express from 'express';
+import multer from 'multer';
+import {
+  importBankStatement,
+  getBankStatements,
+  getBankStatementById,
+  getUnmatchedBookEntries,
+  autoMatchBankStatement,
+  matchStatementLine,
+  unmatchStatementLine,
+  ignoreStatementLine,
+  getReconciliationReport,
+  finalizeBankStatement,
+  deleteBankStatement,
+} from '../controllers/bankStatement.controller.js';
+
+const router = express.Router();
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+router.post('/import', statementUpload.single('file'), importBankStatement);
+router.get('/', getBankStatements);
+router.get('/:statementId', getBankStatementById);
+router.get('/:statementId/book-entries', getUnmatchedBookEntries);
+router.get('/:statementId/reconciliation', getReconciliationReport);
+router.post('/:statementId/auto-match', autoMatchBankStatement);
+router.post('/:statementId/lines/:lineId/match', matchStatementLine);
+router.delete('/:statementId/lines/:lineId/match', unmatchStatementLine);
+router.post('/:statementId/lines/:lineId/ignore', ignoreStatementLine);
+router.post('/:statementId/finalize', finalizeBankStatement);
+router.delete('/:statementId', deleteBankStatement);
+
+export default router;
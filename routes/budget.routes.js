@@ -0,0 +1,27 @@
+// routes/budget.routes.js
+import express from 'express';
+import multer from 'multer';
+import {
+  createBudget,
+  getBudgets,
+  getBudgetById,
+  updateBudget,
+  deleteBudget,
+  importBudgetLines,
+} from '../controllers/budget.controller.js';
+
+const router = express.Router();
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+router.post('/', createBudget);
+router.get('/', getBudgets);
+router.get('/:budgetId', getBudgetById);
+router.patch('/:budgetId', updateBudget);
+router.delete('/:budgetId', deleteBudget);
+router.post('/:budgetId/import', importUpload.single('file'), importBudgetLines);
+
+export default router;
@@ -3,6 +3,9 @@
 import express from 'express';
 import {
   postARReceipt,
+  allocateARReceipt,
+  reverseARReceipt,
+  getARReceipts,
   postAPPayment,
   postBankTransfer,
 } from '../controllers/cashJournal.controller.js';
@@ -12,6 +15,11 @@ const router = express.Router();
 // 1. AR Receipt: POST /api/v1/cash‐journals/ar‐receipt
 router.post('/ar‐receipt', postARReceipt);
 
+// 1a. Receipts: list, allocate on-account remainder, reverse
+router.get('/ar-receipts', getARReceipts);
+router.post('/ar-receipts/:receiptId/allocate', allocateARReceipt);
+router.post('/ar-receipts/:receiptId/reverse', reverseARReceipt);
+
 // 2. AP Payment: POST /api/v1/cash‐journals/ap‐payment
 router.post('/ap‐payment', postAPPayment);
 
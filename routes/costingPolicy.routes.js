@@ -0,0 +1,19 @@
+// routes/costingPolicy.routes.js
+import express from 'express';
+import {
+  createCostingPolicy,
+  getCostingPolicies,
+  getItemCostingMethod,
+  updateCostingPolicy,
+  deleteCostingPolicy,
+} from '../controllers/costingPolicy.controller.js';
+
+const router = express.Router();
+
+router.post('/', createCostingPolicy);
+router.get('/', getCostingPolicies);
+router.get('/items/:itemId', getItemCostingMethod);
+router.patch('/:policyId', updateCostingPolicy);
+router.delete('/:policyId', deleteCostingPolicy);
+
+export default router;
@@ -0,0 +1,27 @@
+// routes/exchangeRate.routes.js
+import express from 'express';
+import multer from 'multer';
+import {
+  createExchangeRate,
+  getExchangeRates,
+  lookupExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  importExchangeRates,
+} from '../controllers/exchangeRate.controller.js';
+
+const router = express.Router();
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+router.post('/', createExchangeRate);
+router.get('/', getExchangeRates);
+router.get('/lookup', lookupExchangeRate);
+router.post('/import', importUpload.single('file'), importExchangeRates);
+router.patch('/:rateId', updateExchangeRate);
+router.delete('/:rateId', deleteExchangeRate);
+
+export default router;
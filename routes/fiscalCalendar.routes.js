@@ -0,0 +1,21 @@
+// routes/fiscalCalendar.routes.js
+import express from 'express';
+import {
+  createFiscalYear,
+  getFiscalYears,
+  getFiscalYearById,
+  getPeriodForDate,
+  changePeriodStatus,
+  runYearEndClose,
+} from '../controllers/fiscalCalendar.controller.js';
+
+const router = express.Router();
+
+router.post('/', createFiscalYear);
+router.get('/', getFiscalYears);
+router.get('/period', getPeriodForDate);
+router.get('/:yearId', getFiscalYearById);
+router.patch('/:yearId/periods/:periodNum/status', changePeriodStatus);
+router.post('/:yearId/year-end-close', runYearEndClose);
+
+export default router;
@@ -0,0 +1,17 @@
+// routes/fxRevaluation.routes.js
+import express from 'express';
+import {
+  previewFXRevaluation,
+  runFXRevaluation,
+  getFXRevaluations,
+  getFXRevaluationById,
+} from '../controllers/fxRevaluation.controller.js';
+
+const router = express.Router();
+
+router.get('/preview', previewFXRevaluation);
+router.post('/', runFXRevaluation);
+router.get('/', getFXRevaluations);
+router.get('/:runId', getFXRevaluationById);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/glApprovalRule.routes.js
+import express from 'express';
+import {
+  createApprovalRule,
+  getApprovalRules,
+  matchApprovalRule,
+  updateApprovalRule,
+  deleteApprovalRule,
+  runApprovalEscalations,
+} from '../controllers/glApprovalRule.controller.js';
+
+const router = express.Router();
+
+router.post('/', createApprovalRule);
+router.get('/', getApprovalRules);
+router.get('/match/:journalId', matchApprovalRule);
+router.post('/escalations/run', runApprovalEscalations);
+router.patch('/:ruleId', updateApprovalRule);
+router.delete('/:ruleId', deleteApprovalRule);
+
+export default router;
@@ -6,15 +6,16 @@ import * as WF from '../controllers/glWorkflow.controller.js';
 import {
   createGLJournal,
   // getAccountLedger,
-  // getBalanceSheet,
+  getBalanceSheet,
   // getGLJournalHistory,
   // getGLJournals,
   // getGLJournalsProjection,
-  // getIncomeStatement,
-  // getTrialBalance,
+  getIncomeStatement,
+  getTrialBalance,
   // listGLJournalWorkflows,
   postGLJournal,
   postGLJournalFinancial,
+  runDueReversals,
 } from '../controllers/glJournal.controller.js';
 
 const glJournalRouter = express.Router();
@@ -25,8 +26,36 @@ const glJournalRouter = express.Router();
  * @access  Private (attach auth middleware if available)
  */
 glJournalRouter.post('/', createGLJournal);
+/**
+ * @route   POST /fms/api/v0/gl-journals/reversals/run-due
+ * @desc    Post accrual reversals dated on or before `asOf` (default now)
+ */
+glJournalRouter.post('/reversals/run-due', runDueReversals);
 glJournalRouter.post('/:id/post', postGLJournal);
 glJournalRouter.post('/:id/post-financial', postGLJournalFinancial);
+/**
+ * @route   GET /fms/api/v0/gl-journals/trial-balance
+ * @desc    Opening, period debits / credits and closing balance per account
+ *
+ * Query parameters:
+ *   - from=YYYY-MM-DD, to=YYYY-MM-DD
+ *   - company=<id>
+ *   - level=1 (roll up to that depth of the account hierarchy)
+ *   - site=<id>, warehouse=<id>, ... (voucher line dimensions)
+ *   - includeZero=true
+ */
+glJournalRouter.get('/trial-balance', getTrialBalance);
+/**
+ * @route   GET /fms/api/v0/gl-journals/income-statement
+ * @route   GET /fms/api/v0/gl-journals/balance-sheet
+ * @desc    Statements with comparison columns and variances
+ *
+ * Query parameters (plus those of the trial balance):
+ *   - compare=PRIOR_PERIOD,PRIOR_YEAR,BUDGET
+ *   - budget=<Budgets id>
+ */
+glJournalRouter.get('/income-statement', getIncomeStatement);
+glJournalRouter.get('/balance-sheet', getBalanceSheet);
 /**
  * @route   GET /api/v1/gl-journals
  * @desc    List / filter GL Journals (paginated)
@@ -46,9 +75,6 @@ glJournalRouter.get("/projection", getGLJournalsProjection);
 // List every journal’s workflow definition
 glJournalRouter.get("/workflows", listGLJournalWorkflows);
 // Financial reports
-glJournalRouter.get("/trial-balance", getTrialBalance);
-glJournalRouter.get("/income-statement", getIncomeStatement);
-glJournalRouter.get("/balance-sheet", getBalanceSheet);
 glJournalRouter.get("/account-ledger", getAccountLedger);
 
 glJournalRouter.post("/:id/post", postGLJournal);
@@ -56,11 +82,13 @@ glJournalRouter.post("/:id/post", postGLJournal);
 // Get audit history for a single journal
 glJournalRouter.get("/:id/history", getGLJournalHistory);
 glJournalRouter.patch("/:id/status", changeStatus);
+*/
 
 // ───── Workflow ───────────────────────────────────
-glJournalRouter.post("/:id/submit", WF.submitForApproval);
-glJournalRouter.post("/:id/step/:step/act", WF.actOnApproval);
-glJournalRouter.post("/:id/step/:step/delegate", WF.delegateStep);
-glJournalRouter.post("/:id/recall", WF.recallSubmission);
-*/
+// submit without stepUsers to follow the matching /gl-approval-rules rule
+glJournalRouter.post('/:id/submit', WF.submitForApproval);
+glJournalRouter.post('/:id/step/:step/act', WF.actOnApproval);
+glJournalRouter.post('/:id/step/:step/delegate', WF.delegateStep);
+glJournalRouter.post('/:id/recall', WF.recallSubmission);
+
 export default glJournalRouter;
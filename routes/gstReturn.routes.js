@@ -0,0 +1,10 @@
+// routes/gstReturn.routes.js
+import express from 'express';
+import { getGSTR1, getGSTR3B } from '../controllers/gstReturn.controller.js';
+
+const router = express.Router();
+
+router.get('/gstr1', getGSTR1);
+router.get('/gstr3b', getGSTR3B);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/inventoryClose.routes.js
+import express from 'express';
+import {
+  createInventoryClose,
+  getInventoryCloses,
+  getInventoryCloseById,
+  recalculateInventoryClose,
+  postInventoryClose,
+  cancelInventoryClose,
+} from '../controllers/inventoryClose.controller.js';
+
+const router = express.Router();
+
+router.post('/', createInventoryClose);
+router.get('/', getInventoryCloses);
+router.get('/:closeId', getInventoryCloseById);
+router.patch('/:closeId/recalculate', recalculateInventoryClose);
+router.patch('/:closeId/post', postInventoryClose);
+router.patch('/:closeId/cancel', cancelInventoryClose);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/landedCost.routes.js
+import express from 'express';
+import {
+  createLandedCost,
+  getLandedCosts,
+  getLandedCostById,
+  updateLandedCost,
+  postLandedCost,
+  cancelLandedCost,
+} from '../controllers/landedCost.controller.js';
+
+const router = express.Router();
+
+router.post('/', createLandedCost);
+router.get('/', getLandedCosts);
+router.get('/:landedCostId', getLandedCostById);
+router.patch('/:landedCostId', updateLandedCost);
+router.patch('/:landedCostId/post', postLandedCost);
+router.patch('/:landedCostId/cancel', cancelLandedCost);
+
+export default router;
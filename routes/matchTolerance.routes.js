@@ -0,0 +1,17 @@
+// routes/matchTolerance.routes.js
+import express from 'express';
+import {
+  createMatchTolerance,
+  getMatchTolerances,
+  updateMatchTolerance,
+  deleteMatchTolerance,
+} from '../controllers/matchTolerance.controller.js';
+
+const router = express.Router();
+
+router.post('/', createMatchTolerance);
+router.get('/', getMatchTolerances);
+router.patch('/:toleranceId', updateMatchTolerance);
+router.delete('/:toleranceId', deleteMatchTolerance);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/postingProfile.routes.js
+import express from 'express';
+import {
+  createPostingProfile,
+  getPostingProfiles,
+  getPostingTypes,
+  resolvePostingProfile,
+  updatePostingProfile,
+  deletePostingProfile,
+} from '../controllers/postingProfile.controller.js';
+
+const router = express.Router();
+
+router.post('/', createPostingProfile);
+router.get('/', getPostingProfiles);
+router.get('/types', getPostingTypes);
+router.get('/resolve', resolvePostingProfile);
+router.patch('/:profileId', updatePostingProfile);
+router.delete('/:profileId', deletePostingProfile);
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import puppeteer from 'puppeteer';
+import QRCode from 'qrcode';
 
 import { render } from '../print/compileTemplates.js';
 import { SalesOrderModel } from '../models/salesorder.model.js';
@@ -20,10 +20,18 @@ r.get('/:id/print/invoice-classic', async (req, res, next) => {
 
     console.log('printing try', order, company);
 
+    // the IRP's signed QR code, for e-invoices with an active IRN
+    const einvoiceQR =
+      order.einvoice?.status === 'GENERATED'
+        ? await QRCode.toDataURL(order.einvoice.signedQRCode)
+        : null;
+
     // 1) render HTML with Handlebars
-    const html = render('invoice-classic', { order, company });
+    const html = render('invoice-classic', { order, company, einvoiceQR });
 
-    // 2) headless‑chrome → pdf
+    // 2) headless‑chrome → pdf; puppeteer (and Chromium) load on the
+    //    first print, so the app boots without them
+    const { default: puppeteer } = await import('puppeteer');
     const browser = await puppeteer.launch({ args: ['--no-sandbox'] });
     const page = await browser.newPage();
     await page.setContent(html, { waitUntil: 'networkidle0' });
@@ -0,0 +1,23 @@
+// routes/purchaseRequisition.routes.js
+import express from 'express';
+import {
+  createRequisition,
+  getRequisitions,
+  getRequisitionById,
+  updateRequisition,
+  submitRequisition,
+  decideRequisition,
+  cancelRequisition,
+} from '../controllers/purchaseRequisition.controller.js';
+
+const router = express.Router();
+
+router.post('/', createRequisition);
+router.get('/', getRequisitions);
+router.get('/:requisitionId', getRequisitionById);
+router.patch('/:requisitionId', updateRequisition);
+router.patch('/:requisitionId/submit', submitRequisition);
+router.patch('/:requisitionId/decision', decideRequisition);
+router.patch('/:requisitionId/cancel', cancelRequisition);
+
+export default router;
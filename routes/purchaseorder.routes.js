@@ -15,7 +15,15 @@ import {
   changePurchaseOrderStatus,
   addPayment,
   generateInvoiceForOrder,
+  decideInvoiceMatch,
 } from '../controllers/purchaseorder.controller.js';
+import {
+  createReceipt,
+  getReceiptsForOrder,
+  postReceipt,
+  cancelReceipt,
+} from '../controllers/goodsReceipt.controller.js';
+import authorize from '../middleware/rbacAuthorize.js';
 
 const purchaseOrderRouter = expressPO.Router();
 
@@ -40,6 +48,25 @@ purchaseOrderRouter.patch(
   '/:purchaseOrderId/status',
   changePurchaseOrderStatus
 );
+// approve / reject a vendor invoice held outside the match tolerances
+purchaseOrderRouter.patch(
+  '/:purchaseOrderId/invoice-match',
+  authorize('PURCHASE_INVOICE_MATCH_APPROVE'),
+  decideInvoiceMatch
+);
+
+// goods receipts (partial receiving)
+purchaseOrderRouter.get('/:purchaseOrderId/receipts', getReceiptsForOrder);
+purchaseOrderRouter.post('/:purchaseOrderId/receipts', createReceipt);
+purchaseOrderRouter.patch(
+  '/:purchaseOrderId/receipts/:receiptId/post',
+  postReceipt
+);
+purchaseOrderRouter.patch(
+  '/:purchaseOrderId/receipts/:receiptId/cancel',
+  cancelReceipt
+);
+
 // Add a payment to a Purchase Order
 purchaseOrderRouter.post('/:purchaseOrderId/payment', addPayment);
 
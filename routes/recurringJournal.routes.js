@@ -0,0 +1,25 @@
+// routes/recurringJournal.routes.js
+import express from 'express';
+import {
+  createRecurringJournal,
+  getRecurringJournals,
+  getRecurringJournalById,
+  getRecurringJournalRuns,
+  updateRecurringJournal,
+  changeRecurringJournalStatus,
+  runRecurringJournalNow,
+  deleteRecurringJournal,
+} from '../controllers/recurringJournal.controller.js';
+
+const router = express.Router();
+
+router.post('/', createRecurringJournal);
+router.get('/', getRecurringJournals);
+router.get('/:id', getRecurringJournalById);
+router.get('/:id/runs', getRecurringJournalRuns);
+router.patch('/:id', updateRecurringJournal);
+router.patch('/:id/status', changeRecurringJournalStatus);
+router.post('/:id/run', runRecurringJournalNow);
+router.delete('/:id', deleteRecurringJournal);
+
+export default router;
@@ -0,0 +1,27 @@
+// routes/rfq.routes.js
+import express from 'express';
+import {
+  createRFQ,
+  getRFQs,
+  getRFQById,
+  updateRFQ,
+  sendRFQ,
+  recordQuote,
+  compareQuotes,
+  awardRFQ,
+  cancelRFQ,
+} from '../controllers/rfq.controller.js';
+
+const router = express.Router();
+
+router.post('/', createRFQ);
+router.get('/', getRFQs);
+router.get('/:rfqId', getRFQById);
+router.patch('/:rfqId', updateRFQ);
+router.patch('/:rfqId/send', sendRFQ);
+router.post('/:rfqId/quotes', recordQuote);
+router.get('/:rfqId/comparison', compareQuotes);
+router.post('/:rfqId/award', awardRFQ);
+router.patch('/:rfqId/cancel', cancelRFQ);
+
+export default router;
@@ -15,7 +15,23 @@ import {
   changeSalesOrderStatus,
   addPayment,
   generateInvoiceForOrder,
+  getEInvoice,
+  cancelEInvoice,
+  getCreditCheck,
+  requestCreditOverride,
+  actOnCreditOverride,
 } from '../controllers/salesorder.controller.js';
+import {
+  createShipment,
+  getShipmentsForOrder,
+  postShipment,
+  cancelShipment,
+  createDelivery,
+  getDeliveriesForOrder,
+  postDelivery,
+  cancelDelivery,
+} from '../controllers/salesShipment.controller.js';
+import authorize from '../middleware/rbacAuthorize.js';
 
 const salesOrderRouter = expressSO.Router();
 
@@ -31,14 +47,47 @@ salesOrderRouter.patch('/:salesOrderId', patchSalesOrderById);
 salesOrderRouter.patch('/:salesOrderId/archive', archiveSalesOrderById);
 salesOrderRouter.patch('/:salesOrderId/unarchive', unarchiveSalesOrderById);
 salesOrderRouter.patch('/:salesOrderId/status', changeSalesOrderStatus);
+// credit limit exposure and override approval
+salesOrderRouter.get('/:salesOrderId/credit-check', getCreditCheck);
+salesOrderRouter.post('/:salesOrderId/credit-override', requestCreditOverride);
+salesOrderRouter.patch(
+  '/:salesOrderId/credit-override',
+  authorize('CREDIT_OVERRIDE_APPROVE'),
+  actOnCreditOverride
+);
 // Add a payment to a Sales Order
 salesOrderRouter.post('/:salesOrderId/payment', addPayment);
 
+// shipments & deliveries (partial fulfilment)
+salesOrderRouter.get('/:salesOrderId/shipments', getShipmentsForOrder);
+salesOrderRouter.post('/:salesOrderId/shipments', createShipment);
+salesOrderRouter.patch(
+  '/:salesOrderId/shipments/:shipmentId/post',
+  postShipment
+);
+salesOrderRouter.patch(
+  '/:salesOrderId/shipments/:shipmentId/cancel',
+  cancelShipment
+);
+salesOrderRouter.get('/:salesOrderId/deliveries', getDeliveriesForOrder);
+salesOrderRouter.post('/:salesOrderId/deliveries', createDelivery);
+salesOrderRouter.patch(
+  '/:salesOrderId/deliveries/:deliveryId/post',
+  postDelivery
+);
+salesOrderRouter.patch(
+  '/:salesOrderId/deliveries/:deliveryId/cancel',
+  cancelDelivery
+);
+
 // New endpoint to generate an invoice number
 salesOrderRouter.patch(
   '/:salesOrderId/generate-invoice',
   generateInvoiceForOrder
 );
+// e-invoice (IRN) of the invoice
+salesOrderRouter.get('/:salesOrderId/einvoice', getEInvoice);
+salesOrderRouter.post('/:salesOrderId/einvoice/cancel', cancelEInvoice);
 
 // // Upload files for an item
 // itemRouter.post(
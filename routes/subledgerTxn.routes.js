@@ -10,6 +10,7 @@ import {
   createBankTxn,
   listSubledgers,
 } from '../controllers/subledgerTxn.controller.js';
+import { getARAgeing, getAPAgeing } from '../controllers/ageing.controller.js';
 
 const router = express.Router();
 
@@ -21,6 +22,12 @@ router.post('/charges', createChargeTxn);
 router.post('/discount', createDiscountTxn);
 router.post('/bank', createBankTxn);
 
+// ageing by bucket; the party id drills down to its invoices
+router.get('/ar/ageing', getARAgeing);
+router.get('/ar/ageing/:customerId', getARAgeing);
+router.get('/ap/ageing', getAPAgeing);
+router.get('/ap/ageing/:vendorId', getAPAgeing);
+
 router.get('/', listSubledgers);
 
 export default router;
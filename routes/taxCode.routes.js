@@ -0,0 +1,25 @@
+// routes/taxCode.routes.js
+import express from 'express';
+import {
+  createTaxCode,
+  getTaxCodes,
+  lookupTaxCode,
+  getGSTStates,
+  getTaxCodeById,
+  updateTaxCode,
+  addTaxRate,
+  deleteTaxCode,
+} from '../controllers/taxCode.controller.js';
+
+const router = express.Router();
+
+router.post('/', createTaxCode);
+router.get('/', getTaxCodes);
+router.get('/lookup', lookupTaxCode);
+router.get('/states', getGSTStates);
+router.get('/:taxCodeId', getTaxCodeById);
+router.patch('/:taxCodeId', updateTaxCode);
+router.post('/:taxCodeId/rates', addTaxRate);
+router.delete('/:taxCodeId', deleteTaxCode);
+
+export default router;
@@ -0,0 +1,32 @@
+// routes/tds.routes.js
+import express from 'express';
+import {
+  createTDSSection,
+  getTDSSections,
+  getTDSSectionById,
+  updateTDSSection,
+  deleteTDSSection,
+  previewTDS,
+  getTDSEntries,
+  depositTDS,
+  getTDSLedger,
+  getTDSReturn,
+  getTDSCertificates,
+} from '../controllers/tds.controller.js';
+
+const router = express.Router();
+
+router.get('/preview', previewTDS);
+router.get('/entries', getTDSEntries);
+router.post('/deposits', depositTDS);
+router.get('/ledger', getTDSLedger);
+router.get('/returns', getTDSReturn);
+router.get('/certificates', getTDSCertificates);
+
+router.post('/sections', createTDSSection);
+router.get('/sections', getTDSSections);
+router.get('/sections/:sectionId', getTDSSectionById);
+router.patch('/sections/:sectionId', updateTDSSection);
+router.delete('/sections/:sectionId', deleteTDSSection);
+
+export default router;
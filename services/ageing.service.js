@@ -0,0 +1,262 @@
+// services/ageing.service.js
+
+import XLSX from 'xlsx';
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { CustomerReceiptModel } from '../models/customerReceipt.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const DAY_MS = 86400e3;
+
+export const DEFAULT_AGEING_BUCKETS = [30, 60, 90];
+
+class AgeingService {
+  /**
+   * Bucket definitions from upper bounds, e.g. [30, 60, 90] →
+   * 0-30, 31-60, 61-90, 90+ (plus "notDue" when ageing by due date).
+   * Accepts an array or a comma-separated string.
+   */
+  static buildBuckets(bounds = DEFAULT_AGEING_BUCKETS) {
+    const list = (Array.isArray(bounds) ? bounds : String(bounds).split(','))
+      .map(Number)
+      .filter((n) => Number.isFinite(n) && n > 0)
+      .sort((a, b) => a - b);
+    const uppers = list.length ? [...new Set(list)] : DEFAULT_AGEING_BUCKETS;
+
+    const buckets = [];
+    let from = 0;
+    for (const to of uppers) {
+      buckets.push({ key: `${from}-${to}`, from, to });
+      from = to + 1;
+    }
+    buckets.push({ key: `${uppers[uppers.length - 1]}+`, from, to: Infinity });
+    return buckets;
+  }
+
+  static bucketFor(days, buckets) {
+    if (days < 0) return 'notDue';
+    return buckets.find((b) => days >= b.from && days <= b.to).key;
+  }
+
+  /** Amount still open on an invoice at `asOf` (payments after it ignored). */
+  static outstandingAsOf(doc, asOf) {
+    const paid = (doc.paidAmt || [])
+      .filter((p) => p.status !== 'Cancelled' && new Date(p.date) <= asOf)
+      .reduce((sum, p) => sum + p.amount, 0);
+    return round2((doc.netAR || 0) - (doc.advance || 0) - paid);
+  }
+
+  /**
+   * Age every open invoice of one side and group it by party.
+   * @param {'AR'|'AP'} side
+   * @param {Object} opts { asOf, buckets, basis: 'dueDate'|'invoiceDate',
+   *   currency, company, party, detail }
+   */
+  static async getAgeing(side, opts = {}) {
+    const asOf = opts.asOf ? new Date(opts.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) throw new Error('Invalid asOf date.');
+    // an as-of date covers the whole day
+    asOf.setHours(23, 59, 59, 999);
+    const basis = opts.basis === 'invoiceDate' ? 'invoiceDate' : 'dueDate';
+    const buckets = this.buildBuckets(opts.buckets);
+    const bucketKeys = ['notDue', ...buckets.map((b) => b.key)];
+    // a single currency is reported in that currency, otherwise in local
+    const valuation = opts.currency ? 'DOCUMENT' : 'LOCAL';
+
+    const isAR = side === 'AR';
+    const Model = isAR ? SalesOrderModel : PurchaseOrderModel;
+    const partyField = isAR ? 'customer' : 'vendor';
+
+    const filter = {
+      status: 'Invoiced',
+      invoiceDate: { $lte: asOf },
+    };
+    if (opts.currency) filter.currency = opts.currency;
+    if (opts.company) filter.company = opts.company;
+    if (opts.party) filter[partyField] = opts.party;
+
+    const docs = await Model.find(filter).sort({ [basis]: 1 });
+
+    const groups = new Map();
+    const groupFor = (party) => {
+      const id = String(party?._id || party);
+      if (!groups.has(id)) {
+        groups.set(id, {
+          party: {
+            _id: party?._id || party,
+            code: party?.code,
+            name: party?.name,
+          },
+          buckets: Object.fromEntries(bucketKeys.map((k) => [k, 0])),
+          total: 0,
+          onAccount: 0,
+          netBalance: 0,
+          invoices: [],
+        });
+      }
+      return groups.get(id);
+    };
+
+    for (const doc of docs) {
+      const open = this.outstandingAsOf(doc, asOf);
+      if (!open) continue;
+      const sign = doc.orderType === 'Return' ? -1 : 1;
+      const rate = doc.exchangeRate || 1;
+      const amount = round2(sign * open);
+      const localAmount = round2(amount * rate);
+      const value = valuation === 'DOCUMENT' ? amount : localAmount;
+
+      const ageFrom = doc[basis] || doc.invoiceDate;
+      const days = Math.floor((asOf - new Date(ageFrom)) / DAY_MS);
+      const bucket = this.bucketFor(days, buckets);
+
+      const g = groupFor(doc[partyField]);
+      g.buckets[bucket] = round2(g.buckets[bucket] + value);
+      g.total = round2(g.total + value);
+      g.invoices.push({
+        _id: doc._id,
+        orderNum: doc.orderNum,
+        orderType: doc.orderType,
+        invoiceNum: doc.invoiceNum,
+        invoiceDate: doc.invoiceDate,
+        dueDate: doc.dueDate,
+        currency: doc.currency,
+        exchangeRate: rate,
+        invoiced: round2(sign * (doc.netAR || 0)),
+        amount,
+        localAmount,
+        days,
+        bucket,
+      });
+    }
+
+    if (isAR) await this.addOnAccount(groupFor, filter, asOf, valuation);
+
+    const rows = [...groups.values()]
+      .map((g) => {
+        g.netBalance = round2(g.total - g.onAccount);
+        if (!opts.detail) delete g.invoices;
+        return g;
+      })
+      .filter((g) => g.total || g.onAccount)
+      .sort((a, b) => b.netBalance - a.netBalance);
+
+    const totals = {
+      buckets: Object.fromEntries(
+        bucketKeys.map((k) => [
+          k,
+          round2(rows.reduce((sum, r) => sum + r.buckets[k], 0)),
+        ])
+      ),
+      total: round2(rows.reduce((sum, r) => sum + r.total, 0)),
+      onAccount: round2(rows.reduce((sum, r) => sum + r.onAccount, 0)),
+      netBalance: round2(rows.reduce((sum, r) => sum + r.netBalance, 0)),
+    };
+
+    return {
+      side,
+      asOf,
+      basis,
+      valuation,
+      currency: opts.currency || null,
+      buckets: bucketKeys,
+      rows,
+      totals,
+    };
+  }
+
+  /**
+   * Unallocated customer receipts at `asOf`: receipt amount less what had
+   * been allocated by then, for receipts not reversed by then.
+   */
+  static async addOnAccount(groupFor, filter, asOf, valuation) {
+    const rf = {
+      receiptDate: { $lte: asOf },
+      $or: [{ status: 'Posted' }, { reversedAt: { $gt: asOf } }],
+    };
+    if (filter.customer) rf.customer = filter.customer;
+    if (filter.currency) rf.currency = filter.currency;
+    if (filter.company) rf.company = filter.company;
+
+    const receipts = await CustomerReceiptModel.find(rf).populate(
+      'customer',
+      'code name'
+    );
+    for (const r of receipts) {
+      const allocated = r.allocations
+        .filter((a) => new Date(a.allocatedAt) <= asOf)
+        .reduce((sum, a) => sum + a.amount, 0);
+      const open = round2(r.amount - allocated);
+      if (open <= 0) continue;
+      const value =
+        valuation === 'DOCUMENT' ? open : round2(open * (r.exchangeRate || 1));
+      const g = groupFor(r.customer);
+      g.onAccount = round2(g.onAccount + value);
+    }
+  }
+
+  /**
+   * Flatten an ageing result into sheet rows: one per party, or one per
+   * invoice when the result carries invoice detail.
+   */
+  static toRows(result) {
+    const out = [];
+    for (const r of result.rows) {
+      const base = {
+        code: r.party.code || String(r.party._id),
+        name: r.party.name || '',
+      };
+      if (r.invoices) {
+        for (const inv of r.invoices) {
+          out.push({
+            ...base,
+            invoiceNum: inv.invoiceNum,
+            orderNum: inv.orderNum,
+            invoiceDate: inv.invoiceDate,
+            dueDate: inv.dueDate,
+            currency: inv.currency,
+            days: inv.days,
+            bucket: inv.bucket,
+            amount: inv.amount,
+            localAmount: inv.localAmount,
+          });
+        }
+        continue;
+      }
+      out.push({
+        ...base,
+        ...r.buckets,
+        total: r.total,
+        onAccount: r.onAccount,
+        netBalance: r.netBalance,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Export an ageing result.
+   * @param {'csv'|'xlsx'} format
+   * @returns {{ body: Buffer|string, contentType: string, ext: string }}
+   */
+  static exportResult(result, format = 'xlsx') {
+    const sheet = XLSX.utils.json_to_sheet(this.toRows(result));
+    if (format === 'csv') {
+      return {
+        body: XLSX.utils.sheet_to_csv(sheet),
+        contentType: 'text/csv',
+        ext: 'csv',
+      };
+    }
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, sheet, `${result.side} Ageing`);
+    return {
+      body: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }),
+      contentType:
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      ext: 'xlsx',
+    };
+  }
+}
+
+export default AgeingService;
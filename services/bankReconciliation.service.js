@@ -0,0 +1,449 @@
+// services/bankReconciliation.service.js
+
+import mongoose from 'mongoose';
+import { BankStatementModel } from '../models/bankStatement.model.js';
+import { BankModel } from '../models/bank.model.js';
+import { VoucherModel } from '../models/voucher.model.js';
+import { CustomerReceiptModel } from '../models/customerReceipt.model.js';
+import BankStatementParser from './bankStatementParser.service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const round2 = (v) => Math.round(v * 100) / 100;
+const norm = (s) =>
+  String(s || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+class BankReconciliationService {
+  /**
+   * Read a statement file and store it against a bank account. The file
+   * must not have been imported before (same statement number), and when
+   * it carries opening and closing balances its lines must add up.
+   */
+  static async importStatement(
+    bankAccountId,
+    buffer,
+    { fileName = '', format, company, statementNo, user = 'system' } = {}
+  ) {
+    if (!mongoose.Types.ObjectId.isValid(bankAccountId)) {
+      throw new Error('Invalid bankAccount.');
+    }
+    const bank = await BankModel.findById(bankAccountId)
+      .select('accountCode currency')
+      .lean();
+    if (!bank) throw new Error('Bank account not found.');
+
+    const parsed = BankStatementParser.parse(buffer, { format, fileName });
+    if (parsed.currency && parsed.currency !== bank.currency) {
+      throw new Error(
+        `❌ The statement is in ${parsed.currency}; the bank account is in ${
+          bank.currency
+        }.`
+      );
+    }
+    const { openingBalance, closingBalance } = parsed;
+    if (openingBalance != null && closingBalance != null) {
+      const movement = parsed.lines.reduce((sum, l) => sum + l.amount, 0);
+      const expected = round2(openingBalance + movement);
+      if (expected !== round2(closingBalance)) {
+        throw new Error(
+          `❌ Opening ${openingBalance} plus the lines (${round2(
+            movement
+          )}) is ${expected}, but the closing balance is ${closingBalance}.`
+        );
+      }
+    }
+
+    const day = (d) => d.toISOString().slice(0, 10);
+    const number =
+      statementNo ||
+      parsed.statementNo ||
+      `${parsed.format}-${day(parsed.fromDate)}-${day(parsed.toDate)}`;
+    const duplicate = () => {
+      const err = new Error(
+        `❌ Statement ${number} has already been imported for this bank account.`
+      );
+      err.duplicate = true;
+      return err;
+    };
+    if (
+      await BankStatementModel.exists({
+        bankAccount: bankAccountId,
+        statementNo: number,
+      })
+    ) {
+      throw duplicate();
+    }
+    return BankStatementModel.create({
+      bankAccount: bankAccountId,
+      company: company || null,
+      statementNo: number,
+      format: parsed.format,
+      fileName,
+      accountRef: parsed.accountRef || '',
+      currency: bank.currency,
+      fromDate: parsed.fromDate,
+      toDate: parsed.toDate,
+      openingBalance: openingBalance ?? null,
+      closingBalance: closingBalance ?? null,
+      lines: parsed.lines.map((l, i) => ({ ...l, lineNum: i + 1 })),
+      createdBy: user,
+    }).catch((err) => {
+      // imported by a concurrent request in the meantime
+      throw err.code === 11000 ? duplicate() : err;
+    });
+  }
+
+  /** Voucher lines already matched by any statement line of the account. */
+  static async matchedVoucherLines(bankAccountId) {
+    const rows = await BankStatementModel.aggregate([
+      { $match: { bankAccount: new mongoose.Types.ObjectId(bankAccountId) } },
+      { $unwind: '$lines' },
+      { $unwind: '$lines.matches' },
+      { $project: { _id: 0, id: '$lines.matches.voucherLine' } },
+    ]);
+    return new Set(rows.map((r) => String(r.id)));
+  }
+
+  /**
+   * The bank book: bank lines of posted vouchers for the account, i.e.
+   * lines whose subledgerCode is the bank account. `amount` is in the
+   * account's currency, money in positive. Each entry carries the
+   * references a statement may quote (voucher, invoice and receipt
+   * numbers, the receipt's transaction id / UTR). With `company`, vouchers
+   * booked without one (older receipts) still count: the bank account
+   * already pins them down.
+   */
+  static async bookEntries(bankAccountId, { from, to, company } = {}) {
+    const match = { 'lines.subledgerCode': String(bankAccountId) };
+    if (company) {
+      match.company = { $in: [new mongoose.Types.ObjectId(company), null] };
+    }
+    if (from || to) {
+      match.voucherDate = {};
+      if (from) match.voucherDate.$gte = new Date(from);
+      if (to) match.voucherDate.$lte = new Date(to);
+    }
+    const entries = await VoucherModel.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.subledgerCode': String(bankAccountId) } },
+      {
+        $project: {
+          _id: 0,
+          voucher: '$_id',
+          voucherLine: '$lines._id',
+          voucherNo: 1,
+          voucherDate: 1,
+          sourceType: 1,
+          sourceId: 1,
+          invoiceNum: '$invoiceRef.invoiceNum',
+          amount: { $subtract: ['$lines.debit', '$lines.credit'] },
+        },
+      },
+      { $sort: { voucherDate: 1, voucherNo: 1 } },
+    ]);
+
+    const receiptIds = entries
+      .filter((e) => e.sourceType === 'AR_RECEIPT')
+      .map((e) => e.sourceId);
+    const receipts = new Map(
+      (
+        await CustomerReceiptModel.find({ _id: { $in: receiptIds } })
+          .select('receiptNum transactionId')
+          .lean()
+      ).map((r) => [String(r._id), r])
+    );
+    return entries.map((e) => {
+      const receipt = receipts.get(String(e.sourceId));
+      return {
+        ...e,
+        amount: round2(e.amount),
+        references: [
+          e.voucherNo,
+          e.invoiceNum,
+          receipt?.receiptNum,
+          receipt?.transactionId,
+        ].filter(Boolean),
+      };
+    });
+  }
+
+  /** Does a statement line quote one of the entry's references? */
+  static referenceMatches(line, entry) {
+    const text = norm(`${line.reference} ${line.description}`);
+    const ref = norm(line.reference);
+    return entry.references.some((r) => {
+      const n = norm(r);
+      return n.length >= 4 && (text.includes(n) || (ref && n.includes(ref)));
+    });
+  }
+
+  /** Statement of a bank account that may still be changed. */
+  static async openStatement(statementId) {
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      throw new Error('Invalid statement ID.');
+    }
+    const st = await BankStatementModel.findById(statementId);
+    if (!st) throw new Error('Statement not found.');
+    if (st.status === 'RECONCILED') {
+      throw new Error(`❌ Statement ${st.statementNo} is already reconciled.`);
+    }
+    return st;
+  }
+
+  /**
+   * Match unmatched lines one-to-one with bank-book entries of the same
+   * amount booked within `dateWindow` days. Candidates whose reference
+   * the line quotes come first, closest date first; a line quoting none is
+   * matched only when it has a single candidate.
+   */
+  static async autoMatch(statementId, { dateWindow = 3, user } = {}) {
+    const st = await this.openStatement(statementId);
+    const window = Math.max(0, Number(dateWindow) || 0) * DAY;
+    const used = await this.matchedVoucherLines(st.bankAccount);
+    const book = (
+      await this.bookEntries(st.bankAccount, {
+        from: new Date(st.fromDate.getTime() - window),
+        to: new Date(st.toDate.getTime() + window + DAY - 1),
+        company: st.company,
+      })
+    ).filter((e) => !used.has(String(e.voucherLine)));
+
+    let matched = 0;
+    for (const line of st.lines) {
+      if (line.status !== 'UNMATCHED') continue;
+      const date = line.valueDate || line.bookingDate;
+      const candidates = book
+        .filter(
+          (e) =>
+            !used.has(String(e.voucherLine)) &&
+            e.amount === line.amount &&
+            // vouchers carry a time of day, statement dates do not
+            Math.abs(e.voucherDate - date) < window + DAY
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(a.voucherDate - date) - Math.abs(b.voucherDate - date)
+        );
+      const byRef = candidates.filter((e) => this.referenceMatches(line, e));
+      let entry = null;
+      if (byRef.length) entry = byRef[0];
+      else if (candidates.length === 1) entry = candidates[0];
+      if (!entry) continue;
+
+      used.add(String(entry.voucherLine));
+      line.matches = [this.matchOf(entry, 'AUTO', user)];
+      line.status = 'MATCHED';
+      matched += 1;
+    }
+    await st.save();
+    return { statement: st, matched };
+  }
+
+  static matchOf(entry, matchedBy, user = 'system') {
+    return {
+      voucher: entry.voucher,
+      voucherLine: entry.voucherLine,
+      voucherNo: entry.voucherNo,
+      voucherDate: entry.voucherDate,
+      amount: entry.amount,
+      matchedBy,
+      matchedAt: new Date(),
+      user,
+    };
+  }
+
+  /**
+   * Match one statement line by hand to one or more bank-book entries
+   * (voucher line ids) whose amounts add up to the line's amount.
+   */
+  static async match(statementId, lineId, voucherLineIds, { user } = {}) {
+    const st = await this.openStatement(statementId);
+    const line = st.lines.id(lineId);
+    if (!line) throw new Error('Statement line not found.');
+    if (line.status !== 'UNMATCHED') {
+      throw new Error(
+        `❌ Line ${line.lineNum} is ${line.status}; unmatch it first.`
+      );
+    }
+    if (!Array.isArray(voucherLineIds) || !voucherLineIds.length) {
+      throw new Error('Give the voucher lines to match.');
+    }
+
+    const used = await this.matchedVoucherLines(st.bankAccount);
+    const wanted = new Set(voucherLineIds.map(String));
+    const entries = (await this.bookEntries(st.bankAccount)).filter((e) =>
+      wanted.has(String(e.voucherLine))
+    );
+    if (entries.length !== wanted.size) {
+      throw new Error(
+        'Some voucher lines are not bank entries of this account.'
+      );
+    }
+    const taken = entries.find((e) => used.has(String(e.voucherLine)));
+    if (taken) {
+      throw new Error(`❌ ${taken.voucherNo} is already matched.`);
+    }
+    const total = round2(entries.reduce((sum, e) => sum + e.amount, 0));
+    if (total !== line.amount) {
+      throw new Error(
+        `❌ The entries add up to ${total}; the statement line is ${
+          line.amount
+        }.`
+      );
+    }
+
+    line.matches = entries.map((e) => this.matchOf(e, 'MANUAL', user));
+    line.status = 'MATCHED';
+    await st.save();
+    return st;
+  }
+
+  /** Drop a line's matches (or its IGNORED mark) so it is open again. */
+  static async unmatch(statementId, lineId) {
+    const st = await this.openStatement(statementId);
+    const line = st.lines.id(lineId);
+    if (!line) throw new Error('Statement line not found.');
+    line.matches = [];
+    line.status = 'UNMATCHED';
+    await st.save();
+    return st;
+  }
+
+  /**
+   * Mark a line that has no book entry and will not get one (e.g. a
+   * duplicate the bank reversed the same day).
+   */
+  static async ignore(statementId, lineId, { remarks = '' } = {}) {
+    const st = await this.openStatement(statementId);
+    const line = st.lines.id(lineId);
+    if (!line) throw new Error('Statement line not found.');
+    if (line.status === 'MATCHED') {
+      throw new Error(`❌ Line ${line.lineNum} is matched; unmatch it first.`);
+    }
+    line.status = 'IGNORED';
+    line.remarks = remarks;
+    await st.save();
+    return st;
+  }
+
+  /**
+   * Reconciliation report as of the statement's end date: the book and
+   * statement balances, the items on only one side and the difference
+   * left unexplained (zero when reconciled).
+   */
+  static async report(statementId) {
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      throw new Error('Invalid statement ID.');
+    }
+    const st = await BankStatementModel.findById(statementId).lean();
+    if (!st) throw new Error('Statement not found.');
+
+    const asOf = new Date(st.toDate.getTime() + DAY - 1);
+    const used = await this.matchedVoucherLines(st.bankAccount);
+    const book = await this.bookEntries(st.bankAccount, {
+      to: asOf,
+      company: st.company,
+    });
+    const bookBalance = round2(book.reduce((sum, e) => sum + e.amount, 0));
+    // in the books, not yet on any statement (deposits in transit,
+    // unpresented cheques); entries before the first imported statement
+    // are part of its opening balance
+    const first = await BankStatementModel.findOne({
+      bankAccount: st.bankAccount,
+    })
+      .sort({ fromDate: 1 })
+      .select('fromDate')
+      .lean();
+    const since = first?.fromDate || st.fromDate;
+    const unmatchedBook = book.filter(
+      (e) => e.voucherDate >= since && !used.has(String(e.voucherLine))
+    );
+    // on the statement, not in the books (charges, interest, ...)
+    // (this and any earlier statement still open)
+    const statements = await BankStatementModel.find({
+      bankAccount: st.bankAccount,
+      toDate: { $lte: st.toDate },
+      'lines.status': 'UNMATCHED',
+    })
+      .select('statementNo lines')
+      .lean();
+    const unmatchedStatement = statements.flatMap((s) =>
+      s.lines
+        .filter((l) => l.status === 'UNMATCHED')
+        .map((l) => ({ ...l, statementNo: s.statementNo }))
+    );
+
+    const sum = (rows) => round2(rows.reduce((s, r) => s + r.amount, 0));
+    const statementBalance =
+      st.closingBalance ??
+      (st.openingBalance != null
+        ? round2(st.openingBalance + sum(st.lines))
+        : null);
+    const adjustedBook = round2(bookBalance + sum(unmatchedStatement));
+    const adjustedStatement =
+      statementBalance == null
+        ? null
+        : round2(statementBalance + sum(unmatchedBook));
+
+    return {
+      statement: {
+        _id: st._id,
+        statementNo: st.statementNo,
+        status: st.status,
+        fromDate: st.fromDate,
+        toDate: st.toDate,
+        currency: st.currency,
+      },
+      lines: {
+        total: st.lines.length,
+        matched: st.lines.filter((l) => l.status === 'MATCHED').length,
+        ignored: st.lines.filter((l) => l.status === 'IGNORED').length,
+        unmatched: unmatchedStatement.length,
+      },
+      bookBalance,
+      statementBalance,
+      unmatchedStatementLines: unmatchedStatement,
+      unmatchedStatementTotal: sum(unmatchedStatement),
+      unmatchedBookEntries: unmatchedBook,
+      unmatchedBookTotal: sum(unmatchedBook),
+      adjustedBookBalance: adjustedBook,
+      adjustedStatementBalance: adjustedStatement,
+      difference:
+        adjustedStatement == null
+          ? null
+          : round2(adjustedStatement - adjustedBook),
+    };
+  }
+
+  /**
+   * Finalise a statement: every line must be MATCHED or IGNORED and the
+   * report must show no difference. The statement is locked afterwards.
+   */
+  static async finalize(statementId, { user = 'system' } = {}) {
+    const st = await this.openStatement(statementId);
+    const open = st.lines.filter((l) => l.status === 'UNMATCHED');
+    if (open.length) {
+      throw new Error(
+        `❌ ${open.length} line(s) are unmatched: ${open
+          .slice(0, 10)
+          .map((l) => l.lineNum)
+          .join(', ')}${open.length > 10 ? ', …' : ''}.`
+      );
+    }
+    const { difference } = await this.report(st._id);
+    if (difference) {
+      throw new Error(
+        `❌ The reconciliation is off by ${difference}; see the report.`
+      );
+    }
+    st.status = 'RECONCILED';
+    st.reconciledAt = new Date();
+    st.reconciledBy = user;
+    await st.save();
+    return st;
+  }
+}
+
+export default BankReconciliationService;
@@ -0,0 +1,390 @@
+// services/bankStatementParser.service.js
+
+import XLSX from 'xlsx';
+
+const MONTHS = 'jan feb mar apr may jun jul aug sep oct nov dec'.split(' ');
+
+// CSV column names each statement field is read from (lower-case, no spaces)
+const CSV_COLUMNS = {
+  bookingDate: [
+    'date',
+    'txndate',
+    'transactiondate',
+    'bookingdate',
+    'postingdate',
+    'posteddate',
+  ],
+  valueDate: ['valuedate', 'valuedt'],
+  description: ['description', 'narration', 'particulars', 'details', 'memo'],
+  reference: [
+    'reference',
+    'ref',
+    'refno',
+    'chequeno',
+    'chqno',
+    'utr',
+    'transactionid',
+  ],
+  counterparty: ['counterparty', 'payee', 'payer', 'name', 'beneficiary'],
+  amount: ['amount', 'txnamount', 'transactionamount'],
+  debit: ['debit', 'withdrawal', 'withdrawals', 'withdrawalamt', 'dr'],
+  credit: ['credit', 'deposit', 'deposits', 'depositamt', 'cr'],
+  bankTxnId: ['id', 'bankref', 'banktxnid', 'fitid'],
+};
+
+const utcDay = (y, m, d) => {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 ? date : null;
+};
+
+class BankStatementParser {
+  /** Date from a statement cell: ISO, DD/MM/YYYY, DD-Mon-YYYY or a Date. */
+  static parseDate(value) {
+    if (value instanceof Date) {
+      return utcDay(
+        value.getFullYear(),
+        value.getMonth() + 1,
+        value.getDate()
+      );
+    }
+    const s = String(value || '').trim();
+    let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (m) return utcDay(+m[1], +m[2], +m[3]);
+    m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (m) {
+      const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      return utcDay(y, +m[2], +m[1]);
+    }
+    m = s.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[a-z]*[\s-](\d{2,4})$/);
+    if (m) {
+      const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+      const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      return month ? utcDay(y, month, +m[1]) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Number from a statement cell: "1,234.50", "(120.00)" and "120.00 Dr"
+   * are all understood; `decimalComma` reads "1234,50" (MT940).
+   */
+  static parseAmount(value, { decimalComma = false } = {}) {
+    if (typeof value === 'number') return value;
+    let s = String(value || '').trim();
+    if (!s) return null;
+    let sign = 1;
+    if (/^\(.*\)$/.test(s)) {
+      sign = -1;
+      s = s.slice(1, -1);
+    }
+    const drCr = s.match(/\s*(dr|cr)\.?$/i);
+    if (drCr) {
+      if (drCr[1].toLowerCase() === 'dr') sign = -sign;
+      s = s.slice(0, drCr.index);
+    }
+    s = decimalComma
+      ? s.replace(/\./g, '').replace(',', '.')
+      : s.replace(/,/g, '');
+    const n = Number(s.replace(/[^\d.+-]/g, ''));
+    return Number.isFinite(n) ? sign * n : null;
+  }
+
+  /** Which format a file is in, from its name and first bytes. */
+  static detectFormat(buffer, fileName = '') {
+    const ext = fileName.toLowerCase().split('.').pop();
+    const head = buffer.slice(0, 4096).toString('utf8');
+    if (ext === 'qfx') return 'QFX';
+    if (ext === 'ofx' || /OFXHEADER|<OFX>/i.test(head)) return 'OFX';
+    if (/camt\.053|<BkToCstmrStmt>/i.test(head)) return 'CAMT053';
+    if (/^\s*(\{1:|:20:)/.test(head) || ['sta', 'mt940'].includes(ext)) {
+      return 'MT940';
+    }
+    return 'CSV';
+  }
+
+  /**
+   * Parse a statement file into
+   * { format, statementNo, accountRef, currency, openingBalance,
+   *   closingBalance, fromDate, toDate, lines: [...] }.
+   * Lines carry a signed amount: money in positive, money out negative.
+   */
+  static parse(buffer, { format, fileName } = {}) {
+    const fmt = format || this.detectFormat(buffer, fileName);
+    let parsed;
+    if (fmt === 'CSV') parsed = this.parseCsv(buffer);
+    else if (fmt === 'OFX' || fmt === 'QFX') parsed = this.parseOfx(buffer);
+    else if (fmt === 'CAMT053') parsed = this.parseCamt053(buffer);
+    else if (fmt === 'MT940') parsed = this.parseMt940(buffer);
+    else throw new Error(`Unknown statement format ${fmt}.`);
+
+    if (!parsed.lines.length) throw new Error('The statement has no lines.');
+    const dates = parsed.lines.map((l) => l.bookingDate.getTime());
+    return {
+      ...parsed,
+      format: fmt,
+      fromDate: parsed.fromDate || new Date(Math.min(...dates)),
+      toDate: parsed.toDate || new Date(Math.max(...dates)),
+    };
+  }
+
+  static parseCsv(buffer) {
+    const wb = XLSX.read(buffer, {
+      type: 'buffer',
+      cellDates: true,
+      raw: true,
+    });
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    if (!ws) throw new Error('The file has no sheet.');
+    const rows = XLSX.utils.sheet_to_json(ws, { defval: '' }).map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([k, v]) => [
+          k.toLowerCase().replace(/[\s_.()]/g, ''),
+          v,
+        ])
+      )
+    );
+    const pick = (row, field) => {
+      const col = CSV_COLUMNS[field].find(
+        (c) => row[c] !== undefined && row[c] !== ''
+      );
+      return col ? row[col] : '';
+    };
+
+    const lines = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+      const fail = (message) => errors.push({ row: i + 2, message });
+      const bookingDate = this.parseDate(pick(row, 'bookingDate'));
+      if (!bookingDate) return fail('date is missing or not a date.');
+      let amount = this.parseAmount(pick(row, 'amount'));
+      if (amount === null) {
+        const debit = this.parseAmount(pick(row, 'debit')) || 0;
+        const credit = this.parseAmount(pick(row, 'credit')) || 0;
+        amount = credit - Math.abs(debit);
+      }
+      if (!amount) return fail('amount (or debit / credit) is missing.');
+      lines.push({
+        bookingDate,
+        valueDate: this.parseDate(pick(row, 'valueDate')) || bookingDate,
+        amount,
+        description: String(pick(row, 'description')),
+        reference: String(pick(row, 'reference')),
+        counterparty: String(pick(row, 'counterparty')),
+        bankTxnId: String(pick(row, 'bankTxnId')),
+      });
+    });
+    if (errors.length) {
+      const err = new Error(`${errors.length} row(s) could not be read.`);
+      err.rows = errors;
+      throw err;
+    }
+    return { lines };
+  }
+
+  /** OFX 1.x (SGML, closing tags optional) and 2.x (XML); QFX is OFX. */
+  static parseOfx(buffer) {
+    const text = buffer.toString('utf8');
+    const value = (block, tag) => {
+      const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+      return m ? m[1].trim() : '';
+    };
+    const ofxDate = (v) => (v ? this.parseDate(v.slice(0, 8)) : null);
+
+    const lines = [];
+    const blocks = text.split(/<STMTTRN>/i).slice(1);
+    for (const raw of blocks) {
+      const block = raw.split(/<\/STMTTRN>/i)[0];
+      const name = value(block, 'NAME');
+      const memo = value(block, 'MEMO');
+      lines.push({
+        bookingDate: ofxDate(value(block, 'DTPOSTED')),
+        valueDate: ofxDate(value(block, 'DTAVAIL')) || undefined,
+        amount: this.parseAmount(value(block, 'TRNAMT')),
+        description: [name, memo].filter(Boolean).join(' · '),
+        reference: value(block, 'CHECKNUM') || value(block, 'REFNUM'),
+        counterparty: name,
+        bankTxnId: value(block, 'FITID'),
+      });
+    }
+    const ledger = text.split(/<LEDGERBAL>/i)[1] || '';
+    const closing = this.parseAmount(value(ledger, 'BALAMT'));
+    return {
+      accountRef: value(text, 'ACCTID'),
+      currency: value(text, 'CURDEF'),
+      fromDate: ofxDate(value(text, 'DTSTART')),
+      toDate: ofxDate(value(text, 'DTEND')),
+      closingBalance: closing,
+      lines: lines.filter((l) => l.bookingDate && l.amount),
+    };
+  }
+
+  /** ISO 20022 camt.053 bank-to-customer statement (first Stmt). */
+  static parseCamt053(buffer) {
+    const text = buffer.toString('utf8');
+    const all = (xml, tag) =>
+      [
+        ...xml.matchAll(
+          new RegExp(
+            `<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+            'g'
+          )
+        ),
+      ].map((m) => m[1]);
+    const one = (xml, ...path) =>
+      path.reduce((x, tag) => (x == null ? x : all(x, tag)[0]), xml);
+    const str = (xml, ...path) => (one(xml, ...path) || '').trim();
+    const day = (v) => this.parseDate(v.slice(0, 10));
+    const date = (xml) => day(str(xml, 'Dt') || str(xml, 'DtTm'));
+    const signed = (xml) => {
+      const amt = this.parseAmount(str(xml, 'Amt'));
+      return str(xml, 'CdtDbtInd') === 'DBIT' ? -amt : amt;
+    };
+
+    const stmt = one(text, 'Stmt');
+    if (!stmt) throw new Error('No <Stmt> in the camt.053 file.');
+    const ccy = (stmt.match(/<(?:\w+:)?Amt\s+Ccy="([A-Z]{3})"/) || [])[1];
+
+    const balances = {};
+    for (const bal of all(stmt, 'Bal')) {
+      const code = str(bal, 'Tp', 'CdOrPrtry', 'Cd');
+      balances[code] = signed(bal);
+    }
+
+    const lines = all(stmt, 'Ntry').map((ntry) => {
+      const tx = one(ntry, 'NtryDtls', 'TxDtls') || '';
+      const credit = str(ntry, 'CdtDbtInd') === 'CRDT';
+      // the other party: the debtor pays us, we pay the creditor
+      const party = one(tx, 'RltdPties', credit ? 'Dbtr' : 'Cdtr') || '';
+      return {
+        bookingDate: date(one(ntry, 'BookgDt') || ''),
+        valueDate: date(one(ntry, 'ValDt') || '') || undefined,
+        amount: signed(ntry),
+        description: [
+          str(tx, 'RmtInf', 'Ustrd'),
+          str(ntry, 'AddtlNtryInf'),
+        ]
+          .filter(Boolean)
+          .join(' · '),
+        reference:
+          str(tx, 'Refs', 'EndToEndId').replace(/^NOTPROVIDED$/, '') ||
+          str(tx, 'RmtInf', 'Strd', 'CdtrRefInf', 'Ref'),
+        counterparty: str(party, 'Nm'),
+        bankTxnId: str(ntry, 'AcctSvcrRef') || str(ntry, 'NtryRef'),
+      };
+    });
+
+    return {
+      statementNo: str(stmt, 'Id'),
+      accountRef:
+        str(stmt, 'Acct', 'Id', 'IBAN') ||
+        str(stmt, 'Acct', 'Id', 'Othr', 'Id'),
+      currency: ccy,
+      fromDate: day(str(stmt, 'FrToDt', 'FrDtTm')),
+      toDate: day(str(stmt, 'FrToDt', 'ToDtTm')),
+      openingBalance: balances.OPBD ?? balances.PRCD ?? null,
+      closingBalance: balances.CLBD ?? null,
+      lines: lines.filter((l) => l.bookingDate && l.amount),
+    };
+  }
+
+  /** SWIFT MT940 customer statement (first statement in the file). */
+  static parseMt940(buffer) {
+    const text = buffer.toString('utf8').replace(/\r\n?/g, '\n');
+    // fields start with :TAG: at the beginning of a line
+    const fields = [];
+    for (const line of text.split('\n')) {
+      const m = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+      if (m) fields.push({ tag: m[1], value: m[2] });
+      else if (fields.length && !/^-}?$/.test(line.trim())) {
+        fields[fields.length - 1].value += `\n${line}`;
+      }
+    }
+    const balance = (v) => {
+      const m = v.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+      if (!m) return null;
+      const amt = this.parseAmount(m[4], { decimalComma: true });
+      return {
+        amount: m[1] === 'D' ? -amt : amt,
+        date: this.yymmdd(m[2]),
+        currency: m[3],
+      };
+    };
+
+    const out = { lines: [] };
+    let current = null;
+    for (const { tag, value } of fields) {
+      if (tag === '20') out.statementNo = value.trim();
+      else if (tag === '25') out.accountRef = value.trim();
+      else if (tag === '28C' && out.statementNo) {
+        out.statementNo = `${out.statementNo}/${value.trim()}`;
+      } else if (tag === '60F' || tag === '60M') {
+        const b = balance(value);
+        if (b && out.openingBalance === undefined) {
+          out.openingBalance = b.amount;
+          out.currency = b.currency;
+        }
+      } else if (tag === '62F') {
+        const b = balance(value);
+        if (b) {
+          out.closingBalance = b.amount;
+          out.toDate = b.date;
+        }
+        break;
+      } else if (tag === '61') {
+        current = this.mt940Line(value);
+        if (current) out.lines.push(current);
+      } else if (tag === '86' && current) {
+        const info = value.replace(/\n/g, ' ').trim();
+        current.description = info;
+        const ref = info.match(/\/(?:EREF|REF)\/([^/]+)/);
+        if (!current.reference && ref) current.reference = ref[1].trim();
+      }
+    }
+    return out;
+  }
+
+  /** One :61: statement line. */
+  static mt940Line(value) {
+    const [first, ...rest] = value.split('\n');
+    const m = first.match(
+      /^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)[A-Z][A-Z0-9]{3}([^/]*)(?:\/\/(.*))?$/
+    );
+    if (!m) return null;
+    const valueDate = this.yymmdd(m[1]);
+    let bookingDate = valueDate;
+    if (m[2]) {
+      // entry date MMDD: same year, unless it wraps around new year
+      bookingDate = utcDay(
+        valueDate.getUTCFullYear(),
+        +m[2].slice(0, 2),
+        +m[2].slice(2)
+      );
+      if (bookingDate - valueDate > 180 * 864e5) {
+        bookingDate.setUTCFullYear(bookingDate.getUTCFullYear() - 1);
+      } else if (valueDate - bookingDate > 180 * 864e5) {
+        bookingDate.setUTCFullYear(bookingDate.getUTCFullYear() + 1);
+      }
+    }
+    const amt = this.parseAmount(m[4], { decimalComma: true });
+    // RC / RD reverse a credit / debit
+    const debit = m[3] === 'D' || m[3] === 'RC';
+    const reference = m[5].trim();
+    return {
+      bookingDate,
+      valueDate,
+      amount: debit ? -amt : amt,
+      description: rest.join(' ').trim(),
+      reference: reference === 'NONREF' ? '' : reference,
+      counterparty: '',
+      bankTxnId: (m[6] || '').trim(),
+    };
+  }
+
+  static yymmdd(s) {
+    const y = +s.slice(0, 2);
+    const year = y < 80 ? 2000 + y : 1900 + y;
+    return utcDay(year, +s.slice(2, 4), +s.slice(4, 6));
+  }
+}
+
+export default BankStatementParser;
@@ -0,0 +1,140 @@
+// services/budget.service.js
+
+import mongoose from 'mongoose';
+import XLSX from 'xlsx';
+import { BudgetModel } from '../models/budget.model.js';
+import { AccountModel } from '../models/account.model.js';
+import { VOUCHER_DIMENSIONS } from '../models/voucher.model.js';
+
+class BudgetService {
+  /**
+   * Rows of the first sheet of an uploaded CSV / XLSX file, with header
+   * names lower-cased and stripped of spaces ("Account Code" → accountcode).
+   * CSV cells stay text so codes like "1.10" keep their trailing zero.
+   */
+  static readSheet(buffer) {
+    const wb = XLSX.read(buffer, {
+      type: 'buffer',
+      cellDates: true,
+      raw: true,
+    });
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    if (!ws) throw new Error('The file has no sheet.');
+    return XLSX.utils.sheet_to_json(ws, { defval: '' }).map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([k, v]) => [
+          k.toLowerCase().replace(/[\s_]/g, ''),
+          v,
+        ])
+      )
+    );
+  }
+
+  /**
+   * Turn import rows into budget lines. Each row needs accountcode, amount
+   * and either period ("2025-04", a whole month) or periodstart/periodend;
+   * dimension columns (site, warehouse, ...) take ids.
+   * @returns {Promise<{lines: Object[], errors: {row, message}[]}>}
+   */
+  static async parseRows(rows) {
+    const codes = [...new Set(rows.map((r) => String(r.accountcode).trim()))];
+    const known = new Set(
+      (
+        await AccountModel.find({ accountCode: { $in: codes } })
+          .select('accountCode')
+          .lean()
+      ).map((a) => a.accountCode)
+    );
+
+    const lines = [];
+    const errors = [];
+    rows.forEach((r, i) => {
+      // spreadsheet row number: the header is row 1
+      const row = i + 2;
+      const fail = (message) => errors.push({ row, message });
+      const accountCode = String(r.accountcode || '').trim();
+      if (!accountCode) return fail('accountCode is missing.');
+      if (!known.has(accountCode)) {
+        return fail(`Account ${accountCode} is not in the chart of accounts.`);
+      }
+
+      const amount = Number(r.amount);
+      if (r.amount === '' || !Number.isFinite(amount)) {
+        return fail('amount must be a number.');
+      }
+
+      let periodStart;
+      let periodEnd;
+      // a spreadsheet may already have turned "2025-04" into a date
+      const period =
+        r.period instanceof Date
+          ? `${r.period.getFullYear()}-${r.period.getMonth() + 1}`
+          : String(r.period || '').trim();
+      const month = period.match(/^(\d{4})-(\d{1,2})$/);
+      if (month) {
+        periodStart = new Date(Number(month[1]), Number(month[2]) - 1, 1);
+        periodEnd = new Date(Number(month[1]), Number(month[2]), 0);
+      } else {
+        periodStart = new Date(r.periodstart);
+        periodEnd = new Date(r.periodend);
+      }
+      if (
+        Number.isNaN(periodStart.getTime()) ||
+        Number.isNaN(periodEnd.getTime())
+      ) {
+        return fail('Give period (YYYY-MM) or periodStart and periodEnd.');
+      }
+
+      const dims = {};
+      for (const dim of VOUCHER_DIMENSIONS) {
+        const value = String(r[dim.toLowerCase()] || '').trim();
+        if (!value) continue;
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return fail(`${dim} must be an id.`);
+        }
+        dims[dim] = value;
+      }
+
+      lines.push({
+        accountCode,
+        periodStart,
+        periodEnd,
+        dims,
+        amount,
+        remarks: String(r.remarks || ''),
+      });
+    });
+    return { lines, errors };
+  }
+
+  /**
+   * Import budget lines from a file into a DRAFT budget.
+   * @param {'append'|'replace'} mode replace drops the existing lines first
+   * Nothing is saved when any row is invalid; the error lists every bad row.
+   */
+  static async importLines(budgetId, buffer, { mode = 'append' } = {}) {
+    const budget = await BudgetModel.findById(budgetId);
+    if (!budget) throw new Error('Budget not found.');
+    if (budget.status !== 'DRAFT') {
+      throw new Error(
+        `❌ Budget ${budget.code} is ${budget.status}; only DRAFT budgets can be changed.`
+      );
+    }
+
+    const rows = this.readSheet(buffer);
+    if (!rows.length) throw new Error('The file has no rows.');
+    const { lines, errors } = await this.parseRows(rows);
+    if (errors.length) {
+      const err = new Error(`${errors.length} row(s) could not be imported.`);
+      err.rows = errors;
+      throw err;
+    }
+
+    if (mode === 'replace') budget.lines = [];
+    budget.lines.push(...lines);
+    await budget.save();
+    return { budget, imported: lines.length };
+  }
+}
+
+export default BudgetService;
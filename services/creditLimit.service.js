@@ -0,0 +1,171 @@
+// services/creditLimit.service.js
+
+import mongoose from 'mongoose';
+import {
+  SalesOrderModel,
+  FULFILMENT_STATUSES,
+} from '../models/salesorder.model.js';
+import { ARTransactionModel } from '../models/arTransaction.model.js';
+import { CustomerModel } from '../models/customer.model.js';
+import ExchangeRateService from './exchangeRate.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// orders that are committed but not (fully) invoiced yet
+const UNINVOICED_STATUSES = ['Confirmed', ...FULFILMENT_STATUSES];
+
+class CreditLimitService {
+  /**
+   * Converts amounts into `to` at today's SPOT rates, one lookup per
+   * currency. Without `to`, into the company's functional currency.
+   */
+  static converter(to, { company = null, session = null } = {}) {
+    const rates = new Map();
+    return async (amount, from) => {
+      if (!amount || !from || from === to) return round2(amount || 0);
+      if (!rates.has(from)) {
+        rates.set(
+          from,
+          await ExchangeRateService.rateFor(from, new Date(), {
+            to,
+            company,
+            session,
+          })
+        );
+      }
+      return round2(amount * rates.get(from));
+    };
+  }
+
+  /**
+   * Open AR of a customer from the AR sub-ledger: invoices and credit notes
+   * less receipts (receipts are the AR txns that carry a bank account).
+   * Each currency is converted with `convert` (see converter()); without
+   * one the amounts are summed as they are.
+   */
+  static async openAR(customerId, session = null, convert = null) {
+    const rows = await ARTransactionModel.aggregate([
+      {
+        $match: {
+          customer: new mongoose.Types.ObjectId(String(customerId)),
+        },
+      },
+      {
+        $group: {
+          _id: '$currency',
+          invoiced: {
+            $sum: {
+              $cond: [{ $ifNull: ['$bankAccount', false] }, 0, '$amount'],
+            },
+          },
+          received: {
+            $sum: {
+              $cond: [{ $ifNull: ['$bankAccount', false] }, '$amount', 0],
+            },
+          },
+        },
+      },
+    ]).session(session);
+
+    let invoiced = 0;
+    let received = 0;
+    for (const row of rows) {
+      invoiced += convert ? await convert(row.invoiced, row._id) : row.invoiced;
+      received += convert ? await convert(row.received, row._id) : row.received;
+    }
+    invoiced = round2(invoiced);
+    received = round2(received);
+    return { invoiced, received, balance: round2(invoiced - received) };
+  }
+
+  /** Receivable still to be invoiced on an order, pro rata per line. */
+  static uninvoicedAmount(order) {
+    const lines = order.lines?.length ? order.lines : null;
+    if (!lines) return round2(order.netAR || 0);
+    return round2(
+      lines.reduce((sum, l) => {
+        if (!l.quantity) return sum;
+        const open = Math.max(0, l.quantity - (l.invoicedQty || 0));
+        const lineAR = (l.netAmtAfterTax || 0) + (l.withholdingTaxAmt || 0);
+        return sum + (lineAR * open) / l.quantity;
+      }, 0)
+    );
+  }
+
+  /**
+   * Exposure of the order's customer if the order were confirmed:
+   * open AR + confirmed-but-uninvoiced orders + this order, against the
+   * customer's credit limit. A credit limit of 0 means no limit is set.
+   * Every amount is converted into the customer's currency, the one the
+   * limit is kept in, at today's rate.
+   */
+  static async getExposure(order, session = null) {
+    const customerId = order.customer?._id || order.customer;
+    const customer = await CustomerModel.findById(customerId)
+      .select('code name currency creditLimit')
+      .session(session);
+    if (!customer) {
+      throw new Error(`Customer with ID ${customerId} not found.`);
+    }
+
+    const convert = this.converter(customer.currency, {
+      company: order.company,
+      session,
+    });
+    const openAR = await this.openAR(customerId, session, convert);
+
+    const pending = await SalesOrderModel.find({
+      customer: customerId,
+      orderType: 'Sales',
+      status: { $in: UNINVOICED_STATUSES },
+      _id: { $ne: order._id },
+    }).session(session);
+    const uninvoiced = [];
+    for (const o of pending) {
+      const amount = await convert(this.uninvoicedAmount(o), o.currency);
+      if (amount > 0) {
+        uninvoiced.push({
+          salesOrder: o._id,
+          orderNum: o.orderNum,
+          status: o.status,
+          currency: o.currency,
+          amount,
+        });
+      }
+    }
+    const uninvoicedTotal = round2(
+      uninvoiced.reduce((sum, o) => sum + o.amount, 0)
+    );
+
+    const thisOrder =
+      order.orderType === 'Return'
+        ? 0
+        : await convert(order.netAR, order.currency);
+    const creditLimit = customer.creditLimit || 0;
+    const currentExposure = round2(openAR.balance + uninvoicedTotal);
+    const totalExposure = round2(currentExposure + thisOrder);
+    const limited = creditLimit > 0;
+
+    return {
+      customer: { _id: customer._id, code: customer.code, name: customer.name },
+      currency: customer.currency,
+      creditLimit,
+      openAR,
+      uninvoicedOrders: { total: uninvoicedTotal, orders: uninvoiced },
+      thisOrder,
+      currentExposure,
+      totalExposure,
+      available: limited ? round2(creditLimit - currentExposure) : null,
+      exceededBy: limited ? Math.max(0, round2(totalExposure - creditLimit)) : 0,
+      withinLimit: !limited || totalExposure <= creditLimit,
+    };
+  }
+
+  /** True when an approved override covers the order's current amount. */
+  static overrideCovers(order) {
+    const o = order.creditOverride;
+    return o?.status === 'APPROVED' && round2(order.netAR) <= (o.amount || 0);
+  }
+}
+
+export default CreditLimitService;
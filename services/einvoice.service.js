@@ -0,0 +1,680 @@
+// services/einvoice.service.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { ItemModel } from '../models/item.model.js';
+import GSTService from './gst.service.js';
+import { UQC } from './gstReturn.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+// state code of exports
+const FOREIGN = '96';
+
+// the IRP's reasons for cancelling an IRN
+export const CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Data entry mistake',
+  3: 'Order cancelled',
+  4: 'Others',
+};
+
+/** dd/mm/yyyy, as the IRP writes dates. */
+const irpDate = (d) => {
+  const [y, m, dd] = new Date(d).toISOString().slice(0, 10).split('-');
+  return `${dd}/${m}/${y}`;
+};
+
+/** "yyyy-mm-dd hh:mm:ss" in IST, as the IRP stamps acknowledgements. */
+const istStamp = (d = new Date()) =>
+  new Date(d.getTime() + 330 * 60e3)
+    .toISOString()
+    .replace('T', ' ')
+    .slice(0, 19);
+
+const fromIstStamp = (s) => new Date(`${String(s).replace(' ', 'T')}+05:30`);
+
+const GSTIN = { type: 'string', pattern: '^[0-9]{2}[0-9A-Z]{13}$' };
+const DOC_NO = { type: 'string', pattern: '^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$' };
+const DATE = { type: 'string', pattern: '^[0-3][0-9]/[0-1][0-9]/20[0-9]{2}$' };
+const AMOUNT = { type: 'number', minimum: 0, maximum: 999999999999.99 };
+const text = (minLength, maxLength) => ({
+  type: 'string',
+  minLength,
+  maxLength,
+});
+
+const party = (gstin) => ({
+  type: 'object',
+  required: ['Gstin', 'LglNm', 'Addr1', 'Loc', 'Pin', 'Stcd'],
+  additionalProperties: false,
+  properties: {
+    Gstin: gstin,
+    LglNm: text(3, 100),
+    TrdNm: text(3, 100),
+    Pos: { type: 'string', pattern: '^[0-9]{1,2}$' },
+    Addr1: text(1, 100),
+    Addr2: text(3, 100),
+    Loc: text(3, 50),
+    Pin: { type: 'integer', minimum: 100000, maximum: 999999 },
+    Stcd: { type: 'string', pattern: '^[0-9]{1,2}$' },
+    Ph: { type: 'string', pattern: '^[0-9]{6,12}$' },
+    Em: text(6, 100),
+  },
+});
+
+/**
+ * The parts of the IRP's e-invoice JSON schema (version 1.1) this module
+ * fills in, with their types, lengths, patterns and ranges.
+ */
+const SCHEMA = {
+  type: 'object',
+  required: [
+    'Version',
+    'TranDtls',
+    'DocDtls',
+    'SellerDtls',
+    'BuyerDtls',
+    'ItemList',
+    'ValDtls',
+  ],
+  additionalProperties: false,
+  properties: {
+    Version: { type: 'string', enum: ['1.1'] },
+    TranDtls: {
+      type: 'object',
+      required: ['TaxSch', 'SupTyp'],
+      additionalProperties: false,
+      properties: {
+        TaxSch: { type: 'string', enum: ['GST'] },
+        SupTyp: {
+          type: 'string',
+          enum: ['B2B', 'SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP', 'DEXP'],
+        },
+        RegRev: { type: 'string', enum: ['Y', 'N'] },
+        IgstOnIntra: { type: 'string', enum: ['Y', 'N'] },
+      },
+    },
+    DocDtls: {
+      type: 'object',
+      required: ['Typ', 'No', 'Dt'],
+      additionalProperties: false,
+      properties: {
+        Typ: { type: 'string', enum: ['INV', 'CRN', 'DBN'] },
+        No: DOC_NO,
+        Dt: DATE,
+      },
+    },
+    SellerDtls: party(GSTIN),
+    BuyerDtls: {
+      ...party({ type: 'string', pattern: '^([0-9]{2}[0-9A-Z]{13}|URP)$' }),
+      required: ['Gstin', 'LglNm', 'Pos', 'Addr1', 'Loc', 'Pin', 'Stcd'],
+    },
+    ItemList: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 1000,
+      items: {
+        type: 'object',
+        required: [
+          'SlNo',
+          'IsServc',
+          'HsnCd',
+          'UnitPrice',
+          'TotAmt',
+          'AssAmt',
+          'GstRt',
+          'TotItemVal',
+        ],
+        additionalProperties: false,
+        properties: {
+          SlNo: text(1, 6),
+          PrdDesc: text(3, 300),
+          IsServc: { type: 'string', enum: ['Y', 'N'] },
+          HsnCd: { type: 'string', pattern: '^[0-9]{4,8}$' },
+          Qty: { type: 'number', minimum: 0, maximum: 9999999999.999 },
+          Unit: text(3, 8),
+          UnitPrice: { type: 'number', minimum: 0, maximum: 99999999999.999 },
+          TotAmt: AMOUNT,
+          Discount: AMOUNT,
+          AssAmt: AMOUNT,
+          GstRt: {
+            type: 'number',
+            enum: [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28],
+          },
+          IgstAmt: AMOUNT,
+          CgstAmt: AMOUNT,
+          SgstAmt: AMOUNT,
+          TotItemVal: AMOUNT,
+        },
+      },
+    },
+    ValDtls: {
+      type: 'object',
+      required: ['AssVal', 'TotInvVal'],
+      additionalProperties: false,
+      properties: {
+        AssVal: AMOUNT,
+        CgstVal: AMOUNT,
+        SgstVal: AMOUNT,
+        IgstVal: AMOUNT,
+        Discount: AMOUNT,
+        OthChrg: AMOUNT,
+        RndOffAmt: { type: 'number', minimum: -99.99, maximum: 99.99 },
+        TotInvVal: AMOUNT,
+        TotInvValFc: AMOUNT,
+      },
+    },
+    RefDtls: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        InvRm: text(3, 100),
+        PrecDocDtls: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['InvNo', 'InvDt'],
+            additionalProperties: false,
+            properties: { InvNo: DOC_NO, InvDt: DATE },
+          },
+        },
+      },
+    },
+    ExpDtls: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ForCur: text(3, 16),
+        CntCode: { type: 'string', pattern: '^[A-Z]{2}$' },
+      },
+    },
+  },
+};
+
+const TYPE_CHECKS = {
+  object: (v) => typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray,
+  integer: Number.isInteger,
+  number: Number.isFinite,
+  string: (v) => typeof v === 'string',
+};
+
+// check `value` against `schema` (the JSON Schema keywords used above)
+function check(schema, value, path, errors) {
+  const at = path || '(root)';
+  if (!TYPE_CHECKS[schema.type](value)) {
+    errors.push({ path: at, message: `must be of type ${schema.type}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: at,
+      message: `must be one of ${schema.enum.join(', ')}`,
+    });
+  }
+  if (schema.type === 'string') {
+    if (value.length < (schema.minLength ?? 0)) {
+      errors.push({ path: at, message: `needs ${schema.minLength}+ chars` });
+    }
+    if (value.length > (schema.maxLength ?? Infinity)) {
+      errors.push({ path: at, message: `allows ${schema.maxLength} chars` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (value < (schema.minimum ?? -Infinity)) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (value > (schema.maximum ?? Infinity)) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+  if (schema.type === 'array') {
+    if (value.length < (schema.minItems ?? 0)) {
+      errors.push({ path: at, message: `needs ${schema.minItems}+ items` });
+    }
+    if (value.length > (schema.maxItems ?? Infinity)) {
+      errors.push({ path: at, message: `allows ${schema.maxItems} items` });
+    }
+    value.forEach((v, i) => check(schema.items, v, `${at}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    const key = (k) => (path ? `${path}.${k}` : k);
+    for (const k of schema.required || []) {
+      if (value[k] === undefined || value[k] === null) {
+        errors.push({ path: key(k), message: 'is required' });
+      }
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined || v === null) continue;
+      if (schema.properties[k]) check(schema.properties[k], v, key(k), errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ path: key(k), message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Offline stand-in for the Invoice Registration Portal. The IRN is the
+ * SHA-256 of supplier GSTIN, financial year, document type and number, as
+ * the IRP makes it; the signed invoice and QR code are JWTs like the IRP's,
+ * but signed with EINVOICE_MOCK_KEY (HS256) instead of the IRP's key.
+ */
+export class MockIRPProvider {
+  constructor(key = process.env.EINVOICE_MOCK_KEY || 'mock-irp-key') {
+    this.key = key;
+    this.issued = new Map();
+  }
+
+  sign(data) {
+    return jwt.sign({ data: JSON.stringify(data) }, this.key, {
+      algorithm: 'HS256',
+      issuer: 'NIC',
+    });
+  }
+
+  async generateIRN(payload) {
+    const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = payload;
+    const [, m, y] = DocDtls.Dt.split('/').map(Number);
+    const fy = m >= 4 ? `${y}-${y + 1}` : `${y - 1}-${y}`;
+    const Irn = crypto
+      .createHash('sha256')
+      .update(`${SellerDtls.Gstin}${fy}${DocDtls.Typ}${DocDtls.No}`)
+      .digest('hex');
+    if (this.issued.has(Irn)) {
+      throw new Error(`❌ 2150: Duplicate IRN ${Irn}.`);
+    }
+    const AckNo = Number(`11${Date.now()}`);
+    const AckDt = istStamp();
+    const response = {
+      AckNo,
+      AckDt,
+      Irn,
+      SignedInvoice: this.sign({ ...payload, Irn, AckNo, AckDt }),
+      SignedQRCode: this.sign({
+        SellerGstin: SellerDtls.Gstin,
+        BuyerGstin: BuyerDtls.Gstin,
+        DocNo: DocDtls.No,
+        DocTyp: DocDtls.Typ,
+        DocDt: DocDtls.Dt,
+        TotInvVal: ValDtls.TotInvVal,
+        ItemCnt: ItemList.length,
+        MainHsnCode: ItemList[0].HsnCd,
+        Irn,
+        IrnDt: AckDt,
+      }),
+      Status: 'ACT',
+    };
+    this.issued.set(Irn, response);
+    return response;
+  }
+
+  async cancelIRN({ Irn }) {
+    const issued = this.issued.get(Irn);
+    if (!issued || issued.Status === 'CNL') {
+      throw new Error(`❌ 2270: IRN ${Irn} is not active.`);
+    }
+    if (Date.now() - fromIstStamp(issued.AckDt) > 24 * 3600e3) {
+      throw new Error('❌ 2230: An IRN can be cancelled within 24 hours.');
+    }
+    issued.Status = 'CNL';
+    return { Irn, CancelDate: istStamp() };
+  }
+
+  verify(token) {
+    return JSON.parse(jwt.verify(token, this.key, { issuer: 'NIC' }).data);
+  }
+}
+
+/**
+ * IRP providers by name. A provider registers invoices with the IRP:
+ *   generateIRN(payload, { gstin }) → { Irn, AckNo, AckDt, SignedInvoice,
+ *                                       SignedQRCode, Status }
+ *   cancelIRN({ Irn, CnlRsn, CnlRem }, { gstin }) → { Irn, CancelDate }
+ *   verify(token) → the data of a signed invoice / QR code (optional)
+ * i.e. the IRP's own request and response fields. EINVOICE_PROVIDER picks
+ * one; there is no default, and MOCK only serves NODE_ENV test / development.
+ */
+const PROVIDERS = new Map([['MOCK', new MockIRPProvider()]]);
+const MOCK_ENVS = ['test', 'development'];
+
+/**
+ * E-invoices of B2B and export sales invoices and credit notes: the IRP's
+ * JSON built from the sales order, customer and company, checked against
+ * the IRP schema and registered for an IRN through a provider.
+ */
+class EInvoiceService {
+  /** Add or replace an IRP provider. */
+  static registerProvider(name, provider) {
+    PROVIDERS.set(String(name).toUpperCase(), provider);
+  }
+
+  static provider(name = process.env.EINVOICE_PROVIDER) {
+    if (!name) {
+      throw new Error(
+        '❌ No e-invoice provider configured: set EINVOICE_PROVIDER.'
+      );
+    }
+    const key = String(name).toUpperCase();
+    if (key === 'MOCK' && !MOCK_ENVS.includes(process.env.NODE_ENV)) {
+      throw new Error(
+        '❌ The MOCK e-invoice provider is for test and development only.'
+      );
+    }
+    const provider = PROVIDERS.get(key);
+    if (!provider) throw new Error(`❌ No e-invoice provider "${name}".`);
+    return provider;
+  }
+
+  /**
+   * A free-text address split the IRP's way: `Pin` is its 6-digit PIN
+   * code, `Loc` the part before it, `Addr1` the rest (or also `Loc` when
+   * there is nothing else).
+   */
+  static address(value = '') {
+    const s = String(value || '').replace(/\s+/g, ' ').trim();
+    const pin = /\b([1-9]\d{2}) ?(\d{3})\b/.exec(s);
+    const parts = (pin ? s.slice(0, pin.index) : s)
+      .split(',')
+      .map((p) => p.replace(/^[\s-]+|[\s-]+$/g, ''))
+      .filter(Boolean);
+    const loc = parts.length > 1 ? parts.pop() : parts[0];
+    return {
+      Addr1: parts.join(', ').slice(0, 100) || undefined,
+      Loc: loc?.slice(0, 50),
+      Pin: pin ? Number(pin[1] + pin[2]) : undefined,
+    };
+  }
+
+  /** Phone and e-mail in the IRP's limits, else left out. */
+  static contact({ contactNum, email } = {}) {
+    const ph = String(contactNum || '').replace(/\D/g, '').slice(-12);
+    return {
+      Ph: ph.length >= 6 ? ph : undefined,
+      Em: email && email.length >= 6 ? email.slice(0, 100) : undefined,
+    };
+  }
+
+  /**
+   * The records an order's e-invoice is built from: customer, company,
+   * items and, for a credit note, the invoice it credits.
+   */
+  static async context(order, session = null) {
+    if (!order.company) {
+      throw new Error(
+        `❌ Sales order ${order.orderNum} has no company to invoice from.`
+      );
+    }
+    const [customer, company] = await Promise.all([
+      mongoose
+        .model('Customers')
+        .findById(order.customer?._id || order.customer)
+        .select('code name registrationNum gstState address contactNum email')
+        .session(session)
+        .lean(),
+      mongoose
+        .model('Companies')
+        .findById(order.company._id || order.company)
+        .select(
+          'companyName taxInfo gstState primaryGSTAddress contactNum email'
+        )
+        .session(session)
+        .lean(),
+    ]);
+    if (!customer) throw new Error(`❌ Customer ${order.customer} not found.`);
+    if (!company) throw new Error(`❌ Company ${order.company} not found.`);
+    const items = await ItemModel.find({
+      _id: { $in: order.lines.map((l) => l.item).filter(Boolean) },
+    })
+      .select('name type unit hsnCode sacCode')
+      .session(session)
+      .lean();
+    const original =
+      order.orderType === 'Return' && order.returnOf?.salesOrder
+        ? await mongoose
+          .model('SalesOrders')
+          .findById(order.returnOf.salesOrder)
+          .select('invoiceNum invoiceDate')
+          .session(session)
+          .lean()
+        : null;
+    return {
+      customer,
+      company,
+      items: new Map(items.map((i) => [String(i._id), i])),
+      original,
+    };
+  }
+
+  /** Whether the customer is abroad. */
+  static isExport(order, { customer }) {
+    const state =
+      order.placeOfSupply ||
+      customer.gstState ||
+      GSTService.stateOfGSTIN(customer.registrationNum);
+    return state === FOREIGN;
+  }
+
+  /** E-invoices are for customers with a GSTIN and for exports. */
+  static applies(order, ctx) {
+    return (
+      GSTService.isValidGSTIN(ctx.customer.registrationNum) ||
+      this.isExport(order, ctx)
+    );
+  }
+
+  /**
+   * The IRP's e-invoice JSON (schema 1.1) of a sales invoice or, for a
+   * return order, credit note. Amounts are in INR; a line's `charges` are
+   * part of its unit price.
+   */
+  static build(order, { customer, company, items, original }) {
+    const rate = order.exchangeRate || 1;
+    const inr = (v) => round2((v || 0) * rate);
+    const exported = this.isExport(order, { customer });
+    const sellerGstin = (company.taxInfo?.gstNumber || '').toUpperCase();
+    const buyerGstin = (customer.registrationNum || '').toUpperCase();
+    const buyerState = exported
+      ? FOREIGN
+      : customer.gstState || GSTService.stateOfGSTIN(buyerGstin);
+
+    const ItemList = order.lines.map((l, i) => {
+      const item = items.get(String(l.item)) || {};
+      const TotAmt = inr(l.quantity * l.price + (l.charges || 0));
+      const taxes = {
+        IgstAmt: inr(l.igst),
+        CgstAmt: inr(l.cgst),
+        SgstAmt: inr(l.sgst),
+      };
+      const AssAmt = inr(l.lineAmt);
+      return {
+        SlNo: String(i + 1),
+        PrdDesc: item.name,
+        IsServc:
+          l.sacCode || (!l.hsnCode && item.sacCode) || item.type === 'Services'
+            ? 'Y'
+            : 'N',
+        HsnCd: l.hsnCode || l.sacCode || item.hsnCode || item.sacCode,
+        Qty: round3(l.quantity),
+        Unit: UQC[item.unit] || 'OTH',
+        UnitPrice: l.quantity ? round3(TotAmt / l.quantity) : 0,
+        TotAmt,
+        Discount: inr(l.discountAmt),
+        AssAmt,
+        GstRt: l.taxability && l.taxability !== 'TAXABLE' ? 0 : l.tax,
+        ...taxes,
+        TotItemVal: round2(
+          AssAmt + taxes.IgstAmt + taxes.CgstAmt + taxes.SgstAmt
+        ),
+      };
+    });
+    const total = (f) => round2(ItemList.reduce((s, l) => s + l[f], 0));
+    const igst = total('IgstAmt');
+
+    const payload = {
+      Version: '1.1',
+      TranDtls: {
+        TaxSch: 'GST',
+        SupTyp: exported ? (igst > 0 ? 'EXPWP' : 'EXPWOP') : 'B2B',
+        RegRev:
+          order.reverseCharge || order.lines.some((l) => l.reverseCharge)
+            ? 'Y'
+            : 'N',
+        IgstOnIntra: 'N',
+      },
+      DocDtls: {
+        Typ: order.orderType === 'Return' ? 'CRN' : 'INV',
+        No: order.invoiceNum,
+        Dt: irpDate(order.invoiceDate || new Date()),
+      },
+      SellerDtls: {
+        Gstin: sellerGstin,
+        LglNm: company.companyName,
+        ...this.address(company.primaryGSTAddress),
+        Stcd: company.gstState || GSTService.stateOfGSTIN(sellerGstin),
+        ...this.contact(company),
+      },
+      BuyerDtls: {
+        Gstin: exported ? 'URP' : buyerGstin,
+        LglNm: customer.name,
+        Pos: exported ? FOREIGN : order.placeOfSupply || buyerState,
+        ...this.address(customer.address),
+        ...(exported && { Pin: 999999 }),
+        Stcd: buyerState,
+        ...this.contact(customer),
+      },
+      ItemList,
+      ValDtls: {
+        AssVal: total('AssAmt'),
+        CgstVal: total('CgstAmt'),
+        SgstVal: total('SgstAmt'),
+        IgstVal: igst,
+        TotInvVal: total('TotItemVal'),
+      },
+    };
+    if (exported && order.currency && order.currency !== 'INR') {
+      payload.ExpDtls = { ForCur: order.currency };
+      payload.ValDtls.TotInvValFc = round2(
+        order.lines.reduce(
+          (s, l) => s + l.lineAmt + l.igst + l.cgst + l.sgst,
+          0
+        )
+      );
+    }
+    if (payload.DocDtls.Typ === 'CRN') {
+      const invDate = original?.invoiceDate;
+      payload.RefDtls = {
+        PrecDocDtls: [
+          {
+            InvNo: order.returnOf?.invoiceNum || original?.invoiceNum,
+            InvDt: invDate ? irpDate(invDate) : undefined,
+          },
+        ],
+      };
+    }
+    return payload;
+  }
+
+  /**
+   * Check a payload against the IRP schema and the IRP's own rules on it.
+   * @returns {Array<{ path: string, message: string }>} empty when valid
+   */
+  static validate(payload) {
+    const errors = [];
+    check(SCHEMA, payload, '', errors);
+    const seller = payload.SellerDtls?.Gstin;
+    if (seller && seller === payload.BuyerDtls?.Gstin) {
+      errors.push({
+        path: 'BuyerDtls.Gstin',
+        message: 'must differ from the seller GSTIN',
+      });
+    }
+    return errors;
+  }
+
+  /** The data in a signed QR code (or invoice), without checking it. */
+  static decode(token) {
+    const [, body] = String(token || '').split('.');
+    if (!body) return null;
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return typeof claims.data === 'string' ? JSON.parse(claims.data) : claims;
+  }
+
+  /**
+   * Build, check and register an order's e-invoice, keeping the IRN, ack
+   * number and signed QR code on `order.einvoice` (the caller saves it).
+   * A payload that fails the schema throws with the failures in
+   * `err.errors`.
+   * @returns {Promise<{ payload: Object, response: Object }>}
+   */
+  static async generate(order, { provider, session = null } = {}) {
+    if (order.einvoice?.status === 'GENERATED') {
+      throw new Error(
+        `❌ Invoice ${order.invoiceNum} already has IRN ${order.einvoice.irn}.`
+      );
+    }
+    const ctx = await this.context(order, session);
+    if (!this.applies(order, ctx)) {
+      throw new Error(
+        `❌ Customer ${ctx.customer.code} has no valid GSTIN; e-invoices ` +
+          'are for B2B and export invoices.'
+      );
+    }
+    const payload = this.build(order, ctx);
+    const errors = this.validate(payload);
+    if (errors.length) {
+      const err = new Error(
+        `❌ The e-invoice of ${order.orderNum} fails the IRP schema.`
+      );
+      err.errors = errors;
+      throw err;
+    }
+    const irp = this.provider(provider);
+    const name = String(provider || process.env.EINVOICE_PROVIDER).toUpperCase();
+    const response = await irp.generateIRN(payload, {
+      gstin: payload.SellerDtls.Gstin,
+    });
+    order.einvoice = {
+      provider: name,
+      irn: response.Irn,
+      ackNo: String(response.AckNo),
+      ackDate: fromIstStamp(response.AckDt),
+      signedInvoice: response.SignedInvoice,
+      signedQRCode: response.SignedQRCode,
+      status: 'GENERATED',
+    };
+    return { payload, response };
+  }
+
+  /** Cancel an order's IRN with the IRP (within 24 hours of it). */
+  static async cancel(order, { reason, remarks = '' }) {
+    const einvoice = order.einvoice;
+    if (einvoice?.status !== 'GENERATED') {
+      throw new Error(`❌ Sales order ${order.orderNum} has no active IRN.`);
+    }
+    if (!CANCEL_REASONS[reason]) {
+      throw new Error(
+        '❌ reason must be 1 (duplicate), 2 (data entry mistake), ' +
+          '3 (order cancelled) or 4 (others).'
+      );
+    }
+    const response = await this.provider(einvoice.provider).cancelIRN(
+      { Irn: einvoice.irn, CnlRsn: String(reason), CnlRem: remarks },
+      { gstin: this.decode(einvoice.signedQRCode)?.SellerGstin }
+    );
+    einvoice.status = 'CANCELLED';
+    einvoice.cancelDate = fromIstStamp(response.CancelDate);
+    einvoice.cancelReason = CANCEL_REASONS[reason];
+    einvoice.cancelRemarks = remarks;
+    return response;
+  }
+}
+
+export default EInvoiceService;
@@ -0,0 +1,213 @@
+// services/exchangeRate.service.js
+
+import mongoose from 'mongoose';
+import {
+  ExchangeRateModel,
+  CURRENCIES,
+  RATE_TYPES,
+} from '../models/exchangeRate.model.js';
+import BudgetService from './budget.service.js';
+
+const DEFAULT_FUNCTIONAL_CURRENCY = 'INR';
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+class ExchangeRateService {
+  /** The company's functional currency (its `currency`), INR by default. */
+  static async functionalCurrency(company, session = null) {
+    if (!company || !mongoose.models.Companies) {
+      return DEFAULT_FUNCTIONAL_CURRENCY;
+    }
+    const co = await mongoose
+      .model('Companies')
+      .findById(company._id || company)
+      .select('currency')
+      .session(session)
+      .lean();
+    return co?.currency || DEFAULT_FUNCTIONAL_CURRENCY;
+  }
+
+  /**
+   * The latest rate of one direction of a pair on or before `date`, the
+   * company's own or a global one. On the same day the company's own rate
+   * wins; a later global rate beats an earlier company rate.
+   */
+  static async latest(from, to, date, { rateType, company, session }) {
+    const rows = await ExchangeRateModel.find({
+      fromCurrency: from,
+      toCurrency: to,
+      rateType,
+      company: { $in: company ? [company._id || company, null] : [null] },
+      rateDate: { $lte: date },
+    })
+      .sort({ rateDate: -1, company: -1 })
+      .limit(1)
+      .session(session)
+      .lean();
+    return rows[0] || null;
+  }
+
+  /**
+   * Rate converting 1 `from` into `to` (functional currency by default) for
+   * a transaction on `date`: the latest rate on or before that day, or the
+   * inverse of the reverse pair's when only that one is kept.
+   * @returns {Promise<{rate: number, rateDate: Date|null, rateType, inverse}>}
+   */
+  static async lookup(
+    from,
+    date = new Date(),
+    { to, rateType = 'SPOT', company = null, session = null } = {}
+  ) {
+    const target = to || (await this.functionalCurrency(company, session));
+    if (!from || from === target) {
+      return { rate: 1, rateDate: null, rateType, inverse: false };
+    }
+    // the whole day counts, whatever the transaction's time
+    const d = new Date(date);
+    const cutoff = new Date(
+      Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())
+    );
+    const opts = { rateType, company, session };
+
+    const direct = await this.latest(from, target, cutoff, opts);
+    const reverse = await this.latest(target, from, cutoff, opts);
+    if (!direct && !reverse) {
+      throw new Error(
+        `❌ No ${rateType} rate ${from}→${target} on or before ${day(cutoff)}.`
+      );
+    }
+    // the more recent of the two wins
+    if (direct && (!reverse || direct.rateDate >= reverse.rateDate)) {
+      return {
+        rate: direct.rate,
+        rateDate: direct.rateDate,
+        rateType,
+        inverse: false,
+      };
+    }
+    return {
+      rate: Math.round((1 / reverse.rate) * 1e6) / 1e6,
+      rateDate: reverse.rateDate,
+      rateType,
+      inverse: true,
+    };
+  }
+
+  /** Just the rate of `lookup`. */
+  static async rateFor(from, date, opts) {
+    return (await this.lookup(from, date, opts)).rate;
+  }
+
+  /**
+   * `given` when the caller typed in a positive rate, else the table's rate
+   * for the transaction date.
+   */
+  static async resolve(given, from, date, opts) {
+    const n = Number(given);
+    if (given != null && given !== '' && n > 0) return n;
+    return this.rateFor(from, date, opts);
+  }
+
+  /**
+   * Turn import rows into rate documents. Columns: fromCurrency,
+   * toCurrency, rateDate, rate and optionally rateType (SPOT) and company.
+   * @returns {{rates: Object[], errors: {row, message}[]}}
+   */
+  static parseRows(rows, { company = null, source = 'IMPORT', user } = {}) {
+    const rates = [];
+    const errors = [];
+    const seen = new Set();
+    rows.forEach((r, i) => {
+      // spreadsheet row number: the header is row 1
+      const row = i + 2;
+      const fail = (message) => errors.push({ row, message });
+      const from = String(r.fromcurrency || r.from || '').trim().toUpperCase();
+      const to = String(r.tocurrency || r.to || '').trim().toUpperCase();
+      const rateType =
+        String(r.ratetype || 'SPOT').trim().toUpperCase() || 'SPOT';
+      const rateDate =
+        r.ratedate instanceof Date ? r.ratedate : new Date(r.ratedate || r.date);
+      const rate = Number(r.rate);
+
+      if (!CURRENCIES.includes(from)) {
+        return fail(`fromCurrency ${from || '(empty)'} is not supported.`);
+      }
+      if (!CURRENCIES.includes(to)) {
+        return fail(`toCurrency ${to || '(empty)'} is not supported.`);
+      }
+      if (from === to) return fail('fromCurrency and toCurrency must differ.');
+      if (!RATE_TYPES.includes(rateType)) {
+        return fail(`rateType ${rateType} is not one of ${RATE_TYPES}.`);
+      }
+      if (isNaN(rateDate)) return fail('rateDate is not a date.');
+      if (!(rate > 0)) return fail('rate must be a positive number.');
+
+      const rowCompany = r.company ? String(r.company).trim() : company;
+      if (rowCompany && !mongoose.isValidObjectId(rowCompany)) {
+        return fail(`company ${rowCompany} is not a valid id.`);
+      }
+      const key = [rowCompany, from, to, rateType, day(rateDate)].join('|');
+      if (seen.has(key)) {
+        return fail(`${from}→${to} ${rateType} for ${day(rateDate)} repeats.`);
+      }
+      seen.add(key);
+      rates.push({
+        company: rowCompany || null,
+        fromCurrency: from,
+        toCurrency: to,
+        rateType,
+        rateDate,
+        rate,
+        source,
+        createdBy: user || 'system',
+      });
+    });
+    return { rates, errors };
+  }
+
+  /**
+   * Import rates from a CSV / XLSX upload. A rate already kept for the same
+   * company, pair, type and day is overwritten. Nothing is saved when any
+   * row is invalid; the error lists every bad row.
+   */
+  static async importRates(buffer, opts = {}) {
+    const rows = BudgetService.readSheet(buffer);
+    if (!rows.length) throw new Error('The file has no rows.');
+    const { rates, errors } = this.parseRows(rows, opts);
+    if (errors.length) {
+      const err = new Error(`${errors.length} row(s) could not be imported.`);
+      err.rows = errors;
+      throw err;
+    }
+
+    const docs = rates.map((r) => new ExchangeRateModel(r));
+    for (const doc of docs) await doc.validate();
+    const result = await ExchangeRateModel.bulkWrite(
+      docs.map((doc) => ({
+        updateOne: {
+          filter: {
+            company: doc.company,
+            fromCurrency: doc.fromCurrency,
+            toCurrency: doc.toCurrency,
+            rateType: doc.rateType,
+            rateDate: doc.rateDate,
+          },
+          update: {
+            $set: {
+              rate: doc.rate,
+              source: doc.source,
+              createdBy: doc.createdBy,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+    return {
+      imported: docs.length,
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+    };
+  }
+}
+
+export default ExchangeRateService;
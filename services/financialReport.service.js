@@ -0,0 +1,665 @@
+// services/financialReport.service.js
+
+import mongoose from 'mongoose';
+import { AccountModel } from '../models/account.model.js';
+import {
+  VoucherModel,
+  VOUCHER_DIMENSIONS,
+} from '../models/voucher.model.js';
+import { BudgetModel } from '../models/budget.model.js';
+import FiscalPeriodService, {
+  SYSTEM_ACCOUNT_TYPES,
+} from './fiscalPeriod.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// voucher line dims a report can be filtered by
+export const REPORT_DIMENSIONS = VOUCHER_DIMENSIONS;
+
+const CREDIT_NORMAL_TYPES = ['LIABILITY', 'EQUITY', 'REVENUE'];
+
+export const STATEMENTS = {
+  INCOME_STATEMENT: ['REVENUE', 'EXPENSE'],
+  BALANCE_SHEET: ['ASSET', 'LIABILITY', 'EQUITY'],
+};
+export const COMPARISONS = ['PRIOR_PERIOD', 'PRIOR_YEAR', 'BUDGET'];
+const COLUMN_KEYS = {
+  PRIOR_PERIOD: 'priorPeriod',
+  PRIOR_YEAR: 'priorYear',
+  BUDGET: 'budget',
+};
+
+/** `date` moved by `n` calendar months, clamped to the end of short months. */
+function shiftMonths(date, n) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  const last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, last));
+  return d;
+}
+
+const isMonthEnd = (d) =>
+  new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getDate() === 1;
+
+/** Variance of `current` against a comparison amount. */
+function variance(current, base, type) {
+  if (base === null || base === undefined) return null;
+  const amount = round2(current - base);
+  const result = {
+    amount,
+    percent: base ? round2((amount / Math.abs(base)) * 100) : null,
+  };
+  // more revenue / less expense than the comparison is favourable
+  if (type === 'REVENUE' || type === 'EXPENSE') {
+    result.favourable = type === 'REVENUE' ? amount >= 0 : amount <= 0;
+  }
+  return result;
+}
+
+class FinancialReportService {
+  /**
+   * Report range: `to` covers the whole day (default today); without
+   * `from` the report starts on the first day of the fiscal year covering
+   * `to`, or 1 January when there is no calendar.
+   */
+  static async resolveRange({ from, to, company } = {}) {
+    const end = to ? new Date(to) : new Date();
+    if (Number.isNaN(end.getTime())) throw new Error('Invalid to date.');
+    end.setHours(23, 59, 59, 999);
+
+    let start;
+    if (from) {
+      start = new Date(from);
+      if (Number.isNaN(start.getTime())) throw new Error('Invalid from date.');
+    } else {
+      const found = await FiscalPeriodService.findPeriod(end, company || null);
+      start = found
+        ? new Date(found.year.startDate)
+        : new Date(end.getFullYear(), 0, 1);
+    }
+    start.setHours(0, 0, 0, 0);
+    if (start > end) throw new Error('from must not be after to.');
+    return { from: start, to: end };
+  }
+
+  /**
+   * Voucher-level and line-level $match stages for a company and a set of
+   * dims, e.g. { site: '<id>' }. Unknown dims are rejected.
+   */
+  static matchStages({ company, dimensions = {} } = {}) {
+    const voucher = {};
+    if (company) {
+      if (!mongoose.Types.ObjectId.isValid(company)) {
+        throw new Error('Invalid company ID.');
+      }
+      voucher.company = new mongoose.Types.ObjectId(company);
+    }
+    const line = {};
+    for (const [dim, value] of Object.entries(dimensions)) {
+      if (!value) continue;
+      if (!REPORT_DIMENSIONS.includes(dim)) {
+        throw new Error(
+          `Unknown dimension ${dim}; use one of ${REPORT_DIMENSIONS.join(', ')}.`
+        );
+      }
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`Invalid ${dim} ID.`);
+      }
+      line[`lines.dims.${dim}`] = new mongoose.Types.ObjectId(value);
+    }
+    return { voucher, line };
+  }
+
+  /**
+   * Local-currency debits and credits per account code, split into the
+   * part dated before `from` (opening) and the part within the range.
+   * `excludeSourceTypes` leaves out vouchers such as PERIOD_CLOSE.
+   * @returns {Promise<Map<string, {openingDebit, openingCredit,
+   *   periodDebit, periodCredit}>>}
+   */
+  static async accountMovements({
+    from,
+    to,
+    company,
+    dimensions,
+    excludeSourceTypes = [],
+  }) {
+    const { voucher, line } = this.matchStages({ company, dimensions });
+    if (excludeSourceTypes.length) {
+      voucher.sourceType = { $nin: excludeSourceTypes };
+    }
+    const rows = await VoucherModel.aggregate([
+      { $match: { ...voucher, voucherDate: { $lte: to } } },
+      { $unwind: '$lines' },
+      ...(Object.keys(line).length ? [{ $match: line }] : []),
+      {
+        $group: {
+          _id: {
+            accountCode: '$lines.accountCode',
+            opening: { $lt: ['$voucherDate', from] },
+          },
+          debit: {
+            $sum: { $max: ['$lines.localAmount', 0] },
+          },
+          credit: {
+            $sum: { $max: [{ $multiply: ['$lines.localAmount', -1] }, 0] },
+          },
+        },
+      },
+    ]);
+
+    const byCode = new Map();
+    for (const r of rows) {
+      const code = r._id.accountCode;
+      if (!byCode.has(code)) {
+        byCode.set(code, {
+          openingDebit: 0,
+          openingCredit: 0,
+          periodDebit: 0,
+          periodCredit: 0,
+        });
+      }
+      const m = byCode.get(code);
+      if (r._id.opening) {
+        m.openingDebit += r.debit;
+        m.openingCredit += r.credit;
+      } else {
+        m.periodDebit += r.debit;
+        m.periodCredit += r.credit;
+      }
+    }
+    return byCode;
+  }
+
+  /**
+   * The chart of accounts keyed by code, each with `level` (1 = top) and
+   * `path` (account codes from the top account down to itself).
+   */
+  static async chart() {
+    const accounts = await AccountModel.find({})
+      .select('accountCode accountName type normalBalance parentAccount isLeaf')
+      .lean();
+    const byId = new Map(accounts.map((a) => [String(a._id), a]));
+
+    const pathOf = (acct) => {
+      const path = [];
+      const seen = new Set();
+      let cur = acct;
+      while (cur && !seen.has(String(cur._id))) {
+        seen.add(String(cur._id));
+        path.unshift(cur.accountCode);
+        cur = cur.parentAccount ? byId.get(String(cur.parentAccount)) : null;
+      }
+      return path;
+    };
+
+    return new Map(
+      accounts.map((a) => {
+        const path = pathOf(a);
+        const parent = a.parentAccount && byId.get(String(a.parentAccount));
+        return [
+          a.accountCode,
+          {
+            accountCode: a.accountCode,
+            accountName: a.accountName,
+            type: a.type,
+            normalBalance: a.normalBalance,
+            isLeaf: a.isLeaf,
+            parentAccountCode: parent ? parent.accountCode : null,
+            level: path.length,
+            path,
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Stand-in for a code the vouchers use but the chart lacks, so that the
+   * report still adds up; `inChart: false` flags it.
+   */
+  static unchartedAccount(accountCode) {
+    const type = SYSTEM_ACCOUNT_TYPES[accountCode] || null;
+    return {
+      accountCode,
+      accountName: null,
+      type,
+      normalBalance: CREDIT_NORMAL_TYPES.includes(type) ? 'CREDIT' : 'DEBIT',
+      isLeaf: true,
+      parentAccountCode: null,
+      level: 1,
+      path: [accountCode],
+      inChart: false,
+    };
+  }
+
+  static parseLevel(level) {
+    if (level === undefined || level === null || level === '') return null;
+    const n = Number(level);
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error('level must be a whole number from 1.');
+    }
+    return n;
+  }
+
+  /**
+   * `accountOf(code)` → the chart entry (or an uncharted stand-in);
+   * `rowKey(code)` → the code of the row it is reported under at `level`.
+   */
+  static rollUp(chart, level) {
+    const accountOf = (code) =>
+      chart.has(code)
+        ? { ...chart.get(code), inChart: true }
+        : this.unchartedAccount(code);
+    const rowKey = (code) => {
+      const { path } = accountOf(code);
+      return level === null ? code : path[Math.min(level, path.length) - 1];
+    };
+    return { accountOf, rowKey };
+  }
+
+  /**
+   * Trial balance for a date range in local currency.
+   * @param {Object} opts { from, to, company, dimensions: { site, ... },
+   *   level, includeZero }
+   *   level — roll every account up to its ancestor at that depth
+   *   (1 = top-level accounts); omitted → the accounts posted to.
+   * Balances are signed by `normalBalance`: positive means the account sits
+   * on its normal side. `totals` lists the debit / credit columns and
+   * `balanced` proves them equal.
+   */
+  static async trialBalance(opts = {}) {
+    const { from, to } = await this.resolveRange(opts);
+    const level = this.parseLevel(opts.level);
+
+    const [movements, chart] = await Promise.all([
+      this.accountMovements({
+        from,
+        to,
+        company: opts.company,
+        dimensions: opts.dimensions,
+      }),
+      this.chart(),
+    ]);
+    const { accountOf, rowKey } = this.rollUp(chart, level);
+
+    if (opts.includeZero) {
+      for (const acct of chart.values()) {
+        if (acct.isLeaf && !movements.has(acct.accountCode)) {
+          movements.set(acct.accountCode, {
+            openingDebit: 0,
+            openingCredit: 0,
+            periodDebit: 0,
+            periodCredit: 0,
+          });
+        }
+      }
+    }
+
+    const rows = new Map();
+    for (const [code, m] of movements) {
+      const key = rowKey(code);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          account: accountOf(key),
+          openingNet: 0,
+          periodDebit: 0,
+          periodCredit: 0,
+        });
+      }
+      const row = rows.get(key);
+      row.openingNet += m.openingDebit - m.openingCredit;
+      row.periodDebit += m.periodDebit;
+      row.periodCredit += m.periodCredit;
+    }
+
+    const totals = {
+      openingDebit: 0,
+      openingCredit: 0,
+      periodDebit: 0,
+      periodCredit: 0,
+      closingDebit: 0,
+      closingCredit: 0,
+    };
+    const data = [...rows.values()]
+      .map(({ account, openingNet, periodDebit, periodCredit }) => {
+        const closingNet = openingNet + periodDebit - periodCredit;
+        totals.openingDebit += Math.max(openingNet, 0);
+        totals.openingCredit += Math.max(-openingNet, 0);
+        totals.periodDebit += periodDebit;
+        totals.periodCredit += periodCredit;
+        totals.closingDebit += Math.max(closingNet, 0);
+        totals.closingCredit += Math.max(-closingNet, 0);
+
+        const sign = account.normalBalance === 'CREDIT' ? -1 : 1;
+        return {
+          accountCode: account.accountCode,
+          accountName: account.accountName,
+          type: account.type,
+          normalBalance: account.normalBalance,
+          parentAccountCode: account.parentAccountCode,
+          level: account.level,
+          inChart: account.inChart,
+          openingBalance: round2(sign * openingNet),
+          periodDebit: round2(periodDebit),
+          periodCredit: round2(periodCredit),
+          closingBalance: round2(sign * closingNet),
+        };
+      })
+      .filter(
+        (r) =>
+          opts.includeZero ||
+          r.openingBalance ||
+          r.periodDebit ||
+          r.periodCredit ||
+          r.closingBalance
+      )
+      .sort((a, b) => a.accountCode.localeCompare(b.accountCode));
+
+    for (const k of Object.keys(totals)) totals[k] = round2(totals[k]);
+    const difference = {
+      opening: round2(totals.openingDebit - totals.openingCredit),
+      period: round2(totals.periodDebit - totals.periodCredit),
+      closing: round2(totals.closingDebit - totals.closingCredit),
+    };
+
+    return {
+      from,
+      to,
+      company: opts.company || null,
+      dimensions: opts.dimensions || {},
+      level,
+      data,
+      totals,
+      difference,
+      balanced: Object.values(difference).every((d) => d === 0),
+    };
+  }
+
+  /**
+   * Range of a comparison column. A range of whole months steps back by
+   * that many months, anything else by the same number of days; the balance
+   * sheet compares against the day before `from`.
+   */
+  static comparisonRange(statement, comparison, { from, to }) {
+    if (comparison === 'PRIOR_YEAR') {
+      const end = shiftMonths(to, -12);
+      end.setHours(23, 59, 59, 999);
+      return { from: shiftMonths(from, -12), to: end };
+    }
+    const end = new Date(from.getTime() - 1);
+    if (statement === 'BALANCE_SHEET') return { from: end, to: end };
+
+    const wholeMonths = from.getDate() === 1 && isMonthEnd(to);
+    if (wholeMonths) {
+      const months =
+        (to.getFullYear() - from.getFullYear()) * 12 +
+        to.getMonth() -
+        from.getMonth() +
+        1;
+      return { from: shiftMonths(from, -months), to: end };
+    }
+    const days = Math.round((to - from) / 86400e3);
+    const start = new Date(from);
+    start.setDate(start.getDate() - days);
+    return { from: start, to: end };
+  }
+
+  /**
+   * Actual net (debit − credit) per account code: the movement within the
+   * range for the income statement (year-end closing vouchers left out),
+   * the balance at `to` for the balance sheet.
+   */
+  static async actualNets(statement, { from, to, company, dimensions }) {
+    const isIncome = statement === 'INCOME_STATEMENT';
+    const movements = await this.accountMovements({
+      from: isIncome ? from : to,
+      to,
+      company,
+      dimensions,
+      excludeSourceTypes: isIncome ? ['PERIOD_CLOSE'] : [],
+    });
+    const nets = new Map();
+    for (const [code, m] of movements) {
+      const period = m.periodDebit - m.periodCredit;
+      const opening = m.openingDebit - m.openingCredit;
+      nets.set(code, isIncome ? period : opening + period);
+    }
+    return nets;
+  }
+
+  /**
+   * Budgeted net per account code. Income statement lines count by the
+   * share of their period inside the range; balance sheet lines are target
+   * balances and count when their period covers `to`. Lines keyed on dims
+   * count only when they match every dimension filter.
+   */
+  static budgetNets(statement, budget, { from, to, dimensions }, accountOf) {
+    const isIncome = statement === 'INCOME_STATEMENT';
+    const filters = Object.entries(dimensions || {}).filter(([, v]) => v);
+    const nets = new Map();
+    for (const line of budget.lines) {
+      const acct = accountOf(line.accountCode);
+      if (STATEMENTS.INCOME_STATEMENT.includes(acct.type) !== isIncome) {
+        continue;
+      }
+      const matches = filters.every(
+        ([dim, value]) => String(line.dims?.[dim] || '') === String(value)
+      );
+      if (!matches) continue;
+
+      let share;
+      if (isIncome) {
+        const start = Math.max(line.periodStart, from);
+        const end = Math.min(line.periodEnd, to);
+        share =
+          end < start ? 0 : (end - start) / (line.periodEnd - line.periodStart);
+      } else {
+        share = line.periodStart <= to && line.periodEnd >= to ? 1 : 0;
+      }
+      if (!share) continue;
+
+      const sign = acct.normalBalance === 'CREDIT' ? -1 : 1;
+      nets.set(
+        line.accountCode,
+        (nets.get(line.accountCode) || 0) + sign * line.amount * share
+      );
+    }
+    return nets;
+  }
+
+  /**
+   * Income statement or balance sheet with comparison columns.
+   * @param {'INCOME_STATEMENT'|'BALANCE_SHEET'} statement
+   * @param {Object} opts { from, to, company, dimensions, level,
+   *   compare: ['PRIOR_PERIOD', 'PRIOR_YEAR', 'BUDGET'] (or comma-separated),
+   *   budget: Budgets id, required with BUDGET }
+   * Amounts are signed by `normalBalance`. Every comparison column gets a
+   * variance (current − comparison) with a percentage of the comparison.
+   */
+  static async comparativeStatement(statement, opts = {}) {
+    if (!STATEMENTS[statement]) throw new Error('Unknown statement.');
+    const isIncome = statement === 'INCOME_STATEMENT';
+    const range = await this.resolveRange(opts);
+    const level = this.parseLevel(opts.level);
+    const compare = [
+      ...new Set(
+        (Array.isArray(opts.compare)
+          ? opts.compare
+          : String(opts.compare || '').split(',')
+        )
+          .map((c) => c.trim().toUpperCase())
+          .filter(Boolean)
+      ),
+    ];
+    const unknown = compare.filter((c) => !COMPARISONS.includes(c));
+    if (unknown.length) {
+      throw new Error(
+        `Unknown comparison ${unknown.join(', ')}; use ${COMPARISONS.join(', ')}.`
+      );
+    }
+
+    let budget = null;
+    if (compare.includes('BUDGET')) {
+      if (!mongoose.Types.ObjectId.isValid(opts.budget)) {
+        throw new Error('A budget id is required to compare with budget.');
+      }
+      budget = await BudgetModel.findById(opts.budget).lean();
+      if (!budget) throw new Error('Budget not found.');
+      if (
+        opts.company &&
+        budget.company &&
+        String(budget.company) !== String(opts.company)
+      ) {
+        throw new Error(`Budget ${budget.code} belongs to another company.`);
+      }
+    }
+
+    const chart = await this.chart();
+    const { accountOf, rowKey } = this.rollUp(chart, level);
+    const scope = { company: opts.company, dimensions: opts.dimensions };
+
+    const columns = [{ key: 'current', ...range }];
+    const nets = {
+      current: await this.actualNets(statement, { ...range, ...scope }),
+    };
+    for (const c of compare) {
+      const key = COLUMN_KEYS[c];
+      if (c === 'BUDGET') {
+        columns.push({ key, ...range, budget: budget.code });
+        nets[key] = this.budgetNets(
+          statement,
+          budget,
+          { ...range, dimensions: opts.dimensions },
+          accountOf
+        );
+      } else {
+        const r = this.comparisonRange(statement, c, range);
+        columns.push({ key, ...r });
+        nets[key] = await this.actualNets(statement, { ...r, ...scope });
+      }
+    }
+    const keys = columns.map((c) => c.key);
+
+    // net per row per column, rolled up to `level`
+    const rows = new Map();
+    const earnings = Object.fromEntries(keys.map((k) => [k, 0]));
+    for (const key of keys) {
+      for (const [code, net] of nets[key]) {
+        const { type } = accountOf(code);
+        const inIncome = STATEMENTS.INCOME_STATEMENT.includes(type);
+        if (!isIncome && inIncome) {
+          // unclosed profit and loss belongs to equity on the balance sheet
+          earnings[key] += net;
+          continue;
+        }
+        if (isIncome !== inIncome) continue;
+        const rk = rowKey(code);
+        if (!rows.has(rk)) {
+          rows.set(rk, {
+            account: accountOf(rk),
+            nets: Object.fromEntries(keys.map((k) => [k, 0])),
+          });
+        }
+        rows.get(rk).nets[key] += net;
+      }
+    }
+    if (!isIncome && Object.values(earnings).some((v) => round2(v))) {
+      rows.set('CURRENT_EARNINGS', {
+        account: {
+          accountCode: 'CURRENT_EARNINGS',
+          accountName: 'Profit / loss not yet closed',
+          type: 'EQUITY',
+          normalBalance: 'CREDIT',
+          parentAccountCode: null,
+          level: 1,
+          inChart: false,
+        },
+        nets: earnings,
+      });
+    }
+
+    const present = (amounts, type) => {
+      const out = { amounts: {}, variances: {} };
+      for (const k of keys) out.amounts[k] = round2(amounts[k]);
+      for (const k of keys.slice(1)) {
+        out.variances[k] = variance(out.amounts.current, out.amounts[k], type);
+      }
+      return out;
+    };
+
+    const sectionTypes = [...STATEMENTS[statement]];
+    if ([...rows.values()].some((r) => !r.account.type)) {
+      sectionTypes.push(null);
+    }
+    const sectionTotals = {};
+    const sections = sectionTypes.map((type) => {
+      const totals = Object.fromEntries(keys.map((k) => [k, 0]));
+      // section totals are on the section's normal side
+      const sectionSign = CREDIT_NORMAL_TYPES.includes(type) ? -1 : 1;
+      const list = [...rows.values()]
+        .filter((r) => (r.account.type || null) === type)
+        .map(({ account, nets: n }) => {
+          const sign = account.normalBalance === 'CREDIT' ? -1 : 1;
+          const amounts = {};
+          for (const k of keys) {
+            amounts[k] = sign * n[k];
+            totals[k] += sectionSign * n[k];
+          }
+          return {
+            accountCode: account.accountCode,
+            accountName: account.accountName,
+            type: account.type,
+            normalBalance: account.normalBalance,
+            parentAccountCode: account.parentAccountCode,
+            level: account.level,
+            inChart: account.inChart,
+            ...present(amounts, account.type),
+          };
+        })
+        .filter((r) => keys.some((k) => r.amounts[k]))
+        .sort((a, b) => a.accountCode.localeCompare(b.accountCode));
+      sectionTotals[type || 'UNCLASSIFIED'] = totals;
+      return {
+        type: type || 'UNCLASSIFIED',
+        rows: list,
+        total: present(totals, type),
+      };
+    });
+
+    const result = {
+      statement,
+      company: opts.company || null,
+      dimensions: opts.dimensions || {},
+      level,
+      columns,
+      sections,
+    };
+
+    if (isIncome) {
+      const { REVENUE, EXPENSE } = sectionTotals;
+      const net = Object.fromEntries(
+        keys.map((k) => [k, REVENUE[k] - EXPENSE[k]])
+      );
+      result.netIncome = present(net, 'REVENUE');
+    } else {
+      // uncharted codes without a type are debit-side (asset-like) legacy codes
+      const { ASSET, LIABILITY, EQUITY, UNCLASSIFIED } = sectionTotals;
+      result.check = {};
+      for (const k of keys) {
+        const assets = ASSET[k] + (UNCLASSIFIED ? UNCLASSIFIED[k] : 0);
+        const claims = LIABILITY[k] + EQUITY[k];
+        result.check[k] = {
+          assets: round2(assets),
+          liabilitiesAndEquity: round2(claims),
+          difference: round2(assets - claims),
+        };
+      }
+    }
+    return result;
+  }
+}
+
+export default FinancialReportService;
@@ -0,0 +1,334 @@
+// services/fiscalPeriod.service.js
+
+import mongoose from 'mongoose';
+import {
+  FiscalYearModel,
+  PERIOD_STATUS_TRANSITIONS,
+} from '../models/fiscalCalendar.model.js';
+import { AccountModel } from '../models/account.model.js';
+import { VoucherModel } from '../models/voucher.model.js';
+import VoucherService from './voucher.service.js';
+import PostingProfileService from './postingProfile.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// GL journal types that may still post into a SOFT_CLOSED period
+const SOFT_CLOSE_JOURNAL_TYPES = ['ADJUSTMENT', 'PERIOD_CLOSE'];
+
+// symbolic codes the posting services write that may be missing from the
+// chart of accounts; the chart wins when it has them
+export const SYSTEM_ACCOUNT_TYPES = {
+  SALES_REVENUE: 'REVENUE',
+  CHARGES_REVENUE: 'REVENUE',
+  FX_GAIN: 'REVENUE',
+  COGS: 'EXPENSE',
+  DISCOUNT_ALLOWED: 'EXPENSE',
+  CHARGES_EXPENSE: 'EXPENSE',
+  FX_LOSS: 'EXPENSE',
+};
+
+class FiscalPeriodService {
+  /**
+   * Fiscal year and period covering `date`: the company's own calendar
+   * first, then the global one (company: null).
+   * @returns {Promise<{year, period}|null>} null when no calendar covers it
+   */
+  static async findPeriod(date, company = null, session = null) {
+    const d = new Date(date);
+    const companies = company ? [company, null] : [null];
+    for (const c of companies) {
+      const year = await FiscalYearModel.findOne({
+        company: c,
+        startDate: { $lte: d },
+        endDate: { $gte: d },
+      }).session(session);
+      if (year) return { year, period: year.periodFor(d) };
+    }
+    return null;
+  }
+
+  /**
+   * Throw unless the period covering `date` accepts postings.
+   * Dates with no fiscal calendar at all are allowed so that companies
+   * without one keep posting as before; a calendar with a gap is not.
+   * @param {Object} opts { company, source, journalType }
+   *   source: 'GL_JOURNAL' | 'CASH_JOURNAL' | 'INVENT_JOURNAL' | 'SALES' | 'PURCHASE'
+   */
+  static async assertPostingAllowed(
+    date,
+    { company = null, source, journalType } = {},
+    session = null
+  ) {
+    const d = new Date(date || Date.now());
+    const found = await this.findPeriod(d, company, session);
+    if (!found) {
+      const hasCalendar = await FiscalYearModel.exists({
+        company: company ? { $in: [company, null] } : null,
+      }).session(session);
+      if (!hasCalendar) return null;
+      throw new Error(
+        `❌ No fiscal period covers ${d.toISOString().slice(0, 10)}.`
+      );
+    }
+
+    const { year, period } = found;
+    if (!period) {
+      throw new Error(
+        `❌ ${year.code} has no period covering ${d.toISOString().slice(0, 10)}.`
+      );
+    }
+    if (period.status === 'HARD_CLOSED') {
+      throw new Error(
+        `❌ Period ${period.name} of ${year.code} is hard-closed; nothing can be posted into it.`
+      );
+    }
+    if (
+      period.status === 'SOFT_CLOSED' &&
+      !(source === 'GL_JOURNAL' && SOFT_CLOSE_JOURNAL_TYPES.includes(journalType))
+    ) {
+      throw new Error(
+        `❌ Period ${period.name} of ${year.code} is soft-closed; only ${SOFT_CLOSE_JOURNAL_TYPES.join(
+          '/'
+        )} GL journals can be posted into it.`
+      );
+    }
+    return found;
+  }
+
+  /**
+   * Move one period between OPEN, SOFT_CLOSED and HARD_CLOSED.
+   * HARD_CLOSED is final.
+   */
+  static async setPeriodStatus(yearId, periodNum, status, user = 'system') {
+    const year = await FiscalYearModel.findById(yearId);
+    if (!year) throw new Error('Fiscal year not found.');
+    const period = year.periods.find((p) => p.periodNum === Number(periodNum));
+    if (!period) throw new Error(`Period ${periodNum} not found in ${year.code}.`);
+    if (period.status === status) return year;
+
+    const allowed = PERIOD_STATUS_TRANSITIONS[period.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(
+        `❌ Cannot move period ${period.name} from ${period.status} to ${status}.`
+      );
+    }
+
+    period.status = status;
+    period.closedBy = status === 'OPEN' ? undefined : user;
+    period.closedAt = status === 'OPEN' ? undefined : new Date();
+    year.updatedBy = user;
+    await year.save();
+    return year;
+  }
+
+  /**
+   * Companies with a calendar of their own overlapping `year`; a global
+   * year does not close their books.
+   */
+  static async ownCalendars(year, session = null) {
+    return FiscalYearModel.distinct('company', {
+      company: { $ne: null },
+      startDate: { $lte: year.endDate },
+      endDate: { $gte: year.startDate },
+    }).session(session);
+  }
+
+  /**
+   * Net local-currency balance (debit positive) of every REVENUE / EXPENSE
+   * account posted within the fiscal year, per company:
+   * `[{ company, balances }]`. A global year (company: null) closes every
+   * company without a calendar of its own, each on its own.
+   */
+  static async incomeStatementBalances(year, session = null) {
+    const match = {
+      voucherDate: { $gte: year.startDate, $lte: year.endDate },
+      sourceType: { $ne: 'PERIOD_CLOSE' },
+    };
+    if (year.company) {
+      match.company = year.company;
+    } else {
+      const own = await this.ownCalendars(year, session);
+      if (own.length) match.company = { $nin: own };
+    }
+
+    const sums = await VoucherModel.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { company: '$company', accountCode: '$lines.accountCode' },
+          balance: { $sum: '$lines.localAmount' },
+        },
+      },
+    ]).session(session);
+
+    const codes = [...new Set(sums.map((s) => s._id.accountCode))];
+    const accounts = await AccountModel.find({ accountCode: { $in: codes } })
+      .select('accountCode type')
+      .session(session);
+    const typeOf = new Map(accounts.map((a) => [a.accountCode, a.type]));
+
+    const byCompany = new Map();
+    for (const s of sums) {
+      const { company = null, accountCode } = s._id;
+      const type = typeOf.get(accountCode) || SYSTEM_ACCOUNT_TYPES[accountCode];
+      const balance = round2(s.balance);
+      if (!['REVENUE', 'EXPENSE'].includes(type) || !balance) continue;
+      const key = company ? String(company) : '';
+      if (!byCompany.has(key)) byCompany.set(key, { company, balances: [] });
+      byCompany.get(key).balances.push({ accountCode, type, balance });
+    }
+    return [...byCompany.values()]
+      .map((c) => ({
+        ...c,
+        balances: c.balances.sort((x, y) =>
+          x.accountCode.localeCompare(y.accountCode)
+        ),
+      }))
+      .sort((x, y) =>
+        String(x.company || '').localeCompare(String(y.company || ''))
+      );
+  }
+
+  /**
+   * Year-end close: every period must be closed first. Posts one voucher
+   * per company on the last day of the year that zeroes its REVENUE /
+   * EXPENSE accounts into retained earnings, then hard-closes the whole
+   * year. Without an explicit account code each company's
+   * RETAINED_EARNINGS posting profile is used.
+   */
+  static async runYearEndClose(
+    yearId,
+    { retainedEarningsAccount, user = 'system' } = {}
+  ) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const year = await FiscalYearModel.findById(yearId).session(session);
+      if (!year) throw new Error('Fiscal year not found.');
+      if (year.yearEnd?.status === 'COMPLETED') {
+        throw new Error(
+          `❌ ${year.code} was already closed on ${year.yearEnd.runAt
+            .toISOString()
+            .slice(0, 10)}.`
+        );
+      }
+      const open = year.periods.filter((p) => p.status === 'OPEN');
+      if (open.length) {
+        throw new Error(
+          `❌ Close every period first; still open: ${open
+            .map((p) => p.name)
+            .join(', ')}.`
+        );
+      }
+
+      const explicit = retainedEarningsAccount
+        ? await AccountModel.findOne({
+          accountCode: retainedEarningsAccount,
+        }).session(session)
+        : null;
+      if (retainedEarningsAccount && !explicit) {
+        throw new Error(`❌ Account ${retainedEarningsAccount} not found.`);
+      }
+      const equity = (re) => {
+        if (re.type !== 'EQUITY') {
+          throw new Error(
+            `❌ Retained earnings account ${re.accountCode} must be an EQUITY account.`
+          );
+        }
+        return re;
+      };
+      if (explicit) equity(explicit);
+
+      const closings = [];
+      for (const { company, balances } of await this.incomeStatementBalances(
+        year,
+        session
+      )) {
+        const re =
+          explicit ||
+          equity(
+            await PostingProfileService.resolve(
+              'RETAINED_EARNINGS',
+              { company, label: `year-end close of ${year.code}` },
+              session
+            )
+          );
+        // looked up by name: company.model.js pulls in the app entry point
+        const doc = company
+          ? await mongoose
+            .model('Companies')
+            .findById(company)
+            .select('currency')
+            .session(session)
+          : null;
+        const voucher = await VoucherService.createClosingVoucher(
+          {
+            fiscalYear: year,
+            company,
+            balances,
+            retainedEarningsAccount: re.accountCode,
+            currency: doc?.currency || 'INR',
+          },
+          session
+        );
+        closings.push({
+          company,
+          retainedEarningsAccount: re.accountCode,
+          voucher: voucher._id,
+          voucherNo: voucher.voucherNo,
+          closedAccounts: balances,
+          netIncome: round2(-balances.reduce((s, b) => s + b.balance, 0)),
+        });
+      }
+
+      const now = new Date();
+      for (const p of year.periods) {
+        if (p.status !== 'HARD_CLOSED') {
+          p.status = 'HARD_CLOSED';
+          p.closedBy = user;
+          p.closedAt = now;
+        }
+      }
+      // a company's own year has at most one closing, also kept at the
+      // top; a global year's are only in `closings`
+      const own = year.company ? closings[0] : null;
+      year.yearEnd = {
+        status: 'COMPLETED',
+        retainedEarningsAccount:
+          own?.retainedEarningsAccount || explicit?.accountCode,
+        voucher: own?.voucher,
+        voucherNo: own?.voucherNo,
+        closedAccounts: own?.closedAccounts || [],
+        netIncome: year.company ? (own?.netIncome ?? 0) : undefined,
+        closings,
+        runAt: now,
+        runBy: user,
+      };
+      year.updatedBy = user;
+      await year.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+      return year;
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      // leave a trace of the failed run on the year
+      await FiscalYearModel.updateOne(
+        { _id: yearId, 'yearEnd.status': { $ne: 'COMPLETED' } },
+        {
+          $set: {
+            'yearEnd.status': 'FAILED',
+            'yearEnd.error': err.message,
+            'yearEnd.runAt': new Date(),
+            'yearEnd.runBy': user,
+          },
+        }
+      ).catch(() => {});
+      throw err;
+    }
+  }
+}
+
+export default FiscalPeriodService;
@@ -0,0 +1,325 @@
+// services/fxRevaluation.service.js
+
+import { FXRevaluationModel } from '../models/fxRevaluation.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { CustomerModel } from '../models/customer.model.js';
+import { VendorModel } from '../models/vendor.model.js';
+import AgeingService from './ageing.service.js';
+import ExchangeRateService from './exchangeRate.service.js';
+import FiscalPeriodService from './fiscalPeriod.service.js';
+import GLJournalService from './glJournal.service.js';
+import PostingProfileService from './postingProfile.service.js';
+import VoucherService from './voucher.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const DAY = 86400e3;
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+const SIDES = {
+  AR: {
+    Model: SalesOrderModel,
+    partyField: 'customer',
+    PartyModel: CustomerModel,
+    partyModel: 'Customers',
+    partyKind: 'customer',
+    control: 'ACCOUNTS_RECEIVABLE',
+  },
+  AP: {
+    Model: PurchaseOrderModel,
+    partyField: 'vendor',
+    PartyModel: VendorModel,
+    partyModel: 'Vendors',
+    partyKind: 'vendor',
+    control: 'ACCOUNTS_PAYABLE',
+  },
+};
+
+class FXRevaluationService {
+  static side(side) {
+    const cfg = SIDES[side];
+    if (!cfg) throw new Error('side must be AR or AP.');
+    return cfg;
+  }
+
+  /**
+   * Local gain (+) or loss (−) of settling `amount` of an invoice booked
+   * at `bookedRate` at `settledRate`: receivables gain when the rate rises,
+   * payables when it falls.
+   */
+  static realised(side, amount, bookedRate, settledRate) {
+    const diff = round2(amount * settledRate) - round2(amount * bookedRate);
+    return round2(side === 'AR' ? diff : -diff);
+  }
+
+  /**
+   * The revaluation day (UTC midnight), the cut-off at its end, and the
+   * reversal date: the day after the fiscal period covering it, or the
+   * first of the next month without a calendar.
+   */
+  static async dates(asOfDate, company = null, session = null) {
+    const d = new Date(asOfDate);
+    if (isNaN(d)) throw new Error('asOfDate is not a date.');
+    const journalDate = new Date(day(d));
+    const cutoff = new Date(journalDate.getTime() + DAY - 1);
+    const found = await FiscalPeriodService.findPeriod(
+      journalDate,
+      company,
+      session
+    );
+    const reverseOn = found?.period
+      ? new Date(Date.parse(day(found.period.endDate)) + DAY)
+      : new Date(
+        Date.UTC(journalDate.getUTCFullYear(), journalDate.getUTCMonth() + 1)
+      );
+    return { journalDate, cutoff, reverseOn };
+  }
+
+  /**
+   * Open foreign-currency invoices on `cutoff` grouped by party and
+   * currency, each valued at the rate it was booked at. Returns are open
+   * with a negative amount.
+   */
+  static async openBalances(side, cutoff, { company, functional }, session) {
+    const cfg = this.side(side);
+    const filter = {
+      status: 'Invoiced',
+      invoiceDate: { $lte: cutoff },
+      currency: { $ne: functional },
+    };
+    if (company) filter.company = company;
+    const docs = await cfg.Model.find(filter)
+      .sort({ invoiceDate: 1 })
+      .session(session);
+
+    const groups = new Map();
+    for (const doc of docs) {
+      const open = AgeingService.outstandingAsOf(doc, cutoff);
+      if (!open) continue;
+      const sign = doc.orderType === 'Return' ? -1 : 1;
+      const openAmount = round2(sign * open);
+      const bookedRate = await VoucherService.rateOf(
+        doc,
+        doc.invoiceDate,
+        session
+      );
+      const party = doc[cfg.partyField]?._id || doc[cfg.partyField];
+      const key = `${party}|${doc.currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          party,
+          partyModel: cfg.partyModel,
+          currency: doc.currency,
+          openAmount: 0,
+          bookedLocal: 0,
+          invoices: [],
+        });
+      }
+      const g = groups.get(key);
+      const bookedLocal = round2(openAmount * bookedRate);
+      g.openAmount = round2(g.openAmount + openAmount);
+      g.bookedLocal = round2(g.bookedLocal + bookedLocal);
+      g.invoices.push({
+        invoice: doc._id,
+        orderNum: doc.orderNum,
+        invoiceNum: doc.invoiceNum,
+        invoiceDate: doc.invoiceDate,
+        openAmount,
+        bookedRate,
+        bookedLocal,
+      });
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * What a run would post: every party's open balance revalued at the
+   * CLOSING rate of the day, without saving anything.
+   */
+  static async preview(side, { asOfDate, company = null } = {}, session = null) {
+    const { journalDate, cutoff, reverseOn } = await this.dates(
+      asOfDate,
+      company,
+      session
+    );
+    const functional = await ExchangeRateService.functionalCurrency(
+      company,
+      session
+    );
+    const parties = await this.openBalances(
+      side,
+      cutoff,
+      { company, functional },
+      session
+    );
+
+    const rates = new Map();
+    for (const p of parties) {
+      if (!rates.has(p.currency)) {
+        rates.set(
+          p.currency,
+          await ExchangeRateService.rateFor(p.currency, journalDate, {
+            to: functional,
+            rateType: 'CLOSING',
+            company,
+            session,
+          })
+        );
+      }
+      p.closingRate = rates.get(p.currency);
+      p.revaluedLocal = round2(p.openAmount * p.closingRate);
+      const diff = round2(p.revaluedLocal - p.bookedLocal);
+      // a dearer currency is a gain on receivables, a loss on payables
+      p.gainLoss = side === 'AR' ? diff : -diff;
+    }
+    const sum = (sign) =>
+      round2(
+        parties
+          .filter((p) => sign * p.gainLoss > 0)
+          .reduce((t, p) => t + Math.abs(p.gainLoss), 0)
+      );
+    return {
+      side,
+      company,
+      asOfDate: journalDate,
+      reverseOn,
+      functionalCurrency: functional,
+      parties,
+      totalGain: sum(1),
+      totalLoss: sum(-1),
+    };
+  }
+
+  /** GL journal line in the functional currency (no quantity involved). */
+  static localLine(account, amount, debit, currency, extra = {}) {
+    return {
+      account: account._id,
+      debit: debit ? amount : 0,
+      credit: debit ? 0 : amount,
+      currency,
+      exchangeRate: 1,
+      localAmount: debit ? amount : -amount,
+      qty: 1,
+      unitPrice: amount,
+      assessableValue: amount,
+      ...extra,
+    };
+  }
+
+  /**
+   * A run of the side whose revaluation still stands somewhere between
+   * `asOfDate` and `reverseOn`: not all of its reversals have posted yet.
+   */
+  static async openRun(side, { company, asOfDate, reverseOn }, session) {
+    const runs = await FXRevaluationModel.find({
+      company,
+      side,
+      asOfDate: { $lt: reverseOn },
+      reverseOn: { $gt: asOfDate },
+    })
+      .sort({ asOfDate: -1 })
+      .session(session);
+    for (const run of runs) {
+      const posted = run.parties.filter((p) => p.journal).length;
+      const reversed = await GLJournalModel.countDocuments({
+        _id: { $in: await this.reversalIds(run, session) },
+        status: 'POSTED',
+      }).session(session);
+      if (reversed < posted) return run;
+    }
+    return null;
+  }
+
+  /**
+   * Post one unrealised gain/loss journal per party with a difference,
+   * each reversing itself on the first day of the next period, and keep
+   * the run. Runs inside the caller's transaction. A run that has not
+   * reversed yet blocks another one before its reversal date, which would
+   * revalue the same balances again.
+   */
+  static async run(
+    side,
+    { asOfDate, company = null, user = 'system', remarks = '' } = {},
+    session
+  ) {
+    const cfg = this.side(side);
+    const result = await this.preview(side, { asOfDate, company }, session);
+    const open = await this.openRun(side, { company, ...result }, session);
+    if (open) {
+      throw new Error(
+        `❌ ${side} has already been revalued as of ${day(
+          open.asOfDate
+        )}; that revaluation stands until ${day(open.reverseOn)}.`
+      );
+    }
+
+    const run = new FXRevaluationModel({ ...result, remarks, createdBy: user });
+    for (const p of run.parties) {
+      if (!p.gainLoss) continue;
+      const gain = p.gainLoss > 0;
+      const amount = Math.abs(p.gainLoss);
+      const ctx = {
+        company,
+        partyGroups: await PostingProfileService.partyGroups(
+          cfg.PartyModel,
+          p.party,
+          session
+        ),
+        partyKind: cfg.partyKind,
+        label: `${side} revaluation ${day(result.asOfDate)}`,
+      };
+      const control = await PostingProfileService.resolve(
+        cfg.control,
+        ctx,
+        session
+      );
+      const fx = await PostingProfileService.resolve(
+        gain ? 'FX_UNREALISED_GAIN' : 'FX_UNREALISED_LOSS',
+        ctx,
+        session
+      );
+      const sub = { sourceType: 'FX_REVAL', txnId: run._id };
+
+      // a gain raises the receivable / lowers the payable, a loss the reverse
+      const journal = new GLJournalModel({
+        journalDate: result.asOfDate,
+        reverseOn: result.reverseOn,
+        company,
+        fxRevaluation: run._id,
+        status: 'DRAFT',
+        reference: `Unrealised FX ${side} ${day(result.asOfDate)} · ${
+          p.openAmount
+        } ${p.currency} @ ${p.closingRate}`,
+        createdBy: `fx-revaluation:${user}`,
+        lines: [
+          this.localLine(control, amount, gain, result.functionalCurrency, {
+            [cfg.partyField]: p.party,
+            subledger: sub,
+          }),
+          this.localLine(fx, amount, !gain, result.functionalCurrency, {
+            subledger: sub,
+          }),
+        ],
+      });
+      await journal.save({ session });
+      await GLJournalService.post(journal, session);
+      p.journal = journal._id;
+    }
+    await run.save({ session });
+    return run;
+  }
+
+  /** Ids of the reversal journals a run's journals created. */
+  static async reversalIds(run, session = null) {
+    const journals = await GLJournalModel.find({
+      _id: { $in: run.parties.map((p) => p.journal).filter(Boolean) },
+    })
+      .select('reversalJournal')
+      .session(session)
+      .lean();
+    return journals.map((j) => j.reversalJournal).filter(Boolean);
+  }
+}
+
+export default FXRevaluationService;
@@ -0,0 +1,316 @@
+// services/glApproval.service.js
+
+import { GLApprovalRuleModel } from '../models/glApprovalRule.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import { AccountModel } from '../models/account.model.js';
+import { UserGlobalModel } from '../models/userGlobal.model.js';
+import { UserRoleModel } from '../role_based_access_control_service/models/userRole.model.js';
+
+const HOUR = 60 * 60 * 1000;
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+class GLApprovalService {
+  /** Total debits of a journal in local currency. */
+  static journalAmount(journal) {
+    const total = journal.lines.reduce(
+      (sum, ln) => sum + Math.max(Number(ln.localAmount) || 0, 0),
+      0
+    );
+    return Math.round(total * 100) / 100;
+  }
+
+  /** Does `rule` apply to a journal with these facts? */
+  static matches(rule, { template, company, amount, accountCodes }) {
+    if (rule.company && !sameId(rule.company, company)) return false;
+    if (
+      rule.templates?.length &&
+      !rule.templates.some((t) => sameId(t, template))
+    ) {
+      return false;
+    }
+    if (rule.minAmount != null && amount < rule.minAmount) return false;
+    if (rule.maxAmount != null && amount > rule.maxAmount) return false;
+    if (rule.accountFrom || rule.accountTo) {
+      const inRange = (code) =>
+        (!rule.accountFrom || code >= rule.accountFrom) &&
+        (!rule.accountTo || code <= rule.accountTo);
+      if (!accountCodes.some(inRange)) return false;
+    }
+    return true;
+  }
+
+  /** The active rule deciding a journal's approval, or null when none. */
+  static async findRule(journal, session = null) {
+    const rules = await GLApprovalRuleModel.find({
+      active: true,
+      company: { $in: [journal.company || null, null] },
+    })
+      .sort({ priority: 1, code: 1 })
+      .session(session)
+      .lean();
+    if (!rules.length) return null;
+
+    const accounts = await AccountModel.find({
+      _id: { $in: journal.lines.map((ln) => ln.account).filter(Boolean) },
+    })
+      .select('accountCode')
+      .session(session)
+      .lean();
+    const facts = {
+      template: journal.template,
+      company: journal.company,
+      amount: this.journalAmount(journal),
+      accountCodes: accounts.map((a) => a.accountCode),
+    };
+    return rules.find((rule) => this.matches(rule, facts)) || null;
+  }
+
+  /** Ids of the users holding `roleId`. */
+  static async roleUsers(roleId) {
+    const users = await UserGlobalModel.find({
+      userRoles: roleId,
+      archived: { $ne: true },
+    })
+      .select('_id')
+      .lean();
+    return users.map((u) => u._id);
+  }
+
+  /** Workflow entries for a rule: one per step and role. */
+  static async buildWorkflow(rule) {
+    const entries = [];
+    for (const step of rule.steps) {
+      for (const role of step.roles) {
+        const candidates = await this.roleUsers(role);
+        if (!candidates.length) {
+          const r = await UserRoleModel.findById(role).select('name').lean();
+          throw new Error(
+            `❌ Rule ${rule.code} step ${step.step}: no user holds role ${
+              r?.name || role
+            }.`
+          );
+        }
+        entries.push({
+          step: step.step,
+          role,
+          candidates,
+          approval: step.approval,
+          status: 'PENDING',
+          escalateAfterHours: step.escalateAfterHours ?? null,
+          escalateTo: step.escalateTo || null,
+        });
+      }
+    }
+    return entries;
+  }
+
+  /** Make `step` current and start its escalation clocks. */
+  static openStep(journal, step, now = new Date()) {
+    journal.currentStep = step;
+    for (const entry of journal.workflow) {
+      if (entry.step !== step) continue;
+      entry.dueAt =
+        entry.escalateAfterHours != null && entry.escalateTo
+          ? new Date(now.getTime() + entry.escalateAfterHours * HOUR)
+          : null;
+    }
+  }
+
+  /**
+   * Submit a DRAFT: with `stepUsers` it follows the hand-picked sequence,
+   * otherwise the matching approval rule decides the steps.
+   */
+  static async submit(journal, { stepUsers, user } = {}) {
+    if (journal.status !== 'DRAFT') {
+      throw new Error('Only DRAFT can be submitted');
+    }
+    if (Array.isArray(stepUsers) && stepUsers.length) {
+      journal.initWorkflow(stepUsers, user?._id);
+      journal.approvalRule = null;
+    } else {
+      const rule = await this.findRule(journal);
+      if (!rule) {
+        throw new Error(
+          'No approval rule applies to this journal; supply stepUsers.'
+        );
+      }
+      const entries = await this.buildWorkflow(rule);
+      journal.submittedAt = new Date();
+      journal.approvalRule = rule._id;
+      journal.workflow = entries;
+      this.openStep(journal, entries[0].step);
+      journal.addHistory({
+        user: user?._id,
+        action: 'SUBMIT',
+        step: entries[0].step,
+        comment: `Submitted under approval rule ${rule.code} (${
+          rule.steps.length
+        } step(s))`,
+      });
+    }
+    journal.status = 'PENDING_APPROVAL';
+    return journal;
+  }
+
+  /** May `user` ({ _id, userRoles }) act on this workflow entry? */
+  static canAct(entry, user = {}) {
+    if (entry.assignedTo) return sameId(entry.assignedTo, user._id);
+    if (entry.candidates?.some((c) => sameId(c, user._id))) return true;
+    const roles = (user.userRoles || []).map(String);
+    if (entry.role && roles.includes(String(entry.role))) return true;
+    return Boolean(
+      entry.escalatedAt &&
+        entry.escalateTo &&
+        roles.includes(String(entry.escalateTo))
+    );
+  }
+
+  /**
+   * The entry of `step` a request refers to: the one for `role` when given,
+   * else the pending one `user` may act on, else the first pending one.
+   */
+  static stepEntry(journal, step, { role, user } = {}) {
+    const pending = journal.workflow.filter(
+      (s) => s.step === step && s.status === 'PENDING'
+    );
+    if (role) return pending.find((s) => sameId(s.role, role));
+    return pending.find((s) => this.canAct(s, user)) || pending[0];
+  }
+
+  /**
+   * Record an approver's action on the current step. A step is done when
+   * every entry approved (ALL) or the first did (ANY, the rest SKIPPED);
+   * then the next step opens or the journal becomes APPROVED. Rejection
+   * or a change request anywhere ends the workflow.
+   */
+  static act(journal, step, { user, action, comment }) {
+    if (journal.status !== 'PENDING_APPROVAL') {
+      throw new Error(`Journal is ${journal.status}, not PENDING_APPROVAL`);
+    }
+    if (journal.currentStep !== step) {
+      throw new Error('Not this step’s turn');
+    }
+    const entry = journal.workflow.find(
+      (s) => s.step === step && s.status === 'PENDING' && this.canAct(s, user)
+    );
+    if (!entry) throw new Error('You are not an approver of this step');
+
+    entry.status = action;
+    entry.actedBy = user?._id;
+    entry.actedAt = new Date();
+    entry.comment = comment;
+    entry.dueAt = null;
+    journal.addHistory({ user: user?._id, action, step, comment });
+
+    if (action !== 'APPROVED') {
+      // either REJECTED or CHANGES_REQUESTED
+      journal.currentStep = null;
+      journal.status = action;
+      return journal;
+    }
+
+    const ofStep = journal.workflow.filter((s) => s.step === step);
+    const done =
+      entry.approval === 'ANY' || ofStep.every((s) => s.status === 'APPROVED');
+    if (!done) return journal;
+    for (const s of ofStep) {
+      if (s.status === 'PENDING') {
+        s.status = 'SKIPPED';
+        s.dueAt = null;
+      }
+    }
+
+    const later = journal.workflow
+      .map((s) => s.step)
+      .filter((n) => n > step)
+      .sort((a, b) => a - b);
+    if (later.length) {
+      this.openStep(journal, later[0]);
+    } else {
+      journal.currentStep = null;
+      journal.status = 'APPROVED';
+    }
+    return journal;
+  }
+
+  /**
+   * Escalate overdue rule-driven entries: the step's escalation role may
+   * act on them as well. Each entry escalates once.
+   * @returns {Promise<{escalated: {journal, step, role}[]}>}
+   */
+  static async escalateOverdue(asOf = new Date()) {
+    const journals = await GLJournalModel.find({
+      status: 'PENDING_APPROVAL',
+      workflow: {
+        $elemMatch: {
+          status: 'PENDING',
+          dueAt: { $lte: asOf },
+          escalatedAt: null,
+        },
+      },
+    });
+
+    const result = { escalated: [] };
+    for (const j of journals) {
+      let changed = false;
+      for (const entry of j.workflow) {
+        if (
+          entry.step !== j.currentStep ||
+          entry.status !== 'PENDING' ||
+          !entry.dueAt ||
+          entry.dueAt > asOf ||
+          entry.escalatedAt ||
+          !entry.escalateTo
+        ) {
+          continue;
+        }
+        const extra = await this.roleUsers(entry.escalateTo);
+        const known = new Set(entry.candidates.map(String));
+        for (const u of extra) {
+          if (!known.has(String(u))) entry.candidates.push(u);
+        }
+        entry.escalatedAt = asOf;
+        j.addHistory({
+          action: 'ESCALATE',
+          step: entry.step,
+          comment: `Pending since ${entry.dueAt.toISOString()}; role ${
+            entry.escalateTo
+          } may now act`,
+        });
+        result.escalated.push({
+          journal: j.globalJournalNum,
+          step: entry.step,
+          role: entry.escalateTo,
+        });
+        changed = true;
+      }
+      if (changed) await j.save();
+    }
+    return result;
+  }
+
+  /**
+   * Posting guard: a DRAFT caught by an approval rule must go through the
+   * workflow first. Reversals follow their (approved) accrual, and FX
+   * revaluation journals the closing rates they were computed from.
+   */
+  static async assertPostable(journal, session = null) {
+    if (
+      journal.status === 'APPROVED' ||
+      journal.reversalOf ||
+      journal.fxRevaluation
+    ) {
+      return;
+    }
+    const rule = await this.findRule(journal, session);
+    if (rule) {
+      throw new Error(
+        `❌ ${journal.globalJournalNum} needs approval under rule ${
+          rule.code
+        }; submit it first.`
+      );
+    }
+  }
+}
+
+export default GLApprovalService;
@@ -0,0 +1,259 @@
+// services/glJournal.service.js
+
+import mongoose from 'mongoose';
+import { JournalTemplateModel } from '../models/journalTemplate.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import VoucherService from './voucher.service.js';
+import SubledgerService from './subledgerTxn.service.js';
+import FiscalPeriodService from './fiscalPeriod.service.js';
+import GLApprovalService from './glApproval.service.js';
+
+// header fields a copied journal (recurring run, reversal) starts without
+const NOT_COPIED = [
+  '_id',
+  'globalJournalNum',
+  'localJournalNum',
+  'localSharedOrderNum',
+  'globalSharedOrderNum',
+  'journalDate',
+  'status',
+  'createdBy',
+  'files',
+  'archived',
+  'submittedAt',
+  'currentStep',
+  'workflow',
+  'history',
+  'approvalRule',
+  'recurringJournal',
+  'reverseOn',
+  'reversalJournal',
+  'reversalOf',
+  'fxRevaluation',
+  'createdAt',
+  'updatedAt',
+  '__v',
+];
+
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+class GLJournalService {
+  /** The template's journalType (STANDARD when there is no template). */
+  static async journalType(journal, session = null) {
+    if (!journal.template) return 'STANDARD';
+    const tpl = await JournalTemplateModel.findById(journal.template)
+      .select('journalType')
+      .session(session);
+    return tpl?.journalType || 'STANDARD';
+  }
+
+  /**
+   * Reject posting into a closed fiscal period. ADJUSTMENT and
+   * PERIOD_CLOSE journals may still post into a soft-closed period.
+   */
+  static async assertPeriodOpen(journal, session = null) {
+    await FiscalPeriodService.assertPostingAllowed(
+      journal.journalDate,
+      {
+        company: journal.company,
+        source: 'GL_JOURNAL',
+        journalType: await this.journalType(journal, session),
+      },
+      session
+    );
+  }
+
+  /** Header of `src` (a plain object) without numbers, status or links. */
+  static copyableHeader(src) {
+    const header = { ...src };
+    for (const f of NOT_COPIED) delete header[f];
+    return header;
+  }
+
+  /**
+   * Post a DRAFT or APPROVED journal (MANAGEMENT event): flips it to
+   * POSTED, writes a subledger transaction per line and the financial
+   * voucher. A DRAFT an approval rule applies to must be approved first.
+   * Runs inside the caller's transaction.
+   */
+  static async post(journal, session) {
+    if (!['DRAFT', 'APPROVED'].includes(journal.status)) {
+      throw new Error('Only DRAFT or APPROVED can be posted');
+    }
+    await GLApprovalService.assertPostable(journal, session);
+    await this.assertPeriodOpen(journal, session);
+    if (
+      !journal.reversalOf &&
+      !journal.reverseOn &&
+      (await this.journalType(journal, session)) === 'REVERSAL'
+    ) {
+      throw new Error(
+        '❌ Journals on a REVERSAL template need a reverseOn date.'
+      );
+    }
+
+    journal.status = 'POSTED';
+    await journal.save({ session });
+
+    // 2) build & collect each subledger txn
+    const subTxns = []; // [{ lineNum, id }]
+
+    // 2) Create subledger txns for each line
+    for (let ln of journal.lines) {
+      // build common DTO
+      const base = {
+        sourceType: 'JOURNAL',
+        sourceId: journal._id,
+        sourceLine: ln.lineNum,
+        amount: ln.debit > 0 ? ln.debit : -ln.credit, // normal debit is positive and credit is negative
+        currency: ln.currency,
+        exchangeRate: ln.exchangeRate,
+        dims: ln.dims,
+        extras: ln.extras,
+      };
+      let dto;
+      if (ln.customer) {
+        dto = {
+          ...base,
+          subledgerType: 'AR',
+          postingEventType: 'MANAGEMENT',
+          customer: ln.customer,
+        };
+      } else if (ln.vendor) {
+        dto = {
+          ...base,
+          subledgerType: 'AP',
+          postingEventType: 'MANAGEMENT',
+          supplier: ln.vendor,
+        };
+      } else if (ln.item) {
+        dto = {
+          ...base,
+          subledgerType: 'INV',
+          postingEventType: 'MANAGEMENT',
+          item: ln.item,
+        };
+      } else if (ln.bankAccount) {
+        dto = {
+          ...base,
+          subledgerType: 'BANK',
+          postingEventType: 'MANAGEMENT',
+          bankAccount: ln.bankAccount,
+        };
+      } else if (ln.account) {
+        // NEW: direct ledger subledger
+        dto = {
+          ...base,
+          subledgerType: 'LEDGER',
+          postingEventType: 'MANAGEMENT',
+          ledgerAccount: ln.account,
+        };
+      } else {
+        // nothing to create
+        continue;
+      }
+
+      const sub = await SubledgerService.create(dto, session);
+      subTxns.push({ lineNum: ln.lineNum, id: sub._id });
+
+      // (optionally) tag the sub-txn with the journal's voucher later
+    }
+
+    // 3) Create the Financial Voucher
+    // await VoucherService.createJournalVoucher(journal, session);
+    // 3) call voucher creation, passing along sub-txn map
+    await VoucherService.createJournalVoucher(
+      journal,
+      session,
+      subTxns,
+      'MANAGEMENT'
+    );
+
+    if (journal.reverseOn && !journal.reversalOf) {
+      await this.createReversal(journal, session);
+    }
+    return journal;
+  }
+
+  /**
+   * Mirror-image journal of a posted accrual, dated its `reverseOn`:
+   * same lines and dims with debit and credit swapped. It stays a DRAFT
+   * until postDueReversals posts it on that date.
+   */
+  static async createReversal(journal, session) {
+    const on = day(journal.reverseOn);
+    if (on <= day(journal.journalDate)) {
+      throw new Error(
+        `❌ reverseOn (${on}) must be after the journal date (${day(
+          journal.journalDate
+        )}).`
+      );
+    }
+    if (journal.reversalJournal) {
+      throw new Error(
+        `❌ ${journal.globalJournalNum} already has a reversal journal.`
+      );
+    }
+
+    const src = journal.toObject({ depopulate: true });
+    const reversal = new GLJournalModel({
+      ...this.copyableHeader(src),
+      journalDate: journal.reverseOn,
+      status: 'DRAFT',
+      reversalOf: journal._id,
+      reference: `Reversal of ${journal.globalJournalNum}${
+        src.reference ? ` · ${src.reference}` : ''
+      }`,
+      createdBy: `reversal:${journal.globalJournalNum}`,
+      lines: src.lines.map(({ _id, ...line }) => ({
+        ...line,
+        debit: line.credit,
+        credit: line.debit,
+        localAmount: -line.localAmount,
+      })),
+    });
+    await reversal.save({ session });
+
+    journal.reversalJournal = reversal._id;
+    await journal.save({ session });
+    return reversal;
+  }
+
+  /**
+   * Post every DRAFT reversal dated on or before `asOf` (only `ids` when
+   * given), each in its own transaction. One that cannot post (e.g. closed
+   * period) stays a DRAFT and is retried on the next run.
+   * @returns {Promise<{posted: string[], failed: {journal, error}[]}>}
+   */
+  static async postDueReversals(asOf = new Date(), { ids } = {}) {
+    const filter = {
+      reversalOf: { $ne: null },
+      status: 'DRAFT',
+      journalDate: { $lte: asOf },
+    };
+    if (ids) filter._id = { $in: ids };
+    const due = await GLJournalModel.find(filter)
+      .select('_id globalJournalNum')
+      .lean();
+
+    const result = { posted: [], failed: [] };
+    for (const { _id, globalJournalNum } of due) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const reversal = await GLJournalModel.findById(_id).session(session);
+        await this.post(reversal, session);
+        await session.commitTransaction();
+        result.posted.push(globalJournalNum);
+      } catch (err) {
+        await session.abortTransaction();
+        result.failed.push({ journal: globalJournalNum, error: err.message });
+      } finally {
+        session.endSession();
+      }
+    }
+    return result;
+  }
+}
+
+export default GLJournalService;
@@ -1,5 +1,7 @@
 // services/glJournalLine.service.js
 
+import GSTService from './gst.service.js';
+
 export default class GLLineService {
   static round2(x) {
     return Math.round(x * 100) / 100;
@@ -8,7 +10,7 @@ export default class GLLineService {
   /**
    * Given an array of “raw” line inputs, compute:
    *   - discountAmount, chargesAmount, taxableValue
-   *   - cgst/sgst/igst, tdsAmount
+   *   - cgst/sgst/igst (split by the line's supplyType), tdsAmount
    *   - debit/credit/localAmount defaults
    */
   static compute(lines) {
@@ -40,11 +42,9 @@ export default class GLLineService {
         assessableValue - discountAmount + chargesAmount
       );
 
-      // 3) GST split
+      // 3) GST split: CGST + SGST within a state, IGST across states
       const totalGst = this.round2((taxableValue * (gstPercent || 0)) / 100);
-      const cgst = this.round2(totalGst / 2);
-      const sgst = this.round2(totalGst / 2);
-      const igst = totalGst; // if you need IGST only, adjust logic
+      const { cgst, sgst, igst } = GSTService.split(totalGst, ln.supplyType);
 
       // 4) TDS
       const tdsAmount = this.round2((taxableValue * (tdsPercent || 0)) / 100);
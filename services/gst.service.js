@@ -0,0 +1,264 @@
+// services/gst.service.js
+
+import mongoose from 'mongoose';
+import { TaxCodeModel, GST_STATE_CODES } from '../models/taxCode.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+// who supplies and who receives on each side
+const PARTY_MODELS = { AR: 'Customers', AP: 'Vendors' };
+
+class GSTService {
+  /** State code of a GSTIN (its first two digits), or null. */
+  static stateOfGSTIN(gstin) {
+    const code = String(gstin || '')
+      .trim()
+      .slice(0, 2);
+    return GST_STATE_CODES[code] ? code : null;
+  }
+
+  /**
+   * Whether `gstin` has the shape of a GSTIN: state code, PAN, entity
+   * number, 'Z' and a check character.
+   */
+  static isValidGSTIN(gstin) {
+    const v = String(gstin || '')
+      .trim()
+      .toUpperCase();
+    return (
+      /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(v) &&
+      Boolean(this.stateOfGSTIN(v))
+    );
+  }
+
+  /** A company's state: its `gstState`, else that of its GSTIN. */
+  static async companyState(company, session = null) {
+    if (!company || !mongoose.models.Companies) return null;
+    const co = await mongoose
+      .model('Companies')
+      .findById(company._id || company)
+      .select('gstState taxInfo')
+      .session(session)
+      .lean();
+    return co?.gstState || this.stateOfGSTIN(co?.taxInfo?.gstNumber);
+  }
+
+  /** A customer's / vendor's state: its `gstState`, else its GSTIN's. */
+  static async partyState(side, party, session = null) {
+    if (!party) return null;
+    const p =
+      party.registrationNum !== undefined || party.gstState !== undefined
+        ? party
+        : await mongoose
+          .model(PARTY_MODELS[side])
+          .findById(party._id || party)
+          .select('gstState registrationNum')
+          .session(session)
+          .lean();
+    return p?.gstState || this.stateOfGSTIN(p?.registrationNum);
+  }
+
+  /**
+   * INTER when supplier and place of supply are in different states, else
+   * INTRA (also when either is unknown).
+   */
+  static supplyType(supplierState, placeOfSupply) {
+    return supplierState && placeOfSupply && supplierState !== placeOfSupply
+      ? 'INTER'
+      : 'INTRA';
+  }
+
+  /**
+   * Supplier state, place of supply and supply type of a document. On sales
+   * the company supplies and the customer's state is the place of supply;
+   * on purchases the vendor supplies to the company's state. A
+   * `placeOfSupply` given on the document wins.
+   */
+  static async determine(
+    side,
+    { company = null, party = null, placeOfSupply = null } = {},
+    session = null
+  ) {
+    const ours = await this.companyState(company, session);
+    const theirs = await this.partyState(side, party, session);
+    const supplierState = side === 'AR' ? ours : theirs;
+    const pos = placeOfSupply || (side === 'AR' ? theirs : ours);
+    return {
+      supplierState,
+      placeOfSupply: pos,
+      supplyType: this.supplyType(supplierState, pos),
+    };
+  }
+
+  /**
+   * The rate of an HSN / SAC code effective on `date`. An 8- or 6-digit code
+   * without its own entry falls back to its 6- and 4-digit heading; the
+   * company's own code wins over a global one.
+   * @returns {Promise<Object>} taxCode, codeType, code, gstPercent,
+   *                            taxability, reverseCharge, effectiveFrom
+   */
+  static async rateOf(
+    code,
+    date = new Date(),
+    { company = null, session = null } = {}
+  ) {
+    const full = String(code).trim();
+    const codes = [...new Set([full, full.slice(0, 6), full.slice(0, 4)])];
+    const found = await TaxCodeModel.find({
+      code: { $in: codes },
+      company: { $in: company ? [company._id || company, null] : [null] },
+      active: true,
+    })
+      .session(session)
+      .lean();
+    // longest code first, the company's own before a global one
+    found.sort(
+      (a, b) => b.code.length - a.code.length || !!b.company - !!a.company
+    );
+
+    const on = new Date(day(date));
+    for (const tc of found) {
+      const rate = tc.rates.filter((r) => r.effectiveFrom <= on).pop();
+      if (!rate) continue;
+      return {
+        taxCode: tc._id,
+        codeType: tc.codeType,
+        code: tc.code,
+        gstPercent: rate.taxability === 'TAXABLE' ? rate.gstPercent : 0,
+        taxability: rate.taxability,
+        reverseCharge: !!rate.reverseCharge,
+        effectiveFrom: rate.effectiveFrom,
+      };
+    }
+    throw new Error(`❌ No GST rate for HSN / SAC ${full} on ${day(date)}.`);
+  }
+
+  /** Split a GST amount: CGST + SGST within a state, IGST across states. */
+  static split(amount, supplyType) {
+    const total = round2(amount || 0);
+    if (supplyType === 'INTER') return { cgst: 0, sgst: 0, igst: total };
+    const cgst = round2(total / 2);
+    return { cgst, sgst: round2(total - cgst), igst: 0 };
+  }
+
+  /**
+   * Set the GST rate of each line from its HSN / SAC code: the line's own
+   * `hsnCode` / `sacCode`, else its item's. Lines without a code keep their
+   * typed-in rate. Exempt, nil-rated and non-GST codes get 0%; a code or a
+   * document under reverse charge marks the line `reverseCharge`.
+   * @param {Array} lines lines with `item` and a rate field
+   * @param {Object} opts date, company, reverseCharge, and `rateField`
+   *                      (`tax` on orders, `gstPercent` on journals)
+   */
+  static async applyRates(
+    lines,
+    {
+      date = new Date(),
+      company = null,
+      reverseCharge = false,
+      rateField = 'tax',
+    } = {},
+    session = null
+  ) {
+    const itemIds = lines
+      .filter((l) => !l.hsnCode && !l.sacCode && l.item)
+      .map((l) => l.item._id || l.item);
+    const items = new Map();
+    if (itemIds.length && mongoose.models.Items) {
+      const docs = await mongoose
+        .model('Items')
+        .find({ _id: { $in: itemIds } })
+        .select('hsnCode sacCode')
+        .session(session)
+        .lean();
+      for (const it of docs) items.set(String(it._id), it);
+    }
+
+    for (const l of lines) {
+      // the line's own code, else its item's
+      const src =
+        l.hsnCode || l.sacCode
+          ? l
+          : (l.item && items.get(String(l.item._id || l.item))) || {};
+      const hsn = src.hsnCode || '';
+      const sac = hsn ? '' : src.sacCode || '';
+      const code = hsn || sac;
+      if (!code) {
+        l.taxability = l.taxability || 'TAXABLE';
+        l.reverseCharge = !!reverseCharge;
+        continue;
+      }
+      const rate = await this.rateOf(code, date, { company, session });
+      l.hsnCode = hsn;
+      l.sacCode = sac;
+      l[rateField] = rate.gstPercent;
+      l.taxability = rate.taxability;
+      l.reverseCharge = !!(reverseCharge || rate.reverseCharge);
+    }
+    return lines;
+  }
+
+  /**
+   * Run a sales (`AR`) or purchase (`AP`) order through the engine: place
+   * of supply and supply type on the header, rates on `lines` (the order
+   * itself for a single-item order).
+   */
+  static async applyToOrder(side, order, lines, session = null) {
+    const partyField = side === 'AR' ? 'customer' : 'vendor';
+    const where = await this.determine(
+      side,
+      {
+        company: order.company,
+        party: order[partyField],
+        placeOfSupply: order.placeOfSupply,
+      },
+      session
+    );
+    await this.applyRates(
+      lines,
+      {
+        date: order.invoiceDate || order.createdAt || new Date(),
+        company: order.company,
+        reverseCharge: order.reverseCharge,
+      },
+      session
+    );
+    return where;
+  }
+
+  /**
+   * Run GL journal lines through the engine: rates from their HSN / SAC
+   * codes into `gstPercent`, and each line's supply type from its customer
+   * or vendor, or for lines without one from `placeOfSupply` against the
+   * company's state.
+   */
+  static async applyToJournal(
+    lines,
+    { date = new Date(), company = null, placeOfSupply = null } = {},
+    session = null
+  ) {
+    await this.applyRates(
+      lines,
+      { date, company, rateField: 'gstPercent' },
+      session
+    );
+    const ours = await this.companyState(company, session);
+    for (const l of lines) {
+      const side = l.customer ? 'AR' : l.vendor ? 'AP' : null;
+      if (!side) {
+        l.supplyType = this.supplyType(ours, placeOfSupply);
+        continue;
+      }
+      const party = l.customer || l.vendor;
+      const theirs = await this.partyState(side, party, session);
+      l.supplyType =
+        side === 'AR'
+          ? this.supplyType(ours, placeOfSupply || theirs)
+          : this.supplyType(theirs, placeOfSupply || ours);
+    }
+    return lines;
+  }
+}
+
+export default GSTService;
@@ -0,0 +1,651 @@
+// services/gstReturn.service.js
+
+import XLSX from 'xlsx';
+import mongoose from 'mongoose';
+import { VoucherModel } from '../models/voucher.model.js';
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { ItemModel } from '../models/item.model.js';
+import GSTService from './gst.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// inter-state invoices to unregistered buyers above this go to B2CL
+export const B2CL_LIMIT = 100000;
+
+// state code of exports and imports
+const FOREIGN = '96';
+
+// item units → the portal's unit quantity codes (UQC)
+export const UQC = {
+  ea: 'NOS',
+  pcs: 'PCS',
+  qty: 'NOS',
+  mt: 'MTS',
+  kgs: 'KGS',
+  box: 'BOX',
+  dozen: 'DOZ',
+  gallon: 'UGS',
+  liter: 'LTR',
+  sqft: 'SQF',
+  sqm: 'SQM',
+  cm: 'CMS',
+};
+
+const SALES_SOURCES = ['SALES_INVOICE', 'SALES_CREDIT_NOTE'];
+const PURCHASE_SOURCES = [
+  'PURCHASE_INVOICE',
+  'PURCHASE_CREDIT_NOTE',
+  'PURCHASE_DEBIT_NOTE',
+];
+
+// voucher posting types making up a sales line's taxable value
+const SALES_VALUE = ['SALES_REVENUE', 'DISCOUNT_ALLOWED', 'CHARGES_REVENUE'];
+// … and a purchase's
+const PURCHASE_VALUE = [
+  'INVENTORY',
+  // invoices against goods receipts clear the accrual instead
+  'GOODS_RECEIVED_NOT_INVOICED',
+  'PURCHASE_PRICE_VARIANCE',
+  'DISCOUNT_RECEIVED',
+  'CHARGES_EXPENSE',
+];
+
+const TAX_FIELDS = ['txval', 'iamt', 'camt', 'samt', 'csamt'];
+
+const zeroTax = () => Object.fromEntries(TAX_FIELDS.map((k) => [k, 0]));
+
+// add the value and tax amounts of `t` into `acc`
+const addTax = (acc, t, sign = 1) => {
+  for (const k of TAX_FIELDS) {
+    acc[k] = round2(acc[k] + sign * (t[k] || 0));
+  }
+  return acc;
+};
+
+/** dd-mm-yyyy, as the portal writes dates. */
+const portalDate = (d) => {
+  const [y, m, dd] = new Date(d).toISOString().slice(0, 10).split('-');
+  return `${dd}-${m}-${y}`;
+};
+
+const postingTypeOf = (l) =>
+  l.extras instanceof Map ? l.extras.get('postingType') : l.extras?.postingType;
+
+/**
+ * GSTR-1 and GSTR-3B datasets for a filing period, built from the posted
+ * sales and purchase vouchers: amounts in INR from the voucher lines, HSN
+ * / SAC codes, rates and parties from the invoices behind them.
+ */
+class GSTReturnService {
+  /**
+   * The month of a return period, "MMYYYY" (as the portal writes it) or
+   * "YYYY-MM".
+   * @returns {{ fp: string, from: Date, to: Date }} `to` is exclusive
+   */
+  static period(period) {
+    const s = String(period || '').trim();
+    const portal = /^(\d{2})(\d{4})$/.exec(s);
+    const iso = /^(\d{4})-(\d{2})$/.exec(s);
+    const [month, year] = portal
+      ? [Number(portal[1]), Number(portal[2])]
+      : iso
+        ? [Number(iso[2]), Number(iso[1])]
+        : [0, 0];
+    if (month < 1 || month > 12) {
+      throw new Error(
+        `❌ Invalid return period "${s}"; use MMYYYY or YYYY-MM.`
+      );
+    }
+    return {
+      fp: `${String(month).padStart(2, '0')}${year}`,
+      from: new Date(Date.UTC(year, month - 1, 1)),
+      to: new Date(Date.UTC(year, month, 1)),
+    };
+  }
+
+  /** The company's GSTIN (its `taxInfo.gstNumber`). */
+  static async companyGSTIN(company) {
+    const co = await mongoose
+      .model('Companies')
+      .findById(company)
+      .select('taxInfo')
+      .lean();
+    if (!co) throw new Error(`❌ Company ${company} not found.`);
+    const gstin = (co.taxInfo?.gstNumber || '').trim().toUpperCase();
+    return gstin;
+  }
+
+  /**
+   * The period's vouchers of the given source types with the orders behind
+   * them; vouchers of cancelled orders are left out.
+   */
+  static async loadDocuments(sourceTypes, OrderModel, { company, from, to }) {
+    const vouchers = await VoucherModel.find({
+      company,
+      sourceType: { $in: sourceTypes },
+      voucherDate: { $gte: from, $lt: to },
+    })
+      .sort({ voucherDate: 1, voucherNo: 1 })
+      .lean();
+    const orders = await OrderModel.find({
+      _id: { $in: vouchers.map((v) => v.sourceId) },
+    }).lean();
+    const byId = new Map(orders.map((o) => [String(o._id), o]));
+    return vouchers
+      .map((voucher) => ({
+        voucher,
+        order: byId.get(String(voucher.sourceId)),
+      }))
+      .filter(({ order }) => order && order.status !== 'Cancelled');
+  }
+
+  /**
+   * One sales invoice or credit note: per order line its taxable value and
+   * GST in INR from the voucher, with the code, rate and unit of the line.
+   * Credit notes come out positive with `sign` -1.
+   */
+  static salesDocument({ voucher, order }, items, errors) {
+    const sign = voucher.sourceType === 'SALES_CREDIT_NOTE' ? -1 : 1;
+    const customer = order.customer || {};
+    const gstin = (customer.registrationNum || '').trim().toUpperCase();
+    const doc = {
+      voucherNo: voucher.voucherNo,
+      inum: order.invoiceNum,
+      idt: portalDate(voucher.voucherDate),
+      sign,
+      customer: customer.code || String(customer._id || ''),
+      ctin: GSTService.isValidGSTIN(gstin) ? gstin : '',
+      pos: order.placeOfSupply || customer.gstState || '',
+      supplyType: order.supplyType || 'INTRA',
+      rchrg: order.reverseCharge ? 'Y' : 'N',
+      original: order.returnOf?.invoiceNum || '',
+      items: [],
+    };
+    const error = (code, message, lineNum) =>
+      errors.push({
+        voucherNo: doc.voucherNo,
+        invoiceNum: doc.inum,
+        date: doc.idt,
+        party: doc.customer,
+        ...(lineNum !== undefined && { lineNum }),
+        code,
+        message,
+      });
+
+    if (gstin && !doc.ctin) {
+      error('GSTIN_INVALID', `Customer GSTIN "${gstin}" is not valid.`);
+    }
+    if (!doc.ctin && order.reverseCharge) {
+      error(
+        'GSTIN_MISSING',
+        'Reverse charge applies only to a registered customer; add its GSTIN.'
+      );
+    }
+
+    // taxable value and GST per invoice line, in INR
+    const amounts = new Map();
+    for (const l of voucher.lines) {
+      const type = postingTypeOf(l);
+      if (l.subledger?.sourceType !== 'INVENTORY') continue;
+      const key = String(l.subledger.lineNum);
+      const a = amounts.get(key) || { txval: 0, gst: 0 };
+      if (SALES_VALUE.includes(type)) a.txval -= l.localAmount || 0;
+      if (type === 'GST_PAYABLE') a.gst -= l.localAmount || 0;
+      amounts.set(key, a);
+    }
+
+    const lines = order.lines?.length
+      ? order.lines
+      : [{ ...order, lineNum: '1' }];
+    for (const ln of lines) {
+      const a = amounts.get(String(ln.lineNum));
+      if (!a) continue;
+      const item = items.get(String(ln.item?._id || ln.item)) || {};
+      // the line's own code, else its item's
+      const src = ln.hsnCode || ln.sacCode ? ln : item;
+      const hsn = src.hsnCode || src.sacCode;
+      if (!hsn) {
+        error('HSN_MISSING', 'Line has no HSN / SAC code.', ln.lineNum);
+      }
+      const txval = round2(sign * a.txval);
+      const rt = ln.tax || 0;
+      // under reverse charge the customer pays: report the tax it owes
+      const gst = order.reverseCharge
+        ? round2((txval * rt) / 100)
+        : round2(sign * a.gst);
+      const { cgst, sgst, igst } = GSTService.split(gst, doc.supplyType);
+      doc.items.push({
+        num: doc.items.length + 1,
+        lineNum: ln.lineNum,
+        hsn_sc: hsn || '',
+        desc: item.name || '',
+        uqc: !src.hsnCode && src.sacCode ? 'NA' : UQC[item.unit] || 'OTH',
+        qty: Math.abs(ln.quantity || 0),
+        taxability: ln.taxability || 'TAXABLE',
+        rt,
+        txval,
+        iamt: igst,
+        camt: cgst,
+        samt: sgst,
+        csamt: 0,
+      });
+    }
+    const tax = doc.items.reduce((s, i) => s + i.iamt + i.camt + i.samt, 0);
+    const txval = doc.items.reduce((s, i) => s + i.txval, 0);
+    doc.val = round2(txval + (order.reverseCharge ? 0 : tax));
+    return doc;
+  }
+
+  /** Portal item rows of a document's taxable lines. */
+  static portalItems(doc, { intra = true } = {}) {
+    return doc.items
+      .filter((i) => i.taxability === 'TAXABLE')
+      .map((i, idx) => ({
+        num: idx + 1,
+        itm_det: {
+          txval: i.txval,
+          rt: i.rt,
+          iamt: i.iamt,
+          ...(intra && { camt: i.camt, samt: i.samt }),
+          csamt: i.csamt,
+        },
+      }));
+  }
+
+  /**
+   * GSTR-1 of a company for a period.
+   * @param {Object} opts period ("MMYYYY" | "YYYY-MM"), company
+   * @returns {Promise<{ gstr1: Object, errors: Array, documents: Array }>}
+   *          `gstr1` in the portal's JSON schema (b2b, b2cl, b2cs, exp,
+   *          cdnr, cdnur, nil, hsn), `errors` the invoices to fix
+   */
+  static async gstr1({ period, company }) {
+    const { fp, from, to } = this.period(period);
+    const gstin = await this.companyGSTIN(company);
+    const errors = [];
+    if (!GSTService.isValidGSTIN(gstin)) {
+      errors.push({
+        code: 'GSTIN_MISSING',
+        message: 'The company has no valid GSTIN (taxInfo.gstNumber).',
+      });
+    }
+
+    const docs = await this.loadDocuments(SALES_SOURCES, SalesOrderModel, {
+      company,
+      from,
+      to,
+    });
+    const itemIds = docs.flatMap(({ order }) =>
+      (order.lines?.length ? order.lines : [order])
+        .map((l) => l.item?._id || l.item)
+        .filter(Boolean)
+    );
+    const items = new Map(
+      (
+        await ItemModel.find({ _id: { $in: itemIds } })
+          .select('name unit hsnCode sacCode')
+          .lean()
+      ).map((it) => [String(it._id), it])
+    );
+    const documents = docs.map((d) => this.salesDocument(d, items, errors));
+
+    const b2b = new Map();
+    const b2cl = new Map();
+    const b2cs = new Map();
+    const cdnr = new Map();
+    const exp = { WPAY: [], WOPAY: [] };
+    const cdnur = [];
+    const nil = new Map();
+    const hsn = new Map();
+
+    for (const doc of documents) {
+      const intra = doc.supplyType === 'INTRA';
+      const itms = this.portalItems(doc, { intra });
+      const inv = {
+        inum: doc.inum,
+        idt: doc.idt,
+        val: doc.val,
+        pos: doc.pos,
+        rchrg: doc.rchrg,
+        inv_typ: 'R',
+        itms,
+      };
+      // credit notes: `cdn` is what every note carries
+      const cdn = {
+        ntty: 'C',
+        nt_num: doc.inum,
+        nt_dt: doc.idt,
+        val: doc.val,
+      };
+      const note = { ...cdn, pos: doc.pos, rchrg: doc.rchrg, inv_typ: 'R' };
+      const isExport = doc.pos === FOREIGN;
+      const large = !intra && doc.val > B2CL_LIMIT;
+
+      if (itms.length) {
+        if (doc.ctin) {
+          const target = doc.sign > 0 ? b2b : cdnr;
+          const key = doc.ctin;
+          if (!target.has(key)) {
+            target.set(key, { ctin: key, [doc.sign > 0 ? 'inv' : 'nt']: [] });
+          }
+          target.get(key)[doc.sign > 0 ? 'inv' : 'nt'].push(
+            doc.sign > 0 ? inv : { ...note, itms }
+          );
+        } else if (isExport) {
+          const typ = doc.items.some((i) => i.iamt) ? 'WPAY' : 'WOPAY';
+          if (doc.sign > 0) {
+            exp[typ].push({
+              inum: doc.inum,
+              idt: doc.idt,
+              val: doc.val,
+              itms: itms.map((i) => ({
+                txval: i.itm_det.txval,
+                rt: i.itm_det.rt,
+                iamt: i.itm_det.iamt,
+                csamt: i.itm_det.csamt,
+              })),
+            });
+          } else {
+            const ntTyp = typ === 'WPAY' ? 'EXPWP' : 'EXPWOP';
+            cdnur.push({ typ: ntTyp, ...cdn, itms });
+          }
+        } else if (large) {
+          if (doc.sign > 0) {
+            if (!b2cl.has(doc.pos)) {
+              b2cl.set(doc.pos, { pos: doc.pos, inv: [] });
+            }
+            b2cl.get(doc.pos).inv.push({
+              inum: doc.inum,
+              idt: doc.idt,
+              val: doc.val,
+              itms,
+            });
+          } else {
+            cdnur.push({ typ: 'B2CL', ...cdn, pos: doc.pos, itms });
+          }
+        } else {
+          // small B2C supplies net of their credit notes, by place and rate
+          for (const { itm_det: t } of itms) {
+            const key = `${doc.supplyType}|${doc.pos}|${t.rt}`;
+            if (!b2cs.has(key)) {
+              b2cs.set(key, {
+                sply_ty: doc.supplyType,
+                pos: doc.pos,
+                typ: 'OE',
+                rt: t.rt,
+                ...zeroTax(),
+              });
+            }
+            addTax(b2cs.get(key), t, doc.sign);
+          }
+        }
+      }
+
+      // nil-rated, exempt and non-GST supplies
+      for (const i of doc.items) {
+        if (i.taxability === 'TAXABLE') continue;
+        const sply_ty =
+          (intra ? 'INTRA' : 'INTR') + (doc.ctin ? 'B2B' : 'B2C');
+        if (!nil.has(sply_ty)) {
+          nil.set(sply_ty, { sply_ty, expt_amt: 0, nil_amt: 0, ngsup_amt: 0 });
+        }
+        const field = {
+          EXEMPT: 'expt_amt',
+          NIL_RATED: 'nil_amt',
+          NON_GST: 'ngsup_amt',
+        }[i.taxability];
+        nil.get(sply_ty)[field] = round2(
+          nil.get(sply_ty)[field] + doc.sign * i.txval
+        );
+      }
+
+      // HSN summary, net of credit notes
+      for (const i of doc.items) {
+        if (!i.hsn_sc) continue;
+        const key = `${i.hsn_sc}|${i.uqc}|${i.rt}`;
+        if (!hsn.has(key)) {
+          hsn.set(key, {
+            hsn_sc: i.hsn_sc,
+            desc: i.desc,
+            uqc: i.uqc,
+            qty: 0,
+            rt: i.rt,
+            val: 0,
+            ...zeroTax(),
+          });
+        }
+        const h = hsn.get(key);
+        addTax(h, i, doc.sign);
+        h.qty = round2(h.qty + doc.sign * i.qty);
+        const tax = doc.rchrg === 'Y' ? 0 : i.iamt + i.camt + i.samt;
+        h.val = round2(h.val + doc.sign * (i.txval + tax));
+      }
+    }
+
+    const gstr1 = {
+      gstin,
+      fp,
+      b2b: [...b2b.values()],
+      b2cl: [...b2cl.values()],
+      b2cs: [...b2cs.values()],
+      exp: Object.entries(exp)
+        .filter(([, inv]) => inv.length)
+        .map(([exp_typ, inv]) => ({ exp_typ, inv })),
+      cdnr: [...cdnr.values()],
+      cdnur,
+      nil: { inv: [...nil.values()] },
+      hsn: {
+        data: [...hsn.values()].map((h, idx) => ({ num: idx + 1, ...h })),
+      },
+    };
+    return { gstr1, errors, documents };
+  }
+
+  /**
+   * GSTR-3B of a company for a period: outward supplies from the GSTR-1
+   * documents, inward reverse-charge supplies and input tax credit from the
+   * purchase vouchers. Credit from vendors without a valid GSTIN is shown
+   * as ineligible.
+   * @returns {Promise<{ gstr3b: Object, errors: Array }>}
+   */
+  static async gstr3b({ period, company }) {
+    const { fp, from, to } = this.period(period);
+    const { gstr1, errors, documents } = await this.gstr1({ period, company });
+
+    const osup_det = zeroTax();
+    const osup_zero = zeroTax();
+    const osup_nil_exmp = zeroTax();
+    const osup_nongst = zeroTax();
+    for (const doc of documents) {
+      for (const i of doc.items) {
+        const target =
+          i.taxability === 'NON_GST'
+            ? osup_nongst
+            : i.taxability !== 'TAXABLE'
+              ? osup_nil_exmp
+              : doc.pos === FOREIGN
+                ? osup_zero
+                : osup_det;
+        // the customer pays reverse-charge tax: only the value is ours
+        addTax(target, doc.rchrg === 'Y' ? { txval: i.txval } : i, doc.sign);
+      }
+    }
+
+    const isup_rev = zeroTax();
+    const itc = { IMPG: zeroTax(), ISRC: zeroTax(), OTH: zeroTax() };
+    const itc_inelg = zeroTax();
+    const purchases = await this.loadDocuments(
+      PURCHASE_SOURCES,
+      PurchaseOrderModel,
+      { company, from, to }
+    );
+    for (const { voucher, order } of purchases) {
+      const vendor = order.vendor || {};
+      const gstin = (vendor.registrationNum || '').trim().toUpperCase();
+      let txval = 0;
+      let gst = 0;
+      let rcm = 0;
+      for (const l of voucher.lines) {
+        const type = postingTypeOf(l);
+        if (PURCHASE_VALUE.includes(type)) txval += l.localAmount || 0;
+        if (type === 'GST_RECEIVABLE') gst += l.localAmount || 0;
+        if (type === 'GST_RCM_PAYABLE') rcm -= l.localAmount || 0;
+      }
+      const split = (amt) => {
+        const { cgst, sgst, igst } = GSTService.split(
+          amt,
+          order.supplyType || 'INTRA'
+        );
+        return { iamt: igst, camt: cgst, samt: sgst, csamt: 0 };
+      };
+      if (rcm) addTax(isup_rev, { txval, ...split(rcm) });
+      if (!gst) continue;
+
+      const imported =
+        (vendor.gstState || GSTService.stateOfGSTIN(gstin)) === FOREIGN;
+      if (!imported && !GSTService.isValidGSTIN(gstin)) {
+        errors.push({
+          voucherNo: voucher.voucherNo,
+          invoiceNum: order.invoiceNum,
+          date: portalDate(voucher.voucherDate),
+          party: vendor.code || String(vendor._id || ''),
+          code: gstin ? 'GSTIN_INVALID' : 'GSTIN_MISSING',
+          message: gstin
+            ? `Vendor GSTIN "${gstin}" is not valid; its credit is ineligible.`
+            : 'Vendor has no GSTIN; its credit is ineligible.',
+        });
+        addTax(itc_inelg, split(gst));
+        continue;
+      }
+      const ty = imported ? 'IMPG' : rcm ? 'ISRC' : 'OTH';
+      addTax(itc[ty], split(gst));
+    }
+
+    const row = (ty, t) => ({
+      ty,
+      iamt: t.iamt,
+      camt: t.camt,
+      samt: t.samt,
+      csamt: t.csamt,
+    });
+    const itc_avl = [
+      row('IMPG', itc.IMPG),
+      row('IMPS', zeroTax()),
+      row('ISRC', itc.ISRC),
+      row('ISD', zeroTax()),
+      row('OTH', itc.OTH),
+    ];
+    const itc_net = zeroTax();
+    for (const t of itc_avl) addTax(itc_net, t);
+    delete itc_net.txval;
+
+    const gstr3b = {
+      gstin: gstr1.gstin,
+      ret_period: fp,
+      sup_details: {
+        osup_det,
+        osup_zero: {
+          txval: osup_zero.txval,
+          iamt: osup_zero.iamt,
+          csamt: osup_zero.csamt,
+        },
+        osup_nil_exmp: { txval: osup_nil_exmp.txval },
+        isup_rev,
+        osup_nongst: { txval: osup_nongst.txval },
+      },
+      itc_elg: {
+        itc_avl,
+        itc_rev: [row('RUL', zeroTax()), row('OTH', zeroTax())],
+        itc_net,
+        itc_inelg: [row('RUL', zeroTax()), row('OTH', itc_inelg)],
+      },
+    };
+    return { gstr3b, errors };
+  }
+
+  /** Flat GSTR-1 rows per section, for a spreadsheet. */
+  static gstr1Sheets({ gstr1, errors }) {
+    const itemRows = (base, itms) =>
+      itms.map(({ num, itm_det }) => ({ ...base, num, ...itm_det }));
+    const doc = (i) => ({ inum: i.inum, idt: i.idt, val: i.val });
+    const note = (n) => ({
+      ntty: n.ntty,
+      nt_num: n.nt_num,
+      nt_dt: n.nt_dt,
+      val: n.val,
+    });
+    return {
+      B2B: gstr1.b2b.flatMap(({ ctin, inv }) =>
+        inv.flatMap((i) =>
+          itemRows({ ctin, ...doc(i), pos: i.pos, rchrg: i.rchrg }, i.itms)
+        )
+      ),
+      B2CL: gstr1.b2cl.flatMap(({ pos, inv }) =>
+        inv.flatMap((i) => itemRows({ pos, ...doc(i) }, i.itms))
+      ),
+      B2CS: gstr1.b2cs,
+      EXP: gstr1.exp.flatMap(({ exp_typ, inv }) =>
+        inv.flatMap((i) =>
+          i.itms.map((t, idx) => ({ exp_typ, ...doc(i), num: idx + 1, ...t }))
+        )
+      ),
+      CDNR: gstr1.cdnr.flatMap(({ ctin, nt }) =>
+        nt.flatMap((n) =>
+          itemRows({ ctin, ...note(n) }, n.itms)
+        )
+      ),
+      CDNUR: gstr1.cdnur.flatMap((n) =>
+        itemRows({ typ: n.typ, ...note(n) }, n.itms)
+      ),
+      NIL: gstr1.nil.inv,
+      HSN: gstr1.hsn.data,
+      Errors: errors,
+    };
+  }
+
+  /** GSTR-3B tables as rows, for a spreadsheet. */
+  static gstr3bSheets({ gstr3b, errors }) {
+    const { sup_details: s, itc_elg: e } = gstr3b;
+    const names = {
+      osup_det: '3.1(a) Outward taxable supplies',
+      osup_zero: '3.1(b) Outward zero-rated supplies',
+      osup_nil_exmp: '3.1(c) Nil-rated and exempted supplies',
+      isup_rev: '3.1(d) Inward supplies under reverse charge',
+      osup_nongst: '3.1(e) Non-GST outward supplies',
+    };
+    return {
+      'Supplies 3.1': Object.entries(names).map(([k, table]) => ({
+        table,
+        ...zeroTax(),
+        ...s[k],
+      })),
+      'ITC 4': [
+        ...e.itc_avl.map((r) => ({ table: '4(A) Available', ...r })),
+        ...e.itc_rev.map((r) => ({ table: '4(B) Reversed', ...r })),
+        { table: '4(C) Net ITC', ty: '', ...e.itc_net },
+        ...e.itc_inelg.map((r) => ({ table: '4(D) Ineligible', ...r })),
+      ],
+      Errors: errors,
+    };
+  }
+
+  /**
+   * A workbook with one sheet per section.
+   * @returns {{ body: Buffer, contentType: string, ext: string }}
+   */
+  static exportWorkbook(sheets) {
+    const wb = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name);
+    }
+    return {
+      body: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }),
+      contentType:
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      ext: 'xlsx',
+    };
+  }
+}
+
+export default GSTReturnService;
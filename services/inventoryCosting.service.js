@@ -0,0 +1,583 @@
+// services/inventoryCosting.service.js
+
+import mongoose from 'mongoose';
+import { CostingPolicyModel } from '../models/costingPolicy.model.js';
+import { CostLayerModel } from '../models/costLayer.model.js';
+import { InventoryCloseModel } from '../models/inventoryClose.model.js';
+import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
+import { StockBalanceModel } from '../models/inventStockBalance.model.js';
+import { ItemModel } from '../models/item.model.js';
+import FiscalPeriodService from './fiscalPeriod.service.js';
+import VoucherService from './voucher.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const roundQty = (v) => Math.round(v * 1e6) / 1e6;
+const idOf = (v) => String(v?._id || v || '');
+const plain = (d) => (d?.toObject ? d.toObject() : d || {});
+const extrasOf = (tx) =>
+  tx.extras instanceof Map ? Object.fromEntries(tx.extras) : tx.extras || {};
+const DAY = 86400000;
+
+// what stock is costed by: bins and locations within a warehouse share a
+// cost
+export const COST_DIMS = [
+  'site',
+  'warehouse',
+  'config',
+  'color',
+  'size',
+  'style',
+  'version',
+  'batch',
+  'serial',
+];
+
+const LAYERED = ['FIFO', 'LIFO'];
+// settled by the inventory close
+const PERIODIC = ['WEIGHTED_AVERAGE', 'FIFO', 'LIFO'];
+
+const MOVEMENT_SOURCES = ['PURCHASE', 'SALES', 'JOURNAL', 'LANDED_COST'];
+const PURCHASE_ACTIONS = [
+  'PURCHASE_RECEIPT',
+  'PURCHASE_RECEIPT_REVERSAL',
+  'PURCHASE_RETURN',
+  'PURCHASE_RETURN_REVERSAL',
+];
+
+/**
+ * Split `amount` over `weights` pro rata, in paise; the last non-zero
+ * share takes the rounding so the parts add up to the amount.
+ */
+function spread(amount, weights) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  const parts = weights.map((w) => round2((amount * w) / total));
+  const last = weights.findLastIndex((w) => w > 0);
+  const rest = round2(amount - parts.reduce((s, p) => s + p, 0));
+  parts[last] = round2(parts[last] + rest);
+  return parts;
+}
+
+/**
+ * Take `qty` off a queue of layers, oldest first (FIFO) or newest first
+ * (LIFO). Returns the value taken and the quantity the queue fell short.
+ */
+export function takeFrom(queue, qty, method) {
+  let left = qty;
+  let value = 0;
+  const order = method === 'LIFO' ? [...queue].reverse() : queue;
+  for (const layer of order) {
+    if (left <= 0) break;
+    const take = Math.min(left, layer.qty);
+    layer.qty = roundQty(layer.qty - take);
+    value += take * layer.unitCost;
+    left = roundQty(left - take);
+  }
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (queue[i].qty <= 0) queue.splice(i, 1);
+  }
+  return { value, short: Math.max(left, 0) };
+}
+
+const queueValue = (queue) =>
+  queue.reduce((s, l) => s + l.qty * l.unitCost, 0);
+const queueQty = (queue) => roundQty(queue.reduce((s, l) => s + l.qty, 0));
+
+/**
+ * Costing methods: which cost an item's receipts and issues go at, the
+ * FIFO / LIFO cost layers behind it, and the inventory close that settles
+ * a period's issues against its receipts.
+ */
+class InventoryCostingService {
+  /** An item and its cost dims, joined: what layers and settlements group by. */
+  static costKey(item, dims = {}) {
+    const d = plain(dims);
+    return [idOf(item), ...COST_DIMS.map((f) => idOf(d[f]))].join('|');
+  }
+
+  /** Just the cost dims that are set. */
+  static costDims(dims = {}) {
+    const d = plain(dims);
+    return Object.fromEntries(
+      COST_DIMS.filter((f) => d[f] != null).map((f) => [f, d[f]])
+    );
+  }
+
+  /**
+   * The costing policy of an item: its own, else one of its groups', else
+   * its company's, else the global one; MOVING_AVERAGE when there is none.
+   * @returns {Promise<{method, standardCost}>}
+   */
+  static async policyFor(item, company = null, session = null) {
+    const found = await ItemModel.findById(idOf(item))
+      .select('groups company standardCost')
+      .session(session)
+      .lean();
+    const owner = company || found?.company;
+    const policies = await CostingPolicyModel.find({
+      company: { $in: owner ? [idOf(owner), null] : [null] },
+      item: { $in: [idOf(item), null] },
+      itemGroup: { $in: [...(found?.groups || []).map(idOf), null] },
+      active: true,
+    })
+      .session(session)
+      .lean();
+    policies.sort(
+      (a, b) =>
+        !!b.item - !!a.item ||
+        !!b.itemGroup - !!a.itemGroup ||
+        !!b.company - !!a.company
+    );
+    return {
+      method: policies[0]?.method || 'MOVING_AVERAGE',
+      standardCost: found?.standardCost || 0,
+    };
+  }
+
+  /**
+   * The unit cost a receipt goes into stock at: a STANDARD item's standard
+   * cost (the difference to `unitCost` is purchase price variance), any
+   * other at `unitCost`.
+   * @returns {Promise<{method, cost}>}
+   */
+  static async receiptCost(item, company, unitCost, session = null) {
+    const { method, standardCost } = await this.policyFor(
+      item,
+      company,
+      session
+    );
+    return { method, cost: method === 'STANDARD' ? standardCost : unitCost };
+  }
+
+  /**
+   * Open a cost layer for stock that came in, when `method` keeps layers.
+   * @param {Object} layer { item, dims, qty, unitCost, receiptDate?,
+   *   sourceType, sourceId, sourceLine?, inventTxn?, refNum? }
+   */
+  static async openLayer(method, layer, session = null) {
+    if (!LAYERED.includes(method) || !(layer.qty > 0)) return null;
+    const [created] = await CostLayerModel.create(
+      [
+        {
+          ...layer,
+          costKey: this.costKey(layer.item, layer.dims),
+          dims: this.costDims(layer.dims),
+          remainingQty: layer.qty,
+        },
+      ],
+      { session }
+    );
+    return created;
+  }
+
+  /** Open a layer for stock coming back in at a known cost (reversals). */
+  static async restock(layer, company, session = null) {
+    const { method } = await this.policyFor(layer.item, company, session);
+    return this.openLayer(method, layer, session);
+  }
+
+  /**
+   * Cost an issue of `qty` by the item's method: MOVING_AVERAGE and, until
+   * the close settles it, WEIGHTED_AVERAGE at `averageCost`; STANDARD at
+   * the standard cost; FIFO / LIFO off the open layers, any shortfall at
+   * `averageCost`. Layers opened by `source` ({ sourceType, sourceId })
+   * are used up first, so a reversal or return takes back what it brought.
+   * @returns {Promise<{method, cost}>}
+   */
+  static async issueCost(
+    { item, dims, qty, company, averageCost = 0, source = null },
+    session = null
+  ) {
+    const { method, standardCost } = await this.policyFor(
+      item,
+      company,
+      session
+    );
+    if (method === 'STANDARD') return { method, cost: standardCost };
+    if (!LAYERED.includes(method) || !(qty > 0)) {
+      return { method, cost: averageCost };
+    }
+
+    const base = {
+      item: idOf(item),
+      costKey: this.costKey(item, dims),
+      remainingQty: { $gt: 0 },
+    };
+    const sort = method === 'LIFO' ? -1 : 1;
+    let left = qty;
+    let value = 0;
+    const passes = source ? [{ ...base, ...source }, base] : [base];
+    for (const filter of passes) {
+      if (left <= 0) break;
+      const layers = await CostLayerModel.find(filter)
+        .sort({ receiptDate: sort, _id: sort })
+        .session(session);
+      for (const layer of layers) {
+        if (left <= 0) break;
+        const take = Math.min(left, layer.remainingQty);
+        layer.remainingQty = roundQty(layer.remainingQty - take);
+        await layer.save({ session });
+        value += take * layer.unitCost;
+        left = roundQty(left - take);
+      }
+    }
+    return { method, cost: (value + Math.max(left, 0) * averageCost) / qty };
+  }
+
+  /**
+   * Load a charge onto what is left of the layer a receipt opened (landed
+   * costs); nothing when it is used up or the item keeps no layers.
+   */
+  static async loadLayer(inventTxn, amount, session = null) {
+    if (!inventTxn || !amount) return null;
+    const layer = await CostLayerModel.findOne({
+      inventTxn,
+      remainingQty: { $gt: 0 },
+    }).session(session);
+    if (!layer) return null;
+    layer.unitCost += amount / layer.remainingQty;
+    await layer.save({ session });
+    return layer;
+  }
+
+  /**
+   * How an inventory transaction moved on-hand stock, and its value as
+   * booked. `issue` marks sales and journal issues (and their reversals),
+   * the movements a close settles; everything else is a receipt. Null for
+   * reservations and transfers, which the close leaves alone.
+   */
+  static movementOf(tx) {
+    const x = extrasOf(tx);
+    switch (tx.sourceType) {
+    case 'PURCHASE':
+      if (!PURCHASE_ACTIONS.includes(x.action)) return null;
+      return { qty: tx.qty, value: tx.qty * tx.purchasePrice, issue: false };
+    case 'SALES':
+      if (!['APPLY', 'REVERSE'].includes(x.actionType)) return null;
+      return {
+        qty: -tx.qty,
+        value: -tx.qty * tx.costPrice,
+        issue: String(x.action).startsWith('SALES_ISSUE'),
+      };
+    case 'JOURNAL': {
+      if (x.journalType === 'TRANSFER') return null;
+      const posted = x.reversalOf ? -tx.qty : tx.qty;
+      return { qty: tx.qty, value: tx.qty * tx.costPrice, issue: posted < 0 };
+    }
+    case 'LANDED_COST':
+      return { qty: 0, value: x.inventoryAmount || 0, issue: false };
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Settle one item and its cost dims for the period.
+   * @param {string} method WEIGHTED_AVERAGE, FIFO or LIFO
+   * @param {Object} seed where the last posted close left it: { qty,
+   *   value, layers } (all zero without one)
+   * @param {Array} moves its movements since, in date order, each { date,
+   *   qty, value, issue, layer }
+   * @returns {{line, current}} the settlement line and, for FIFO / LIFO,
+   *   the layers on hand now (after any movements past the period)
+   */
+  static settle(method, seed, moves, from, end) {
+    const layered = LAYERED.includes(method);
+    let qty = seed.qty;
+    let book = seed.value;
+    let queue = seed.layers.map((l) => ({ ...l }));
+    if (!queue.length && qty > 0) {
+      queue = [{ sourceType: 'CLOSE', qty, unitCost: book / qty }];
+    }
+
+    // stock in opens a layer and stock out (before the period, or a
+    // receipt going back) uses them up as it goes; a charge with no
+    // quantity loads onto what is there
+    const inbound = (m) => {
+      if (m.qty > 0) {
+        queue.push({ ...m.layer, qty: m.qty, unitCost: m.value / m.qty });
+      } else if (m.qty < 0) {
+        takeFrom(queue, -m.qty, method);
+      } else if (queueQty(queue) > 0) {
+        const parts = spread(
+          m.value,
+          queue.map((l) => l.qty)
+        );
+        queue.forEach((l, i) => {
+          l.unitCost += parts[i] / l.qty;
+        });
+      }
+    };
+    let i = 0;
+    for (; i < moves.length && moves[i].date < from; i++) {
+      qty = roundQty(qty + moves[i].qty);
+      book += moves[i].value;
+      if (layered) inbound(moves[i]);
+    }
+
+    const line = {
+      method,
+      openingQty: qty,
+      openingValue: book,
+      receiptQty: 0,
+      receiptValue: 0,
+      issueQty: 0,
+      issueValue: 0,
+    };
+    for (; i < moves.length && moves[i].date < end; i++) {
+      const m = moves[i];
+      qty = roundQty(qty + m.qty);
+      book += m.value;
+      if (m.issue) {
+        line.issueQty = roundQty(line.issueQty - m.qty);
+        line.issueValue -= m.value;
+        continue;
+      }
+      line.receiptQty = roundQty(line.receiptQty + m.qty);
+      line.receiptValue += m.value;
+      if (layered) inbound(m);
+    }
+    line.closingQty = qty;
+    line.bookValue = book;
+
+    if (qty < 0) {
+      line.settledValue = book;
+      line.note = 'Negative stock at the end of the period; not settled.';
+    } else if (layered) {
+      // issues go against the period's receipts at its end: the oldest
+      // layers first (FIFO) or the newest (LIFO)
+      const { short } = takeFrom(queue, line.issueQty, method);
+      if (short > 0 || queueQty(queue) !== qty) {
+        line.note = 'Layers do not match the quantity on hand.';
+      }
+      line.settledValue = queueValue(queue);
+      line.layers = queue.map((l) => ({ ...l }));
+    } else {
+      const base = roundQty(line.openingQty + line.receiptQty);
+      line.settledValue =
+        base > 0
+          ? (qty * (line.openingValue + line.receiptValue)) / base
+          : book;
+    }
+    line.adjustment = round2(line.settledValue - line.bookValue);
+
+    // what is on hand now, for the live layers
+    for (; layered && i < moves.length; i++) inbound(moves[i]);
+    return { line, current: layered ? queue : null };
+  }
+
+  /**
+   * Recalculate a close: settle, for its period, every periodic weighted
+   * average, FIFO and LIFO item (and cost dims) with issues in it. Fills
+   * `close.lines` and returns the FIFO / LIFO layers on hand now by cost
+   * key, which posting writes back.
+   * @returns {Promise<Map<string, Array>>}
+   */
+  static async recalculate(close, session = null) {
+    const from = new Date(close.fromDate);
+    const end = new Date(new Date(close.toDate).getTime() + DAY);
+
+    const active = await InventoryTransactionModel.distinct('item', {
+      sourceType: { $in: MOVEMENT_SOURCES },
+      txnDate: { $gte: from, $lt: end },
+    }).session(session);
+    const items = await ItemModel.find({ _id: { $in: active } })
+      .select('company')
+      .session(session)
+      .lean();
+    const methods = new Map();
+    for (const item of items) {
+      const other =
+        close.company &&
+        item.company &&
+        idOf(item.company) !== idOf(close.company);
+      if (other) continue;
+      const { method } = await this.policyFor(item._id, close.company, session);
+      if (PERIODIC.includes(method)) methods.set(idOf(item._id), method);
+    }
+
+    // where the last posted closes left each key
+    const prior = await InventoryCloseModel.find({
+      company: close.company || null,
+      status: 'Posted',
+      toDate: { $lt: from },
+      'lines.item': { $in: [...methods.keys()] },
+    })
+      .sort({ toDate: -1 })
+      .session(session)
+      .lean();
+    const seeds = new Map();
+    for (const p of prior) {
+      for (const l of p.lines) {
+        if (seeds.has(l.costKey)) continue;
+        seeds.set(l.costKey, {
+          qty: l.closingQty,
+          value: l.settledValue,
+          layers: (l.layers || []).map((x) => ({ ...x })),
+          after: new Date(new Date(p.toDate).getTime() + DAY),
+        });
+      }
+    }
+
+    const txns = await InventoryTransactionModel.find({
+      item: { $in: [...methods.keys()] },
+      sourceType: { $in: MOVEMENT_SOURCES },
+    })
+      .sort({ txnDate: 1, _id: 1 })
+      .session(session)
+      .lean();
+    const byKey = new Map();
+    for (const tx of txns) {
+      const move = this.movementOf(tx);
+      if (!move) continue;
+      const key = this.costKey(tx.item, tx.dims);
+      if (!byKey.has(key)) {
+        byKey.set(key, { item: tx.item, dims: tx.dims, moves: [] });
+      }
+      byKey.get(key).moves.push({
+        ...move,
+        date: new Date(tx.txnDate),
+        layer: {
+          sourceType: tx.sourceType,
+          sourceId: tx.sourceId,
+          sourceLine: tx.sourceLine,
+          inventTxn: tx._id,
+          refNum: extrasOf(tx).refNum || extrasOf(tx).journalCode || '',
+          receiptDate: tx.txnDate,
+        },
+      });
+    }
+
+    const lines = [];
+    const current = new Map();
+    for (const [key, { item, dims, moves }] of byKey) {
+      const seed = seeds.get(key) || { qty: 0, value: 0, layers: [] };
+      const since = seed.after || new Date(0);
+      const ahead = moves.filter((m) => m.date >= since);
+      if (!ahead.some((m) => m.issue && m.date >= from && m.date < end)) {
+        continue;
+      }
+      const settled = this.settle(
+        methods.get(idOf(item)),
+        seed,
+        ahead,
+        from,
+        end
+      );
+      lines.push({
+        ...settled.line,
+        item,
+        costKey: key,
+        dims: this.costDims(dims),
+      });
+      if (settled.current) current.set(key, settled.current);
+    }
+
+    close.lines = lines;
+    close.totalAdjustment = lines.reduce((s, l) => s + l.adjustment, 0);
+    return current;
+  }
+
+  /**
+   * Post a Draft close: recalculate it, move each adjustment between the
+   * stock balances' cost value and COGS, replace the open FIFO / LIFO
+   * layers with the settled ones and book the voucher (Dr / Cr inventory
+   * against COGS). Periods of a company cannot overlap.
+   */
+  static async post(close, { currency = 'INR', user } = {}, session) {
+    if (close.status !== 'Draft') {
+      throw new Error(`❌ Inventory close ${close.closeId} is ${close.status}.`);
+    }
+    await FiscalPeriodService.assertPostingAllowed(
+      close.toDate,
+      { company: close.company, source: 'INVENT_JOURNAL' },
+      session
+    );
+    const overlap = await InventoryCloseModel.findOne({
+      company: close.company || null,
+      status: 'Posted',
+      toDate: { $gte: close.fromDate },
+    }).session(session);
+    if (overlap) {
+      throw new Error(
+        `❌ Inventory close ${overlap.closeId} already covers up to ${new Date(overlap.toDate).toISOString().slice(0, 10)}; start after it.`
+      );
+    }
+    const current = await this.recalculate(close, session);
+
+    for (const line of close.lines) {
+      if (line.adjustment) {
+        const filter = { item: line.item };
+        for (const f of COST_DIMS) filter[f] = line.dims?.[f] ?? null;
+        const balances = await StockBalanceModel.find(filter).session(session);
+        if (balances.length) {
+          const weights = balances.map((sb) => Math.max(sb.quantity, 0));
+          const parts = weights.some((w) => w > 0)
+            ? spread(line.adjustment, weights)
+            : [line.adjustment, ...weights.slice(1).map(() => 0)];
+          for (let i = 0; i < balances.length; i++) {
+            const sb = balances[i];
+            if (!parts[i]) continue;
+            sb.totalCostValue += parts[i];
+            sb.totalCOGSValue -= parts[i];
+            if (sb.quantity > 0) sb.costPrice = sb.totalCostValue / sb.quantity;
+            await sb.save({ session });
+          }
+        }
+      }
+
+      const layers = current.get(line.costKey);
+      if (!layers) continue;
+      await CostLayerModel.updateMany(
+        { item: line.item, costKey: line.costKey, remainingQty: { $gt: 0 } },
+        { $set: { remainingQty: 0 } },
+        { session }
+      );
+      if (layers.length) {
+        await CostLayerModel.create(
+          layers.map((l) => ({
+            item: line.item,
+            costKey: line.costKey,
+            dims: line.dims,
+            receiptDate: l.receiptDate || close.fromDate,
+            sourceType: l.sourceType,
+            sourceId: l.sourceId || close._id,
+            sourceLine: l.sourceLine || 1,
+            inventTxn: l.inventTxn,
+            refNum: l.refNum || close.closeId,
+            qty: l.qty,
+            remainingQty: l.qty,
+            unitCost: l.unitCost,
+          })),
+          { session, ordered: true }
+        );
+      }
+    }
+
+    const voucher = await VoucherService.createInventoryCloseVoucher(
+      { close, currency },
+      session
+    );
+    if (voucher) {
+      close.voucherId = voucher._id;
+      close.voucherNo = voucher.voucherNo;
+    }
+    close.status = 'Posted';
+    close.postedAt = new Date();
+    close.updatedBy = user || 'system';
+    await close.save({ session });
+    return close;
+  }
+
+  /** The company's currency, which a close is booked in. */
+  static async currencyOf(company, session = null) {
+    if (!company) return 'INR';
+    const found = await mongoose
+      .model('Companies')
+      .findById(company)
+      .select('currency')
+      .session(session);
+    return found?.currency || 'INR';
+  }
+}
+
+export default InventoryCostingService;
@@ -0,0 +1,238 @@
+// services/landedCost.service.js
+
+import mongoose from 'mongoose';
+import { GoodsReceiptModel } from '../models/goodsReceipt.model.js';
+import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
+import { StockBalanceModel } from '../models/inventStockBalance.model.js';
+import { ItemModel } from '../models/item.model.js';
+import FiscalPeriodService from './fiscalPeriod.service.js';
+import InventoryCostingService from './inventoryCosting.service.js';
+import VoucherService from './voucher.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// only the dims that are set, as stored on the stock balance
+const plainDims = (dims) => {
+  const d = dims?.toObject ? dims.toObject() : dims || {};
+  return Object.fromEntries(Object.entries(d).filter(([, v]) => v != null));
+};
+
+/**
+ * Split `amount` over `weights` pro rata, in paise; the last non-zero
+ * share takes the rounding so the parts add up to the amount.
+ */
+function spread(amount, weights) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  const parts = weights.map((w) => round2((amount * w) / total));
+  const last = weights.findLastIndex((w) => w > 0);
+  const rest = round2(amount - parts.reduce((s, p) => s + p, 0));
+  parts[last] = round2(parts[last] + rest);
+  return parts;
+}
+
+/**
+ * Landed costs: charges on inbound goods spread over the lines of posted
+ * goods receipts and loaded into the moving-average cost of the stock.
+ */
+class LandedCostService {
+  /**
+   * The receipt lines a landed cost covers, with the quantity, value (in
+   * INR, at the order's rate), weight and volume the charges spread over.
+   */
+  static async receiptLines(landedCost, session = null) {
+    const receipts = await GoodsReceiptModel.find({
+      _id: { $in: landedCost.receipts },
+    })
+      .populate('purchaseOrder', 'orderNum company exchangeRate')
+      .session(session);
+    const byId = new Map(receipts.map((r) => [String(r._id), r]));
+
+    const lines = [];
+    for (const id of landedCost.receipts) {
+      const receipt = byId.get(String(id));
+      if (!receipt) throw new Error(`❌ Goods receipt ${id} not found.`);
+      if (receipt.status !== 'Posted') {
+        throw new Error(
+          `❌ Goods receipt ${receipt.grnId} is ${receipt.status}; only posted receipts carry landed costs.`
+        );
+      }
+      const order = receipt.purchaseOrder || {};
+      const company = String(order.company || '');
+      if (landedCost.company && company !== String(landedCost.company)) {
+        throw new Error(
+          `❌ Goods receipt ${receipt.grnId} belongs to another company.`
+        );
+      }
+      const txns = await InventoryTransactionModel.find({
+        _id: { $in: receipt.inventTxns },
+      }).session(session);
+      for (const tx of txns) {
+        lines.push({
+          receipt: receipt._id,
+          grnId: receipt.grnId,
+          inventTxn: tx._id,
+          lineNum: tx.sourceLine,
+          item: tx.item,
+          dims: plainDims(tx.dims),
+          qty: tx.qty,
+          value: round2(tx.qty * tx.purchasePrice * (order.exchangeRate || 1)),
+        });
+      }
+    }
+    if (!lines.length) {
+      throw new Error('❌ The goods receipts have no stock lines.');
+    }
+
+    const items = await ItemModel.find({
+      _id: { $in: lines.map((l) => l.item) },
+    })
+      .select('weight volume')
+      .session(session)
+      .lean();
+    const itemOf = new Map(items.map((i) => [String(i._id), i]));
+    for (const l of lines) {
+      const item = itemOf.get(String(l.item)) || {};
+      l.weight = round2(l.qty * (item.weight || 0));
+      l.volume = round2(l.qty * (item.volume || 0));
+    }
+    return lines;
+  }
+
+  /**
+   * Spread every charge over the receipt lines by its basis and set
+   * `allocations` and `totalAmount` on the landed cost.
+   */
+  static async allocate(landedCost, session = null) {
+    const lines = await this.receiptLines(landedCost, session);
+    for (const l of lines) {
+      l.shares = [];
+      l.amount = 0;
+    }
+
+    for (const charge of landedCost.charges) {
+      const key = charge.basis.toLowerCase();
+      const weights = lines.map((l) => (key === 'quantity' ? l.qty : l[key]));
+      if (!(weights.reduce((s, w) => s + w, 0) > 0)) {
+        throw new Error(
+          `❌ Cannot allocate ${charge.chargeType} by ${charge.basis}: the receipt lines have none.`
+        );
+      }
+      const parts = spread(charge.amount, weights);
+      lines.forEach((l, i) => {
+        l.shares.push({ chargeType: charge.chargeType, amount: parts[i] });
+        l.amount = round2(l.amount + parts[i]);
+      });
+    }
+
+    landedCost.allocations = lines;
+    landedCost.totalAmount = landedCost.charges.reduce(
+      (s, c) => s + c.amount,
+      0
+    );
+    return landedCost;
+  }
+
+  /**
+   * Post a Draft landed cost: re-allocate, add each line's share to the
+   * cost value of its stock balance and re-average `costPrice`. The share
+   * of a line that is no longer on hand was sold at the old cost and goes
+   * to COGS. Logs a zero-quantity LANDED_COST inventory txn per line and
+   * books the voucher (Dr inventory / COGS, Cr landed cost clearing).
+   */
+  static async post(landedCost, { currency = 'INR', user } = {}, session) {
+    if (landedCost.status !== 'Draft') {
+      throw new Error(
+        `❌ Landed cost ${landedCost.lcId} is ${landedCost.status}.`
+      );
+    }
+    await FiscalPeriodService.assertPostingAllowed(
+      landedCost.costDate,
+      { company: landedCost.company, source: 'PURCHASE' },
+      session
+    );
+    await this.allocate(landedCost, session);
+
+    // stock still on hand per balance, used up line by line
+    const onHandOf = new Map();
+    const invTxns = [];
+    for (let idx = 0; idx < landedCost.allocations.length; idx++) {
+      const a = landedCost.allocations[idx];
+      const sb = await StockBalanceModel.findOne({
+        item: a.item,
+        ...a.dims,
+      }).session(session);
+
+      const key = String(sb?._id);
+      if (sb && !onHandOf.has(key)) onHandOf.set(key, Math.max(sb.quantity, 0));
+      const onHand = sb ? Math.min(a.qty, onHandOf.get(key)) : 0;
+      if (sb) onHandOf.set(key, onHandOf.get(key) - onHand);
+
+      a.onHandQty = onHand;
+      a.inventoryAmount = a.qty ? round2((a.amount * onHand) / a.qty) : 0;
+      a.cogsAmount = round2(a.amount - a.inventoryAmount);
+
+      if (sb) {
+        sb.totalCostValue += a.inventoryAmount;
+        sb.totalCOGSValue += a.cogsAmount;
+        sb.costPrice = sb.quantity > 0 ? sb.totalCostValue / sb.quantity : 0;
+        await sb.save({ session });
+      }
+      // FIFO / LIFO: onto what is left of the receipt's layer
+      await InventoryCostingService.loadLayer(
+        a.inventTxn,
+        a.inventoryAmount,
+        session
+      );
+
+      const [txn] = await InventoryTransactionModel.create(
+        [
+          {
+            txnDate: landedCost.costDate,
+            sourceType: 'LANDED_COST',
+            sourceId: landedCost._id,
+            sourceLine: idx + 1,
+            item: a.item,
+            dims: a.dims,
+            qty: 0,
+            costPrice: sb?.costPrice || 0,
+            extras: {
+              action: 'LANDED_COST',
+              refNum: landedCost.lcId,
+              receipt: a.grnId,
+              inventoryAmount: a.inventoryAmount,
+              cogsAmount: a.cogsAmount,
+            },
+          },
+        ],
+        { session }
+      );
+      invTxns.push(txn);
+    }
+    landedCost.markModified('allocations');
+
+    const voucher = await VoucherService.createLandedCostVoucher(
+      { landedCost, invTxns, currency },
+      session
+    );
+    landedCost.voucherId = voucher._id;
+    landedCost.voucherNo = voucher.voucherNo;
+    landedCost.status = 'Posted';
+    landedCost.postedAt = new Date();
+    landedCost.updatedBy = user || 'system';
+    await landedCost.save({ session });
+    return landedCost;
+  }
+
+  /** The company's currency, which landed costs are entered in. */
+  static async currencyOf(company, session = null) {
+    if (!company) return 'INR';
+    const found = await mongoose
+      .model('Companies')
+      .findById(company)
+      .select('currency')
+      .session(session);
+    return found?.currency || 'INR';
+  }
+}
+
+export default LandedCostService;
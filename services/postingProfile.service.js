@@ -0,0 +1,137 @@
+// services/postingProfile.service.js
+
+import { PostingProfileModel } from '../models/postingProfile.model.js';
+import { ItemModel } from '../models/item.model.js';
+import { BankModel } from '../models/bank.model.js';
+
+// how much each matching selector makes a mapping more specific
+const SPECIFICITY = { itemGroup: 8, partyGroup: 4, site: 2, company: 1 };
+
+const ids = (list = []) => list.filter(Boolean).map((v) => String(v._id || v));
+
+class PostingProfileService {
+  /**
+   * The account a posting type goes to for the given context.
+   * @param {string} postingType e.g. 'SALES_REVENUE'
+   * @param {Object} ctx { company, site, itemGroups[], partyGroups[],
+   *   partyKind: 'customer'|'vendor', label } — label names the document
+   *   being posted so that a missing mapping says where it was needed
+   * @returns {Promise<Object>} the Accounts document
+   */
+  static async resolve(postingType, ctx = {}, session = null) {
+    const company = ctx.company?._id || ctx.company || null;
+    const site = ctx.site?._id || ctx.site || null;
+    const itemGroups = ids(ctx.itemGroups);
+    const partyGroups = ids(ctx.partyGroups);
+
+    const candidates = await PostingProfileModel.find({
+      postingType,
+      active: true,
+      company: { $in: [company, null] },
+      site: { $in: [site, null] },
+      itemGroup: { $in: [...itemGroups, null] },
+      partyGroup: { $in: [...partyGroups, null] },
+    })
+      .populate('account', 'accountCode accountName type isLeaf isArchived')
+      .session(session);
+
+    const usable = candidates.filter(
+      (c) => c.account && c.account.isLeaf && !c.account.isArchived
+    );
+    if (!usable.length) {
+      throw new Error(this.missingMessage(postingType, ctx));
+    }
+
+    const score = (c) =>
+      Object.entries(SPECIFICITY).reduce(
+        (sum, [field, weight]) => sum + (c[field] ? weight : 0),
+        0
+      );
+    usable.sort((a, b) => score(b) - score(a) || a.priority - b.priority);
+
+    const [best, next] = usable;
+    if (
+      next &&
+      score(next) === score(best) &&
+      next.priority === best.priority &&
+      String(next.account._id) !== String(best.account._id)
+    ) {
+      throw new Error(
+        `❌ Posting profiles for ${postingType}${
+          ctx.label ? ` on ${ctx.label}` : ''
+        } point to both ${best.account.accountCode} and ${
+          next.account.accountCode
+        }; give one of them a lower priority.`
+      );
+    }
+    return best.account;
+  }
+
+  static missingMessage(postingType, ctx) {
+    const party = ctx.partyKind === 'vendor' ? 'vendor' : 'customer';
+    const scope = [
+      ctx.company && `company ${ctx.company._id || ctx.company}`,
+      ctx.site && `site ${ctx.site._id || ctx.site}`,
+      ids(ctx.itemGroups).length && `item groups ${ids(ctx.itemGroups)}`,
+      ids(ctx.partyGroups).length &&
+        `${party} groups ${ids(ctx.partyGroups)}`,
+    ].filter(Boolean);
+    return `❌ No posting profile maps ${postingType}${
+      ctx.label ? ` for ${ctx.label}` : ''
+    }${
+      scope.length ? ` (${scope.join(', ')})` : ''
+    }. Add one under /fms/api/v0/posting-profiles.`;
+  }
+
+  /**
+   * A memoised `resolve` for one posting run, so a voucher with many lines
+   * looks each combination up once.
+   */
+  static resolver(session = null) {
+    const cache = new Map();
+    return (postingType, ctx = {}) => {
+      const key = JSON.stringify([
+        postingType,
+        String(ctx.company?._id || ctx.company || ''),
+        String(ctx.site?._id || ctx.site || ''),
+        ids(ctx.itemGroups).sort(),
+        ids(ctx.partyGroups).sort(),
+      ]);
+      if (!cache.has(key)) {
+        cache.set(key, this.resolve(postingType, ctx, session));
+      }
+      return cache.get(key);
+    };
+  }
+
+  /** itemId → group ids, for every item in `itemIds`. */
+  static async itemGroups(itemIds, session = null) {
+    const items = await ItemModel.find({ _id: { $in: ids(itemIds) } })
+      .select('groups')
+      .session(session);
+    return new Map(items.map((i) => [String(i._id), ids(i.groups)]));
+  }
+
+  /**
+   * A bank's own ledger account (its linkedCoaAccount) when it has one,
+   * otherwise the BANK posting profile.
+   */
+  static async bankAccount(bankId, ctx = {}, session = null) {
+    const bank = await BankModel.findById(bankId)
+      .populate('linkedCoaAccount', 'accountCode accountName type isLeaf')
+      .session(session);
+    if (bank?.linkedCoaAccount?.accountCode) return bank.linkedCoaAccount;
+    return this.resolve('BANK', ctx, session);
+  }
+
+  /** Group ids of a customer or vendor (`Model` is its model). */
+  static async partyGroups(Model, partyId, session = null) {
+    if (!partyId) return [];
+    const party = await Model.findById(partyId._id || partyId)
+      .select('groups')
+      .session(session);
+    return ids(party?.groups);
+  }
+}
+
+export default PostingProfileService;
@@ -0,0 +1,92 @@
+// services/purchaseMatch.service.js
+
+import { MatchToleranceModel } from '../models/matchTolerance.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const idOf = (v) => v?._id || v || null;
+
+/**
+ * Three-way match of a vendor invoice: its quantity against what the goods
+ * receipts brought in and its price against the purchase order. An order
+ * with no receipts yet is matched two-way, quantity against the order.
+ */
+class PurchaseMatchService {
+  /** The tolerance for a vendor: its own, else its company's, else global. */
+  static async toleranceFor(company, vendor, session = null) {
+    const found = await MatchToleranceModel.find({
+      company: { $in: company ? [idOf(company), null] : [null] },
+      vendor: { $in: vendor ? [idOf(vendor), null] : [null] },
+      active: true,
+    })
+      .session(session)
+      .lean();
+    found.sort(
+      (a, b) => !!b.vendor - !!a.vendor || !!b.company - !!a.company
+    );
+    return found[0] || { qtyPercent: 0, pricePercent: 0 };
+  }
+
+  /** How far `actual` is off `expected`, in % of `expected`. */
+  static variance(actual, expected) {
+    if (!expected) return actual ? 100 : 0;
+    return round2((Math.abs(actual - expected) / expected) * 100);
+  }
+
+  /**
+   * Match a vendor invoice against an order. The invoice quantity defaults
+   * to what was received (or ordered), its price to the PO price.
+   * @param {Object} order purchase order
+   * @param {Object} invoice { quantity?, price?, vendorInvoiceNum?,
+   *   invoiceDate?, dueDate? }
+   * @returns {Object} the order's `match`, MATCHED or HELD with reasons
+   */
+  static async match(order, invoice = {}, session = null) {
+    const threeWay = order.receivedQty > 0;
+    const basis = threeWay ? order.receivedQty : order.quantity;
+    const invoiceQty = round2(Number(invoice.quantity ?? basis));
+    const invoicePrice = round2(Number(invoice.price ?? order.price));
+    if (!(invoiceQty > 0)) {
+      throw new Error('❌ The invoiced quantity must be positive.');
+    }
+    if (!(invoicePrice >= 0)) {
+      throw new Error('❌ The invoiced price cannot be negative.');
+    }
+
+    const tol = await this.toleranceFor(order.company, order.vendor, session);
+    const qtyVariance = this.variance(invoiceQty, basis);
+    const priceVariance = this.variance(invoicePrice, order.price);
+    const reasons = [];
+    if (qtyVariance > tol.qtyPercent) {
+      reasons.push(
+        `Invoiced quantity ${invoiceQty} is ${qtyVariance}% off the ` +
+          `${threeWay ? 'received' : 'ordered'} ${basis} ` +
+          `(tolerance ${tol.qtyPercent}%).`
+      );
+    }
+    if (priceVariance > tol.pricePercent) {
+      reasons.push(
+        `Invoiced price ${invoicePrice} is ${priceVariance}% off the PO ` +
+          `price ${order.price} (tolerance ${tol.pricePercent}%).`
+      );
+    }
+
+    return {
+      status: reasons.length ? 'HELD' : 'MATCHED',
+      vendorInvoiceNum: invoice.vendorInvoiceNum || '',
+      invoiceDate: invoice.invoiceDate || new Date(),
+      dueDate: invoice.dueDate || null,
+      orderedQty: order.quantity,
+      receivedQty: order.receivedQty,
+      orderPrice: order.price,
+      invoiceQty,
+      invoicePrice,
+      qtyVariance,
+      priceVariance,
+      qtyTolerance: tol.qtyPercent,
+      priceTolerance: tol.pricePercent,
+      reasons,
+    };
+  }
+}
+
+export default PurchaseMatchService;
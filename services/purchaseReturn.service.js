@@ -0,0 +1,256 @@
+// services/purchaseReturn.service.js
+
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { GoodsReceiptModel } from '../models/goodsReceipt.model.js';
+import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const idOf = (v) => String(v?._id || v || '');
+// a received lot: its batch and serial, '' when not recorded
+const lotKey = (batch, serial) => `${idOf(batch)}|${idOf(serial)}`;
+
+const lotLabel = ({ batch, serial }) =>
+  [batch && `batch ${idOf(batch)}`, serial && `serial ${idOf(serial)}`]
+    .filter(Boolean)
+    .join(' / ');
+
+const RECEIVED_ACTIONS = ['PURCHASE_RECEIPT', 'PURCHASE_RECEIPT_REVERSAL'];
+const RETURNED_ACTIONS = ['PURCHASE_RETURN', 'PURCHASE_RETURN_REVERSAL'];
+
+class PurchaseReturnService {
+  /**
+   * Load the purchase order (and goods receipt) a return points at and
+   * split the return into the lots it sends back. Throws when the original
+   * is missing, is for another vendor or item, or a lot would return more
+   * than was received and not yet returned, on the order and on the
+   * receipt. When the receipts recorded batches or serials, every returned
+   * lot has to name one of them.
+   * @returns {Promise<{original, receipt, lots: Array<{batch, serial,
+   *   quantity, costPrice}>}>}
+   */
+  static async resolve(order, session = null) {
+    const originalId = order.returnOf?.purchaseOrder;
+    if (!originalId) {
+      throw new Error(
+        'A return order must reference the original purchase order.'
+      );
+    }
+    const original = await PurchaseOrderModel.findById(originalId).session(
+      session
+    );
+    if (!original || original.orderType === 'Return') {
+      throw new Error(`Original purchase order ${originalId} not found.`);
+    }
+    if (idOf(original.vendor) !== idOf(order.vendor)) {
+      throw new Error(
+        `Original purchase order ${original.orderNum} belongs to another vendor.`
+      );
+    }
+    if (idOf(original.item) !== idOf(order.item)) {
+      throw new Error(
+        `The item differs from that of purchase order ${original.orderNum}.`
+      );
+    }
+    if (original.currency !== order.currency) {
+      throw new Error(
+        `A return must be in ${original.currency}, the currency of ${original.orderNum}.`
+      );
+    }
+
+    let receipt = null;
+    if (order.returnOf.goodsReceipt) {
+      receipt = await GoodsReceiptModel.findById(
+        order.returnOf.goodsReceipt
+      ).session(session);
+      if (!receipt || idOf(receipt.purchaseOrder) !== idOf(original)) {
+        throw new Error(
+          `Goods receipt ${order.returnOf.goodsReceipt} does not belong to purchase order ${original.orderNum}.`
+        );
+      }
+      if (receipt.status !== 'Posted') {
+        throw new Error(`Goods receipt ${receipt.grnId} is not posted.`);
+      }
+    }
+
+    const received = await this.receivedLots(original, null, session);
+    const tracked = [...received.values()].some((l) => l.batch || l.serial);
+    const asked = order.returnOf.lots?.length
+      ? order.returnOf.lots
+      : [
+        {
+          batch: order.batch,
+          serial: order.serial,
+          quantity: order.quantity,
+        },
+      ];
+    const total = round2(asked.reduce((sum, l) => sum + l.quantity, 0));
+    if (total !== round2(order.quantity)) {
+      throw new Error(
+        `The returned lots add up to ${total}, not the return quantity ${order.quantity}.`
+      );
+    }
+
+    // untracked receipts: the whole return is one lot
+    const lots = [];
+    for (const l of asked) {
+      const key = tracked ? lotKey(l.batch, l.serial) : lotKey();
+      if (tracked && !l.batch && !l.serial) {
+        throw new Error(
+          `Purchase order ${original.orderNum} was received by batch / serial; name the lots being returned.`
+        );
+      }
+      const lot = lots.find((x) => x.key === key);
+      if (lot) lot.quantity = round2(lot.quantity + l.quantity);
+      else lots.push({ key, label: lotLabel(l), quantity: l.quantity });
+    }
+
+    const scopes = [[original.orderNum, received, null]];
+    if (receipt) {
+      scopes.push([
+        receipt.grnId,
+        await this.receivedLots(original, receipt, session),
+        receipt,
+      ]);
+    }
+    for (const [label, inLots, scope] of scopes) {
+      const outLots = await this.returnedLots(original, scope, order, session);
+      for (const lot of lots) {
+        const got = inLots.get(lot.key);
+        const open = round2((got?.qty || 0) - (outLots.get(lot.key) || 0));
+        if (lot.quantity > open) {
+          throw new Error(
+            `Returning ${lot.quantity}${tracked ? ` of ${lot.label}` : ''} exceeds the ${open} received on ${label} and not yet returned.`
+          );
+        }
+      }
+    }
+
+    return {
+      original,
+      receipt,
+      lots: lots.map(({ key, quantity }) => {
+        const got = received.get(key);
+        return {
+          batch: got.batch,
+          serial: got.serial,
+          quantity,
+          costPrice: got.qty ? round2(got.value / got.qty) : 0,
+        };
+      }),
+    };
+  }
+
+  /**
+   * What came in on an order (or just one of its receipts) per lot, net of
+   * reversals, with its value at the receipt cost.
+   * @returns {Promise<Map<string, {batch, serial, qty, value}>>}
+   */
+  static async receivedLots(original, receipt = null, session = null) {
+    const filter = {
+      sourceType: 'PURCHASE',
+      sourceId: original._id,
+      'extras.action': { $in: RECEIVED_ACTIONS },
+    };
+    if (receipt) filter._id = { $in: receipt.inventTxns };
+    const txns = await InventoryTransactionModel.find(filter).session(
+      session
+    );
+
+    const lots = new Map();
+    for (const tx of txns) {
+      const batch = tx.dims?.batch || null;
+      const serial = tx.dims?.serial || null;
+      const key = lotKey(batch, serial);
+      const lot = lots.get(key) || { batch, serial, qty: 0, value: 0 };
+      lot.qty = round2(lot.qty + tx.qty);
+      lot.value += tx.qty * tx.purchasePrice;
+      lots.set(key, lot);
+    }
+    return lots;
+  }
+
+  /**
+   * What the other invoiced returns of an order (or of one of its
+   * receipts) sent back per lot.
+   * @returns {Promise<Map<string, number>>}
+   */
+  static async returnedLots(original, receipt, order, session = null) {
+    const filter = {
+      orderType: 'Return',
+      'returnOf.purchaseOrder': original._id,
+      _id: { $ne: order._id },
+    };
+    if (receipt) filter['returnOf.goodsReceipt'] = receipt._id;
+    const returns = await PurchaseOrderModel.find(filter)
+      .select('_id')
+      .session(session);
+    if (!returns.length) return new Map();
+
+    const txns = await InventoryTransactionModel.find({
+      sourceType: 'PURCHASE',
+      sourceId: { $in: returns.map((r) => r._id) },
+      'extras.action': { $in: RETURNED_ACTIONS },
+    }).session(session);
+    const lots = new Map();
+    for (const tx of txns) {
+      const key = lotKey(tx.dims?.batch, tx.dims?.serial);
+      // issues are negative, their reversals positive
+      lots.set(key, round2((lots.get(key) || 0) - tx.qty));
+    }
+    return lots;
+  }
+
+  /**
+   * Stock subset issuing a resolved return: one entry per lot, valued at
+   * the cost the lot came in at.
+   */
+  static stockSubset({ lots }) {
+    return lots.map((lot) => ({
+      lineNum: '1',
+      quantity: lot.quantity,
+      costPrice: lot.costPrice,
+      dims: { batch: lot.batch, serial: lot.serial },
+    }));
+  }
+
+  /**
+   * Stock subset undoing an invoiced return: what its own issues took out,
+   * at the cost they went out at.
+   */
+  static async issuedSubset(order, session = null) {
+    const txns = await InventoryTransactionModel.find({
+      sourceType: 'PURCHASE',
+      sourceId: order._id,
+      'extras.action': 'PURCHASE_RETURN',
+    }).session(session);
+    return txns.map((tx) => ({
+      lineNum: '1',
+      quantity: -tx.qty,
+      costPrice: tx.purchasePrice,
+      dims: { batch: tx.dims?.batch || null, serial: tx.dims?.serial || null },
+    }));
+  }
+
+  /**
+   * Move a return's quantity onto (sign 1) or back off (sign −1) the
+   * original order's `returnedQty`.
+   */
+  static async recordReturned(order, session, sign = 1) {
+    const original = await PurchaseOrderModel.findById(
+      order.returnOf.purchaseOrder
+    ).session(session);
+    if (!original) {
+      throw new Error(
+        `Original purchase order ${order.returnOf.purchaseOrder} not found.`
+      );
+    }
+    original.returnedQty = Math.max(
+      0,
+      round2(original.returnedQty + sign * order.quantity)
+    );
+    await original.save({ session });
+    return original;
+  }
+}
+
+export default PurchaseReturnService;
@@ -3,6 +3,7 @@
 import { StockBalanceModel } from '../models/inventStockBalance.model.js';
 import { ProvisionalBalanceModel } from '../models/provisionalBalance.model.js';
 import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
+import InventoryCostingService from './inventoryCosting.service.js';
 
 class PurchaseStockService1 {
   static async reservePO(po, session) {
@@ -673,14 +674,21 @@ class PurchaseStockServiceSingleLine {
 
 class PurchaseStockService {
   /**
-   * Reserve inventory for a Purchase Order (Confirmed).
-   * Loops through order.lines[] (or single root line if no array).
+   * The stock lines of a purchase order: order.lines[] or a single root line
+   * built from the header when the order has no line array.
+   * @param {Object} order purchase order
+   * @param {Array|null} subset optional [{ lineNum, quantity, costPrice?,
+   *   dims? }] to move only part of the order (e.g. a goods receipt);
+   *   defaults to all lines. `costPrice` values the stock at other than
+   *   the order price (a return goes out at its receipt cost) and `dims`
+   *   overrides the line's (a returned batch / serial)
    */
-  static async reservePO(order, session) {
-    const lines = Array.isArray(order.lines)
+  static stockLines(order, subset = null) {
+    const orderLines = Array.isArray(order.lines)
       ? order.lines
       : [
         {
+          lineNum: '1',
           item: order.item,
           quantity: order.quantity,
           price: order.price,
@@ -702,11 +710,25 @@ class PurchaseStockService {
         },
       ];
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
-      const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
-      const val = qty * ln.price;
-      const dims = {
+    const pick = subset
+      ? subset.map((s) => {
+        const idx = orderLines.findIndex(
+          (l, i) => String(l.lineNum ?? i + 1) === String(s.lineNum)
+        );
+        if (idx < 0) {
+          throw new Error(`Purchase order line ${s.lineNum} not found`);
+        }
+        return { ln: orderLines[idx], idx, ...s };
+      })
+      : orderLines.map((ln, idx) => ({ ln, idx, quantity: ln.quantity }));
+
+    return pick.map(({ ln, idx, quantity, costPrice, dims = {} }) => ({
+      lineNum: idx + 1,
+      item: ln.item?._id || ln.item,
+      quantity,
+      price: ln.price,
+      cost: costPrice ?? ln.price,
+      dims: {
         site: ln.site,
         warehouse: ln.warehouse,
         zone: ln.zone,
@@ -722,7 +744,22 @@ class PurchaseStockService {
         version: ln.version,
         batch: ln.batch,
         serial: ln.serial,
-      };
+        ...dims,
+      },
+    }));
+  }
+
+  /**
+   * Reserve inventory for a Purchase Order (Confirmed).
+   * Loops through the order lines (or the given subset).
+   */
+  static async reservePO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
+
+    for (const ln of lines) {
+      const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
+      const val = qty * ln.price;
+      const dims = ln.dims;
 
       // 1) Upsert provisional balance
       await ProvisionalBalanceModel.updateOne(
@@ -733,7 +770,7 @@ class PurchaseStockService {
             'extras.refType': 'PurchaseOrder',
             'extras.refId': order._id.toString(),
             'extras.refNum': order.orderNum,
-            'extras.refLineNum': (idx + 1).toString(),
+            'extras.refLineNum': ln.lineNum.toString(),
           },
         },
         { upsert: true, session }
@@ -746,7 +783,7 @@ class PurchaseStockService {
             txnDate: new Date(),
             sourceType: 'PURCHASE',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
             dims,
             qty,
@@ -763,54 +800,13 @@ class PurchaseStockService {
     }
   }
 
-  static async releasePO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  static async releasePO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
+    for (const ln of lines) {
       const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
       const val = qty * ln.price;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+      const dims = ln.dims;
 
       // decrement provisional
       const pb = await ProvisionalBalanceModel.findOne(
@@ -831,7 +827,7 @@ class PurchaseStockService {
             txnDate: new Date(),
             sourceType: 'PURCHASE',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
             dims,
             qty: -qty,
@@ -848,54 +844,46 @@ class PurchaseStockService {
     }
   }
 
-  static async applyPO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  /**
+   * Receive (or, for returns, issue) the stock. Receipts go in at the cost
+   * of the item's costing method (a STANDARD item's standard cost, the PO
+   * price kept as `orderPrice` on the txn) and open a FIFO / LIFO layer;
+   * returns use up the original order's layers first.
+   * @returns {Array} the inventory transactions created
+   */
+  static async applyPO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
+    const invTxns = [];
+    const isReturn = order.orderType === 'Return';
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
-      const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
-      const price = ln.price;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+    for (const ln of lines) {
+      const qty = isReturn ? -ln.quantity : ln.quantity;
+      const dims = ln.dims;
+      let price = ln.cost;
+      let method = null;
+      if (isReturn) {
+        await InventoryCostingService.issueCost(
+          {
+            item: ln.item,
+            dims,
+            qty: ln.quantity,
+            company: order.company,
+            averageCost: price,
+            source: {
+              sourceType: 'PURCHASE',
+              sourceId: order.returnOf?.purchaseOrder,
+            },
+          },
+          session
+        );
+      } else {
+        ({ method, cost: price } = await InventoryCostingService.receiptCost(
+          ln.item,
+          order.company,
+          ln.cost,
+          session
+        ));
+      }
 
       // upsert real stock
       const sb = await StockBalanceModel.findOneAndUpdate(
@@ -915,17 +903,17 @@ class PurchaseStockService {
       sb.extras.set('refType', 'PurchaseOrder');
       sb.extras.set('refId', order._id.toString());
       sb.extras.set('refNum', order.orderNum);
-      sb.extras.set('refLineNum', (idx + 1).toString());
+      sb.extras.set('refLineNum', ln.lineNum.toString());
       await sb.save({ session });
 
       // log transaction
-      await InventoryTransactionModel.create(
+      const [txn] = await InventoryTransactionModel.create(
         [
           {
             txnDate: new Date(),
             sourceType: 'PURCHASE',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
             dims,
             qty,
@@ -935,67 +923,83 @@ class PurchaseStockService {
             transferPrice: 0,
             taxes: { gst: 0, withholdingTax: 0 },
             extras: {
-              action:
-                order.orderType === 'Return'
-                  ? 'PURCHASE_RETURN'
-                  : 'PURCHASE_RECEIPT',
+              action: isReturn ? 'PURCHASE_RETURN' : 'PURCHASE_RECEIPT',
               refNum: order.orderNum,
+              ...(price !== ln.cost && { orderPrice: ln.cost }),
             },
           },
         ],
         { session }
       );
-    }
-  }
+      invTxns.push(txn);
 
-  static async reversePO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
+      await InventoryCostingService.openLayer(
+        method,
         {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
+          item: ln.item,
+          dims,
+          qty,
+          unitCost: price,
+          receiptDate: txn.txnDate,
+          sourceType: 'PURCHASE',
+          sourceId: order._id,
+          sourceLine: ln.lineNum,
+          inventTxn: txn._id,
+          refNum: order.orderNum,
         },
-      ];
+        session
+      );
+    }
+    return invTxns;
+  }
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
-      const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
-      const price = ln.price;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+  /**
+   * Undo received (or returned) stock at the cost it moved at: a receipt
+   * is taken back off its own layers first, a return comes back in as a
+   * new layer at the cost it went out at.
+   */
+  static async reversePO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
+    const isReturn = order.orderType === 'Return';
+
+    for (const ln of lines) {
+      const qty = isReturn ? -ln.quantity : ln.quantity;
+      const dims = ln.dims;
+      let price = ln.cost;
+      if (isReturn) {
+        await InventoryCostingService.restock(
+          {
+            item: ln.item,
+            dims,
+            qty: ln.quantity,
+            unitCost: price,
+            sourceType: 'PURCHASE',
+            sourceId: order._id,
+            sourceLine: ln.lineNum,
+            refNum: order.orderNum,
+          },
+          order.company,
+          session
+        );
+      } else {
+        ({ cost: price } = await InventoryCostingService.receiptCost(
+          ln.item,
+          order.company,
+          ln.cost,
+          session
+        ));
+        await InventoryCostingService.issueCost(
+          {
+            item: ln.item,
+            dims,
+            qty: ln.quantity,
+            company: order.company,
+            averageCost: price,
+            source: { sourceType: 'PURCHASE', sourceId: order._id },
+          },
+          session
+        );
+      }
 
       // decrement real stock
       const sb = await StockBalanceModel.findOne({
@@ -1017,7 +1021,7 @@ class PurchaseStockService {
             txnDate: new Date(),
             sourceType: 'PURCHASE',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
             dims,
             qty: -qty,
@@ -1027,10 +1031,9 @@ class PurchaseStockService {
             transferPrice: 0,
             taxes: { gst: 0, withholdingTax: 0 },
             extras: {
-              action:
-                order.orderType === 'Return'
-                  ? 'PURCHASE_RETURN_REVERSAL'
-                  : 'PURCHASE_RECEIPT_REVERSAL',
+              action: isReturn
+                ? 'PURCHASE_RETURN_REVERSAL'
+                : 'PURCHASE_RECEIPT_REVERSAL',
               refNum: order.orderNum,
             },
           },
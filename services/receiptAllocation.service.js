@@ -0,0 +1,213 @@
+// services/receiptAllocation.service.js
+
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import VoucherService from './voucher.service.js';
+import FXRevaluationService from './fxRevaluation.service.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// payment modes accepted on SalesOrder.paidAmt
+const PAYMENT_MODES = [
+  'Cash',
+  'CreditCard',
+  'DebitCard',
+  'Online',
+  'UPI',
+  'Crypto',
+  'Barter',
+];
+
+class ReceiptAllocationService {
+  /**
+   * Invoiced sales orders of the customer that still have an amount due in
+   * the receipt currency, oldest due date first.
+   */
+  static async openInvoices(customerId, currency, session = null) {
+    return SalesOrderModel.find({
+      customer: customerId,
+      orderType: 'Sales',
+      status: 'Invoiced',
+      currency,
+      netPaymentDue: { $gt: 0 },
+    })
+      .sort({ dueDate: 1, invoiceDate: 1, orderNum: 1 })
+      .session(session);
+  }
+
+  /**
+   * Work out which orders get how much of the `available` receipt amount.
+   * FIFO walks the open invoices by due date; MANUAL takes
+   * `allocations: [{ salesOrderId, amount? }]` as given after checking each.
+   * @returns {Promise<Array<{order, amount}>>}
+   */
+  static async plan(
+    receipt,
+    available,
+    { method = 'FIFO', allocations = [] },
+    session
+  ) {
+    const planned = [];
+
+    if (method === 'FIFO') {
+      const open = await this.openInvoices(
+        receipt.customer,
+        receipt.currency,
+        session
+      );
+      for (const order of open) {
+        if (available <= 0) break;
+        const amount = round2(Math.min(available, order.netPaymentDue));
+        planned.push({ order, amount });
+        available = round2(available - amount);
+      }
+      return planned;
+    }
+
+    if (method !== 'MANUAL') {
+      throw new Error('allocationMethod must be FIFO or MANUAL.');
+    }
+    for (const { salesOrderId, amount } of allocations) {
+      const order = await SalesOrderModel.findById(salesOrderId).session(
+        session
+      );
+      if (!order) throw new Error(`Sales Order ${salesOrderId} not found.`);
+      const label = order.invoiceNum || order.orderNum;
+      if (
+        String(order.customer?._id || order.customer) !==
+        String(receipt.customer)
+      ) {
+        throw new Error(`${label} belongs to another customer.`);
+      }
+      if (order.status !== 'Invoiced') {
+        throw new Error(`${label} is not invoiced.`);
+      }
+      if (order.currency !== receipt.currency) {
+        throw new Error(
+          `${label} is in ${order.currency}, the receipt in ${receipt.currency}.`
+        );
+      }
+      // no amount: settle as much of the order as the receipt covers
+      const amt = round2(
+        amount == null
+          ? Math.min(available, order.netPaymentDue)
+          : Number(amount)
+      );
+      if (!(amt > 0)) {
+        throw new Error(`Allocation to ${label} must be positive.`);
+      }
+      if (amt > order.netPaymentDue) {
+        throw new Error(
+          `Allocation ${amt} to ${label} exceeds its amount due ${order.netPaymentDue}.`
+        );
+      }
+      if (amt > available) {
+        throw new Error(
+          `Allocations exceed the ${available} available on the receipt.`
+        );
+      }
+      planned.push({ order, amount: amt });
+      available = round2(available - amt);
+    }
+    return planned;
+  }
+
+  /**
+   * Record the planned amounts as payments on the orders and as allocations
+   * on the receipt, both dated `at`. Where the receipt rate differs from
+   * an invoice's, the realised FX gain/loss is posted in one voucher. A
+   * receipt without a company takes the first invoice's. The caller saves
+   * the receipt.
+   */
+  static async apply(receipt, planned, session, at = receipt.receiptDate) {
+    const paymentMode = PAYMENT_MODES.includes(receipt.paymentMode)
+      ? receipt.paymentMode
+      : 'Online';
+
+    let realised = 0;
+    for (const { order, amount } of planned) {
+      if (!receipt.company && order.company) receipt.company = order.company;
+      order.paidAmt.push({
+        paymentId: receipt.receiptNum,
+        amount,
+        date: at,
+        transactionId: String(receipt._id),
+        paymentMode,
+        status: 'Posted',
+      });
+      this.refreshSettlement(order);
+      await order.save({ session });
+
+      const realisedFX = FXRevaluationService.realised(
+        'AR',
+        amount,
+        await VoucherService.rateOf(order, order.invoiceDate, session),
+        receipt.exchangeRate
+      );
+      realised = round2(realised + realisedFX);
+      receipt.allocations.push({
+        salesOrder: order._id,
+        orderNum: order.orderNum,
+        invoiceNum: order.invoiceNum,
+        dueDate: order.dueDate,
+        amount,
+        allocatedAt: at,
+        realisedFX,
+      });
+    }
+    await this.postRealisedFX(receipt, realised, at, session);
+    return receipt;
+  }
+
+  static async postRealisedFX(receipt, amount, date, session) {
+    if (!amount) return null;
+    const voucher = await VoucherService.createRealisedFXVoucher(
+      {
+        side: 'AR',
+        party: receipt.customer,
+        amount,
+        date,
+        company: receipt.company,
+        sourceType: 'AR_RECEIPT',
+        sourceId: receipt._id,
+        label: receipt.receiptNum,
+      },
+      session
+    );
+    receipt.fxVouchers.push(voucher._id);
+    return voucher;
+  }
+
+  /**
+   * Take every payment this receipt made back off its orders, and its
+   * realised FX with them.
+   */
+  static async unwind(receipt, session) {
+    const receiptRef = String(receipt._id);
+    const orderIds = [
+      ...new Set(receipt.allocations.map((a) => String(a.salesOrder))),
+    ];
+    for (const id of orderIds) {
+      const order = await SalesOrderModel.findById(id).session(session);
+      if (!order) continue;
+      order.paidAmt = order.paidAmt.filter(
+        (p) => p.transactionId !== receiptRef
+      );
+      this.refreshSettlement(order);
+      await order.save({ session });
+    }
+    const realised = receipt.allocations.reduce(
+      (sum, a) => round2(sum + (a.realisedFX || 0)),
+      0
+    );
+    await this.postRealisedFX(receipt, -realised, new Date(), session);
+  }
+
+  static refreshSettlement(order) {
+    order.updateSettlementStatus();
+    order.netPaymentDue = round2(
+      order.netAR - (order.advance + order.totalPaid)
+    );
+  }
+}
+
+export default ReceiptAllocationService;
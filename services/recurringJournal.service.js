@@ -0,0 +1,168 @@
+// services/recurringJournal.service.js
+
+import mongoose from 'mongoose';
+import cronParser from 'cron-parser';
+import { RecurringJournalModel } from '../models/recurringJournal.model.js';
+import { GLJournalModel } from '../models/glJournal.model.js';
+import GLJournalService from './glJournal.service.js';
+
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+class RecurringJournalService {
+  /**
+   * Cron expression for a definition's schedule. Days 29–31 run on the
+   * last day of every month so short months are not skipped; QUARTERLY
+   * counts quarters from the start date's month.
+   */
+  static cronFor(def) {
+    const { frequency, dayOfMonth = 1, hour = 2, cron } = def.schedule || {};
+    if (frequency === 'CRON') return cron;
+    const dom = dayOfMonth > 28 ? 'L' : dayOfMonth;
+    if (frequency === 'QUARTERLY') {
+      const first = new Date(def.startDate || Date.now()).getMonth();
+      const months = [0, 3, 6, 9]
+        .map((m) => ((first + m) % 12) + 1)
+        .sort((a, b) => a - b);
+      return `0 ${hour} ${dom} ${months.join(',')} *`;
+    }
+    return `0 ${hour} ${dom} * *`;
+  }
+
+  /** Throw a readable error unless `def` has a schedule cron understands. */
+  static validateSchedule(def) {
+    try {
+      cronParser.parseExpression(this.cronFor(def), {
+        tz: def.schedule?.timezone,
+      });
+    } catch (err) {
+      throw new Error(`❌ Invalid schedule: ${err.message}`);
+    }
+  }
+
+  /** Next run after `after` within start / end date, or null when done. */
+  static nextRun(def, after = new Date()) {
+    const from = new Date(
+      Math.max(new Date(after), new Date(def.startDate) - 1)
+    );
+    const it = cronParser.parseExpression(this.cronFor(def), {
+      currentDate: from,
+      endDate: def.endDate,
+      tz: def.schedule?.timezone,
+    });
+    return it.hasNext() ? it.next().toDate() : null;
+  }
+
+  /**
+   * A DRAFT copy of the source journal dated `runDate`. An accrual source
+   * keeps its reversal lag: reverseOn moves with the journal date.
+   */
+  static async copySource(def, runDate, session) {
+    const src = await GLJournalModel.findById(def.sourceJournal)
+      .session(session)
+      .lean();
+    if (!src) throw new Error('Source journal not found.');
+
+    const copy = new GLJournalModel({
+      ...GLJournalService.copyableHeader(src),
+      journalDate: runDate,
+      reverseOn: src.reverseOn
+        ? new Date(runDate.getTime() + (src.reverseOn - src.journalDate))
+        : null,
+      status: 'DRAFT',
+      recurringJournal: def._id,
+      reference: `${src.reference || src.globalJournalNum} · ${
+        def.code
+      } ${day(runDate)}`,
+      createdBy: `recurring:${def.code}`,
+      lines: src.lines.map(({ _id, ...line }) => line),
+    });
+    await copy.save({ session });
+    return copy;
+  }
+
+  /**
+   * Generate one run: copy the source journal and, in AUTO_POST mode, post
+   * it. A copy that fails to post (e.g. closed period) stays as a DRAFT and
+   * the run is recorded as POST_FAILED. A scheduled run that already
+   * produced a journal for the same date is not repeated.
+   * @param {Object} opts { runDate, trigger: 'SCHEDULE'|'MANUAL', jobId }
+   * @returns {Promise<Object|null>} the run entry, null when skipped
+   */
+  static async generate(
+    recurringJournalId,
+    { runDate = new Date(), trigger = 'SCHEDULE', jobId } = {}
+  ) {
+    const def = await RecurringJournalModel.findById(recurringJournalId);
+    if (!def) throw new Error('Recurring journal not found.');
+    const date = new Date(runDate);
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid run date.');
+
+    if (trigger === 'SCHEDULE') {
+      if (def.status !== 'ACTIVE') return null;
+      const done = def.runs.find(
+        (r) =>
+          r.trigger === 'SCHEDULE' &&
+          r.status !== 'FAILED' &&
+          r.runDate.getTime() === date.getTime()
+      );
+      if (done) return done;
+    }
+    if (date > def.endDate) {
+      def.status = 'ENDED';
+      def.nextRunAt = null;
+      await def.save();
+      if (trigger === 'SCHEDULE') return null;
+      throw new Error(`❌ ${def.code} ended on ${day(def.endDate)}.`);
+    }
+
+    const run = { runDate: date, ranAt: new Date(), trigger, jobId };
+    let session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const journal = await this.copySource(def, date, session);
+      await session.commitTransaction();
+      run.journal = journal._id;
+      run.journalNum = journal.globalJournalNum;
+      run.status = 'GENERATED';
+
+      if (def.mode === 'AUTO_POST') {
+        session.endSession();
+        session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+          const draft = await GLJournalModel.findById(journal._id).session(
+            session
+          );
+          await GLJournalService.post(draft, session);
+          await session.commitTransaction();
+          run.status = 'POSTED';
+        } catch (err) {
+          await session.abortTransaction();
+          run.status = 'POST_FAILED';
+          run.error = err.message;
+        }
+      }
+    } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      run.status = 'FAILED';
+      run.error = err.message;
+    } finally {
+      session.endSession();
+    }
+
+    def.runs.push(run);
+    def.lastRunAt = run.ranAt;
+    if (trigger === 'SCHEDULE') {
+      def.nextRunAt = this.nextRun(def, date);
+      if (!def.nextRunAt) def.status = 'ENDED';
+    }
+    await def.save();
+
+    if (run.status === 'FAILED') {
+      throw new Error(`❌ ${def.code} run for ${day(date)}: ${run.error}`);
+    }
+    return def.runs[def.runs.length - 1];
+  }
+}
+
+export default RecurringJournalService;
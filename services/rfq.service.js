@@ -0,0 +1,377 @@
+// services/rfq.service.js
+
+import nodemailer from 'nodemailer';
+import { RFQModel } from '../models/rfq.model.js';
+import { PurchaseRequisitionModel } from '../models/purchaseRequisition.model.js';
+import { PurchaseOrderModel } from '../models/purchaseorder.model.js';
+import { VendorModel } from '../models/vendor.model.js';
+import { ItemModel } from '../models/item.model.js';
+import ExchangeRateService from './exchangeRate.service.js';
+import { winstonLogger } from '../utility/logError.utils.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+// RFQs go out over the same SMTP account as the OTP mails; without one
+// the dispatch is only recorded and the buyer sends it themselves
+const transporter = process.env.EMAIL_USER
+  ? nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 587,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  })
+  : null;
+
+/**
+ * Requests for quotation: raised from an approved requisition, sent to
+ * vendors, their quotes compared, and the winning quote turned into a
+ * purchase order.
+ */
+class RFQService {
+  /**
+   * A Draft RFQ for an approved requisition's item and quantity.
+   * @param {Object} requisition an Approved requisition
+   * @param {Object} body { vendors: [ObjectId], responseDueDate?, remarks? }
+   */
+  static async fromRequisition(requisition, body, user, session = null) {
+    if (requisition.status !== 'Approved') {
+      throw new Error(
+        `❌ Requisition ${requisition.requisitionNum} is ${requisition.status}; only Approved requisitions go out for quotes.`
+      );
+    }
+    const open = await RFQModel.findOne({
+      requisition: requisition._id,
+      status: { $in: ['Draft', 'Sent'] },
+    }).session(session);
+    if (open) {
+      throw new Error(
+        `❌ Requisition ${requisition.requisitionNum} already has RFQ ${open.rfqNum} open.`
+      );
+    }
+    const vendorIds = [...new Set((body.vendors || []).map(String))];
+    const found = await VendorModel.countDocuments({
+      _id: { $in: vendorIds },
+    }).session(session);
+    if (found !== vendorIds.length) {
+      throw new Error('❌ One or more vendors do not exist.');
+    }
+
+    const [rfq] = await RFQModel.create(
+      [
+        {
+          company: requisition.company,
+          requisition: requisition._id,
+          item: requisition.item,
+          quantity: requisition.quantity,
+          requiredBy: requisition.requiredBy,
+          site: requisition.site,
+          warehouse: requisition.warehouse,
+          responseDueDate: body.responseDueDate || null,
+          vendors: vendorIds.map((vendor) => ({ vendor })),
+          remarks: body.remarks || '',
+          createdBy: user || 'system',
+        },
+      ],
+      { session }
+    );
+    requisition.rfq = rfq._id;
+    requisition.updatedBy = user || 'system';
+    await requisition.save({ session });
+    return rfq;
+  }
+
+  /**
+   * Send the RFQ to its vendors not yet sent to (or just `vendorIds`),
+   * emailing those with an address on file.
+   * @returns {Object} the RFQ, status Sent
+   */
+  static async send(rfq, vendorIds = null, user) {
+    if (!['Draft', 'Sent'].includes(rfq.status)) {
+      throw new Error(`❌ RFQ ${rfq.rfqNum} is ${rfq.status}.`);
+    }
+    const wanted = vendorIds ? new Set(vendorIds.map(String)) : null;
+    const rows = rfq.vendors.filter((r) =>
+      wanted ? wanted.has(String(r.vendor)) : !r.sentAt
+    );
+    if (!rows.length) {
+      throw new Error(`❌ RFQ ${rfq.rfqNum} has no vendors left to send to.`);
+    }
+    const vendors = await VendorModel.find({
+      _id: { $in: rows.map((r) => r.vendor) },
+    })
+      .select('name email contactPersonEmail')
+      .lean();
+    const byId = new Map(vendors.map((v) => [String(v._id), v]));
+    const item = await ItemModel.findById(rfq.item).select('itemNum name');
+
+    for (const row of rows) {
+      const vendor = byId.get(String(row.vendor));
+      const to = vendor?.contactPersonEmail || vendor?.email || '';
+      row.sentAt = new Date();
+      row.emailedTo = (await this.mail(rfq, item, vendor, to)) ? to : '';
+    }
+    rfq.status = 'Sent';
+    rfq.updatedBy = user || 'system';
+    await rfq.save();
+    return rfq;
+  }
+
+  /** Email one vendor the RFQ; false when it could not go out. */
+  static async mail(rfq, item, vendor, to) {
+    if (!transporter || !to) return false;
+    try {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to,
+        subject: `Request for quotation ${rfq.rfqNum}`,
+        text: [
+          `Dear ${vendor.name},`,
+          '',
+          'Please quote your price and lead time for:',
+          `  Item: ${item ? `${item.itemNum} ${item.name}` : rfq.item}`,
+          `  Quantity: ${rfq.quantity}`,
+          rfq.requiredBy ? `  Required by: ${day(rfq.requiredBy)}` : null,
+          rfq.responseDueDate
+            ? `  Please reply by: ${day(rfq.responseDueDate)}`
+            : null,
+          '',
+          `Quote reference: ${rfq.rfqNum}`,
+        ]
+          .filter((l) => l !== null)
+          .join('\n'),
+      });
+      return true;
+    } catch (err) {
+      winstonLogger.warn('RFQ email failed', {
+        rfq: rfq.rfqNum,
+        to,
+        error: err.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Capture a vendor's reply. `declined: true` records a refusal instead.
+   * @param {Object} quote { price, currency?, discount?, charges?,
+   *   leadTimeDays, validUntil?, paymentTerms?, remarks?, declined? }
+   */
+  static recordQuote(rfq, vendorId, quote) {
+    if (rfq.status !== 'Sent') {
+      throw new Error(
+        `❌ RFQ ${rfq.rfqNum} is ${rfq.status}; quotes are taken on Sent RFQs.`
+      );
+    }
+    const row = rfq.vendorRow(vendorId);
+    if (!row) {
+      throw new Error(
+        `❌ Vendor ${vendorId} was not invited to RFQ ${rfq.rfqNum}.`
+      );
+    }
+    if (quote.declined) {
+      row.status = 'DECLINED';
+      row.price = null;
+      row.remarks = quote.remarks || '';
+      row.quotedAt = new Date();
+      return row;
+    }
+    if (quote.price == null || quote.leadTimeDays == null) {
+      throw new Error('❌ A quote needs a price and a lead time.');
+    }
+    for (const f of [
+      'price',
+      'currency',
+      'discount',
+      'charges',
+      'leadTimeDays',
+      'validUntil',
+      'paymentTerms',
+      'remarks',
+    ]) {
+      if (quote[f] !== undefined) row[f] = quote[f];
+    }
+    row.status = 'QUOTED';
+    row.quotedAt = new Date();
+    return row;
+  }
+
+  /** A quote's total for the RFQ quantity, in its own currency. */
+  static quoteTotal(row, quantity) {
+    const gross = quantity * row.price;
+    const discountAmt = round2((row.discount * gross) / 100);
+    return round2(gross - discountAmt + (row.charges || 0));
+  }
+
+  /**
+   * The quotes side by side, cheapest first in the company's currency;
+   * equal totals go to the shorter lead time. Vendors yet to reply or who
+   * declined come last, unranked.
+   */
+  static async compare(rfq, at = new Date()) {
+    const vendors = await VendorModel.find({
+      _id: { $in: rfq.vendors.map((r) => r.vendor) },
+    })
+      .select('code name')
+      .lean();
+    const byId = new Map(vendors.map((v) => [String(v._id), v]));
+
+    const quoted = [];
+    const others = [];
+    for (const row of rfq.vendors) {
+      const vendor = byId.get(String(row.vendor)) || { _id: row.vendor };
+      const base = {
+        vendor: row.vendor,
+        vendorCode: vendor.code,
+        vendorName: vendor.name,
+        status: row.status,
+        sentAt: row.sentAt,
+      };
+      if (row.status !== 'QUOTED') {
+        others.push(base);
+        continue;
+      }
+      const total = this.quoteTotal(row, rfq.quantity);
+      const rate = await ExchangeRateService.rateFor(
+        row.currency,
+        row.quotedAt || at,
+        { company: rfq.company }
+      );
+      const totalBase = round2(total * rate);
+      quoted.push({
+        ...base,
+        price: row.price,
+        currency: row.currency,
+        discount: row.discount,
+        charges: row.charges,
+        leadTimeDays: row.leadTimeDays,
+        validUntil: row.validUntil,
+        paymentTerms: row.paymentTerms,
+        remarks: row.remarks,
+        total,
+        exchangeRate: rate,
+        totalBase,
+        unitPriceBase: round2(totalBase / rfq.quantity),
+        expired: !!row.validUntil && new Date(row.validUntil) < at,
+        late:
+          !!rfq.requiredBy &&
+          new Date(at.getTime() + row.leadTimeDays * 86400000) >
+            new Date(rfq.requiredBy),
+      });
+    }
+    quoted.sort(
+      (a, b) => a.totalBase - b.totalBase || a.leadTimeDays - b.leadTimeDays
+    );
+    quoted.forEach((q, i) => {
+      q.rank = i + 1;
+    });
+    const fastest = Math.min(...quoted.map((q) => q.leadTimeDays));
+    for (const q of quoted) {
+      q.cheapest = q.totalBase === quoted[0].totalBase;
+      q.fastest = q.leadTimeDays === fastest;
+    }
+
+    return {
+      rfq: rfq._id,
+      rfqNum: rfq.rfqNum,
+      item: rfq.item,
+      quantity: rfq.quantity,
+      requiredBy: rfq.requiredBy,
+      status: rfq.status,
+      awardedVendor: rfq.awardedVendor,
+      quotes: [...quoted, ...others],
+    };
+  }
+
+  /**
+   * Award the RFQ to a vendor's quote: raises the purchase order at the
+   * quoted terms, linked to the RFQ and its requisition, and marks the
+   * requisition Ordered.
+   * @param {Object} overrides extra purchase order fields (paymentTerms,
+   *   purchaseAddress, remarks, ...)
+   * @returns {Object} the new purchase order
+   */
+  static async award(rfq, vendorId, overrides = {}, user, session = null) {
+    if (rfq.status !== 'Sent') {
+      throw new Error(
+        `❌ RFQ ${rfq.rfqNum} is ${rfq.status}; only Sent RFQs can be awarded.`
+      );
+    }
+    const row = rfq.vendorRow(vendorId);
+    if (!row || row.status !== 'QUOTED') {
+      throw new Error(
+        `❌ Vendor ${vendorId} has no quote on RFQ ${rfq.rfqNum}.`
+      );
+    }
+    if (row.validUntil && new Date(row.validUntil) < new Date()) {
+      throw new Error(
+        `❌ The quote expired on ${day(row.validUntil)}; ask the vendor to renew it.`
+      );
+    }
+    const requisition = await PurchaseRequisitionModel.findById(
+      rfq.requisition
+    ).session(session);
+    if (!requisition) {
+      throw new Error(`❌ Requisition of RFQ ${rfq.rfqNum} not found.`);
+    }
+    const vendor = await VendorModel.findById(row.vendor)
+      .select('paymentTerms')
+      .session(session);
+
+    const fields = { ...overrides };
+    for (const f of [
+      'vendor',
+      'item',
+      'quantity',
+      'price',
+      'currency',
+      'discount',
+      'charges',
+      'requisition',
+      'rfq',
+      'status',
+    ]) {
+      delete fields[f];
+    }
+    const [order] = await PurchaseOrderModel.create(
+      [
+        {
+          paymentTerms: row.paymentTerms || vendor?.paymentTerms || undefined,
+          site: rfq.site || undefined,
+          warehouse: rfq.warehouse || undefined,
+          ...fields,
+          company: rfq.company,
+          vendor: row.vendor,
+          item: rfq.item,
+          quantity: rfq.quantity,
+          price: row.price,
+          currency: row.currency,
+          discount: row.discount,
+          charges: row.charges,
+          requisition: requisition._id,
+          rfq: rfq._id,
+          createdBy: user || 'system',
+        },
+      ],
+      { session }
+    );
+
+    rfq.status = 'Awarded';
+    rfq.awardedVendor = row.vendor;
+    rfq.awardedBy = user || 'system';
+    rfq.awardedAt = new Date();
+    rfq.purchaseOrder = order._id;
+    await rfq.save({ session });
+
+    requisition.transition('Ordered');
+    requisition.purchaseOrder = order._id;
+    requisition.updatedBy = user || 'system';
+    await requisition.save({ session });
+    return order;
+  }
+}
+
+export default RFQService;
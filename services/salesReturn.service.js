@@ -0,0 +1,198 @@
+// services/salesReturn.service.js
+
+import { SalesOrderModel } from '../models/salesorder.model.js';
+import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+class SalesReturnService {
+  /**
+   * Load the invoiced sales order a return points at and pair every return
+   * line with the original line it credits (by `originalLineNum`, else the
+   * first original line with the same item). Throws when the original is
+   * missing, belongs to another customer, is not invoiced (or cancelled),
+   * a line is not credited at the original line's price and discount, or
+   * would return more than was invoiced and not yet returned.
+   * @returns {Promise<{original, pairs: Array<{line, originalLine}>}>}
+   */
+  static async resolve(order, session = null) {
+    const originalId = order.returnOf?.salesOrder;
+    if (!originalId) {
+      throw new Error('A return order must reference the original sales order.');
+    }
+    const original = await SalesOrderModel.findById(originalId).session(
+      session
+    );
+    if (!original || original.orderType === 'Return') {
+      throw new Error(`Original sales order ${originalId} not found.`);
+    }
+    if (
+      String(original.customer?._id || original.customer) !==
+      String(order.customer?._id || order.customer)
+    ) {
+      throw new Error(
+        `Original sales order ${original.orderNum} belongs to another customer.`
+      );
+    }
+    if (
+      original.status === 'Cancelled' ||
+      !original.invoiceNum ||
+      original.invoiceNum === 'NA'
+    ) {
+      throw new Error(
+        `Original sales order ${original.orderNum} has not been invoiced.`
+      );
+    }
+    if (
+      order.returnOf.invoiceNum &&
+      order.returnOf.invoiceNum !== original.invoiceNum
+    ) {
+      throw new Error(
+        `Invoice ${order.returnOf.invoiceNum} does not belong to sales order ${original.orderNum}.`
+      );
+    }
+    original.ensureLines();
+
+    const pending = new Map();
+    const pairs = (order.lines || []).map((line) => {
+      const itemId = String(line.item?._id || line.item);
+      const originalLine = this.matchLine(original, line);
+      if (!originalLine) {
+        throw new Error(
+          `Line ${line.lineNum}: no matching line on sales order ${original.orderNum}.`
+        );
+      }
+      if (String(originalLine.item?._id || originalLine.item) !== itemId) {
+        throw new Error(
+          `Line ${line.lineNum}: item differs from line ${originalLine.lineNum} of ${original.orderNum}.`
+        );
+      }
+      const key = String(originalLine.lineNum);
+      for (const field of ['price', 'discount']) {
+        const credited = round2(line[field] || 0);
+        const charged = round2(originalLine[field] || 0);
+        if (credited !== charged) {
+          throw new Error(
+            `Line ${line.lineNum}: ${field} ${credited} differs from the ${charged} on line ${key} of ${original.orderNum}.`
+          );
+        }
+      }
+      const asked = round2((pending.get(key) || 0) + line.quantity);
+      const open = round2(originalLine.invoicedQty - originalLine.returnedQty);
+      if (asked > open) {
+        throw new Error(
+          `Line ${line.lineNum}: returning ${asked} exceeds the ${open} invoiced and not yet returned on line ${key} of ${original.orderNum}.`
+        );
+      }
+      pending.set(key, asked);
+      return { line, originalLine };
+    });
+
+    return { original, pairs };
+  }
+
+  /**
+   * Unit cost each original line was issued at: the quantity-weighted
+   * average of its APPLY inventory txns.
+   * @returns {Promise<Map<string, number>>} original lineNum → cost
+   */
+  static async originalCosts(original, session = null) {
+    const applied = await InventoryTransactionModel.find({
+      sourceType: 'SALES',
+      sourceId: original._id,
+      'extras.actionType': 'APPLY',
+    }).session(session);
+
+    const acc = new Map();
+    for (const tx of applied) {
+      const key = String(tx.sourceLine);
+      const a = acc.get(key) || { qty: 0, value: 0 };
+      a.qty += tx.qty;
+      a.value += tx.qty * tx.costPrice;
+      acc.set(key, a);
+    }
+    return new Map(
+      [...acc].map(([key, a]) => [key, a.qty ? a.value / a.qty : 0])
+    );
+  }
+
+  /**
+   * Stock subset for invoicing a return: every line with its full quantity
+   * and the cost the original line left stock at.
+   */
+  static async stockSubset({ original, pairs }, session) {
+    const costs = await this.originalCosts(original, session);
+    return pairs.map(({ line, originalLine }) => ({
+      lineNum: line.lineNum,
+      quantity: line.quantity,
+      costPrice: costs.get(String(originalLine.lineNum)) ?? 0,
+    }));
+  }
+
+  /**
+   * Move the returned quantities onto (sign 1) or back off (sign −1) the
+   * original order's `returnedQty`.
+   */
+  static async recordReturned({ original, pairs }, session, sign = 1) {
+    for (const { line, originalLine } of pairs) {
+      originalLine.returnedQty = Math.max(
+        0,
+        round2(originalLine.returnedQty + sign * line.quantity)
+      );
+    }
+    await original.save({ session });
+    return original;
+  }
+
+  /**
+   * Throw when invoiced returns credit `original`: they must be cancelled
+   * before the order they return against.
+   */
+  static async assertNotReturned(original, session = null) {
+    const returns = await SalesOrderModel.find({
+      orderType: 'Return',
+      'returnOf.salesOrder': original._id,
+      status: 'Invoiced',
+    })
+      .select('orderNum')
+      .session(session);
+    if (returns.length) {
+      throw new Error(
+        `Sales order ${original.orderNum} has posted returns (${returns
+          .map((r) => r.orderNum)
+          .join(', ')}); cancel them first.`
+      );
+    }
+  }
+
+  /**
+   * Pair lines without the quantity checks, for undoing an invoiced return.
+   */
+  static async resolveForCancel(order, session) {
+    const original = await SalesOrderModel.findById(
+      order.returnOf.salesOrder
+    ).session(session);
+    if (!original) {
+      throw new Error(
+        `Original sales order ${order.returnOf.salesOrder} not found.`
+      );
+    }
+    original.ensureLines();
+    const pairs = order.lines
+      .map((line) => ({ line, originalLine: this.matchLine(original, line) }))
+      .filter((p) => p.originalLine);
+    return { original, pairs };
+  }
+
+  /** The original line a return line credits. */
+  static matchLine(original, line) {
+    if (line.originalLineNum) {
+      const lineNum = String(line.originalLineNum);
+      return original.lines.find((l) => String(l.lineNum) === lineNum);
+    }
+    const itemId = String(line.item?._id || line.item);
+    return original.lines.find((l) => String(l.item?._id || l.item) === itemId);
+  }
+}
+
+export default SalesReturnService;
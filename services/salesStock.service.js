@@ -3,6 +3,7 @@
 import { InventoryTransactionModel } from '../models/inventoryTransaction.model.js';
 import { StockBalanceModel } from '../models/inventStockBalance.model.js';
 import { ProvisionalBalanceModel } from '../models/provisionalBalance.model.js';
+import InventoryCostingService from './inventoryCosting.service.js';
 
 class SalesStockService1 {
   static async reserveSO(so, session) {
@@ -581,67 +582,126 @@ class SalesStockService3 {
 
 class SalesStockService {
   /**
-   * Reserve inventory for a Purchase Order (Confirmed).
-   * Loops through order.lines[] (or single root line if no array).
+   * Flatten sales order lines into stock lines
+   *   { lineNum, item, quantity, price, tax, discountAmt, charges,
+   *     taxAmount, withholdingTaxAmt, costPrice?, dims }.
+   * Amounts are pro-rated when only part of a line moves. Line dims win over
+   * the header dims.
+   * @param {Object} order sales order
+   * @param {Array|null} subset optional [{ lineNum, quantity, costPrice? }]
+   *   to move only part of the order (e.g. a shipment); defaults to all lines
    */
-  static async reserveSO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  static stockLines(order, subset = null) {
+    const headerDims = {
+      site: order.site,
+      warehouse: order.warehouse,
+      zone: order.zone,
+      location: order.location,
+      aisle: order.aisle,
+      rack: order.rack,
+      shelf: order.shelf,
+      bin: order.bin,
+      config: order.config,
+      color: order.color,
+      size: order.size,
+      style: order.style,
+      version: order.version,
+      batch: order.batch,
+      serial: order.serial,
+    };
+    const orderLines =
+      order.lines && order.lines.length
+        ? order.lines
+        : [
+          {
+            lineNum: '1',
+            item: order.item,
+            quantity: order.quantity,
+            price: order.price,
+            tax: order.tax,
+            discountAmt: order.discountAmt,
+            charges: order.charges,
+            taxAmount: order.taxAmount,
+            withholdingTaxAmt: order.withholdingTaxAmt,
+          },
+        ];
+
+    const pick = subset
+      ? subset.map((s) => {
+        const ol = orderLines.find(
+          (l) => String(l.lineNum) === String(s.lineNum)
+        );
+        if (!ol) throw new Error(`Sales order line ${s.lineNum} not found`);
+        return { ol, quantity: s.quantity, costPrice: s.costPrice };
+      })
+      : orderLines.map((ol) => ({ ol, quantity: ol.quantity }));
+
+    return pick.map(({ ol, quantity, costPrice }, idx) => {
+      const lineDims = ol.dims?.toObject ? ol.dims.toObject() : ol.dims || {};
+      const dims = { ...headerDims };
+      for (const k of Object.keys(dims)) {
+        if (lineDims[k]) dims[k] = lineDims[k];
+      }
+      const share = ol.quantity ? quantity / ol.quantity : 1;
+      const part = (v) => Math.round((v || 0) * share * 100) / 100;
+      return {
+        lineNum: Number(ol.lineNum) || idx + 1,
+        item: ol.item?._id || ol.item,
+        quantity,
+        price: ol.price || 0,
+        tax: ol.tax || 0,
+        discountAmt: part(ol.discountAmt),
+        charges: part(ol.charges),
+        taxAmount: part(ol.taxAmount),
+        withholdingTaxAmt: part(ol.withholdingTaxAmt),
+        costPrice,
+        dims,
+      };
+    });
+  }
+
+  /**
+   * Inventory-transaction fields that carry the line's commercial amounts,
+   * signed so that reversing entries cancel out.
+   */
+  static lineAmounts(ln, sign = 1) {
+    return {
+      taxes: {
+        gst: sign * ln.taxAmount,
+        withholdingTax: sign * ln.withholdingTaxAmt,
+      },
+      extras: {
+        discountAmt: sign * ln.discountAmt,
+        chargedAmt: sign * ln.charges,
+        taxAmount: sign * ln.taxAmount,
+        withholdingTaxAmt: sign * ln.withholdingTaxAmt,
+        gstPercent: ln.tax,
+      },
+    };
+  }
+
+  /**
+   * Reserve inventory for a Sales Order (Confirmed).
+   * Loops through the order lines (or the given subset).
+   */
+  static async reserveSO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
+    for (const ln of lines) {
       const qty = order.orderType === 'Return' ? ln.quantity : -ln.quantity;
       const val = qty * ln.price;
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+      const amounts = this.lineAmounts(ln);
 
       // 1) Upsert provisional balance
       await ProvisionalBalanceModel.updateOne(
-        { item: ln.item, ...dims },
+        { item: ln.item, ...ln.dims },
         {
           $inc: { quantity: qty, totalReserveValue: val },
           $set: {
             'extras.refType': 'SaleOrder',
             'extras.refId': order._id.toString(),
             'extras.refNum': order.orderNum,
-            'extras.refLineNum': (idx + 1).toString(),
+            'extras.refLineNum': ln.lineNum.toString(),
           },
         },
         { upsert: true, session }
@@ -654,27 +714,21 @@ class SalesStockService {
             txnDate: new Date(),
             sourceType: 'SALES',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
-            dims,
+            dims: ln.dims,
             qty,
             costPrice: 0,
             purchasePrice: 0,
             salesPrice: ln.price,
             transferPrice: 0,
-            taxes: {
-              gst: order.taxAmount,
-              withholdingTax: order.withholdingTaxAmt,
-            },
+            taxes: amounts.taxes,
             extras: {
               action:
                 order.orderType === 'Return' ? 'SALES_RETURN' : 'SALES_ISSUE',
               actionType: 'RESERVE',
               refNum: order.orderNum,
-              discountAmt: order.discountAmt,
-              chargesExpense: order.charges,
-              chargedAmt: 20,
-              gstPercent: order.tax,
+              ...amounts.extras,
             },
           },
         ],
@@ -683,58 +737,17 @@ class SalesStockService {
     }
   }
 
-  static async releaseSO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  static async releaseSO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
+    for (const ln of lines) {
       const qty = order.orderType === 'Return' ? ln.quantity : -ln.quantity;
       const val = qty * ln.price;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+      const amounts = this.lineAmounts(ln, -1);
 
       // decrement provisional
       const pb = await ProvisionalBalanceModel.findOne(
-        { item: ln.item, ...dims },
+        { item: ln.item, ...ln.dims },
         null,
         { session }
       );
@@ -751,27 +764,21 @@ class SalesStockService {
             txnDate: new Date(),
             sourceType: 'SALES',
             sourceId: order._id,
-            sourceLine: idx + 1,
+            sourceLine: ln.lineNum,
             item: ln.item,
-            dims,
+            dims: ln.dims,
             qty: -qty,
             costPrice: 0,
             purchasePrice: 0,
             salesPrice: ln.price,
             transferPrice: 0,
-            taxes: {
-              gst: -order.taxAmount,
-              withholdingTax: -order.withholdingTaxAmt,
-            },
+            taxes: amounts.taxes,
             extras: {
               action:
                 order.orderType === 'Return' ? 'SALES_RETURN' : 'SALES_ISSUE',
               actionType: 'RELEASE',
               refNum: order.orderNum,
-              discountAmt: -order.discountAmt,
-              chargesExpense: -order.charges,
-              chargedAmt: -20,
-              gstPercent: order.tax,
+              ...amounts.extras,
             },
           },
         ],
@@ -780,131 +787,90 @@ class SalesStockService {
     }
   }
 
-  static async applySO(order, session) {
-    const lines = Array.isArray(order.lines1)
-      ? order.lines1
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  /**
+   * Issue stock line by line at the cost of the item's costing method
+   * (see InventoryCostingService.issueCost; the moving-average cost unless
+   * a policy says otherwise). A return receives it back, at `costPrice`
+   * from the subset when one is given, and opens a FIFO / LIFO layer.
+   * Returns the APPLY inventory transactions; `qty` on them is the sold
+   * quantity (negative for returns) and `costPrice` the unit cost used.
+   */
+  static async applySO(order, session, subset = null) {
+    const lines = this.stockLines(order, subset);
+    const isReturn = order.orderType === 'Return';
 
     const txns = [];
+    const methods = [];
+
+    for (const ln of lines) {
+      const soldQty = isReturn ? -ln.quantity : ln.quantity;
+      const key = { item: ln.item, ...ln.dims };
+
+      const existing = await StockBalanceModel.findOne(key).session(session);
+      const average = existing?.costPrice ?? 0;
+      const costing = isReturn
+        ? await InventoryCostingService.receiptCost(
+          ln.item,
+          order.company,
+          ln.costPrice ?? average,
+          session
+        )
+        : await InventoryCostingService.issueCost(
+          {
+            item: ln.item,
+            dims: ln.dims,
+            qty: soldQty,
+            company: order.company,
+            averageCost: average,
+          },
+          session
+        );
+      const cost = isReturn ? costing.cost : ln.costPrice ?? costing.cost;
+      methods.push(costing.method);
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
-      const qty = order.orderType === 'Return' ? -ln.quantity : ln.quantity;
-      const price = ln.price;
-      const costPrice = ln.costPrice;
-      const purchPrice = ln.purchPrice;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
-
-      // upsert real stock
+      // upsert real stock: on-hand moves opposite to the sold quantity
       const sb = await StockBalanceModel.findOneAndUpdate(
-        { item: ln.item, ...dims },
+        key,
         {
           $inc: {
-            quantity: qty,
-            totalCostValue: qty * costPrice || 0,
-            totalPurchaseValue: qty * purchPrice || 0,
-            totalRevenueValue: qty * price,
-            totalSalesValue: qty * price,
+            quantity: -soldQty,
+            totalCostValue: -soldQty * cost,
+            totalCOGSValue: soldQty * cost,
+            totalRevenueValue: soldQty * ln.price,
+            totalSalesValue: soldQty * ln.price,
+            totalIssueValue: isReturn ? 0 : soldQty * cost,
+            totalIssueReturnValue: isReturn ? -soldQty * cost : 0,
           },
         },
         { new: true, upsert: true, setDefaultsOnInsert: true, session }
       );
-      sb.costPrice = sb.quantity ? sb.totalCostValue / sb.quantity : 0;
+      sb.costPrice = sb.quantity > 0 ? sb.totalCostValue / sb.quantity : cost;
       sb.extras = sb.extras || new Map();
       sb.extras.set('refType', 'SalesOrder');
       sb.extras.set('refId', order._id.toString());
       sb.extras.set('refNum', order.orderNum);
-      sb.extras.set('refLineNum', (idx + 1).toString());
+      sb.extras.set('refLineNum', ln.lineNum.toString());
       await sb.save({ session });
 
-      // log transaction
-      // await InventoryTransactionModel.create(
-      //   [
-      //     {
-      //       txnDate: new Date(),
-      //       sourceType: "SALES",
-      //       sourceId: order._id,
-      //       sourceLine: idx + 1,
-      //       item: ln.item,
-      //       dims,
-      //       qty,
-      //       costPrice: sb.costPrice,
-      //       purchasePrice: price,
-      //       salesPrice: 0,
-      //       transferPrice: 0,
-      //       taxes: { gst: 0, withholdingTax: 0 },
-      //       extras: {
-      //         action:
-      //           order.orderType === "Return" ? "SALES_RETURN" : "SALES_ISSUE",
-      //         actionType: "APPLY",
-      //         refNum: order.orderNum,
-      //       },
-      //     },
-      //   ],
-      //   { session }
-      // );
+      const amounts = this.lineAmounts(ln, isReturn ? -1 : 1);
       txns.push({
         txnDate: new Date(),
         sourceType: 'SALES',
         sourceId: order._id,
-        sourceLine: idx + 1,
+        sourceLine: ln.lineNum,
         item: ln.item,
-        dims,
-        qty,
-        costPrice: sb.costPrice,
-        purchasePrice: purchPrice,
-        salesPrice: price,
+        dims: ln.dims,
+        qty: soldQty,
+        costPrice: cost,
+        purchasePrice: 0,
+        salesPrice: ln.price,
         transferPrice: 0,
-        taxes: {
-          gst: order.taxAmount,
-          withholdingTax: order.withholdingTaxAmt,
-        },
+        taxes: amounts.taxes,
         extras: {
-          action: order.orderType === 'Return' ? 'SALES_RETURN' : 'SALES_ISSUE',
+          action: isReturn ? 'SALES_RETURN' : 'SALES_ISSUE',
           actionType: 'APPLY',
           refNum: order.orderNum,
-          discountAmt: order.discountAmt,
-          chargesExpense: order.charges,
-          chargedAmt: 20,
-          gstPercent: order.tax,
+          ...amounts.extras,
         },
       });
     }
@@ -915,102 +881,128 @@ class SalesStockService {
       ? await InventoryTransactionModel.insertMany(txns, { session })
       : [];
 
+    if (isReturn) {
+      for (let i = 0; i < inserted.length; i++) {
+        const tx = inserted[i];
+        await InventoryCostingService.openLayer(
+          methods[i],
+          {
+            item: tx.item,
+            dims: lines[i].dims,
+            qty: -tx.qty,
+            unitCost: tx.costPrice,
+            receiptDate: tx.txnDate,
+            sourceType: 'SALES',
+            sourceId: order._id,
+            sourceLine: tx.sourceLine,
+            inventTxn: tx._id,
+            refNum: order.orderNum,
+          },
+          session
+        );
+      }
+    }
+
     return inserted;
   }
 
-  static async reverseSO(order, session) {
-    const lines = Array.isArray(order.lines)
-      ? order.lines
-      : [
-        {
-          item: order.item,
-          quantity: order.quantity,
-          price: order.price,
-          site: order.site,
-          warehouse: order.warehouse,
-          zone: order.zone,
-          location: order.location,
-          aisle: order.aisle,
-          rack: order.rack,
-          shelf: order.shelf,
-          bin: order.bin,
-          config: order.config,
-          color: order.color,
-          size: order.size,
-          style: order.style,
-          version: order.version,
-          batch: order.batch,
-          serial: order.serial,
-        },
-      ];
+  /**
+   * Undo every APPLY movement of the order (or of the subset's lines) at the
+   * cost it was originally issued at. Issued stock comes back as a new
+   * FIFO / LIFO layer at that cost; a returned one is taken off the layer
+   * its return opened.
+   */
+  static async reverseSO(order, session, subset = null) {
+    const filter = {
+      sourceType: 'SALES',
+      sourceId: order._id,
+      'extras.actionType': 'APPLY',
+    };
+    if (subset) filter.sourceLine = { $in: subset.map((s) => Number(s.lineNum)) };
+    const applied = await InventoryTransactionModel.find(filter).session(
+      session
+    );
 
-    for (let idx = 0; idx < lines.length; idx++) {
-      const ln = lines[idx];
-      const qty = order.orderType === 'Return' ? ln.quantity : -ln.quantity;
-      const price = ln.price;
-      // const dims = { /* same as above */ ...ln };
-      const dims = {
-        site: ln.site,
-        warehouse: ln.warehouse,
-        zone: ln.zone,
-        location: ln.location,
-        aisle: ln.aisle,
-        rack: ln.rack,
-        shelf: ln.shelf,
-        bin: ln.bin,
-        config: ln.config,
-        color: ln.color,
-        size: ln.size,
-        style: ln.style,
-        version: ln.version,
-        batch: ln.batch,
-        serial: ln.serial,
-      };
+    for (const tx of applied) {
+      const soldQty = tx.qty;
+      const cost = tx.costPrice;
+      const dims = tx.dims.toObject ? tx.dims.toObject() : tx.dims;
+      if (soldQty > 0) {
+        await InventoryCostingService.restock(
+          {
+            item: tx.item,
+            dims,
+            qty: soldQty,
+            unitCost: cost,
+            sourceType: 'SALES',
+            sourceId: order._id,
+            sourceLine: tx.sourceLine,
+            refNum: order.orderNum,
+          },
+          order.company,
+          session
+        );
+      } else {
+        await InventoryCostingService.issueCost(
+          {
+            item: tx.item,
+            dims,
+            qty: -soldQty,
+            company: order.company,
+            averageCost: cost,
+            source: { sourceType: 'SALES', sourceId: order._id },
+          },
+          session
+        );
+      }
 
-      // decrement real stock
+      // put the stock back
       const sb = await StockBalanceModel.findOne({
-        item: ln.item,
+        item: tx.item,
         ...dims,
       }).session(session);
       if (!sb) throw new Error('Stock record not found for reversal');
-      sb.quantity -= qty;
-      sb.totalCostValue -= qty * price;
-      sb.totalPurchaseValue -= qty < 0 ? -qty * price : 0;
-      sb.totalRevenueValue -= qty < 0 ? -qty * price : 0;
-      sb.totalSalesValue -= qty > 0 ? qty * price : 0;
-      sb.costPrice = sb.quantity ? sb.totalCostValue / sb.quantity : 0;
+      sb.quantity += soldQty;
+      sb.totalCostValue += soldQty * cost;
+      sb.totalCOGSValue -= soldQty * cost;
+      sb.totalRevenueValue -= soldQty * tx.salesPrice;
+      sb.totalSalesValue -= soldQty * tx.salesPrice;
+      sb.totalIssueReversalValue += soldQty * cost;
+      sb.costPrice = sb.quantity > 0 ? sb.totalCostValue / sb.quantity : cost;
       await sb.save({ session });
 
       // log transaction
+      const extras = Object.fromEntries(tx.extras || []);
       await InventoryTransactionModel.create(
         [
           {
             txnDate: new Date(),
             sourceType: 'SALES',
             sourceId: order._id,
-            sourceLine: idx + 1,
-            item: ln.item,
+            sourceLine: tx.sourceLine,
+            item: tx.item,
             dims,
-            qty: -qty,
-            costPrice: sb.costPrice,
+            qty: -soldQty,
+            costPrice: cost,
             purchasePrice: 0,
-            salesPrice: price,
+            salesPrice: tx.salesPrice,
             transferPrice: 0,
             taxes: {
-              gst: order.taxAmount,
-              withholdingTax: order.withholdingTaxAmt,
+              gst: -tx.taxes.gst,
+              withholdingTax: -tx.taxes.withholdingTax,
             },
             extras: {
+              ...extras,
               action:
                 order.orderType === 'Return'
                   ? 'SALES_RETURN_REVERSAL'
                   : 'SALES_ISSUE_REVERSAL',
               actionType: 'REVERSE',
-              refNum: order.orderNum,
-              discountAmt: -order.discountAmt,
-              chargesExpense: -order.charges,
-              chargedAmt: -20,
-              gstPercent: order.tax,
+              reversedTxn: tx._id.toString(),
+              discountAmt: -(extras.discountAmt || 0),
+              chargedAmt: -(extras.chargedAmt || 0),
+              taxAmount: -(extras.taxAmount || 0),
+              withholdingTaxAmt: -(extras.withholdingTaxAmt || 0),
             },
           },
         ],
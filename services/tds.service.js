@@ -0,0 +1,665 @@
+// services/tds.service.js
+
+import mongoose from 'mongoose';
+import {
+  TDSSectionModel,
+  TDSEntryModel,
+  TDS_QUARTERS,
+} from '../models/tds.model.js';
+import { SubledgerTransactionModel } from '../models/subledgerTxn.model.js';
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// the deductee on each side
+const PARTY = {
+  AP: { model: 'Vendors', field: 'vendor', label: 'Vendor' },
+  AR: { model: 'Customers', field: 'customer', label: 'Customer' },
+};
+
+// PAN holder types (fourth letter) taxed at a section's `rateIndividual`
+const INDIVIDUALS = ['P', 'H'];
+
+const sumOf = (rows, f) => round2(rows.reduce((s, r) => s + (r[f] || 0), 0));
+
+class TDSService {
+  /** Whether `pan` has the shape of a PAN: 5 letters, 4 digits, a letter. */
+  static isValidPAN(pan) {
+    return /^[A-Z]{5}\d{4}[A-Z]$/.test(
+      String(pan || '')
+        .trim()
+        .toUpperCase()
+    );
+  }
+
+  /** Financial year (April to March, e.g. "2025-26") and quarter of a day. */
+  static periodOf(date) {
+    const d = new Date(date);
+    const month = d.getUTCMonth();
+    const start = month >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+    return {
+      financialYear: `${start}-${String((start + 1) % 100).padStart(2, '0')}`,
+      quarter: TDS_QUARTERS[Math.floor(((month + 9) % 12) / 3)],
+    };
+  }
+
+  /**
+   * First day and the day after the last of a financial year, or of one of
+   * its quarters.
+   */
+  static range(financialYear, quarter = null) {
+    const m = /^(\d{4})-\d{2}$/.exec(String(financialYear || ''));
+    if (!m) {
+      throw new Error(
+        `❌ Invalid financial year "${financialYear}"; use e.g. 2025-26.`
+      );
+    }
+    const start = Number(m[1]);
+    if (!quarter) {
+      return {
+        from: new Date(Date.UTC(start, 3, 1)),
+        to: new Date(Date.UTC(start + 1, 3, 1)),
+      };
+    }
+    const q = TDS_QUARTERS.indexOf(quarter);
+    if (q < 0) {
+      throw new Error(`❌ Invalid quarter "${quarter}"; use Q1–Q4.`);
+    }
+    return {
+      from: new Date(Date.UTC(start, 3 + 3 * q, 1)),
+      to: new Date(Date.UTC(start, 6 + 3 * q, 1)),
+    };
+  }
+
+  /** An active section by code; the company's own wins over a global one. */
+  static async sectionOf(code, company = null, session = null) {
+    const found = await TDSSectionModel.find({
+      code: String(code).trim().toUpperCase(),
+      company: { $in: company ? [company._id || company, null] : [null] },
+      active: true,
+    })
+      .session(session)
+      .lean();
+    found.sort((a, b) => !!b.company - !!a.company);
+    if (!found.length) throw new Error(`❌ TDS section ${code} not found.`);
+    return found[0];
+  }
+
+  /** The rate of a section for a PAN (higher without a valid one). */
+  static rateFor(section, pan) {
+    if (!this.isValidPAN(pan)) {
+      return Math.max(section.rate, section.rateNoPAN ?? 0);
+    }
+    const individual = INDIVIDUALS.includes(pan.toUpperCase()[3]);
+    return individual && section.rateIndividual !== null
+      ? section.rateIndividual
+      : section.rate;
+  }
+
+  /**
+   * The TDS on an amount (INR) paid or credited to a vendor (`AP`) or by a
+   * customer (`AR`) on `date`. The section is `section`, else the party's
+   * `tdsSection`; none → null. Thresholds look at the deductee's entries
+   * of the financial year under the section, by PAN (else by party): once
+   * the year's total passes `annualThreshold`, everything not yet taxed is
+   * taxed.
+   * @returns {Promise<Object|null>} section, party, partyName, pan,
+   *          deducteeType, financialYear, quarter, baseAmount,
+   *          taxableAmount, rate, tdsAmount
+   */
+  static async compute(
+    side,
+    { company = null, party, section = null, amount, date = new Date() },
+    session = null
+  ) {
+    const { model, field, label } = PARTY[side];
+    const p = await mongoose
+      .model(model)
+      .findById(party?._id || party)
+      .select('code name panNum tdsSection')
+      .session(session)
+      .lean();
+    if (!p) throw new Error(`❌ ${label} ${party?._id || party} not found.`);
+    const code = section || p.tdsSection;
+    if (!code) return null;
+
+    const sec = await this.sectionOf(code, company, session);
+    const pan = (p.panNum || '').trim().toUpperCase();
+    const validPAN = this.isValidPAN(pan);
+    const { financialYear, quarter } = this.periodOf(date);
+    const [year] = await TDSEntryModel.aggregate([
+      {
+        $match: {
+          company: company
+            ? new mongoose.Types.ObjectId(String(company._id || company))
+            : null,
+          side,
+          section: sec.code,
+          financialYear,
+          ...(validPAN ? { pan } : { [field]: p._id }),
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          base: { $sum: '$baseAmount' },
+          taxed: { $sum: '$taxableAmount' },
+        },
+      },
+    ]).session(session);
+
+    const prior = year?.base || 0;
+    const total = prior + amount;
+    const annual = sec.annualThreshold || 0;
+    let taxable = 0;
+    if (sec.deductOnExcess) {
+      taxable = Math.max(0, total - annual) - Math.max(0, prior - annual);
+    } else if (annual && total > annual) {
+      taxable = total - (year?.taxed || 0);
+    } else if (sec.singleThreshold ? amount > sec.singleThreshold : !annual) {
+      taxable = amount;
+    }
+    const rate = this.rateFor(sec, pan);
+
+    return {
+      section: sec.code,
+      party: p._id,
+      partyName: p.name || p.code || '',
+      pan,
+      deducteeType: validPAN ? pan[3] : '',
+      financialYear,
+      quarter,
+      baseAmount: round2(amount),
+      taxableAmount: round2(taxable),
+      rate,
+      tdsAmount: round2((taxable * rate) / 100),
+    };
+  }
+
+  /**
+   * Compute and record the TDS on an amount (INR) paid or credited; also
+   * when nothing is due, to count towards the thresholds.
+   * @param {Object} opts company, party, section, amount, date, currency,
+   *        exchangeRate (of the document), sourceType, sourceId, invoice,
+   *        sourceRef
+   * @returns {Promise<Object|null>} the entry, null without a section
+   */
+  static async deduct(
+    side,
+    {
+      company = null,
+      party,
+      section = null,
+      amount,
+      date = new Date(),
+      currency = 'INR',
+      exchangeRate = 1,
+      sourceType,
+      sourceId,
+      invoice = null,
+      sourceRef = '',
+    },
+    session = null
+  ) {
+    const calc = await this.compute(
+      side,
+      { company, party, section, amount, date },
+      session
+    );
+    if (!calc) return null;
+    const { party: partyId, ...rest } = calc;
+    const [entry] = await TDSEntryModel.create(
+      [
+        {
+          ...rest,
+          company: company?._id || company || null,
+          side,
+          [PARTY[side].field]: partyId,
+          txnDate: date,
+          currency,
+          exchangeRate,
+          sourceType,
+          sourceId,
+          invoice,
+          sourceRef,
+        },
+      ],
+      { session }
+    );
+    return entry;
+  }
+
+  /** The tax of an entry in its document's currency. */
+  static documentAmount(entry) {
+    return round2(entry.tdsAmount / (entry.exchangeRate || 1));
+  }
+
+  /**
+   * TDS on an invoice being posted: on its value before GST, under the
+   * order's `tdsSection`, else the party's. What is deducted settles that
+   * much of the order (a `paidAmt` of mode 'TDS').
+   * @param {'AP'|'AR'} side a purchase (we deduct) or sales (the customer
+   *        deducts) order
+   * @returns {Promise<Object|null>} the WHT subledger txn for the voucher
+   */
+  static async onInvoice(side, order, session = null) {
+    if (order.orderType === 'Return') return null;
+    const rate = order.exchangeRate || 1;
+    const entry = await this.deduct(
+      side,
+      {
+        company: order.company,
+        party: side === 'AP' ? order.vendor : order.customer,
+        section: order.tdsSection || null,
+        amount: round2((order.netAmtAfterTax - order.taxAmount) * rate),
+        date: order.invoiceDate,
+        currency: order.currency,
+        exchangeRate: rate,
+        sourceType: side === 'AP' ? 'PURCHASE_INVOICE' : 'SALES_INVOICE',
+        sourceId: order._id,
+        invoice: order._id,
+        sourceRef:
+          order.invoiceNum && order.invoiceNum !== 'NA'
+            ? order.invoiceNum
+            : order.orderNum,
+      },
+      session
+    );
+    if (!entry?.tdsAmount) return null;
+
+    const amount = this.documentAmount(entry);
+    const [whtTxn] = await SubledgerTransactionModel.create(
+      [
+        {
+          txnDate: order.invoiceDate,
+          postingEventType: 'FINANCIAL',
+          subledgerType: 'WHT',
+          sourceType: side === 'AP' ? 'PURCHASE' : 'SALES',
+          sourceId: order._id,
+          ...(side === 'AP'
+            ? { supplier: entry.vendor }
+            : { customer: entry.customer }),
+          amount,
+          currency: order.currency,
+          exchangeRate: rate,
+          localAmount: entry.tdsAmount,
+          extras: { section: entry.section, tdsEntry: entry._id },
+        },
+      ],
+      { session }
+    );
+    order.tdsSection = entry.section;
+    order.tdsAmount = amount;
+    order.paidAmt.push({
+      amount,
+      date: order.invoiceDate,
+      transactionId: String(entry._id),
+      paymentMode: 'TDS',
+    });
+    order.updateSettlementStatus();
+    order.netPaymentDue = round2(
+      order.netAR - (order.advance + order.totalPaid)
+    );
+    return whtTxn;
+  }
+
+  /**
+   * TDS on a payment of `amount` (payment currency) against a purchase
+   * invoice that had none deducted when posted (posted before its vendor
+   * had a section). Only the invoice's share before GST is taxed.
+   * @returns {Promise<Object|null>} the entry
+   */
+  static async onPayment(
+    invoice,
+    { amount, exchangeRate = 1, date = new Date(), sourceId },
+    session = null
+  ) {
+    if (invoice.orderType === 'Return') return null;
+    const deducted = await TDSEntryModel.exists({
+      sourceType: 'PURCHASE_INVOICE',
+      invoice: invoice._id,
+    }).session(session);
+    if (deducted) return null;
+    const share = invoice.netAmtAfterTax
+      ? (invoice.netAmtAfterTax - invoice.taxAmount) / invoice.netAmtAfterTax
+      : 1;
+    return this.deduct(
+      'AP',
+      {
+        company: invoice.company,
+        party: invoice.vendor,
+        section: invoice.tdsSection || null,
+        amount: round2(amount * exchangeRate * share),
+        date,
+        currency: invoice.currency,
+        exchangeRate,
+        sourceType: 'AP_PAYMENT',
+        sourceId,
+        invoice: invoice._id,
+        sourceRef: invoice.orderNum,
+      },
+      session
+    );
+  }
+
+  /**
+   * Record the challan that paid a section's deductions to the government:
+   * the given entries, else every deduction up to `upTo` not yet deposited.
+   * @returns {Promise<{ count: number, amount: number }>}
+   */
+  static async deposit({
+    company = null,
+    side = 'AP',
+    section,
+    entryIds = null,
+    upTo = new Date(),
+    bsrCode,
+    challanNum,
+    depositDate,
+    reference = '',
+  }) {
+    if (!section) throw new Error('❌ A deposit is for one TDS section.');
+    if (!/^\d{7}$/.test(String(bsrCode || ''))) {
+      throw new Error('❌ The BSR code of the bank branch is 7 digits.');
+    }
+    if (!challanNum || !depositDate) {
+      throw new Error('❌ challanNum and depositDate are required.');
+    }
+    const filter = {
+      company,
+      side,
+      section: String(section).toUpperCase(),
+      status: 'DEDUCTED',
+      tdsAmount: { $gt: 0 },
+      ...(entryIds?.length
+        ? { _id: { $in: entryIds } }
+        : { txnDate: { $lte: new Date(upTo) } }),
+    };
+    const entries = await TDSEntryModel.find(filter).select('tdsAmount').lean();
+    if (!entries.length) {
+      throw new Error(`❌ No ${section} deductions left to deposit.`);
+    }
+    await TDSEntryModel.updateMany(
+      { _id: { $in: entries.map((e) => e._id) } },
+      {
+        $set: {
+          status: 'DEPOSITED',
+          challan: {
+            bsrCode,
+            challanNum,
+            depositDate: new Date(depositDate),
+            reference,
+          },
+        },
+      }
+    );
+    return { count: entries.length, amount: sumOf(entries, 'tdsAmount') };
+  }
+
+  /**
+   * The TDS payable (AP) or receivable (AR) ledger per section between
+   * `from` and `to` (exclusive): deductions, deposits by challan and the
+   * running balance.
+   */
+  static async ledger({
+    company = null,
+    side = 'AP',
+    section = null,
+    from,
+    to = new Date(),
+  }) {
+    const start = from ? new Date(from) : new Date(0);
+    const end = new Date(to);
+    const entries = await TDSEntryModel.find({
+      company,
+      side,
+      ...(section && { section: String(section).toUpperCase() }),
+      tdsAmount: { $gt: 0 },
+      txnDate: { $lt: end },
+    })
+      .sort({ txnDate: 1, createdAt: 1 })
+      .lean();
+
+    const sections = new Map();
+    for (const e of entries) {
+      if (!sections.has(e.section)) sections.set(e.section, []);
+      const events = sections.get(e.section);
+      events.push({
+        date: e.txnDate,
+        type: 'DEDUCTION',
+        ref: e.sourceRef,
+        entry: e._id,
+        party: e.partyName,
+        pan: e.pan,
+        deducted: e.tdsAmount,
+        deposited: 0,
+      });
+      const paid = e.challan?.depositDate;
+      if (paid && paid < end) {
+        events.push({
+          date: paid,
+          type: 'DEPOSIT',
+          ref: e.challan.challanNum,
+          bsrCode: e.challan.bsrCode,
+          deducted: 0,
+          deposited: e.tdsAmount,
+        });
+      }
+    }
+
+    return [...sections.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([code, events]) => {
+        events.sort((a, b) => a.date - b.date);
+        const before = events.filter((ev) => ev.date < start);
+        const opening = round2(
+          sumOf(before, 'deducted') - sumOf(before, 'deposited')
+        );
+        // one deposit row per challan
+        const rows = [];
+        const challans = new Map();
+        for (const ev of events.filter((x) => x.date >= start)) {
+          if (ev.type === 'DEPOSIT' && challans.has(ev.ref)) {
+            const row = challans.get(ev.ref);
+            row.deposited = round2(row.deposited + ev.deposited);
+            continue;
+          }
+          rows.push({ ...ev });
+          if (ev.type === 'DEPOSIT') {
+            challans.set(ev.ref, rows[rows.length - 1]);
+          }
+        }
+        let balance = opening;
+        for (const row of rows) {
+          balance = round2(balance + row.deducted - row.deposited);
+          row.balance = balance;
+        }
+        return {
+          section: code,
+          opening,
+          deducted: sumOf(rows, 'deducted'),
+          deposited: sumOf(rows, 'deposited'),
+          closing: balance,
+          rows,
+        };
+      });
+  }
+
+  /** The company's name, TAN and PAN, as deductor. */
+  static async deductor(company) {
+    if (!company) return { name: '', tan: '', pan: '' };
+    const co = await mongoose
+      .model('Companies')
+      .findById(company)
+      .select('companyName taxInfo')
+      .lean();
+    return {
+      name: co?.companyName || '',
+      tan: co?.taxInfo?.tanNumber || '',
+      pan: co?.taxInfo?.panNumber || '',
+    };
+  }
+
+  /**
+   * Quarterly return data (Form 26Q for AP): the challans deposited and
+   * one deductee row per deduction of the quarter, with a summary per
+   * section and the rows needing attention in `errors`.
+   */
+  static async quarterlyReturn({
+    company = null,
+    financialYear,
+    quarter,
+    side = 'AP',
+  }) {
+    const { from, to } = this.range(financialYear, quarter);
+    const entries = await TDSEntryModel.find({
+      company,
+      side,
+      tdsAmount: { $gt: 0 },
+      txnDate: { $gte: from, $lt: to },
+    })
+      .sort({ section: 1, txnDate: 1 })
+      .lean();
+
+    const challans = new Map();
+    const errors = [];
+    const deductees = entries.map((e) => {
+      const c = e.challan;
+      if (c) {
+        const key = `${e.section}|${c.bsrCode}|${c.challanNum}`;
+        if (!challans.has(key)) {
+          challans.set(key, {
+            section: e.section,
+            bsrCode: c.bsrCode,
+            challanNum: c.challanNum,
+            depositDate: c.depositDate,
+            amount: 0,
+            entries: 0,
+          });
+        }
+        const row = challans.get(key);
+        row.amount = round2(row.amount + e.tdsAmount);
+        row.entries += 1;
+      } else {
+        errors.push({
+          entry: e._id,
+          ref: e.sourceRef,
+          code: 'NOT_DEPOSITED',
+          message: `${e.section} TDS ${e.tdsAmount} has no challan yet.`,
+        });
+      }
+      if (!this.isValidPAN(e.pan)) {
+        errors.push({
+          entry: e._id,
+          ref: e.sourceRef,
+          code: 'PAN_MISSING',
+          message: `${e.partyName} has no valid PAN; deducted at ${e.rate}%.`,
+        });
+      }
+      return {
+        section: e.section,
+        pan: e.pan || 'PANNOTAVBL',
+        name: e.partyName,
+        deducteeType: e.deducteeType,
+        date: e.txnDate,
+        amount: e.baseAmount,
+        rate: e.rate,
+        tdsAmount: e.tdsAmount,
+        ref: e.sourceRef,
+        bsrCode: c?.bsrCode || '',
+        challanNum: c?.challanNum || '',
+        depositDate: c?.depositDate || null,
+      };
+    });
+
+    const summary = [...new Set(deductees.map((d) => d.section))].map(
+      (section) => {
+        const rows = deductees.filter((d) => d.section === section);
+        const deposited = rows.filter((d) => d.challanNum);
+        return {
+          section,
+          deductees: new Set(rows.map((d) => d.pan + d.name)).size,
+          amount: sumOf(rows, 'amount'),
+          tdsAmount: sumOf(rows, 'tdsAmount'),
+          deposited: sumOf(deposited, 'tdsAmount'),
+        };
+      }
+    );
+
+    return {
+      financialYear,
+      quarter,
+      side,
+      deductor: await this.deductor(company),
+      challans: [...challans.values()],
+      deductees,
+      summary,
+      errors,
+    };
+  }
+
+  /**
+   * Per-deductee TDS certificates (Form 16A) for a quarter: each
+   * deductee's deductions with the challans that paid them. `party`
+   * narrows to one vendor (or customer).
+   */
+  static async certificates({
+    company = null,
+    financialYear,
+    quarter,
+    side = 'AP',
+    party = null,
+  }) {
+    const { field } = PARTY[side];
+    const { from, to } = this.range(financialYear, quarter);
+    const entries = await TDSEntryModel.find({
+      company,
+      side,
+      tdsAmount: { $gt: 0 },
+      txnDate: { $gte: from, $lt: to },
+      ...(party && { [field]: party }),
+    })
+      .sort({ txnDate: 1 })
+      .lean();
+    const deductor = await this.deductor(company);
+
+    const byDeductee = new Map();
+    for (const e of entries) {
+      const key = this.isValidPAN(e.pan) ? e.pan : String(e[field]);
+      if (!byDeductee.has(key)) {
+        byDeductee.set(key, {
+          deductee: { name: e.partyName, pan: e.pan, [field]: e[field] },
+          rows: [],
+        });
+      }
+      byDeductee.get(key).rows.push({
+        section: e.section,
+        date: e.txnDate,
+        ref: e.sourceRef,
+        amount: e.baseAmount,
+        rate: e.rate,
+        tdsAmount: e.tdsAmount,
+        bsrCode: e.challan?.bsrCode || '',
+        challanNum: e.challan?.challanNum || '',
+        depositDate: e.challan?.depositDate || null,
+      });
+    }
+
+    return [...byDeductee.values()].map(({ deductee, rows }) => ({
+      financialYear,
+      quarter,
+      deductor,
+      deductee,
+      rows,
+      totals: {
+        amount: sumOf(rows, 'amount'),
+        tdsAmount: sumOf(rows, 'tdsAmount'),
+        deposited: sumOf(
+          rows.filter((r) => r.challanNum),
+          'tdsAmount'
+        ),
+      },
+    }));
+  }
+}
+
+export default TDSService;
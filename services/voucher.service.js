@@ -3,6 +3,10 @@
 import { VoucherModel } from '../models/voucher.model.js';
 import { FinancialVoucherCounterModel } from '../models/counter.model.js';
 import { SubledgerTransactionModel } from '../models/subledgerTxn.model.js';
+import { CustomerModel } from '../models/customer.model.js';
+import { VendorModel } from '../models/vendor.model.js';
+import PostingProfileService from './postingProfile.service.js';
+import ExchangeRateService from './exchangeRate.service.js';
 
 class VoucherService {
   static async getNextVoucherNo() {
@@ -19,265 +23,884 @@ class VoucherService {
   }
 
   /**
-   * Create a sales-order voucher, linking inventory, AR, tax, etc. txns
+   * Exchange rate of a source document: its own when set, else the SPOT
+   * rate of `date` from the rate table (older documents stored none).
    */
+  static async rateOf(doc, date, session) {
+    return ExchangeRateService.resolve(
+      doc.exchangeRate,
+      doc.currency,
+      date || new Date(),
+      { company: doc.company, session }
+    );
+  }
 
+  /**
+   * Create a sales-invoice voucher line by line from the APPLY inventory
+   * txns: COGS/inventory at the issue cost, then revenue, discount, charges
+   * and GST from each line's amounts (withholding tax collected on a line
+   * is owed as tax payable), and the receivable at the AR txn's amount.
+   * Returns come through with negative quantities and amounts, which flips
+   * every debit/credit and turns the voucher into a credit note.
+   * Accounts come from the posting profiles for the item's groups, the
+   * customer's groups, the line's site and the order's company.
+   */
   static async createSalesVoucher(
     { order, invTxns = [], arTxn, taxTxn, whtTxn, chargesTxn, discTxn },
     session
   ) {
     const voucherNo = await this.getNextVoucherNo();
     const currency = order.currency;
-    const rate = order.exchangeRate || 1;
-    const L = (amt) => Math.round(amt * rate * 100) / 100;
+    const rate = await this.rateOf(order, order.invoiceDate, session);
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const L = (amt) => round(amt * rate);
+    const customerCode = String(order.customer?._id || order.customer);
 
-    const lines = [];
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      invTxns.map((tx) => tx.item),
+      session
+    );
+    const header = {
+      company: order.company,
+      site: order.site,
+      partyGroups: await PostingProfileService.partyGroups(
+        CustomerModel,
+        order.customer,
+        session
+      ),
+      label: order.orderNum,
+    };
 
-    //
-    // 1) INVENTORY / COGS entries
-    //
-    for (const tx of invTxns) {
-      const gross = tx.qty * tx.salesPrice; // e.g. 10×120 = 1,200
-      const cogs = tx.qty * tx.costPrice; // e.g. 10×50  = 500
-      lines.push({
-        accountCode: 'INVENTORY',
-        debit: 0,
-        credit: cogs,
-        currency,
-        exchangeRate: rate,
-        localAmount: L(-cogs),
-        dims: tx.dims,
-        subledger: {
-          sourceType: 'INVENTORY',
-          txnId: tx._id,
-          lineNum: tx.sourceLine,
-        },
-      });
+    const lines = [];
+    // signed amount: positive → debit, negative → credit
+    const post = async (
+      postingType,
+      ctx,
+      subledgerCode,
+      amount,
+      subledger,
+      dims
+    ) => {
+      const amt = round(amount);
+      if (!amt) return;
+      const account = await accountFor(postingType, ctx);
       lines.push({
-        accountCode: 'COGS',
-        debit: cogs,
-        credit: 0,
+        accountCode: account.accountCode,
+        subledgerCode,
+        debit: amt > 0 ? amt : 0,
+        credit: amt < 0 ? -amt : 0,
         currency,
         exchangeRate: rate,
-        localAmount: L(cogs),
-        subledger: {
-          sourceType: 'INVENTORY',
-          txnId: tx._id,
-          lineNum: tx.sourceLine,
-        },
+        localAmount: L(amt),
+        dims,
+        subledger,
+        extras: { postingType },
       });
+    };
 
-      // net sales revenue _before_ tax/discount/charges
-      const netRev =
-        tx.qty * tx.salesPrice -
-        (tx.extras.discountAmt || 0) +
-        (tx.extras.chargedAmt || 0);
-      lines.push({
-        accountCode: 'SALES_REVENUE',
-        debit: 0,
-        credit: netRev,
-        currency,
-        exchangeRate: rate,
-        localAmount: L(-netRev),
-        dims: tx.dims,
-        subledger: {
-          sourceType: 'INVENTORY',
-          txnId: tx._id,
-          lineNum: tx.sourceLine,
-        },
-      });
-
-      // if you bill any line-level charges:
-      if (tx.extras.chargedAmt) {
-        lines.push({
-          accountCode: 'CHARGES_REVENUE',
-          debit: 0,
-          credit: tx.extras.chargedAmt,
-          currency,
-          exchangeRate: rate,
-          localAmount: L(-tx.extras.chargedAmt),
-          subledger: {
-            sourceType: 'INVENTORY',
-            txnId: tx._id,
-            lineNum: tx.sourceLine,
-          },
-        });
-      }
+    for (const tx of invTxns) {
+      const ex =
+        tx.extras instanceof Map
+          ? Object.fromEntries(tx.extras)
+          : tx.extras || {};
+      const itemCode = String(tx.item?._id || tx.item);
+      const sub = {
+        sourceType: 'INVENTORY',
+        txnId: tx._id,
+        lineNum: tx.sourceLine,
+      };
+      const ctx = {
+        ...header,
+        site: tx.dims?.site || order.site,
+        itemGroups: itemGroups.get(itemCode),
+        label: `${order.orderNum} line ${tx.sourceLine}`,
+      };
 
-      // if you allowed any line-level discount:
-      if (tx.extras.discountAmt) {
-        lines.push({
-          accountCode: 'DISCOUNT_ALLOWED',
-          debit: tx.extras.discountAmt,
-          credit: 0,
-          currency,
-          exchangeRate: rate,
-          localAmount: L(tx.extras.discountAmt),
-          subledger: {
-            sourceType: 'INVENTORY',
-            txnId: tx._id,
-            lineNum: tx.sourceLine,
-          },
-        });
-      }
+      const gross = tx.qty * tx.salesPrice; // e.g. 10×120 = 1,200
+      const cogs = tx.qty * tx.costPrice; // e.g. 10×50  = 500
+      const disc = ex.discountAmt || 0;
+      const charges = ex.chargedAmt || 0;
+      const gst = ex.taxAmount || 0;
+      const wht = ex.withholdingTaxAmt || 0;
 
-      // GST on that line:
-      const gstBase = netRev;
-      const gstAmt =
-        Math.round(gstBase * (tx.extras.gstPercent || 0) * 100) / 100;
-      if (gstAmt) {
-        lines.push({
-          accountCode: 'GST_PAYABLE',
-          debit: 0,
-          credit: gstAmt,
-          currency,
-          exchangeRate: rate,
-          localAmount: L(-gstAmt),
-          subledger: {
-            sourceType: 'INVENTORY',
-            txnId: tx._id,
-            lineNum: tx.sourceLine,
-          },
-        });
-      }
+      await post('COGS', ctx, itemCode, cogs, sub, tx.dims);
+      await post('INVENTORY', ctx, itemCode, -cogs, sub, tx.dims);
+      await post('SALES_REVENUE', ctx, itemCode, -gross, sub, tx.dims);
+      await post('DISCOUNT_ALLOWED', ctx, customerCode, disc, sub, tx.dims);
+      await post('CHARGES_REVENUE', ctx, customerCode, -charges, sub, tx.dims);
+      await post('GST_PAYABLE', ctx, customerCode, -gst, sub, tx.dims);
+      await post('TAX_PAYABLE', ctx, customerCode, -wht, sub, tx.dims);
     }
 
-    //
-    // 2) ACCOUNTS RECEIVABLE
-    //    * use the AR sub-ledger you already created in your controller
-    //
-    lines.push({
-      accountCode: 'ACCOUNTS_RECEIVABLE',
-      debit: arTxn.amount,
-      credit: 0,
-      currency,
-      exchangeRate: rate,
-      localAmount: L(arTxn.amount),
-      subledger: { sourceType: 'AR', txnId: arTxn._id, lineNum: 1 },
+    // the lines add up to the order's netAR but for rounding
+    await post('ACCOUNTS_RECEIVABLE', header, customerCode, arTxn.amount, {
+      sourceType: 'AR',
+      txnId: arTxn._id,
+      lineNum: 1,
     });
 
-    //
-    // 3) TAX at header level (if any)
-    //
     if (taxTxn?.amount) {
-      lines.push({
-        accountCode: 'TAX_PAYABLE',
-        debit: 0,
-        credit: taxTxn.amount,
-        currency,
-        exchangeRate: rate,
-        localAmount: L(-taxTxn.amount),
-        subledger: { sourceType: 'TAX', txnId: taxTxn._id, lineNum: 1 },
+      await post('TAX_PAYABLE', header, customerCode, -taxTxn.amount, {
+        sourceType: 'TAX',
+        txnId: taxTxn._id,
+        lineNum: 1,
       });
     }
 
-    //
-    // 4) WHT/TDS (header)
-    //
+    // a header-level amount against the receivable
+    const offsetAR = async (postingType, amount, sub) => {
+      await post(postingType, header, customerCode, amount, sub);
+      await post('ACCOUNTS_RECEIVABLE', header, customerCode, -amount, sub);
+    };
+
     if (whtTxn?.amount) {
-      // – debit TDS receivable
-      lines.push({
-        accountCode: 'TDS_RECEIVABLE',
-        debit: whtTxn.amount,
-        credit: 0,
-        currency,
-        exchangeRate: rate,
-        localAmount: L(whtTxn.amount),
-        subledger: { sourceType: 'WHT', txnId: whtTxn._id, lineNum: 1 },
+      const sub = { sourceType: 'WHT', txnId: whtTxn._id, lineNum: 1 };
+      await offsetAR('TDS_RECEIVABLE', whtTxn.amount, sub);
+    }
+
+    if (discTxn?.amount) {
+      const sub = { sourceType: 'DISCOUNT', txnId: discTxn._id, lineNum: 1 };
+      await offsetAR('DISCOUNT_ALLOWED', discTxn.amount, sub);
+    }
+
+    if (chargesTxn?.amount) {
+      const sub = { sourceType: 'CHARGES', txnId: chargesTxn._id, lineNum: 1 };
+      await offsetAR('CHARGES_EXPENSE', chargesTxn.amount, sub);
+    }
+
+    // rounding across lines can leave a few paise; book it as FX. Anything
+    // more means the lines and the AR txn disagree: refuse to post it
+    const diff = round(lines.reduce((sum, l) => sum + l.debit - l.credit, 0));
+    const tolerance = round(0.05 * Math.max(invTxns.length, 1));
+    if (Math.abs(diff) > tolerance) {
+      throw new Error(
+        `❌ Sales voucher for ${order.orderNum} is out of balance by ${diff} (rounding tolerance ${tolerance})`
+      );
+    }
+    if (Math.abs(diff) >= 0.01) {
+      const fx = diff < 0 ? 'FX_LOSS' : 'FX_GAIN';
+      await post(fx, header, customerCode, -diff, {
+        sourceType: 'FX',
+        txnId: order._id,
+        lineNum: 1,
       });
-      // – credit AR
+      lines[lines.length - 1].extras.note = 'Auto FX balancing';
+    }
+
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: order.invoiceDate,
+      company: order.company,
+      sourceType:
+        order.orderType === 'Return' ? 'SALES_CREDIT_NOTE' : 'SALES_INVOICE',
+      sourceId: order._id,
+      invoiceRef: {
+        invoiceId: order._id,
+        invoiceNum: order.invoiceNum,
+      },
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Create a purchase-invoice voucher from the receipt inventory txns:
+   * inventory at the purchase price per line, then the order's discount,
+   * charges and GST, and the payable against the AP txn. GST under reverse
+   * charge is owed by the company and booked as such; TDS deducted
+   * (`whtTxn`) moves from the payable to TDS payable. Purchase returns
+   * come through with negative quantities, which flips every side, and
+   * book a debit note; their stock leaves at its receipt cost and the
+   * difference to the order price goes to price variance.
+   * Accounts come from the posting profiles for the item's groups, the
+   * vendor's groups, the site and the order's company.
+   * The goods are valued at `invoice` ({ quantity, price }, default the
+   * order's); the order's discount, charges and GST are the invoice's.
+   * When the goods came in on goods receipts, `received` ({ quantity,
+   * price }) replaces the inventory lines: the invoice clears exactly the
+   * received quantity of the receipt accrual at the PO price and books
+   * the quantity and price differences to price variance.
+   */
+  static async createPurchaseVoucher(
+    { order, invTxns = [], apTxn, whtTxn, invoice = null, received = null },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const currency = order.currency;
+    const rate = await this.rateOf(order, order.invoiceDate, session);
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const sign = order.orderType === 'Return' ? -1 : 1;
+    const vendorCode = String(order.vendor?._id || order.vendor);
+
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      invTxns.map((tx) => tx.item),
+      session
+    );
+    const header = {
+      company: order.company,
+      site: order.site,
+      partyGroups: await PostingProfileService.partyGroups(
+        VendorModel,
+        order.vendor,
+        session
+      ),
+      partyKind: 'vendor',
+      label: order.orderNum,
+    };
+
+    const lines = [];
+    // signed amount: positive → debit, negative → credit
+    const post = async (
+      postingType,
+      ctx,
+      subledgerCode,
+      amount,
+      subledger,
+      dims
+    ) => {
+      const amt = round(amount);
+      if (!amt) return;
+      const account = await accountFor(postingType, ctx);
       lines.push({
-        accountCode: 'ACCOUNTS_RECEIVABLE',
-        debit: 0,
-        credit: whtTxn.amount,
+        accountCode: account.accountCode,
+        subledgerCode,
+        debit: amt > 0 ? amt : 0,
+        credit: amt < 0 ? -amt : 0,
         currency,
         exchangeRate: rate,
-        localAmount: L(-whtTxn.amount),
-        subledger: { sourceType: 'WHT', txnId: whtTxn._id, lineNum: 1 },
+        dims,
+        subledger,
+        extras: { postingType },
       });
+    };
+
+    let payable = 0;
+    for (const tx of invTxns) {
+      const itemCode = String(tx.item?._id || tx.item);
+      const value = tx.qty * tx.purchasePrice;
+      await post(
+        'INVENTORY',
+        {
+          ...header,
+          site: tx.dims?.site || order.site,
+          itemGroups: itemGroups.get(itemCode),
+          label: `${order.orderNum} line ${tx.sourceLine}`,
+        },
+        itemCode,
+        value,
+        { sourceType: 'INVENTORY', txnId: tx._id, lineNum: tx.sourceLine },
+        tx.dims
+      );
+      payable += value;
     }
 
-    //
-    // 5) Header‐level discount (if any)
-    //
-    if (discTxn?.amount) {
-      lines.push({
-        accountCode: 'DISCOUNT_ALLOWED',
-        debit: discTxn.amount,
-        credit: 0,
-        currency,
-        exchangeRate: rate,
-        localAmount: L(discTxn.amount),
-        subledger: { sourceType: 'DISCOUNT', txnId: discTxn._id, lineNum: 1 },
+    const sub = { sourceType: 'AP', txnId: apTxn._id, lineNum: 1 };
+    const billed = invoice || { quantity: order.quantity, price: order.price };
+    const goods = sign * billed.quantity * billed.price;
+    if (received) {
+      const cleared = round(sign * received.quantity * received.price);
+      // billed for more (or less) than came in, at the PO price
+      const qtyDiff = round(
+        sign * (billed.quantity - received.quantity) * received.price
+      );
+      await post(
+        'GOODS_RECEIVED_NOT_INVOICED',
+        header,
+        vendorCode,
+        cleared,
+        sub
+      );
+      await post('PURCHASE_PRICE_VARIANCE', header, vendorCode, qtyDiff, sub);
+      await post(
+        'PURCHASE_PRICE_VARIANCE',
+        header,
+        vendorCode,
+        goods - cleared - qtyDiff,
+        sub
+      );
+      payable += goods;
+    } else if (invTxns.length) {
+      // stock valued at other than the invoice price (a return goes out at
+      // its receipt cost): the vendor is owed the invoice price regardless
+      await post(
+        'PURCHASE_PRICE_VARIANCE',
+        header,
+        vendorCode,
+        goods - round(payable),
+        sub
+      );
+      payable = goods;
+    }
+    const disc = sign * (order.discountAmt || 0);
+    const charges = sign * (order.charges || 0);
+    const gst = sign * (order.taxAmount || 0);
+    await post('DISCOUNT_RECEIVED', header, vendorCode, -disc, sub);
+    await post('CHARGES_EXPENSE', header, vendorCode, charges, sub);
+    await post('GST_RECEIVABLE', header, vendorCode, gst, sub);
+    payable += -disc + charges + gst;
+    await post('ACCOUNTS_PAYABLE', header, vendorCode, -payable, sub);
+
+    // reverse charge: the company owes the GST itself and claims its credit
+    if (order.reverseCharge) {
+      const rcm =
+        sign * ((order.cgst || 0) + (order.sgst || 0) + (order.igst || 0));
+      await post('GST_RECEIVABLE', header, vendorCode, rcm, sub);
+      await post('GST_RCM_PAYABLE', header, vendorCode, -rcm, sub);
+    }
+
+    // TDS deducted from the vendor: that part of the payable is owed to
+    // the government instead
+    if (whtTxn?.amount) {
+      const wht = { sourceType: 'WHT', txnId: whtTxn._id, lineNum: 1 };
+      await post('ACCOUNTS_PAYABLE', header, vendorCode, whtTxn.amount, wht);
+      await post('TDS_PAYABLE', header, vendorCode, -whtTxn.amount, wht);
+    }
+
+    // rounding across lines can leave a few paise; book it as FX
+    const diff = round(lines.reduce((sum, l) => sum + l.debit - l.credit, 0));
+    if (Math.abs(diff) >= 0.01) {
+      const fx = diff < 0 ? 'FX_LOSS' : 'FX_GAIN';
+      await post(fx, header, vendorCode, -diff, {
+        sourceType: 'FX',
+        txnId: order._id,
+        lineNum: 1,
       });
-      lines.push({
-        accountCode: 'ACCOUNTS_RECEIVABLE',
-        debit: 0,
-        credit: discTxn.amount,
-        currency,
+      lines[lines.length - 1].extras.note = 'Auto FX balancing';
+    }
+
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: order.invoiceDate,
+      company: order.company,
+      sourceType:
+        order.orderType === 'Return'
+          ? 'PURCHASE_DEBIT_NOTE'
+          : 'PURCHASE_INVOICE',
+      sourceId: order._id,
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Goods-receipt accrual: inventory debited at the PO price per receipt
+   * txn (standard-cost items at standard, the difference to purchase price
+   * variance) and goods received not invoiced credited at the PO price, to
+   * be cleared by the vendor invoice. Uses the order's exchange rate so the
+   * invoice clears the same local amount.
+   */
+  static async createGoodsReceiptVoucher(
+    { receipt, order, invTxns = [] },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const rate = await this.rateOf(order, receipt.receiptDate, session);
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const vendorCode = String(order.vendor?._id || order.vendor);
+
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      invTxns.map((tx) => tx.item),
+      session
+    );
+    const header = {
+      company: order.company,
+      site: order.site,
+      partyGroups: await PostingProfileService.partyGroups(
+        VendorModel,
+        order.vendor,
+        session
+      ),
+      partyKind: 'vendor',
+    };
+
+    const lines = [];
+    for (const tx of invTxns) {
+      const itemCode = String(tx.item?._id || tx.item);
+      // standard-cost stock comes in at standard; the accrual stays at the
+      // PO price and the difference is purchase price variance
+      const orderPrice =
+        (tx.extras instanceof Map
+          ? tx.extras.get('orderPrice')
+          : tx.extras?.orderPrice) ?? tx.purchasePrice;
+      const amt = round(tx.qty * tx.purchasePrice);
+      const accrued = round(tx.qty * orderPrice);
+      if (!amt && !accrued) continue;
+      const ctx = {
+        ...header,
+        site: tx.dims?.site || order.site,
+        itemGroups: itemGroups.get(itemCode),
+        label: `${receipt.grnId} line ${tx.sourceLine}`,
+      };
+      const sub = {
+        sourceType: 'INVENTORY',
+        txnId: tx._id,
+        lineNum: tx.sourceLine,
+      };
+      const line = (account, postingType, subledgerCode, debit, credit) => ({
+        accountCode: account.accountCode,
+        subledgerCode,
+        debit,
+        credit,
+        currency: order.currency,
         exchangeRate: rate,
-        localAmount: L(-discTxn.amount),
-        subledger: { sourceType: 'DISCOUNT', txnId: discTxn._id, lineNum: 1 },
+        dims: tx.dims,
+        subledger: sub,
+        extras: { postingType },
       });
+      if (amt) {
+        lines.push(
+          line(await accountFor('INVENTORY', ctx), 'INVENTORY', itemCode, amt, 0)
+        );
+      }
+      lines.push(
+        line(
+          await accountFor('GOODS_RECEIVED_NOT_INVOICED', ctx),
+          'GOODS_RECEIVED_NOT_INVOICED',
+          vendorCode,
+          0,
+          accrued
+        )
+      );
+      const variance = round(accrued - amt);
+      if (variance) {
+        lines.push(
+          line(
+            await accountFor('PURCHASE_PRICE_VARIANCE', ctx),
+            'PURCHASE_PRICE_VARIANCE',
+            vendorCode,
+            Math.max(variance, 0),
+            Math.max(-variance, 0)
+          )
+        );
+      }
     }
 
-    //
-    // 6) Header‐level charges (if any)
-    //
-    if (chargesTxn?.amount) {
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: receipt.receiptDate,
+      company: order.company,
+      sourceType: 'GOODS_RECEIPT',
+      sourceId: receipt._id,
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Landed-cost voucher: per allocation line Dr INVENTORY with the part
+   * still on hand and Dr COGS with the part already sold, per charge
+   * Cr LANDED_COST_CLEARING, in the company's currency.
+   */
+  static async createLandedCostVoucher(
+    { landedCost, invTxns = [], currency = 'INR' },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      landedCost.allocations.map((a) => a.item),
+      session
+    );
+    const header = {
+      company: landedCost.company,
+      partyGroups: await PostingProfileService.partyGroups(
+        VendorModel,
+        landedCost.vendor,
+        session
+      ),
+      partyKind: 'vendor',
+      label: landedCost.lcId,
+    };
+
+    const lines = [];
+    const post = async (postingType, ctx, subledgerCode, amount, sub, dims) => {
+      const amt = Math.round(amount * 100) / 100;
+      if (!amt) return;
+      const account = await accountFor(postingType, ctx);
       lines.push({
-        accountCode: 'CHARGES_EXPENSE',
-        debit: chargesTxn.amount,
-        credit: 0,
+        accountCode: account.accountCode,
+        subledgerCode,
+        debit: amt > 0 ? amt : 0,
+        credit: amt < 0 ? -amt : 0,
         currency,
-        exchangeRate: rate,
-        localAmount: L(chargesTxn.amount),
-        subledger: { sourceType: 'CHARGES', txnId: chargesTxn._id, lineNum: 1 },
+        exchangeRate: 1,
+        dims,
+        subledger: sub,
+        extras: { postingType },
       });
+    };
+
+    for (let i = 0; i < landedCost.allocations.length; i++) {
+      const a = landedCost.allocations[i];
+      const itemCode = String(a.item?._id || a.item);
+      const ctx = {
+        ...header,
+        site: a.dims?.site,
+        itemGroups: itemGroups.get(itemCode),
+        label: `${landedCost.lcId} ${a.grnId} line ${a.lineNum}`,
+      };
+      const sub = {
+        sourceType: 'INVENTORY',
+        txnId: invTxns[i]?._id || landedCost._id,
+        lineNum: i + 1,
+      };
+      await post('INVENTORY', ctx, itemCode, a.inventoryAmount, sub, a.dims);
+      await post('COGS', ctx, itemCode, a.cogsAmount, sub, a.dims);
+    }
+
+    const partyCode = String(landedCost.vendor?._id || landedCost.vendor || '');
+    for (let i = 0; i < landedCost.charges.length; i++) {
+      const c = landedCost.charges[i];
+      await post(
+        'LANDED_COST_CLEARING',
+        header,
+        partyCode || c.chargeType,
+        -c.amount,
+        { sourceType: 'CHARGES', txnId: landedCost._id, lineNum: i + 1 }
+      );
+    }
+
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: landedCost.costDate,
+      company: landedCost.company,
+      sourceType: 'LANDED_COST',
+      sourceId: landedCost._id,
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Inventory-journal voucher at cost, one pair of lines per journal line:
+   * receipts, issues, adjustments and counts against INVENTORY_ADJUSTMENT,
+   * transfers from the source site's inventory account to the target's
+   * (nothing when both resolve to the same account). `reverse` swaps the
+   * sides for a journal reversal.
+   */
+  static async createInventJournalVoucher(
+    { journal, invTxns = [], currency, reverse = false },
+    session
+  ) {
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const flip = reverse ? -1 : 1;
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      journal.lines.map((l) => l.item),
+      session
+    );
+
+    const lines = [];
+    const post = (account, postingType, itemCode, amount, subledger, dims) => {
+      const amt = round(amount);
+      if (!amt) return;
       lines.push({
-        accountCode: 'ACCOUNTS_RECEIVABLE',
-        debit: 0,
-        credit: chargesTxn.amount,
+        accountCode: account.accountCode,
+        subledgerCode: itemCode,
+        debit: amt > 0 ? amt : 0,
+        credit: amt < 0 ? -amt : 0,
         currency,
-        exchangeRate: rate,
-        localAmount: L(-chargesTxn.amount),
-        subledger: { sourceType: 'CHARGES', txnId: chargesTxn._id, lineNum: 1 },
+        exchangeRate: 1,
+        dims,
+        subledger,
+        extras: { postingType },
       });
+    };
+
+    for (let i = 0; i < journal.lines.length; i++) {
+      const ln = journal.lines[i];
+      const tx = invTxns[i];
+      const itemCode = String(ln.item?._id || ln.item);
+      const ctx = {
+        company: journal.company,
+        itemGroups: itemGroups.get(itemCode),
+        label: `${journal.code} line ${ln.lineNum}`,
+      };
+      const sub = {
+        sourceType: 'INVENTORY',
+        txnId: tx?._id || journal._id,
+        lineNum: Number(ln.lineNum) || i + 1,
+      };
+      const value =
+        flip *
+        (ln.quantity === 0
+          ? ln.loadOnInventoryValue || 0
+          : ln.quantity * ln.costPrice);
+
+      if (journal.type === 'TRANSFER') {
+        const from = await accountFor('INVENTORY', {
+          ...ctx,
+          site: ln.from?.site,
+        });
+        const to = await accountFor('INVENTORY', { ...ctx, site: ln.to?.site });
+        if (from.accountCode === to.accountCode) continue;
+        post(to, 'INVENTORY', itemCode, value, sub, tx?.dims);
+        post(from, 'INVENTORY', itemCode, -value, sub, tx?.dims);
+        continue;
+      }
+
+      const site = ln.from?.site || ln.to?.site;
+      post(
+        await accountFor('INVENTORY', { ...ctx, site }),
+        'INVENTORY',
+        itemCode,
+        value,
+        sub,
+        tx?.dims
+      );
+      post(
+        await accountFor('INVENTORY_ADJUSTMENT', { ...ctx, site }),
+        'INVENTORY_ADJUSTMENT',
+        itemCode,
+        -value,
+        sub,
+        tx?.dims
+      );
+    }
+    if (!lines.length) return null;
+
+    const voucher = new VoucherModel({
+      voucherNo: await this.getNextVoucherNo(),
+      postingEventType: 'FINANCIAL',
+      voucherDate: reverse ? new Date() : journal.journalDate,
+      company: journal.company,
+      sourceType: 'INVENT_JOURNAL',
+      sourceId: journal._id,
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Inventory-close voucher: per settled line, the adjustment between
+   * INVENTORY and COGS (settled above booked raises inventory), dated the
+   * end of the period. Null when nothing moved.
+   */
+  static async createInventoryCloseVoucher({ close, currency }, session) {
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const accountFor = PostingProfileService.resolver(session);
+    const itemGroups = await PostingProfileService.itemGroups(
+      close.lines.map((l) => l.item),
+      session
+    );
+
+    const lines = [];
+    for (let i = 0; i < close.lines.length; i++) {
+      const ln = close.lines[i];
+      const amt = round(ln.adjustment);
+      if (!amt) continue;
+      const itemCode = String(ln.item?._id || ln.item);
+      const ctx = {
+        company: close.company,
+        site: ln.dims?.site,
+        itemGroups: itemGroups.get(itemCode),
+        label: `${close.closeId} line ${i + 1}`,
+      };
+      const sub = { sourceType: 'INVENTORY', txnId: close._id, lineNum: i + 1 };
+      for (const [postingType, value] of [
+        ['INVENTORY', amt],
+        ['COGS', -amt],
+      ]) {
+        const account = await accountFor(postingType, ctx);
+        lines.push({
+          accountCode: account.accountCode,
+          subledgerCode: itemCode,
+          debit: value > 0 ? value : 0,
+          credit: value < 0 ? -value : 0,
+          currency,
+          exchangeRate: 1,
+          dims: ln.dims,
+          subledger: sub,
+          extras: { postingType },
+        });
+      }
     }
+    if (!lines.length) return null;
+
+    const voucher = new VoucherModel({
+      voucherNo: await this.getNextVoucherNo(),
+      postingEventType: 'FINANCIAL',
+      voucherDate: close.toDate,
+      company: close.company,
+      sourceType: 'INVENTORY_CLOSE',
+      sourceId: close._id,
+      lines,
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Customer receipt: debit the bank, credit the receivable against the AR
+   * txn. `reverse` swaps the sides for a receipt reversal.
+   */
+  static async createReceiptVoucher(
+    { receipt, arTxn, reverse = false },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const amt = Math.round(receipt.amount * 100) / 100;
+    const rate = await this.rateOf(receipt, receipt.receiptDate, session);
+    const sub = { sourceType: 'AR', txnId: arTxn._id, lineNum: 1 };
+    const ctx = {
+      company: receipt.company,
+      partyGroups: await PostingProfileService.partyGroups(
+        CustomerModel,
+        receipt.customer,
+        session
+      ),
+      label: receipt.receiptNum,
+    };
+    const bank = await PostingProfileService.bankAccount(
+      receipt.bankAccount,
+      ctx,
+      session
+    );
+    const ar = await PostingProfileService.resolve(
+      'ACCOUNTS_RECEIVABLE',
+      ctx,
+      session
+    );
+    const line = (account, postingType, subledgerCode, debit) => ({
+      accountCode: account.accountCode,
+      subledgerCode,
+      debit: debit ? amt : 0,
+      credit: debit ? 0 : amt,
+      currency: receipt.currency,
+      exchangeRate: rate,
+      subledger: sub,
+      extras: { postingType },
+    });
 
-    //
-    // 7) FX gain/loss balancing (optional)
-    //
-    const totalLocal = lines.reduce(
-      (sum, l) => sum + (l.debit - l.credit) * l.exchangeRate,
-      0
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: reverse ? new Date() : receipt.receiptDate,
+      company: receipt.company,
+      sourceType: 'AR_RECEIPT',
+      sourceId: receipt._id,
+      lines: [
+        line(bank, 'BANK', String(receipt.bankAccount), !reverse),
+        line(ar, 'ACCOUNTS_RECEIVABLE', String(receipt.customer), reverse),
+      ],
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Realised FX on a settlement, in the functional currency: `amount` is
+   * the local gain (positive) or loss (negative) of settling invoices at
+   * a rate other than the one they were booked at. A gain debits the
+   * receivable / payable and credits FX_GAIN; a loss the other way round.
+   * @param {Object} p { side: 'AR'|'AP', party, amount, date, company,
+   *   sourceType, sourceId, label }
+   */
+  static async createRealisedFXVoucher(
+    { side, party, amount, date, company, sourceType, sourceId, label },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const amt = Math.round(Math.abs(amount) * 100) / 100;
+    const isAR = side === 'AR';
+    const partyCode = String(party?._id || party);
+    const ctx = {
+      company,
+      partyGroups: await PostingProfileService.partyGroups(
+        isAR ? CustomerModel : VendorModel,
+        party,
+        session
+      ),
+      partyKind: isAR ? 'customer' : 'vendor',
+      label,
+    };
+    const controlType = isAR ? 'ACCOUNTS_RECEIVABLE' : 'ACCOUNTS_PAYABLE';
+    const fxType = amount > 0 ? 'FX_GAIN' : 'FX_LOSS';
+    const control = await PostingProfileService.resolve(
+      controlType,
+      ctx,
+      session
     );
-    if (Math.abs(totalLocal) > 0.01) {
-      const isLoss = totalLocal > 0;
+    const fx = await PostingProfileService.resolve(fxType, ctx, session);
+    const currency = await ExchangeRateService.functionalCurrency(
+      company,
+      session
+    );
+    const line = (account, postingType, debit) => ({
+      accountCode: account.accountCode,
+      subledgerCode: partyCode,
+      debit: debit ? amt : 0,
+      credit: debit ? 0 : amt,
+      currency,
+      exchangeRate: 1,
+      subledger: { sourceType: 'FX', txnId: sourceId, lineNum: 1 },
+      extras: { postingType, note: 'Realised FX' },
+    });
+
+    const voucher = new VoucherModel({
+      voucherNo,
+      voucherDate: date || new Date(),
+      company: company || undefined,
+      sourceType,
+      sourceId,
+      lines: [
+        line(control, controlType, amount > 0),
+        line(fx, fxType, amount < 0),
+      ],
+    });
+    await voucher.save({ session });
+    return voucher;
+  }
+
+  /**
+   * Year-end closing voucher: `balances` are the local-currency net
+   * balances (debit positive) of the accounts being closed. Each one is
+   * reversed and the net lands on the retained earnings account.
+   */
+  static async createClosingVoucher(
+    { fiscalYear, company, balances, retainedEarningsAccount, currency },
+    session
+  ) {
+    const voucherNo = await this.getNextVoucherNo();
+    const round = (amt) => Math.round(amt * 100) / 100;
+    const sub = { sourceType: 'LEDGER', txnId: fiscalYear._id, lineNum: 1 };
+    const lines = [];
+    const post = (accountCode, amount) => {
+      const amt = round(amount);
+      if (!amt) return;
       lines.push({
-        accountCode: isLoss ? 'FX_LOSS' : 'FX_GAIN',
-        debit: isLoss ? Math.abs(totalLocal) : 0,
-        credit: isLoss ? 0 : Math.abs(totalLocal),
+        accountCode,
+        subledgerCode: accountCode,
+        debit: amt > 0 ? amt : 0,
+        credit: amt < 0 ? -amt : 0,
         currency,
-        exchangeRate: rate,
-        localAmount: -Math.round(totalLocal * 100) / 100,
-        subledger: { sourceType: 'FX', txnId: order._id, lineNum: 1 },
-        extras: { note: 'Auto FX balancing' },
+        exchangeRate: 1,
+        subledger: { ...sub, lineNum: lines.length + 1 },
       });
+    };
+
+    let net = 0;
+    for (const { accountCode, balance } of balances) {
+      post(accountCode, -balance);
+      net += balance;
     }
+    // net debit (a loss) reduces retained earnings, net credit adds to it
+    post(retainedEarningsAccount, net);
 
-    //
-    // 8) Save
-    //
     const voucher = new VoucherModel({
       voucherNo,
-      voucherDate: order.invoiceDate,
-      sourceType: 'SALES_INVOICE',
-      sourceId: order._id,
-      invoiceRef: {
-        invoiceId: order._id,
-        invoiceNum: order.invoiceNum,
-      },
+      postingEventType: 'FINANCIAL',
+      voucherDate: fiscalYear.endDate,
+      company: company || fiscalYear.company || undefined,
+      sourceType: 'PERIOD_CLOSE',
+      sourceId: fiscalYear._id,
       lines,
     });
     await voucher.save({ session });
@@ -341,6 +964,7 @@ class VoucherService {
       voucherNo,
       postingEventType: paramPostingEventType,
       voucherDate: glJournal.journalDate,
+      company: glJournal.company,
       sourceType: 'JOURNAL',
       sourceId: glJournal._id,
       invoiceRef: {
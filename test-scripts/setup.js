@@ -3,6 +3,7 @@
  * Configures the test environment for the ERP backend
  */
 
+import { jest } from '@jest/globals';
 import { MongoMemoryServer } from 'mongodb-memory-server';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
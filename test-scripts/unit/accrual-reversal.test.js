@@ -0,0 +1,164 @@
+/**
+ * Unit tests for auto-reversing accruals: the mirror-image journal dated
+ * the accrual's reverseOn, and posting the reversals that fall due
+ * (journals and sessions stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// the journal models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: GLJournalService } =
+  await import('../../services/glJournal.service.js');
+const { GLJournalModel } = await import('../../models/glJournal.model.js');
+
+const ACCRUAL_ID = new mongoose.Types.ObjectId();
+
+const accrual = (over = {}) => {
+  const src = {
+    _id: ACCRUAL_ID,
+    globalJournalNum: 'GJ-000042',
+    journalDate: new Date('2025-06-30'),
+    reverseOn: new Date('2025-07-01'),
+    status: 'POSTED',
+    reference: 'June rent',
+    placeOfSupply: '29',
+    lines: [
+      { _id: 'l1', lineNum: 1, debit: 500, credit: 0, localAmount: 500 },
+      { _id: 'l2', lineNum: 2, debit: 0, credit: 500, localAmount: -500 },
+    ],
+    ...over,
+  };
+  return {
+    ...src,
+    toObject: () => JSON.parse(JSON.stringify(src)),
+    save: jest.fn(async () => {}),
+  };
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GLJournalService.copyableHeader', () => {
+  it('leaves numbers, status, dates and links behind', () => {
+    const header = GLJournalService.copyableHeader({
+      _id: 'x',
+      globalJournalNum: 'GJ-1',
+      journalDate: new Date(),
+      status: 'POSTED',
+      reverseOn: new Date(),
+      reversalOf: 'y',
+      placeOfSupply: '29',
+      reference: 'Rent',
+    });
+    expect(header).toEqual({ placeOfSupply: '29', reference: 'Rent' });
+  });
+});
+
+describe('GLJournalService.createReversal', () => {
+  it('swaps every debit and credit on the reverseOn date', async () => {
+    const save = jest
+      .spyOn(GLJournalModel.prototype, 'save')
+      .mockResolvedValue(undefined);
+    const journal = accrual();
+    const doc = await GLJournalService.createReversal(journal, 's');
+    const reversal = doc.toObject();
+
+    expect(save).toHaveBeenCalledWith({ session: 's' });
+    expect(reversal).toMatchObject({
+      journalDate: new Date('2025-07-01'),
+      status: 'DRAFT',
+      reversalOf: ACCRUAL_ID,
+      reference: 'Reversal of GJ-000042 · June rent',
+      createdBy: 'reversal:GJ-000042',
+      placeOfSupply: '29',
+    });
+    expect(
+      reversal.lines.map(({ debit, credit, localAmount }) => [
+        debit,
+        credit,
+        localAmount,
+      ])
+    ).toEqual([
+      [0, 500, -500],
+      [500, 0, 500],
+    ]);
+    expect(reversal.reverseOn).toBeFalsy();
+    expect(journal.reversalJournal).toBe(doc._id);
+    expect(journal.save).toHaveBeenCalledWith({ session: 's' });
+  });
+
+  it('reverses only after the journal date', async () => {
+    await expect(
+      GLJournalService.createReversal(
+        accrual({ reverseOn: new Date('2025-06-30') })
+      )
+    ).rejects.toThrow(
+      '❌ reverseOn (2025-06-30) must be after the journal date (2025-06-30).'
+    );
+  });
+
+  it('reverses an accrual once', async () => {
+    await expect(
+      GLJournalService.createReversal(accrual({ reversalJournal: 'r1' }))
+    ).rejects.toThrow('❌ GJ-000042 already has a reversal journal.');
+  });
+});
+
+describe('GLJournalService.postDueReversals', () => {
+  const session = () => ({
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn(async () => {}),
+    abortTransaction: jest.fn(async () => {}),
+    endSession: jest.fn(),
+  });
+
+  it('posts each due reversal on its own and keeps the failures', async () => {
+    const find = jest.spyOn(GLJournalModel, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { _id: 'r1', globalJournalNum: 'GJ-1' },
+          { _id: 'r2', globalJournalNum: 'GJ-2' },
+        ],
+      }),
+    });
+    jest
+      .spyOn(GLJournalModel, 'findById')
+      .mockImplementation((id) => ({ session: async () => ({ _id: id }) }));
+    const sessions = [session(), session()];
+    jest
+      .spyOn(mongoose, 'startSession')
+      .mockImplementation(async () => sessions.shift());
+    const [first, second] = sessions;
+    jest
+      .spyOn(GLJournalService, 'post')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('❌ Period Jul-2025 is hard-closed'));
+
+    const asOf = new Date('2025-07-01');
+    const result = await GLJournalService.postDueReversals(asOf, {
+      ids: ['r1', 'r2'],
+    });
+
+    expect(find.mock.calls[0][0]).toEqual({
+      reversalOf: { $ne: null },
+      status: 'DRAFT',
+      journalDate: { $lte: asOf },
+      _id: { $in: ['r1', 'r2'] },
+    });
+    expect(result).toEqual({
+      posted: ['GJ-1'],
+      failed: [{ journal: 'GJ-2', error: '❌ Period Jul-2025 is hard-closed' }],
+    });
+    expect(first.commitTransaction).toHaveBeenCalled();
+    expect(second.abortTransaction).toHaveBeenCalled();
+    expect(second.endSession).toHaveBeenCalled();
+  });
+});
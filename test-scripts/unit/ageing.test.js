@@ -0,0 +1,121 @@
+/**
+ * Unit tests for AR / AP ageing: the buckets, what is open on a day and a
+ * company's run with its unallocated receipts (invoices and receipts
+ * stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the receipt model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: AgeingService } = await import(
+  '../../services/ageing.service.js'
+);
+const { SalesOrderModel } = await import('../../models/salesorder.model.js');
+const { CustomerReceiptModel } = await import(
+  '../../models/customerReceipt.model.js'
+);
+
+const C1 = '64b000000000000000000001';
+const ACME = { _id: '64b0000000000000000000a1', code: 'C001', name: 'Acme' };
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('AgeingService.buildBuckets', () => {
+  it('runs each bucket up to its bound, then one open-ended', () => {
+    expect(AgeingService.buildBuckets('60, 30,x,30')).toEqual([
+      { key: '0-30', from: 0, to: 30 },
+      { key: '31-60', from: 31, to: 60 },
+      { key: '60+', from: 61, to: Infinity },
+    ]);
+  });
+
+  it('falls back to 30 / 60 / 90', () => {
+    expect(AgeingService.buildBuckets([]).map((b) => b.key)).toEqual([
+      '0-30',
+      '31-60',
+      '61-90',
+      '90+',
+    ]);
+  });
+
+  it('puts anything not yet due apart', () => {
+    const buckets = AgeingService.buildBuckets();
+    expect(AgeingService.bucketFor(-1, buckets)).toBe('notDue');
+    expect(AgeingService.bucketFor(31, buckets)).toBe('31-60');
+    expect(AgeingService.bucketFor(400, buckets)).toBe('90+');
+  });
+});
+
+describe('AgeingService.outstandingAsOf', () => {
+  it('ignores later and cancelled payments', () => {
+    const doc = {
+      netAR: 1000,
+      advance: 100,
+      paidAmt: [
+        { amount: 200, date: '2025-05-01' },
+        { amount: 300, date: '2025-05-01', status: 'Cancelled' },
+        { amount: 400, date: '2025-07-01' },
+      ],
+    };
+    expect(AgeingService.outstandingAsOf(doc, new Date('2025-06-30'))).toBe(
+      700
+    );
+  });
+});
+
+describe('AgeingService.getAgeing', () => {
+  it('ages one company\'s invoices against its own receipts', async () => {
+    const invoices = jest.spyOn(SalesOrderModel, 'find').mockReturnValue({
+      sort: async () => [
+        {
+          _id: 'so1',
+          customer: ACME,
+          company: C1,
+          orderNum: 'SO-1',
+          invoiceNum: 'SINV/2526/000001',
+          invoiceDate: new Date('2025-05-01'),
+          dueDate: new Date('2025-05-31'),
+          netAR: 1000,
+          exchangeRate: 1,
+          paidAmt: [],
+        },
+      ],
+    });
+    const receipts = jest
+      .spyOn(CustomerReceiptModel, 'find')
+      .mockReturnValue({
+        populate: async () => [
+          {
+            customer: ACME,
+            amount: 300,
+            exchangeRate: 1,
+            allocations: [{ amount: 100, allocatedAt: '2025-06-01' }],
+          },
+        ],
+      });
+
+    const result = await AgeingService.getAgeing('AR', {
+      asOf: '2025-06-30',
+      company: C1,
+    });
+
+    expect(invoices.mock.calls[0][0].company).toBe(C1);
+    expect(receipts.mock.calls[0][0].company).toBe(C1);
+    expect(result.rows).toHaveLength(1);
+    expect(result.rows[0]).toMatchObject({
+      party: { code: 'C001' },
+      buckets: { '0-30': 1000 },
+      total: 1000,
+      onAccount: 200,
+      netBalance: 800,
+    });
+  });
+});
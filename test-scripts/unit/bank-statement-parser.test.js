@@ -0,0 +1,246 @@
+/**
+ * Unit tests for the bank statement parser: CSV, OFX, camt.053 and MT940
+ * files into signed statement lines.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import BankStatementParser from '../../services/bankStatementParser.service.js';
+
+const utc = (s) => new Date(`${s}T00:00:00Z`);
+
+const CSV = [
+  'Txn Date,Value Date,Narration,Ref No,Withdrawal,Deposit',
+  '01/04/2025,01/04/2025,NEFT from Acme,UTR001,,"1,500.00"',
+  '03-Apr-2025,04-Apr-2025,Rent April,CHQ 12,"25,000.00",',
+].join('\n');
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>INR
+<BANKACCTFROM><ACCTID>001234567890</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20250401
+<DTEND>20250430
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250402120000
+<TRNAMT>2500.00
+<FITID>F1
+<NAME>Acme Ltd
+<MEMO>Invoice 42
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250405
+<TRNAMT>-99.50
+<FITID>F2
+<CHECKNUM>000123
+<NAME>Bank charges
+</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>12400.50<DTASOF>20250430</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt><Stmt>
+  <Id>STMT-2025-04</Id>
+  <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id></Acct>
+  <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+    <Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+  <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+    <Amt Ccy="EUR">1150.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+  <Ntry>
+    <Amt Ccy="EUR">200.00</Amt><CdtDbtInd>CRDT</CdtDbtInd>
+    <BookgDt><Dt>2025-04-02</Dt></BookgDt><ValDt><Dt>2025-04-03</Dt></ValDt>
+    <AcctSvcrRef>BANK-1</AcctSvcrRef>
+    <NtryDtls><TxDtls>
+      <Refs><EndToEndId>E2E-1</EndToEndId></Refs>
+      <RltdPties><Dbtr><Nm>Acme GmbH</Nm></Dbtr></RltdPties>
+      <RmtInf><Ustrd>Invoice 42</Ustrd></RmtInf>
+    </TxDtls></NtryDtls>
+  </Ntry>
+  <Ntry>
+    <Amt Ccy="EUR">50.00</Amt><CdtDbtInd>DBIT</CdtDbtInd>
+    <BookgDt><Dt>2025-04-04</Dt></BookgDt>
+    <AcctSvcrRef>BANK-2</AcctSvcrRef>
+    <NtryDtls><TxDtls>
+      <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+      <RltdPties><Cdtr><Nm>Stationers</Nm></Cdtr></RltdPties>
+    </TxDtls></NtryDtls>
+  </Ntry>
+</Stmt></BkToCstmrStmt>
+</Document>`;
+
+const MT940 = [
+  ':20:STMT0425',
+  ':25:NL91ABNA0417164300',
+  ':28C:7/1',
+  ':60F:C250401EUR1000,00',
+  ':61:2504020402C200,00NTRFINV42//BANK1',
+  ':86:/EREF/E2E-1/ Payment from Acme',
+  ':61:2504040404D50,00NCHGNONREF',
+  ':86:Bank charges',
+  ':62F:C250430EUR1150,00',
+  '-',
+].join('\r\n');
+
+describe('BankStatementParser.detectFormat', () => {
+  it.each([
+    ['OFX', 'statement.txt', OFX],
+    ['QFX', 'statement.qfx', OFX],
+    ['CAMT053', 'statement.xml', CAMT],
+    ['MT940', 'statement.txt', MT940],
+    ['CSV', 'statement.csv', CSV],
+  ])('detects %s in %s', (fmt, name, text) => {
+    expect(BankStatementParser.detectFormat(Buffer.from(text), name)).toBe(
+      fmt
+    );
+  });
+});
+
+describe('BankStatementParser.parse', () => {
+  it('reads a CSV with debit and credit columns', () => {
+    const s = BankStatementParser.parse(Buffer.from(CSV), {
+      fileName: 'statement.csv',
+    });
+    expect(s.format).toBe('CSV');
+    expect(s.lines).toHaveLength(2);
+    expect(s.lines[0]).toMatchObject({
+      bookingDate: utc('2025-04-01'),
+      amount: 1500,
+      description: 'NEFT from Acme',
+      reference: 'UTR001',
+    });
+    expect(s.lines[1]).toMatchObject({
+      bookingDate: utc('2025-04-03'),
+      valueDate: utc('2025-04-04'),
+      amount: -25000,
+    });
+    expect(s.fromDate).toEqual(utc('2025-04-01'));
+    expect(s.toDate).toEqual(utc('2025-04-03'));
+  });
+
+  it('lists the CSV rows it cannot read', () => {
+    const bad = 'Date,Amount\nnot a date,10\n02/04/2025,';
+    expect.assertions(1);
+    try {
+      BankStatementParser.parse(Buffer.from(bad), { format: 'CSV' });
+    } catch (err) {
+      expect(err.rows).toEqual([
+        { row: 2, message: 'date is missing or not a date.' },
+        { row: 3, message: 'amount (or debit / credit) is missing.' },
+      ]);
+    }
+  });
+
+  it('reads an OFX statement', () => {
+    const s = BankStatementParser.parse(Buffer.from(OFX));
+    expect(s).toMatchObject({
+      format: 'OFX',
+      accountRef: '001234567890',
+      currency: 'INR',
+      fromDate: utc('2025-04-01'),
+      toDate: utc('2025-04-30'),
+      closingBalance: 12400.5,
+    });
+    expect(s.lines).toEqual([
+      expect.objectContaining({
+        bookingDate: utc('2025-04-02'),
+        amount: 2500,
+        description: 'Acme Ltd · Invoice 42',
+        counterparty: 'Acme Ltd',
+        bankTxnId: 'F1',
+      }),
+      expect.objectContaining({
+        amount: -99.5,
+        reference: '000123',
+        bankTxnId: 'F2',
+      }),
+    ]);
+  });
+
+  it('reads a camt.053 statement', () => {
+    const s = BankStatementParser.parse(Buffer.from(CAMT));
+    expect(s).toMatchObject({
+      format: 'CAMT053',
+      statementNo: 'STMT-2025-04',
+      accountRef: 'DE89370400440532013000',
+      currency: 'EUR',
+      openingBalance: 1000,
+      closingBalance: 1150,
+    });
+    expect(s.lines).toEqual([
+      expect.objectContaining({
+        bookingDate: utc('2025-04-02'),
+        valueDate: utc('2025-04-03'),
+        amount: 200,
+        description: 'Invoice 42',
+        reference: 'E2E-1',
+        counterparty: 'Acme GmbH',
+        bankTxnId: 'BANK-1',
+      }),
+      expect.objectContaining({
+        amount: -50,
+        reference: '',
+        counterparty: 'Stationers',
+        bankTxnId: 'BANK-2',
+      }),
+    ]);
+  });
+
+  it('reads an MT940 statement', () => {
+    const s = BankStatementParser.parse(Buffer.from(MT940), {
+      fileName: 'statement.sta',
+    });
+    expect(s).toMatchObject({
+      format: 'MT940',
+      statementNo: 'STMT0425/7/1',
+      accountRef: 'NL91ABNA0417164300',
+      currency: 'EUR',
+      openingBalance: 1000,
+      closingBalance: 1150,
+      toDate: utc('2025-04-30'),
+    });
+    expect(s.lines).toEqual([
+      expect.objectContaining({
+        bookingDate: utc('2025-04-02'),
+        amount: 200,
+        reference: 'INV42',
+        bankTxnId: 'BANK1',
+        description: '/EREF/E2E-1/ Payment from Acme',
+      }),
+      expect.objectContaining({
+        bookingDate: utc('2025-04-04'),
+        amount: -50,
+        reference: '',
+        description: 'Bank charges',
+      }),
+    ]);
+  });
+
+  it('refuses a statement without lines', () => {
+    expect(() =>
+      BankStatementParser.parse(Buffer.from(''), { format: 'MT940' })
+    ).toThrow('The statement has no lines.');
+  });
+});
+
+describe('BankStatementParser.parseAmount', () => {
+  it.each([
+    ['1,234.50', 1234.5],
+    ['(120.00)', -120],
+    ['120.00 Dr', -120],
+    ['120.00 Cr', 120],
+    ['', null],
+  ])('reads %p', (cell, amount) => {
+    expect(BankStatementParser.parseAmount(cell)).toBe(amount);
+  });
+
+  it('reads decimal commas', () => {
+    expect(
+      BankStatementParser.parseAmount('1.234,50', { decimalComma: true })
+    ).toBe(1234.5);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for a customer's credit exposure: open AR, orders not yet
+ * invoiced and the order being confirmed, in the currency of the limit
+ * (customer, sub-ledger, orders and rates stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the order model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: CreditLimitService } =
+  await import('../../services/creditLimit.service.js');
+const { default: ExchangeRateService } =
+  await import('../../services/exchangeRate.service.js');
+const { SalesOrderModel } = await import('../../models/salesorder.model.js');
+const { ARTransactionModel } =
+  await import('../../models/arTransaction.model.js');
+const { CustomerModel } = await import('../../models/customer.model.js');
+
+const CUSTOMER = '64b0000000000000000000a1';
+
+const stub = ({ creditLimit, ar = [], pending = [], rates = {} }) => {
+  jest.spyOn(CustomerModel, 'findById').mockReturnValue({
+    select: () => ({
+      session: async () => ({
+        _id: CUSTOMER,
+        code: 'C001',
+        name: 'Acme',
+        currency: 'INR',
+        creditLimit,
+      }),
+    }),
+  });
+  jest
+    .spyOn(ARTransactionModel, 'aggregate')
+    .mockReturnValue({ session: async () => ar });
+  const find = jest
+    .spyOn(SalesOrderModel, 'find')
+    .mockReturnValue({ session: async () => pending });
+  const rateFor = jest
+    .spyOn(ExchangeRateService, 'rateFor')
+    .mockImplementation(async (from) => rates[from]);
+  return { find, rateFor };
+};
+
+const order = (over = {}) => ({
+  _id: 'so9',
+  customer: CUSTOMER,
+  orderType: 'Sales',
+  currency: 'INR',
+  netAR: 2000,
+  ...over,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('CreditLimitService.uninvoicedAmount', () => {
+  it('takes each line\'s receivable pro rata to what is not invoiced', () => {
+    expect(
+      CreditLimitService.uninvoicedAmount({
+        lines: [
+          {
+            quantity: 4,
+            invoicedQty: 1,
+            netAmtAfterTax: 100,
+            withholdingTaxAmt: 4,
+          },
+          { quantity: 2, invoicedQty: 2, netAmtAfterTax: 50 },
+          { quantity: 0, netAmtAfterTax: 10 },
+        ],
+      })
+    ).toBe(78);
+  });
+
+  it('takes the whole netAR of an order without lines', () => {
+    expect(CreditLimitService.uninvoicedAmount({ netAR: 99.5 })).toBe(99.5);
+  });
+});
+
+describe('CreditLimitService.getExposure', () => {
+  it('adds open AR, pending orders and this order in the limit\'s currency', async () => {
+    const { find, rateFor } = stub({
+      creditLimit: 10000,
+      ar: [
+        { _id: 'INR', invoiced: 5000, received: 2000 },
+        { _id: 'USD', invoiced: 50, received: 0 },
+      ],
+      pending: [
+        {
+          _id: 'so1',
+          orderNum: 'SO-1',
+          status: 'Shipped',
+          currency: 'USD',
+          netAR: 10,
+        },
+        {
+          _id: 'so2',
+          orderNum: 'SO-2',
+          status: 'Confirmed',
+          currency: 'INR',
+          netAR: 0,
+        },
+      ],
+      rates: { USD: 80 },
+    });
+
+    const exposure = await CreditLimitService.getExposure(order());
+
+    expect(find.mock.calls[0][0]._id).toEqual({ $ne: 'so9' });
+    expect(rateFor).toHaveBeenCalledTimes(1);
+    expect(exposure).toMatchObject({
+      currency: 'INR',
+      openAR: { invoiced: 9000, received: 2000, balance: 7000 },
+      uninvoicedOrders: { total: 800 },
+      thisOrder: 2000,
+      currentExposure: 7800,
+      totalExposure: 9800,
+      available: 2200,
+      exceededBy: 0,
+      withinLimit: true,
+    });
+    expect(exposure.uninvoicedOrders.orders).toHaveLength(1);
+  });
+
+  it('reports by how much the order goes over the limit', async () => {
+    stub({
+      creditLimit: 1000,
+      ar: [{ _id: 'INR', invoiced: 800, received: 0 }],
+    });
+    expect(await CreditLimitService.getExposure(order())).toMatchObject({
+      totalExposure: 2800,
+      exceededBy: 1800,
+      withinLimit: false,
+    });
+  });
+
+  it('sets no limit at 0 and adds nothing for a return', async () => {
+    stub({ creditLimit: 0, ar: [{ _id: 'INR', invoiced: 800, received: 0 }] });
+    expect(
+      await CreditLimitService.getExposure(order({ orderType: 'Return' }))
+    ).toMatchObject({
+      thisOrder: 0,
+      available: null,
+      exceededBy: 0,
+      withinLimit: true,
+    });
+  });
+});
+
+describe('CreditLimitService.overrideCovers', () => {
+  it('covers the order only when approved for at least its amount', () => {
+    const approved = { status: 'APPROVED', amount: 2000 };
+    expect(
+      CreditLimitService.overrideCovers(order({ creditOverride: approved }))
+    ).toBe(true);
+    expect(
+      CreditLimitService.overrideCovers(
+        order({ netAR: 2000.01, creditOverride: approved })
+      )
+    ).toBe(false);
+    expect(
+      CreditLimitService.overrideCovers(
+        order({ creditOverride: { status: 'PENDING', amount: 5000 } })
+      )
+    ).toBe(false);
+  });
+});
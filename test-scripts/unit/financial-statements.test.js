@@ -0,0 +1,227 @@
+/**
+ * Unit tests for comparative statements: the range of each comparison
+ * column, budget amounts pro rata to the range, and the variances and
+ * checks of the statements (actuals and chart stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the voucher service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: FinancialReportService } =
+  await import('../../services/financialReport.service.js');
+
+const local = (y, m, d, end = false) =>
+  end ? new Date(y, m - 1, d, 23, 59, 59, 999) : new Date(y, m - 1, d);
+
+const CHART = new Map(
+  [
+    ['1.1', 'ASSET', 'DEBIT'],
+    ['2.1', 'LIABILITY', 'CREDIT'],
+    ['3.1', 'EQUITY', 'CREDIT'],
+    ['4.1', 'REVENUE', 'CREDIT'],
+    ['5.1', 'EXPENSE', 'DEBIT'],
+  ].map(([accountCode, type, normalBalance]) => [
+    accountCode,
+    {
+      accountCode,
+      accountName: accountCode,
+      type,
+      normalBalance,
+      isLeaf: true,
+      parentAccountCode: null,
+      level: 1,
+      path: [accountCode],
+    },
+  ])
+);
+const { accountOf } = FinancialReportService.rollUp(CHART, null);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('FinancialReportService.comparisonRange', () => {
+  const quarter = { from: local(2025, 4, 1), to: local(2025, 6, 30, true) };
+
+  it('steps whole months back by as many months', () => {
+    expect(
+      FinancialReportService.comparisonRange(
+        'INCOME_STATEMENT',
+        'PRIOR_PERIOD',
+        quarter
+      )
+    ).toEqual({ from: local(2025, 1, 1), to: local(2025, 3, 31, true) });
+  });
+
+  it('steps other ranges back by as many days', () => {
+    const range = { from: local(2025, 4, 10), to: local(2025, 4, 19, true) };
+    expect(
+      FinancialReportService.comparisonRange(
+        'INCOME_STATEMENT',
+        'PRIOR_PERIOD',
+        range
+      )
+    ).toEqual({ from: local(2025, 3, 31), to: local(2025, 4, 9, true) });
+  });
+
+  it('goes back twelve months for the prior year, clamping short months', () => {
+    expect(
+      FinancialReportService.comparisonRange('INCOME_STATEMENT', 'PRIOR_YEAR', {
+        from: local(2024, 2, 1),
+        to: local(2024, 2, 29, true),
+      })
+    ).toEqual({ from: local(2023, 2, 1), to: local(2023, 2, 28, true) });
+  });
+
+  it('compares a balance sheet with the day before the range', () => {
+    const end = local(2025, 3, 31, true);
+    expect(
+      FinancialReportService.comparisonRange(
+        'BALANCE_SHEET',
+        'PRIOR_PERIOD',
+        quarter
+      )
+    ).toEqual({ from: end, to: end });
+  });
+});
+
+describe('FinancialReportService.budgetNets', () => {
+  const budget = {
+    lines: [
+      // a year's revenue, of which the range holds a quarter
+      {
+        accountCode: '4.1',
+        amount: 1200,
+        periodStart: local(2025, 1, 1),
+        periodEnd: local(2026, 1, 1),
+      },
+      {
+        accountCode: '5.1',
+        amount: 100,
+        periodStart: local(2025, 4, 1),
+        periodEnd: local(2025, 7, 1),
+        dims: { site: 'S2' },
+      },
+      {
+        accountCode: '1.1',
+        amount: 500,
+        periodStart: local(2025, 1, 1),
+        periodEnd: local(2025, 12, 31),
+      },
+    ],
+  };
+  const range = { from: local(2025, 4, 1), to: local(2025, 7, 1) };
+
+  it('counts income lines by the share of their period in the range', () => {
+    const nets = FinancialReportService.budgetNets(
+      'INCOME_STATEMENT',
+      budget,
+      range,
+      accountOf
+    );
+    expect(Math.round(-nets.get('4.1'))).toBe(299);
+    expect(nets.get('5.1')).toBe(100);
+    expect(nets.has('1.1')).toBe(false);
+  });
+
+  it('keeps to the lines of the dimensions filtered on', () => {
+    const nets = FinancialReportService.budgetNets(
+      'INCOME_STATEMENT',
+      budget,
+      { ...range, dimensions: { site: 'S1' } },
+      accountOf
+    );
+    expect([...nets.keys()]).toEqual([]);
+  });
+
+  it('takes balance sheet lines as the balance at the end', () => {
+    const nets = FinancialReportService.budgetNets(
+      'BALANCE_SHEET',
+      budget,
+      range,
+      accountOf
+    );
+    expect([...nets]).toEqual([['1.1', 500]]);
+  });
+});
+
+describe('FinancialReportService.comparativeStatement', () => {
+  const stub = (current, prior) => {
+    jest.spyOn(FinancialReportService, 'resolveRange').mockResolvedValue({
+      from: local(2025, 4, 1),
+      to: local(2025, 6, 30, true),
+    });
+    jest.spyOn(FinancialReportService, 'chart').mockResolvedValue(CHART);
+    jest
+      .spyOn(FinancialReportService, 'actualNets')
+      .mockResolvedValueOnce(new Map(Object.entries(current)))
+      .mockResolvedValueOnce(new Map(Object.entries(prior)));
+  };
+
+  it('nets the income statement and marks favourable variances', async () => {
+    stub({ 4.1: -1200, 5.1: 700 }, { 4.1: -1000, 5.1: 500 });
+    const is = await FinancialReportService.comparativeStatement(
+      'INCOME_STATEMENT',
+      { compare: 'prior_year' }
+    );
+    expect(is.columns.map((c) => c.key)).toEqual(['current', 'priorYear']);
+    const [revenue, expense] = is.sections;
+    expect(revenue.rows[0].variances.priorYear).toEqual({
+      amount: 200,
+      percent: 20,
+      favourable: true,
+    });
+    expect(expense.rows[0].variances.priorYear).toMatchObject({
+      amount: 200,
+      favourable: false,
+    });
+    expect(is.netIncome.amounts).toEqual({ current: 500, priorYear: 500 });
+  });
+
+  it('shows unclosed profit under equity and checks the balance sheet', async () => {
+    stub(
+      { 1.1: 1500, 2.1: -300, 3.1: -1000, 4.1: -400, 5.1: 200 },
+      { 1.1: 1000, 3.1: -1000 }
+    );
+    const bs = await FinancialReportService.comparativeStatement(
+      'BALANCE_SHEET',
+      { compare: ['PRIOR_PERIOD'] }
+    );
+    const equity = bs.sections.find((s) => s.type === 'EQUITY');
+    expect(equity.rows.map((r) => [r.accountCode, r.amounts.current])).toEqual([
+      ['3.1', 1000],
+      ['CURRENT_EARNINGS', 200],
+    ]);
+    expect(bs.check.current).toEqual({
+      assets: 1500,
+      liabilitiesAndEquity: 1500,
+      difference: 0,
+    });
+    expect(bs.check.priorPeriod.difference).toBe(0);
+  });
+
+  it('refuses unknown comparisons and a budget comparison without a budget', async () => {
+    jest.spyOn(FinancialReportService, 'resolveRange').mockResolvedValue({
+      from: local(2025, 4, 1),
+      to: local(2025, 6, 30, true),
+    });
+    await expect(
+      FinancialReportService.comparativeStatement('INCOME_STATEMENT', {
+        compare: 'FORECAST',
+      })
+    ).rejects.toThrow(
+      'Unknown comparison FORECAST; use PRIOR_PERIOD, PRIOR_YEAR, BUDGET.'
+    );
+    await expect(
+      FinancialReportService.comparativeStatement('INCOME_STATEMENT', {
+        compare: 'BUDGET',
+      })
+    ).rejects.toThrow('A budget id is required to compare with budget.');
+  });
+});
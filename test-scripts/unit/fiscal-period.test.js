@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the fiscal period checks on posting and the per-company
+ * balances a year-end close zeroes (calendar, vouchers and chart stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the voucher service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: FiscalPeriodService } = await import(
+  '../../services/fiscalPeriod.service.js'
+);
+const { FiscalYearModel } = await import('../../models/fiscalCalendar.model.js');
+const { VoucherModel } = await import('../../models/voucher.model.js');
+const { AccountModel } = await import('../../models/account.model.js');
+
+const C1 = '64b000000000000000000001';
+const C2 = '64b000000000000000000002';
+
+const YEAR = {
+  code: 'FY2025-26',
+  company: null,
+  startDate: new Date('2025-04-01'),
+  endDate: new Date('2026-03-31T23:59:59.999Z'),
+};
+
+const inPeriod = (status) =>
+  jest.spyOn(FiscalPeriodService, 'findPeriod').mockResolvedValue({
+    year: { code: 'FY2025-26' },
+    period: { name: 'Jun-2025', status },
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('FiscalPeriodService.assertPostingAllowed', () => {
+  it('looks the period up in the company\'s calendar', async () => {
+    const find = inPeriod('OPEN');
+    await FiscalPeriodService.assertPostingAllowed(
+      '2025-06-15',
+      { company: C1, source: 'CASH_JOURNAL' },
+      'session'
+    );
+    expect(find).toHaveBeenCalledWith(new Date('2025-06-15'), C1, 'session');
+  });
+
+  it('refuses anything in a hard-closed period', async () => {
+    inPeriod('HARD_CLOSED');
+    await expect(
+      FiscalPeriodService.assertPostingAllowed('2025-06-15', {
+        source: 'GL_JOURNAL',
+        journalType: 'ADJUSTMENT',
+      })
+    ).rejects.toThrow(
+      '❌ Period Jun-2025 of FY2025-26 is hard-closed; nothing can be posted into it.'
+    );
+  });
+
+  it('lets only adjustment journals into a soft-closed period', async () => {
+    inPeriod('SOFT_CLOSED');
+    await expect(
+      FiscalPeriodService.assertPostingAllowed('2025-06-15', {
+        source: 'GL_JOURNAL',
+        journalType: 'ADJUSTMENT',
+      })
+    ).resolves.toBeTruthy();
+    await expect(
+      FiscalPeriodService.assertPostingAllowed('2025-06-15', {
+        source: 'CASH_JOURNAL',
+      })
+    ).rejects.toThrow(/is soft-closed/);
+  });
+
+  it('posts freely without any calendar, not into a gap of one', async () => {
+    jest.spyOn(FiscalPeriodService, 'findPeriod').mockResolvedValue(null);
+    const exists = jest
+      .spyOn(FiscalYearModel, 'exists')
+      .mockReturnValueOnce({ session: async () => null })
+      .mockReturnValueOnce({ session: async () => ({ _id: 'y' }) });
+    await expect(
+      FiscalPeriodService.assertPostingAllowed('2025-06-15', { company: C1 })
+    ).resolves.toBeNull();
+    expect(exists.mock.calls[0][0]).toEqual({ company: { $in: [C1, null] } });
+    await expect(
+      FiscalPeriodService.assertPostingAllowed('2025-06-15', { company: C1 })
+    ).rejects.toThrow('❌ No fiscal period covers 2025-06-15.');
+  });
+});
+
+describe('FiscalPeriodService.incomeStatementBalances', () => {
+  const stub = ({ sums, own = [] }) => {
+    const aggregate = jest
+      .spyOn(VoucherModel, 'aggregate')
+      .mockReturnValue({ session: async () => sums });
+    jest.spyOn(AccountModel, 'find').mockReturnValue({
+      select: () => ({
+        session: async () => [
+          { accountCode: '4.1', type: 'REVENUE' },
+          { accountCode: '5.1', type: 'EXPENSE' },
+          { accountCode: '1.1', type: 'ASSET' },
+        ],
+      }),
+    });
+    const distinct = jest
+      .spyOn(FiscalYearModel, 'distinct')
+      .mockReturnValue({ session: async () => own });
+    return { aggregate, distinct };
+  };
+  const sum = (company, accountCode, balance) => ({
+    _id: { company, accountCode },
+    balance,
+  });
+
+  it('keeps every company\'s result apart', async () => {
+    stub({
+      sums: [
+        sum(C2, '4.1', -500),
+        sum(C1, '5.1', 300.004),
+        sum(C1, '4.1', -1000),
+        sum(C1, '1.1', 700),
+        sum(C2, 'COGS', 200),
+        sum(C2, '5.1', 0),
+      ],
+    });
+    expect(await FiscalPeriodService.incomeStatementBalances(YEAR)).toEqual([
+      {
+        company: C1,
+        balances: [
+          { accountCode: '4.1', type: 'REVENUE', balance: -1000 },
+          { accountCode: '5.1', type: 'EXPENSE', balance: 300 },
+        ],
+      },
+      {
+        company: C2,
+        balances: [
+          { accountCode: '4.1', type: 'REVENUE', balance: -500 },
+          { accountCode: 'COGS', type: 'EXPENSE', balance: 200 },
+        ],
+      },
+    ]);
+  });
+
+  it('leaves companies with a calendar of their own out of a global year', async () => {
+    const { aggregate, distinct } = stub({ sums: [], own: [C2] });
+    await FiscalPeriodService.incomeStatementBalances(YEAR);
+    expect(distinct.mock.calls[0][1]).toEqual({
+      company: { $ne: null },
+      startDate: { $lte: YEAR.endDate },
+      endDate: { $gte: YEAR.startDate },
+    });
+    const [{ $match }] = aggregate.mock.calls[0][0];
+    expect($match.company).toEqual({ $nin: [C2] });
+  });
+
+  it('closes only its company in a company\'s own year', async () => {
+    const { aggregate, distinct } = stub({ sums: [sum(C1, '4.1', -10)] });
+    const balances = await FiscalPeriodService.incomeStatementBalances({
+      ...YEAR,
+      company: C1,
+    });
+    expect(distinct).not.toHaveBeenCalled();
+    expect(aggregate.mock.calls[0][0][0].$match.company).toBe(C1);
+    expect(balances).toHaveLength(1);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the realised exchange gain or loss on settling a foreign
+ * currency invoice.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+// the service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: FXRevaluationService } = await import(
+  '../../services/fxRevaluation.service.js'
+);
+
+describe('FXRevaluationService.realised', () => {
+  it('gains on a receivable when the rate rises', () => {
+    expect(FXRevaluationService.realised('AR', 1000, 82.5, 83.1)).toBe(600);
+  });
+
+  it('loses on a receivable when the rate falls', () => {
+    expect(FXRevaluationService.realised('AR', 1000, 83.1, 82.5)).toBe(-600);
+  });
+
+  it('gains on a payable when the rate falls', () => {
+    expect(FXRevaluationService.realised('AP', 1000, 83.1, 82.5)).toBe(600);
+  });
+
+  it('loses on a payable when the rate rises', () => {
+    expect(FXRevaluationService.realised('AP', 1000, 82.5, 83.1)).toBe(-600);
+  });
+
+  it('is nothing at the booked rate', () => {
+    expect(FXRevaluationService.realised('AR', 1234.56, 82.5, 82.5)).toBe(0);
+  });
+
+  it('compares the local amounts as booked, in paise', () => {
+    // 333.33 × 82.123 = 27374.06, × 82.456 = 27485.06
+    expect(FXRevaluationService.realised('AR', 333.33, 82.123, 82.456)).toBe(
+      111
+    );
+  });
+});
+
+describe('FXRevaluationService.side', () => {
+  it('knows receivables and payables only', () => {
+    expect(FXRevaluationService.side('AR').control).toBe(
+      'ACCOUNTS_RECEIVABLE'
+    );
+    expect(FXRevaluationService.side('AP').control).toBe('ACCOUNTS_PAYABLE');
+    expect(() => FXRevaluationService.side('GL')).toThrow(
+      'side must be AR or AP.'
+    );
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit tests for journal approval rules: which rule catches a journal by
+ * company, template, amount and account range, how approvers move it
+ * through the steps, and the posting guard (rules and accounts stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: GLApprovalService } =
+  await import('../../services/glApproval.service.js');
+const { GLApprovalRuleModel } =
+  await import('../../models/glApprovalRule.model.js');
+const { AccountModel } = await import('../../models/account.model.js');
+
+const C1 = '64b000000000000000000001';
+const C2 = '64b000000000000000000002';
+const TEMPLATE = '64b0000000000000000000a1';
+
+const facts = (over = {}) => ({
+  template: TEMPLATE,
+  company: C1,
+  amount: 50000,
+  accountCodes: ['5100', '2100'],
+  ...over,
+});
+
+// what find(...).sort(...).session(...).lean() resolves to
+const rulesOf = (rules) =>
+  jest.spyOn(GLApprovalRuleModel, 'find').mockReturnValue({
+    sort: () => ({ session: () => ({ lean: async () => rules }) }),
+  });
+
+const accountsOf = (codes) =>
+  jest.spyOn(AccountModel, 'find').mockReturnValue({
+    select: () => ({
+      session: () => ({
+        lean: async () => codes.map((accountCode) => ({ accountCode })),
+      }),
+    }),
+  });
+
+const journal = (over = {}) => ({
+  globalJournalNum: 'GJ-000007',
+  status: 'DRAFT',
+  company: C1,
+  template: TEMPLATE,
+  lines: [
+    { account: 'a1', localAmount: 1200.5 },
+    { account: 'a2', localAmount: -1200.5 },
+  ],
+  ...over,
+});
+
+/** A journal waiting on step 1 of `workflow`, with history recorded. */
+const pending = (workflow) => ({
+  status: 'PENDING_APPROVAL',
+  currentStep: 1,
+  workflow,
+  addHistory: jest.fn(),
+});
+
+const entry = (step, user, over = {}) => ({
+  step,
+  candidates: [user],
+  approval: 'ALL',
+  status: 'PENDING',
+  ...over,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GLApprovalService.journalAmount', () => {
+  it('is the debit side in local currency', () => {
+    expect(GLApprovalService.journalAmount(journal())).toBe(1200.5);
+  });
+});
+
+describe('GLApprovalService.matches', () => {
+  it('applies a rule without conditions to any journal', () => {
+    expect(GLApprovalService.matches({}, facts())).toBe(true);
+  });
+
+  it('keeps to the rule\'s company and templates', () => {
+    expect(GLApprovalService.matches({ company: C2 }, facts())).toBe(false);
+    expect(GLApprovalService.matches({ company: C1 }, facts())).toBe(true);
+    expect(GLApprovalService.matches({ templates: ['other'] }, facts())).toBe(
+      false
+    );
+    expect(GLApprovalService.matches({ templates: [TEMPLATE] }, facts())).toBe(
+      true
+    );
+  });
+
+  it('takes both amount bounds inclusively', () => {
+    const rule = { minAmount: 10000, maxAmount: 100000 };
+    expect(GLApprovalService.matches(rule, facts({ amount: 10000 }))).toBe(
+      true
+    );
+    expect(GLApprovalService.matches(rule, facts({ amount: 100000 }))).toBe(
+      true
+    );
+    expect(GLApprovalService.matches(rule, facts({ amount: 9999.99 }))).toBe(
+      false
+    );
+    expect(GLApprovalService.matches(rule, facts({ amount: 100000.01 }))).toBe(
+      false
+    );
+  });
+
+  it('needs one line within the account range', () => {
+    const rule = { accountFrom: '5000', accountTo: '5999' };
+    expect(GLApprovalService.matches(rule, facts())).toBe(true);
+    expect(
+      GLApprovalService.matches(rule, facts({ accountCodes: ['1100', '2100'] }))
+    ).toBe(false);
+    expect(
+      GLApprovalService.matches(
+        { accountFrom: '2000' },
+        facts({ accountCodes: ['1100'] })
+      )
+    ).toBe(false);
+  });
+});
+
+describe('GLApprovalService.findRule', () => {
+  it('takes the first matching rule by priority', async () => {
+    const find = rulesOf([
+      { code: 'BIG', minAmount: 100000 },
+      { code: 'EXPENSE', accountFrom: '5000', accountTo: '5999' },
+      { code: 'ANY' },
+    ]);
+    accountsOf(['5100', '2100']);
+    const rule = await GLApprovalService.findRule(journal());
+    expect(rule.code).toBe('EXPENSE');
+    expect(find.mock.calls[0][0]).toEqual({
+      active: true,
+      company: { $in: [C1, null] },
+    });
+  });
+
+  it('is null when no rule matches', async () => {
+    rulesOf([{ code: 'BIG', minAmount: 100000 }]);
+    accountsOf(['5100']);
+    expect(await GLApprovalService.findRule(journal())).toBeNull();
+  });
+});
+
+describe('GLApprovalService.act', () => {
+  it('waits for every approver of an ALL step', () => {
+    const j = pending([entry(1, 'u1'), entry(1, 'u2'), entry(2, 'u3')]);
+    GLApprovalService.act(j, 1, { user: { _id: 'u1' }, action: 'APPROVED' });
+    expect(j).toMatchObject({ status: 'PENDING_APPROVAL', currentStep: 1 });
+
+    GLApprovalService.act(j, 1, { user: { _id: 'u2' }, action: 'APPROVED' });
+    expect(j.currentStep).toBe(2);
+  });
+
+  it('closes an ANY step on the first approval', () => {
+    const j = pending([
+      entry(1, 'u1', { approval: 'ANY' }),
+      entry(1, 'u2', { approval: 'ANY' }),
+    ]);
+    GLApprovalService.act(j, 1, { user: { _id: 'u2' }, action: 'APPROVED' });
+    expect(j).toMatchObject({ status: 'APPROVED', currentStep: null });
+    expect(j.workflow.map((s) => s.status)).toEqual(['SKIPPED', 'APPROVED']);
+  });
+
+  it('ends the workflow on a rejection', () => {
+    const j = pending([entry(1, 'u1'), entry(2, 'u2')]);
+    GLApprovalService.act(j, 1, {
+      user: { _id: 'u1' },
+      action: 'REJECTED',
+      comment: 'Wrong cost centre',
+    });
+    expect(j).toMatchObject({ status: 'REJECTED', currentStep: null });
+    expect(j.addHistory).toHaveBeenCalledWith({
+      user: 'u1',
+      action: 'REJECTED',
+      step: 1,
+      comment: 'Wrong cost centre',
+    });
+  });
+
+  it('refuses users who are not approvers of the step', () => {
+    const j = pending([entry(1, 'u1'), entry(2, 'u2')]);
+    expect(() =>
+      GLApprovalService.act(j, 1, { user: { _id: 'u2' }, action: 'APPROVED' })
+    ).toThrow('You are not an approver of this step');
+    expect(() =>
+      GLApprovalService.act(j, 2, { user: { _id: 'u2' }, action: 'APPROVED' })
+    ).toThrow('Not this step’s turn');
+  });
+});
+
+describe('GLApprovalService.canAct', () => {
+  it('lets the role act, and the escalation role once escalated', () => {
+    const e = { role: 'R1', escalateTo: 'R2', candidates: [] };
+    expect(GLApprovalService.canAct(e, { userRoles: ['R1'] })).toBe(true);
+    expect(GLApprovalService.canAct(e, { userRoles: ['R2'] })).toBe(false);
+    expect(
+      GLApprovalService.canAct(
+        { ...e, escalatedAt: new Date() },
+        { userRoles: ['R2'] }
+      )
+    ).toBe(true);
+  });
+
+  it('keeps an assigned entry to its assignee', () => {
+    const e = { assignedTo: 'u1', role: 'R1', candidates: ['u2'] };
+    expect(GLApprovalService.canAct(e, { _id: 'u2', userRoles: ['R1'] })).toBe(
+      false
+    );
+    expect(GLApprovalService.canAct(e, { _id: 'u1' })).toBe(true);
+  });
+});
+
+describe('GLApprovalService.assertPostable', () => {
+  it('holds back a draft an approval rule catches', async () => {
+    rulesOf([{ code: 'EXPENSE' }]);
+    accountsOf(['5100']);
+    await expect(GLApprovalService.assertPostable(journal())).rejects.toThrow(
+      '❌ GJ-000007 needs approval under rule EXPENSE; submit it first.'
+    );
+  });
+
+  it('lets approved journals and reversals through', async () => {
+    const find = rulesOf([{ code: 'EXPENSE' }]);
+    await GLApprovalService.assertPostable(journal({ status: 'APPROVED' }));
+    await GLApprovalService.assertPostable(journal({ reversalOf: 'j1' }));
+    expect(find).not.toHaveBeenCalled();
+  });
+});
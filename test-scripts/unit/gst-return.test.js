@@ -0,0 +1,43 @@
+/**
+ * Unit tests for the filing period of a GST return.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import GSTReturnService from '../../services/gstReturn.service.js';
+
+const utc = (s) => new Date(`${s}T00:00:00Z`);
+
+describe('GSTReturnService.period', () => {
+  it('reads the portal\'s MMYYYY', () => {
+    expect(GSTReturnService.period('042025')).toEqual({
+      fp: '042025',
+      from: utc('2025-04-01'),
+      to: utc('2025-05-01'),
+    });
+  });
+
+  it('reads YYYY-MM', () => {
+    expect(GSTReturnService.period(' 2025-04 ')).toEqual({
+      fp: '042025',
+      from: utc('2025-04-01'),
+      to: utc('2025-05-01'),
+    });
+  });
+
+  it('runs December into the next year', () => {
+    expect(GSTReturnService.period('2024-12')).toEqual({
+      fp: '122024',
+      from: utc('2024-12-01'),
+      to: utc('2025-01-01'),
+    });
+  });
+
+  it.each(['132025', '2025-00', '2025-4', 'April 2025', '', undefined])(
+    'refuses %p',
+    (period) => {
+      expect(() => GSTReturnService.period(period)).toThrow(
+        /^❌ Invalid return period ".*"; use MMYYYY or YYYY-MM\.$/
+      );
+    }
+  );
+});
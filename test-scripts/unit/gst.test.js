@@ -0,0 +1,128 @@
+/**
+ * Unit tests for GST: splitting the tax into CGST + SGST or IGST, and the
+ * rate an HSN / SAC code takes on a day (tax-code master stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import GSTService from '../../services/gst.service.js';
+import { TaxCodeModel } from '../../models/taxCode.model.js';
+
+const COMPANY = '64b000000000000000000001';
+
+// what TaxCodeModel.find(...).session(...).lean() resolves to
+const masterOf = (rows) =>
+  jest.spyOn(TaxCodeModel, 'find').mockReturnValue({
+    session: () => ({ lean: async () => rows.map((r) => ({ ...r })) }),
+  });
+
+const taxCode = (code, rates, company = null) => ({
+  _id: `${code}-${company || 'global'}`,
+  codeType: 'HSN',
+  code,
+  company,
+  rates: rates.map(([from, gstPercent, taxability = 'TAXABLE']) => ({
+    effectiveFrom: new Date(from),
+    gstPercent,
+    taxability,
+    reverseCharge: false,
+  })),
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GSTService.split', () => {
+  it('splits an intra-state tax into equal CGST and SGST', () => {
+    expect(GSTService.split(180, 'INTRA')).toEqual({
+      cgst: 90,
+      sgst: 90,
+      igst: 0,
+    });
+  });
+
+  it('keeps CGST + SGST equal to the tax', () => {
+    expect(GSTService.split(10.01, 'INTRA')).toEqual({
+      cgst: 5.01,
+      sgst: 5,
+      igst: 0,
+    });
+  });
+
+  it('charges IGST across states', () => {
+    expect(GSTService.split(180, 'INTER')).toEqual({
+      cgst: 0,
+      sgst: 0,
+      igst: 180,
+    });
+  });
+
+  it('treats no amount as zero', () => {
+    expect(GSTService.split(undefined, 'INTRA')).toEqual({
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+    });
+  });
+});
+
+describe('GSTService.rateOf', () => {
+  it('takes the rate effective on the day', async () => {
+    masterOf([
+      taxCode('8471', [
+        ['2017-07-01', 28],
+        ['2025-04-01', 18],
+      ]),
+    ]);
+    const before = await GSTService.rateOf('8471', new Date('2025-03-31'));
+    const after = await GSTService.rateOf('8471', new Date('2025-04-01'));
+    expect(before.gstPercent).toBe(28);
+    expect(after).toMatchObject({
+      code: '8471',
+      gstPercent: 18,
+      taxability: 'TAXABLE',
+      reverseCharge: false,
+    });
+  });
+
+  it('looks the code up with its 6- and 4-digit headings', async () => {
+    const find = masterOf([taxCode('8471', [['2017-07-01', 18]])]);
+    const rate = await GSTService.rateOf('84713010', new Date('2025-05-01'));
+    expect(rate.code).toBe('8471');
+    expect(find.mock.calls[0][0].code).toEqual({
+      $in: ['84713010', '847130', '8471'],
+    });
+  });
+
+  it('prefers the longest code, then the company\'s own', async () => {
+    masterOf([
+      taxCode('8471', [['2017-07-01', 28]], COMPANY),
+      taxCode('847130', [['2017-07-01', 12]]),
+      taxCode('847130', [['2017-07-01', 5]], COMPANY),
+    ]);
+    const rate = await GSTService.rateOf('84713010', new Date('2025-05-01'), {
+      company: COMPANY,
+    });
+    expect(rate).toMatchObject({ code: '847130', gstPercent: 5 });
+  });
+
+  it('skips a code with no rate yet on the day', async () => {
+    masterOf([
+      taxCode('847130', [['2026-01-01', 5]]),
+      taxCode('8471', [['2017-07-01', 18]]),
+    ]);
+    const rate = await GSTService.rateOf('847130', new Date('2025-05-01'));
+    expect(rate).toMatchObject({ code: '8471', gstPercent: 18 });
+  });
+
+  it('charges nothing on exempt supplies', async () => {
+    masterOf([taxCode('0401', [['2017-07-01', 5, 'EXEMPT']])]);
+    const rate = await GSTService.rateOf('0401', new Date('2025-05-01'));
+    expect(rate).toMatchObject({ gstPercent: 0, taxability: 'EXEMPT' });
+  });
+
+  it('throws when no code has a rate', async () => {
+    masterOf([]);
+    await expect(
+      GSTService.rateOf('9999', new Date('2025-05-01'))
+    ).rejects.toThrow('❌ No GST rate for HSN / SAC 9999 on 2025-05-01.');
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for the inventory close: how FIFO / LIFO layers are used up
+ * and how a period settles its issues against its receipts.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import InventoryCostingService, {
+  takeFrom,
+} from '../../services/inventoryCosting.service.js';
+
+const day = (d) => new Date(`2025-01-${String(d).padStart(2, '0')}`);
+const receipt = (d, qty, unitCost) => ({
+  date: day(d),
+  qty,
+  value: qty * unitCost,
+  issue: false,
+  layer: { sourceType: 'PURCHASE' },
+});
+const issue = (d, qty, unitCost) => ({
+  date: day(d),
+  qty: -qty,
+  value: -qty * unitCost,
+  issue: true,
+});
+const empty = { qty: 0, value: 0, layers: [] };
+
+describe('takeFrom', () => {
+  const layers = () => [
+    { qty: 10, unitCost: 5 },
+    { qty: 10, unitCost: 7 },
+  ];
+
+  it('takes the oldest layers first under FIFO', () => {
+    const queue = layers();
+    expect(takeFrom(queue, 12, 'FIFO')).toEqual({ value: 64, short: 0 });
+    expect(queue).toEqual([{ qty: 8, unitCost: 7 }]);
+  });
+
+  it('takes the newest layers first under LIFO', () => {
+    const queue = layers();
+    expect(takeFrom(queue, 12, 'LIFO')).toEqual({ value: 80, short: 0 });
+    expect(queue).toEqual([{ qty: 8, unitCost: 5 }]);
+  });
+
+  it('reports what the layers fall short by and empties them', () => {
+    const queue = layers();
+    expect(takeFrom(queue, 25, 'FIFO')).toEqual({ value: 120, short: 5 });
+    expect(queue).toEqual([]);
+  });
+});
+
+describe('InventoryCostingService.settle', () => {
+  // 10 @ 5 and 10 @ 7 received, 12 issued at the moving average of 6
+  const moves = [receipt(2, 10, 5), receipt(5, 10, 7), issue(9, 12, 6)];
+
+  it('settles FIFO issues against the oldest receipts', () => {
+    const { line, current } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      moves,
+      day(1),
+      day(31)
+    );
+    expect(line).toMatchObject({
+      openingQty: 0,
+      receiptQty: 20,
+      receiptValue: 120,
+      issueQty: 12,
+      issueValue: 72,
+      closingQty: 8,
+      bookValue: 48,
+      settledValue: 56,
+      adjustment: 8,
+    });
+    expect(line.note).toBeUndefined();
+    expect(current).toEqual([
+      { sourceType: 'PURCHASE', qty: 8, unitCost: 7 },
+    ]);
+  });
+
+  it('settles LIFO issues against the newest receipts', () => {
+    const { line } = InventoryCostingService.settle(
+      'LIFO',
+      empty,
+      moves,
+      day(1),
+      day(31)
+    );
+    expect(line.settledValue).toBe(40);
+    expect(line.adjustment).toBe(-8);
+  });
+
+  it('settles a weighted average at the period average', () => {
+    const { line, current } = InventoryCostingService.settle(
+      'WEIGHTED_AVERAGE',
+      empty,
+      moves,
+      day(1),
+      day(31)
+    );
+    expect(line.settledValue).toBe(48);
+    expect(line.adjustment).toBe(0);
+    expect(current).toBeNull();
+  });
+
+  it('opens the period with what moved before it', () => {
+    const { line } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      moves,
+      day(5),
+      day(31)
+    );
+    expect(line).toMatchObject({
+      openingQty: 10,
+      openingValue: 50,
+      receiptQty: 10,
+      issueQty: 12,
+      settledValue: 56,
+    });
+  });
+
+  it('starts from the seed of the last close', () => {
+    const seed = {
+      qty: 5,
+      value: 20,
+      layers: [{ sourceType: 'CLOSE', qty: 5, unitCost: 4 }],
+    };
+    const { line } = InventoryCostingService.settle(
+      'FIFO',
+      seed,
+      [receipt(3, 5, 6), issue(4, 6, 5)],
+      day(1),
+      day(31)
+    );
+    // 5 @ 4 and 1 @ 6 go out; 4 @ 6 stay
+    expect(line.closingQty).toBe(4);
+    expect(line.bookValue).toBe(20);
+    expect(line.settledValue).toBe(24);
+    expect(line.adjustment).toBe(4);
+  });
+
+  it('leaves negative stock unsettled', () => {
+    const { line } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      [receipt(2, 5, 5), issue(3, 8, 5)],
+      day(1),
+      day(31)
+    );
+    expect(line.closingQty).toBe(-3);
+    expect(line.adjustment).toBe(0);
+    expect(line.note).toMatch(/Negative stock/);
+  });
+
+  it('keeps movements after the period out of the settlement', () => {
+    const { line, current } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      [...moves, receipt(20, 4, 9)],
+      day(1),
+      day(15)
+    );
+    expect(line.receiptQty).toBe(20);
+    expect(line.settledValue).toBe(56);
+    expect(current.map((l) => [l.qty, l.unitCost])).toEqual([
+      [8, 7],
+      [4, 9],
+    ]);
+  });
+
+  it('loads a charge with no quantity onto the layers on hand', () => {
+    const charge = { ...receipt(6, 0, 0), value: 40 };
+    const { line } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      [receipt(2, 10, 5), receipt(5, 10, 7), charge, issue(9, 12, 8)],
+      day(1),
+      day(31)
+    );
+    // 20 on each layer: 10 @ 7 and 2 @ 9 go out, 8 @ 9 stay
+    expect(line).toMatchObject({
+      receiptQty: 20,
+      receiptValue: 160,
+      bookValue: 64,
+      settledValue: 72,
+      adjustment: 8,
+    });
+  });
+
+  it('takes a receipt going back out of the layers', () => {
+    const { line } = InventoryCostingService.settle(
+      'FIFO',
+      empty,
+      [...moves.slice(0, 2), receipt(6, -4, 5), moves[2]],
+      day(1),
+      day(31)
+    );
+    // 6 @ 5 and 6 @ 7 go out; 4 @ 7 stay
+    expect(line).toMatchObject({
+      receiptQty: 16,
+      receiptValue: 100,
+      closingQty: 4,
+      settledValue: 28,
+    });
+    expect(line.note).toBeUndefined();
+  });
+
+  it('turns a seed without layers into one at its average cost', () => {
+    const { current } = InventoryCostingService.settle(
+      'LIFO',
+      { qty: 5, value: 20, layers: [] },
+      [],
+      day(1),
+      day(31)
+    );
+    expect(current).toEqual([{ sourceType: 'CLOSE', qty: 5, unitCost: 4 }]);
+  });
+});
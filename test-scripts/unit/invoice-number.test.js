@@ -0,0 +1,45 @@
+/**
+ * Unit tests for the format of a sales invoice number, which doubles as
+ * the e-invoice's document number.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+// the controller's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { invoiceNumberOf } = await import(
+  '../../controllers/salesorder.controller.js'
+);
+
+// the IRP's pattern for a document number
+const DOC_NO = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+
+describe('invoiceNumberOf', () => {
+  it('numbers within the financial year', () => {
+    expect(invoiceNumberOf('SINV', 1, new Date(2025, 3, 1))).toBe(
+      'SINV/2526/000001'
+    );
+    expect(invoiceNumberOf('SINV', 42, new Date(2026, 2, 31))).toBe(
+      'SINV/2526/000042'
+    );
+  });
+
+  it('runs the century over', () => {
+    expect(invoiceNumberOf('DEF', 7, new Date(2099, 5, 1))).toBe(
+      'DEF/9900/000007'
+    );
+  });
+
+  it('keeps a long or odd prefix within the IRP\'s 16 characters', () => {
+    const num = invoiceNumberOf('acme_india', 123456, new Date(2025, 6, 1));
+    expect(num).toBe('ACME/2526/123456');
+    expect(num).toMatch(DOC_NO);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for allocating landed costs: the receipt lines a landed cost
+ * covers and each charge spread over them by its basis, in paise (receipts,
+ * stock txns and items stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: LandedCostService } =
+  await import('../../services/landedCost.service.js');
+const { GoodsReceiptModel } =
+  await import('../../models/goodsReceipt.model.js');
+const { InventoryTransactionModel } =
+  await import('../../models/inventoryTransaction.model.js');
+const { ItemModel } = await import('../../models/item.model.js');
+
+const C1 = '64b000000000000000000001';
+
+const line = (over) => ({ qty: 1, value: 0, weight: 0, volume: 0, ...over });
+
+const linesOf = (lines) =>
+  jest.spyOn(LandedCostService, 'receiptLines').mockResolvedValue(lines);
+
+const receipt = (over = {}) => ({
+  _id: 'gr1',
+  grnId: 'GRN-001',
+  status: 'Posted',
+  inventTxns: ['t1', 't2'],
+  purchaseOrder: { orderNum: 'PO-1', company: C1, exchangeRate: 83 },
+  ...over,
+});
+
+/** Stub the receipts, their stock txns and the items' weight and volume. */
+const stub = (receipts) => {
+  jest.spyOn(GoodsReceiptModel, 'find').mockReturnValue({
+    populate: () => ({ session: async () => receipts }),
+  });
+  jest.spyOn(InventoryTransactionModel, 'find').mockReturnValue({
+    session: async () => [
+      { _id: 't1', sourceLine: 1, item: 'i1', qty: 10, purchasePrice: 2.5 },
+      { _id: 't2', sourceLine: 2, item: 'i2', qty: 4, purchasePrice: 10 },
+    ],
+  });
+  jest.spyOn(ItemModel, 'find').mockReturnValue({
+    select: () => ({
+      session: () => ({
+        lean: async () => [
+          { _id: 'i1', weight: 1.5, volume: 0.2 },
+          { _id: 'i2', weight: 0 },
+        ],
+      }),
+    }),
+  });
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('LandedCostService.allocate', () => {
+  it('spreads each charge by its own basis', async () => {
+    linesOf([
+      line({ qty: 10, value: 1000, weight: 30 }),
+      line({ qty: 30, value: 3000, weight: 10 }),
+    ]);
+    const lc = await LandedCostService.allocate({
+      charges: [
+        { chargeType: 'FREIGHT', basis: 'WEIGHT', amount: 400 },
+        { chargeType: 'DUTY', basis: 'VALUE', amount: 200 },
+        { chargeType: 'HANDLING', basis: 'QUANTITY', amount: 80 },
+      ],
+    });
+    expect(lc.totalAmount).toBe(680);
+    expect(lc.allocations.map((l) => l.shares)).toEqual([
+      [
+        { chargeType: 'FREIGHT', amount: 300 },
+        { chargeType: 'DUTY', amount: 50 },
+        { chargeType: 'HANDLING', amount: 20 },
+      ],
+      [
+        { chargeType: 'FREIGHT', amount: 100 },
+        { chargeType: 'DUTY', amount: 150 },
+        { chargeType: 'HANDLING', amount: 60 },
+      ],
+    ]);
+    expect(lc.allocations.map((l) => l.amount)).toEqual([370, 310]);
+  });
+
+  it('gives the rounding to the last line that shares', async () => {
+    linesOf([line({ qty: 1 }), line({ qty: 1 }), line({ qty: 1 })]);
+    const lc = await LandedCostService.allocate({
+      charges: [{ chargeType: 'FREIGHT', basis: 'QUANTITY', amount: 100 }],
+    });
+    expect(lc.allocations.map((l) => l.amount)).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  it('leaves lines without the basis out', async () => {
+    linesOf([line({ weight: 5 }), line({ weight: 7 }), line({ weight: 0 })]);
+    const lc = await LandedCostService.allocate({
+      charges: [{ chargeType: 'FREIGHT', basis: 'WEIGHT', amount: 10 }],
+    });
+    expect(lc.allocations.map((l) => l.amount)).toEqual([4.17, 5.83, 0]);
+  });
+
+  it('refuses a basis none of the lines has', async () => {
+    linesOf([line({ volume: 0 })]);
+    await expect(
+      LandedCostService.allocate({
+        charges: [{ chargeType: 'FREIGHT', basis: 'VOLUME', amount: 10 }],
+      })
+    ).rejects.toThrow(
+      '❌ Cannot allocate FREIGHT by VOLUME: the receipt lines have none.'
+    );
+  });
+});
+
+describe('LandedCostService.receiptLines', () => {
+  it('values the stock lines in INR and weighs them', async () => {
+    stub([receipt()]);
+    const lines = await LandedCostService.receiptLines({
+      company: C1,
+      receipts: ['gr1'],
+    });
+    expect(lines).toEqual([
+      expect.objectContaining({
+        grnId: 'GRN-001',
+        inventTxn: 't1',
+        lineNum: 1,
+        qty: 10,
+        value: 2075,
+        weight: 15,
+        volume: 2,
+      }),
+      expect.objectContaining({
+        inventTxn: 't2',
+        qty: 4,
+        value: 3320,
+        weight: 0,
+        volume: 0,
+      }),
+    ]);
+  });
+
+  it('takes posted receipts only', async () => {
+    stub([receipt({ status: 'Draft' })]);
+    await expect(
+      LandedCostService.receiptLines({ receipts: ['gr1'] })
+    ).rejects.toThrow(
+      '❌ Goods receipt GRN-001 is Draft; only posted receipts carry landed costs.'
+    );
+  });
+
+  it('takes the landed cost\'s company\'s receipts only', async () => {
+    stub([receipt()]);
+    await expect(
+      LandedCostService.receiptLines({
+        company: '64b000000000000000000002',
+        receipts: ['gr1'],
+      })
+    ).rejects.toThrow('❌ Goods receipt GRN-001 belongs to another company.');
+  });
+
+  it('names a receipt that is not there', async () => {
+    stub([]);
+    await expect(
+      LandedCostService.receiptLines({ receipts: ['gr9'] })
+    ).rejects.toThrow('❌ Goods receipt gr9 not found.');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for picking the ledger account a posting type goes to: the
+ * most specific usable mapping wins, then the lowest priority (mappings
+ * stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import PostingProfileService from '../../services/postingProfile.service.js';
+import { PostingProfileModel } from '../../models/postingProfile.model.js';
+
+const COMPANY = '64b000000000000000000001';
+const PENS = '64b0000000000000000000c1';
+const RETAIL = '64b0000000000000000000d1';
+
+const account = (accountCode, over = {}) => ({
+  _id: `acct-${accountCode}`,
+  accountCode,
+  isLeaf: true,
+  isArchived: false,
+  ...over,
+});
+
+const mapping = (code, over = {}) => ({
+  account: account(code),
+  company: null,
+  site: null,
+  itemGroup: null,
+  partyGroup: null,
+  priority: 10,
+  ...over,
+});
+
+const mappings = (rows) =>
+  jest.spyOn(PostingProfileModel, 'find').mockReturnValue({
+    populate: () => ({ session: async () => rows }),
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PostingProfileService.resolve', () => {
+  it('prefers an item group over a party group over the company', async () => {
+    mappings([
+      mapping('4000'),
+      mapping('4100', { company: COMPANY }),
+      mapping('4200', { partyGroup: RETAIL, company: COMPANY }),
+      mapping('4300', { itemGroup: PENS }),
+    ]);
+    const acct = await PostingProfileService.resolve('SALES_REVENUE', {
+      company: COMPANY,
+      itemGroups: [PENS],
+      partyGroups: [RETAIL],
+    });
+    expect(acct.accountCode).toBe('4300');
+  });
+
+  it('asks only for mappings that fit the context or are global', async () => {
+    const find = mappings([mapping('4000')]);
+    await PostingProfileService.resolve('SALES_REVENUE', {
+      company: { _id: COMPANY },
+      itemGroups: [{ _id: PENS }, null],
+    });
+    expect(find.mock.calls[0][0]).toEqual({
+      postingType: 'SALES_REVENUE',
+      active: true,
+      company: { $in: [COMPANY, null] },
+      site: { $in: [null, null] },
+      itemGroup: { $in: [PENS, null] },
+      partyGroup: { $in: [null] },
+    });
+  });
+
+  it('breaks a tie on priority', async () => {
+    mappings([
+      mapping('4000', { priority: 5 }),
+      mapping('4100', { priority: 1 }),
+    ]);
+    const acct = await PostingProfileService.resolve('SALES_REVENUE');
+    expect(acct.accountCode).toBe('4100');
+  });
+
+  it('refuses two equally good mappings to different accounts', async () => {
+    mappings([mapping('4000'), mapping('4100')]);
+    await expect(
+      PostingProfileService.resolve('SALES_REVENUE', { label: 'SO-1' })
+    ).rejects.toThrow(
+      '❌ Posting profiles for SALES_REVENUE on SO-1 point to both 4000 and 4100; give one of them a lower priority.'
+    );
+  });
+
+  it('skips archived and non-leaf accounts', async () => {
+    mappings([
+      mapping('4000', { account: account('4000', { isArchived: true }) }),
+      mapping('4100', { account: account('4100', { isLeaf: false }) }),
+    ]);
+    await expect(
+      PostingProfileService.resolve('SALES_REVENUE', {
+        company: COMPANY,
+        partyGroups: [RETAIL],
+        partyKind: 'vendor',
+        label: 'PO-1',
+      })
+    ).rejects.toThrow(
+      `❌ No posting profile maps SALES_REVENUE for PO-1 (company ${COMPANY}, vendor groups ${RETAIL}). Add one under /fms/api/v0/posting-profiles.`
+    );
+  });
+});
+
+describe('PostingProfileService.resolver', () => {
+  it('looks each combination up once per run', async () => {
+    const resolve = jest
+      .spyOn(PostingProfileService, 'resolve')
+      .mockResolvedValue(account('4000'));
+    const lookup = PostingProfileService.resolver('session');
+    await lookup('COGS', { itemGroups: ['b', 'a'] });
+    await lookup('COGS', { itemGroups: ['a', 'b'] });
+    await lookup('INVENTORY', { itemGroups: ['a', 'b'] });
+    expect(resolve).toHaveBeenCalledTimes(2);
+    expect(resolve).toHaveBeenCalledWith(
+      'COGS',
+      { itemGroups: ['b', 'a'] },
+      'session'
+    );
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for matching a vendor invoice: three-way against the goods
+ * receipts, two-way against the order, within the vendor's tolerances
+ * (stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import PurchaseMatchService from '../../services/purchaseMatch.service.js';
+
+const order = (over = {}) => ({
+  company: 'C1',
+  vendor: 'V1',
+  quantity: 100,
+  receivedQty: 80,
+  price: 50,
+  ...over,
+});
+
+const tolerance = (qtyPercent, pricePercent) =>
+  jest
+    .spyOn(PurchaseMatchService, 'toleranceFor')
+    .mockResolvedValue({ qtyPercent, pricePercent });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PurchaseMatchService.variance', () => {
+  it('is the difference in % of what was expected', () => {
+    expect(PurchaseMatchService.variance(82, 80)).toBe(2.5);
+    expect(PurchaseMatchService.variance(78, 80)).toBe(2.5);
+  });
+
+  it('is 100% for anything against nothing', () => {
+    expect(PurchaseMatchService.variance(5, 0)).toBe(100);
+    expect(PurchaseMatchService.variance(0, 0)).toBe(0);
+  });
+});
+
+describe('PurchaseMatchService.match', () => {
+  it('defaults the invoice to the received quantity at the PO price', async () => {
+    tolerance(0, 0);
+    const match = await PurchaseMatchService.match(order());
+    expect(match).toMatchObject({
+      status: 'MATCHED',
+      orderedQty: 100,
+      receivedQty: 80,
+      orderPrice: 50,
+      invoiceQty: 80,
+      invoicePrice: 50,
+      qtyVariance: 0,
+      priceVariance: 0,
+      reasons: [],
+    });
+  });
+
+  it('matches three-way against what was received', async () => {
+    tolerance(2, 1);
+    const match = await PurchaseMatchService.match(order(), {
+      quantity: 81,
+      price: 50.4,
+      vendorInvoiceNum: 'INV-7',
+    });
+    expect(match).toMatchObject({
+      status: 'MATCHED',
+      vendorInvoiceNum: 'INV-7',
+      qtyVariance: 1.25,
+      priceVariance: 0.8,
+      qtyTolerance: 2,
+      priceTolerance: 1,
+    });
+  });
+
+  it('holds an invoice outside the tolerances, with the reasons', async () => {
+    tolerance(2, 1);
+    const match = await PurchaseMatchService.match(order(), {
+      quantity: 90,
+      price: 52,
+    });
+    expect(match.status).toBe('HELD');
+    expect(match.reasons).toEqual([
+      'Invoiced quantity 90 is 12.5% off the received 80 (tolerance 2%).',
+      'Invoiced price 52 is 4% off the PO price 50 (tolerance 1%).',
+    ]);
+  });
+
+  it('matches two-way against the order before any receipt', async () => {
+    tolerance(0, 0);
+    const match = await PurchaseMatchService.match(order({ receivedQty: 0 }), {
+      quantity: 90,
+    });
+    expect(match.status).toBe('HELD');
+    expect(match.reasons[0]).toBe(
+      'Invoiced quantity 90 is 10% off the ordered 100 (tolerance 0%).'
+    );
+  });
+
+  it('looks the tolerance up for the order\'s company and vendor', async () => {
+    const lookup = tolerance(0, 0);
+    await PurchaseMatchService.match(order(), {}, 'session');
+    expect(lookup).toHaveBeenCalledWith('C1', 'V1', 'session');
+  });
+
+  it('refuses a quantity that is not positive', async () => {
+    tolerance(0, 0);
+    await expect(
+      PurchaseMatchService.match(order(), { quantity: 0 })
+    ).rejects.toThrow('❌ The invoiced quantity must be positive.');
+  });
+
+  it('refuses a negative price', async () => {
+    tolerance(0, 0);
+    await expect(
+      PurchaseMatchService.match(order(), { price: -1 })
+    ).rejects.toThrow('❌ The invoiced price cannot be negative.');
+  });
+});
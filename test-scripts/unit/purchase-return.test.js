@@ -0,0 +1,218 @@
+/**
+ * Unit tests for purchase returns: checking a return against its original
+ * order and goods receipt lot by lot, the cost each lot goes back at and
+ * the returned quantity on the original (orders and stock txns stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: PurchaseReturnService } =
+  await import('../../services/purchaseReturn.service.js');
+const { PurchaseOrderModel } =
+  await import('../../models/purchaseorder.model.js');
+const { GoodsReceiptModel } =
+  await import('../../models/goodsReceipt.model.js');
+const { InventoryTransactionModel } =
+  await import('../../models/inventoryTransaction.model.js');
+
+const original = (over = {}) => ({
+  _id: 'po1',
+  orderNum: 'PO-001',
+  orderType: 'Purchase',
+  vendor: 'v1',
+  item: 'i1',
+  currency: 'INR',
+  returnedQty: 0,
+  save: jest.fn(async () => {}),
+  ...over,
+});
+
+const ret = (over = {}) => ({
+  _id: 'rt1',
+  vendor: 'v1',
+  item: 'i1',
+  currency: 'INR',
+  quantity: 4,
+  returnOf: { purchaseOrder: 'po1' },
+  ...over,
+});
+
+const lot = (batch, qty, value) => [
+  `${batch || ''}|`,
+  { batch, serial: null, qty, value },
+];
+
+/** Stub the original, what came in on it and what went back before. */
+const stub = ({ po = original(), received = [], returned = [] } = {}) => {
+  jest
+    .spyOn(PurchaseOrderModel, 'findById')
+    .mockReturnValue({ session: async () => po });
+  jest
+    .spyOn(PurchaseReturnService, 'receivedLots')
+    .mockResolvedValue(new Map(received));
+  return jest
+    .spyOn(PurchaseReturnService, 'returnedLots')
+    .mockResolvedValue(new Map(returned));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PurchaseReturnService.resolve', () => {
+  it('returns an untracked order as one lot at its receipt cost', async () => {
+    stub({ received: [lot(null, 10, 1005)] });
+    const { lots } = await PurchaseReturnService.resolve(ret());
+    expect(lots).toEqual([
+      { batch: null, serial: null, quantity: 4, costPrice: 100.5 },
+    ]);
+  });
+
+  it('counts what earlier returns sent back', async () => {
+    stub({ received: [lot(null, 10, 1000)], returned: [['|', 7]] });
+    await expect(PurchaseReturnService.resolve(ret())).rejects.toThrow(
+      'Returning 4 exceeds the 3 received on PO-001 and not yet returned.'
+    );
+  });
+
+  it('returns tracked lots one by one', async () => {
+    stub({ received: [lot('B1', 5, 500), lot('B2', 5, 550)] });
+    const { lots } = await PurchaseReturnService.resolve(
+      ret({
+        returnOf: {
+          purchaseOrder: 'po1',
+          lots: [
+            { batch: 'B1', quantity: 1 },
+            { batch: 'B2', quantity: 2 },
+            { batch: 'B1', quantity: 1 },
+          ],
+        },
+      })
+    );
+    expect(lots).toEqual([
+      { batch: 'B1', serial: null, quantity: 2, costPrice: 100 },
+      { batch: 'B2', serial: null, quantity: 2, costPrice: 110 },
+    ]);
+  });
+
+  it('names the lot that was not received', async () => {
+    stub({ received: [lot('B1', 5, 500)] });
+    await expect(
+      PurchaseReturnService.resolve(ret({ batch: 'B9' }))
+    ).rejects.toThrow(
+      'Returning 4 of batch B9 exceeds the 0 received on PO-001 and not yet returned.'
+    );
+  });
+
+  it('needs the lots of a tracked order', async () => {
+    stub({ received: [lot('B1', 5, 500)] });
+    await expect(PurchaseReturnService.resolve(ret())).rejects.toThrow(
+      'Purchase order PO-001 was received by batch / serial; name the lots being returned.'
+    );
+  });
+
+  it('needs the lots to add up to the return quantity', async () => {
+    stub({ received: [lot('B1', 5, 500)] });
+    await expect(
+      PurchaseReturnService.resolve(
+        ret({
+          returnOf: {
+            purchaseOrder: 'po1',
+            lots: [{ batch: 'B1', quantity: 3 }],
+          },
+        })
+      )
+    ).rejects.toThrow(
+      'The returned lots add up to 3, not the return quantity 4.'
+    );
+  });
+
+  it('also checks against the goods receipt it names', async () => {
+    const returned = stub({ received: [lot(null, 10, 1000)] });
+    const receipt = {
+      _id: 'gr1',
+      grnId: 'GRN-001',
+      purchaseOrder: 'po1',
+      status: 'Posted',
+    };
+    jest
+      .spyOn(GoodsReceiptModel, 'findById')
+      .mockReturnValue({ session: async () => receipt });
+    PurchaseReturnService.receivedLots
+      .mockResolvedValueOnce(new Map([lot(null, 10, 1000)]))
+      .mockResolvedValueOnce(new Map([lot(null, 3, 300)]));
+
+    await expect(
+      PurchaseReturnService.resolve(
+        ret({ returnOf: { purchaseOrder: 'po1', goodsReceipt: 'gr1' } })
+      )
+    ).rejects.toThrow(
+      'Returning 4 exceeds the 3 received on GRN-001 and not yet returned.'
+    );
+    expect(returned.mock.calls.map((c) => c[1])).toEqual([null, receipt]);
+  });
+
+  it('refuses another vendor, item or currency', async () => {
+    stub();
+    await expect(
+      PurchaseReturnService.resolve(ret({ vendor: 'v2' }))
+    ).rejects.toThrow(
+      'Original purchase order PO-001 belongs to another vendor.'
+    );
+    await expect(
+      PurchaseReturnService.resolve(ret({ item: 'i2' }))
+    ).rejects.toThrow('The item differs from that of purchase order PO-001.');
+    await expect(
+      PurchaseReturnService.resolve(ret({ currency: 'USD' }))
+    ).rejects.toThrow('A return must be in INR, the currency of PO-001.');
+  });
+
+  it('refuses to return a return', async () => {
+    stub({ po: original({ orderType: 'Return' }) });
+    await expect(PurchaseReturnService.resolve(ret())).rejects.toThrow(
+      'Original purchase order po1 not found.'
+    );
+  });
+});
+
+describe('PurchaseReturnService.receivedLots', () => {
+  it('nets receipt reversals per lot at the receipt cost', async () => {
+    const find = jest.spyOn(InventoryTransactionModel, 'find').mockReturnValue({
+      session: async () => [
+        { qty: 6, purchasePrice: 100, dims: { batch: 'B1' } },
+        { qty: 4, purchasePrice: 120, dims: { batch: 'B1' } },
+        { qty: -2, purchasePrice: 100, dims: { batch: 'B1' } },
+        { qty: 3, purchasePrice: 50, dims: { batch: 'B2' } },
+      ],
+    });
+    const lots = await PurchaseReturnService.receivedLots(original(), {
+      inventTxns: ['t1'],
+    });
+    expect([...lots.values()]).toEqual([
+      { batch: 'B1', serial: null, qty: 8, value: 880 },
+      { batch: 'B2', serial: null, qty: 3, value: 150 },
+    ]);
+    expect(find.mock.calls[0][0]._id).toEqual({ $in: ['t1'] });
+  });
+});
+
+describe('PurchaseReturnService.recordReturned', () => {
+  it('moves the quantity onto and back off the original', async () => {
+    const po = original({ returnedQty: 2 });
+    jest
+      .spyOn(PurchaseOrderModel, 'findById')
+      .mockReturnValue({ session: async () => po });
+    await PurchaseReturnService.recordReturned(ret(), 's');
+    expect(po.returnedQty).toBe(6);
+    await PurchaseReturnService.recordReturned(ret({ quantity: 10 }), 's', -1);
+    expect(po.returnedQty).toBe(0);
+    expect(po.save).toHaveBeenCalledWith({ session: 's' });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for planning how a customer receipt settles open invoices:
+ * FIFO by due date, or the amounts the user gives (orders stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the order model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: ReceiptAllocationService } =
+  await import('../../services/receiptAllocation.service.js');
+const { SalesOrderModel } = await import('../../models/salesorder.model.js');
+
+const CUSTOMER = '64b0000000000000000000a1';
+const RECEIPT = { customer: CUSTOMER, currency: 'INR' };
+
+const invoice = (id, netPaymentDue, over = {}) => ({
+  _id: id,
+  orderNum: `SO-${id}`,
+  invoiceNum: `SINV/2526/00000${id}`,
+  customer: CUSTOMER,
+  status: 'Invoiced',
+  currency: 'INR',
+  netPaymentDue,
+  ...over,
+});
+
+const amounts = (planned) =>
+  planned.map(({ order, amount }) => [order._id, amount]);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('ReceiptAllocationService.plan (FIFO)', () => {
+  const open = (rows) =>
+    jest
+      .spyOn(ReceiptAllocationService, 'openInvoices')
+      .mockResolvedValue(rows);
+
+  it('settles the oldest invoices first', async () => {
+    const lookup = open([invoice(1, 300), invoice(2, 500), invoice(3, 100)]);
+    const planned = await ReceiptAllocationService.plan(
+      RECEIPT,
+      650.5,
+      {},
+      'session'
+    );
+    expect(amounts(planned)).toEqual([
+      [1, 300],
+      [2, 350.5],
+    ]);
+    expect(lookup).toHaveBeenCalledWith(CUSTOMER, 'INR', 'session');
+  });
+
+  it('leaves what the invoices do not take on account', async () => {
+    open([invoice(1, 300)]);
+    const planned = await ReceiptAllocationService.plan(RECEIPT, 1000, {});
+    expect(amounts(planned)).toEqual([[1, 300]]);
+  });
+});
+
+describe('ReceiptAllocationService.plan (MANUAL)', () => {
+  const orders = (...rows) =>
+    jest.spyOn(SalesOrderModel, 'findById').mockImplementation((id) => ({
+      session: async () => rows.find((r) => String(r._id) === String(id)),
+    }));
+  const manual = (allocations, available = 1000) =>
+    ReceiptAllocationService.plan(RECEIPT, available, {
+      method: 'MANUAL',
+      allocations,
+    });
+
+  it('takes the amounts given, and the rest of an order without one', async () => {
+    orders(invoice(1, 300), invoice(2, 900));
+    const planned = await manual([
+      { salesOrderId: 1, amount: 200 },
+      { salesOrderId: 2 },
+    ]);
+    expect(amounts(planned)).toEqual([
+      [1, 200],
+      [2, 800],
+    ]);
+  });
+
+  it('refuses more than the order has due', async () => {
+    orders(invoice(1, 300));
+    await expect(manual([{ salesOrderId: 1, amount: 301 }])).rejects.toThrow(
+      'Allocation 301 to SINV/2526/000001 exceeds its amount due 300.'
+    );
+  });
+
+  it('refuses more than the receipt has left', async () => {
+    orders(invoice(1, 300), invoice(2, 300));
+    await expect(
+      manual(
+        [
+          { salesOrderId: 1, amount: 300 },
+          { salesOrderId: 2, amount: 100 },
+        ],
+        350
+      )
+    ).rejects.toThrow('Allocations exceed the 50 available on the receipt.');
+  });
+
+  it.each([
+    [{ customer: '64b0000000000000000000a2' }, 'belongs to another customer.'],
+    [{ status: 'Confirmed' }, 'is not invoiced.'],
+    [{ currency: 'USD' }, 'is in USD, the receipt in INR.'],
+  ])('refuses an order with %p', async (over, message) => {
+    orders(invoice(1, 300, over));
+    await expect(manual([{ salesOrderId: 1, amount: 10 }])).rejects.toThrow(
+      `SINV/2526/000001 ${message}`
+    );
+  });
+
+  it('refuses an amount that is not positive and an unknown method', async () => {
+    orders(invoice(1, 300));
+    await expect(manual([{ salesOrderId: 1, amount: 0 }])).rejects.toThrow(
+      'Allocation to SINV/2526/000001 must be positive.'
+    );
+    await expect(
+      ReceiptAllocationService.plan(RECEIPT, 10, { method: 'LIFO' })
+    ).rejects.toThrow('allocationMethod must be FIFO or MANUAL.');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the schedule of a recurring GL journal: its cron
+ * expression and the next run within the start and end dates.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+// the journal models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: RecurringJournalService } =
+  await import('../../services/recurringJournal.service.js');
+
+const def = (schedule, over = {}) => ({
+  startDate: new Date('2025-04-01T00:00:00Z'),
+  endDate: new Date('2026-03-31T23:59:59Z'),
+  schedule: { timezone: 'UTC', ...schedule },
+  ...over,
+});
+
+describe('RecurringJournalService.cronFor', () => {
+  it('runs monthly on the day at the hour', () => {
+    expect(
+      RecurringJournalService.cronFor(
+        def({ frequency: 'MONTHLY', dayOfMonth: 5, hour: 6 })
+      )
+    ).toBe('0 6 5 * *');
+  });
+
+  it('runs days 29 to 31 on the last day of the month', () => {
+    expect(
+      RecurringJournalService.cronFor(
+        def({ frequency: 'MONTHLY', dayOfMonth: 31 })
+      )
+    ).toBe('0 2 L * *');
+  });
+
+  it('counts quarters from the start month', () => {
+    expect(
+      RecurringJournalService.cronFor(
+        def(
+          { frequency: 'QUARTERLY', dayOfMonth: 1 },
+          { startDate: new Date(2025, 4, 15) }
+        )
+      )
+    ).toBe('0 2 1 2,5,8,11 *');
+  });
+
+  it('takes a cron expression as it is', () => {
+    expect(
+      RecurringJournalService.cronFor(
+        def({ frequency: 'CRON', cron: '0 9 * * 1' })
+      )
+    ).toBe('0 9 * * 1');
+  });
+});
+
+describe('RecurringJournalService.validateSchedule', () => {
+  it('refuses what cron cannot read', () => {
+    expect(() =>
+      RecurringJournalService.validateSchedule(
+        def({ frequency: 'CRON', cron: 'every monday' })
+      )
+    ).toThrow(/^❌ Invalid schedule: /);
+    expect(() =>
+      RecurringJournalService.validateSchedule(def({ frequency: 'MONTHLY' }))
+    ).not.toThrow();
+  });
+});
+
+describe('RecurringJournalService.nextRun', () => {
+  const monthEnd = def({ frequency: 'MONTHLY', dayOfMonth: 31, hour: 0 });
+
+  it('starts no earlier than the start date', () => {
+    expect(
+      RecurringJournalService.nextRun(
+        monthEnd,
+        new Date('2024-01-01T00:00:00Z')
+      )
+    ).toEqual(new Date('2025-04-30T00:00:00Z'));
+  });
+
+  it('does not skip short months', () => {
+    expect(
+      RecurringJournalService.nextRun(
+        monthEnd,
+        new Date('2026-01-31T00:00:00Z')
+      )
+    ).toEqual(new Date('2026-02-28T00:00:00Z'));
+  });
+
+  it('is null once the end date is passed', () => {
+    expect(
+      RecurringJournalService.nextRun(
+        monthEnd,
+        new Date('2026-03-31T00:00:00Z')
+      )
+    ).toBeNull();
+  });
+
+  it('includes a run at the start date itself', () => {
+    expect(
+      RecurringJournalService.nextRun(
+        def({ frequency: 'MONTHLY', dayOfMonth: 1, hour: 0 }),
+        new Date('2025-01-01T00:00:00Z')
+      )
+    ).toEqual(new Date('2025-04-01T00:00:00Z'));
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for RFQs: capturing quotes, comparing them in the company's
+ * currency and awarding the winner as a purchase order (vendors, rates,
+ * requisitions and orders stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: RFQService } = await import('../../services/rfq.service.js');
+const { default: ExchangeRateService } =
+  await import('../../services/exchangeRate.service.js');
+const { VendorModel } = await import('../../models/vendor.model.js');
+const { PurchaseRequisitionModel } =
+  await import('../../models/purchaseRequisition.model.js');
+const { PurchaseOrderModel } =
+  await import('../../models/purchaseorder.model.js');
+
+const AT = new Date('2025-06-01');
+const RATES = { INR: 1, USD: 83 };
+
+const quote = (vendor, over = {}) => ({
+  vendor,
+  status: 'QUOTED',
+  price: 100,
+  currency: 'INR',
+  discount: 0,
+  charges: 0,
+  leadTimeDays: 10,
+  quotedAt: AT,
+  ...over,
+});
+
+const rfq = (vendors, over = {}) => ({
+  _id: 'rfq1',
+  rfqNum: 'RFQ-001',
+  company: 'C1',
+  item: 'i1',
+  quantity: 10,
+  status: 'Sent',
+  requisition: 'pr1',
+  vendors,
+  vendorRow(id) {
+    return this.vendors.find((r) => r.vendor === id);
+  },
+  save: jest.fn(async () => {}),
+  ...over,
+});
+
+const vendorsOf = () =>
+  jest.spyOn(VendorModel, 'find').mockReturnValue({
+    select: () => ({
+      lean: async () => [
+        { _id: 'v1', code: 'V1', name: 'Acme' },
+        { _id: 'v2', code: 'V2', name: 'Globex' },
+      ],
+    }),
+  });
+
+const ratesOf = () =>
+  jest
+    .spyOn(ExchangeRateService, 'rateFor')
+    .mockImplementation(async (currency) => RATES[currency]);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('RFQService.quoteTotal', () => {
+  it('takes off the discount and adds the charges', () => {
+    expect(
+      RFQService.quoteTotal({ price: 12.5, discount: 10, charges: 40 }, 8)
+    ).toBe(130);
+  });
+});
+
+describe('RFQService.recordQuote', () => {
+  it('takes a quote from an invited vendor', () => {
+    const r = rfq([{ vendor: 'v1', status: 'SENT' }]);
+    const row = RFQService.recordQuote(r, 'v1', {
+      price: 95,
+      leadTimeDays: 7,
+      currency: 'USD',
+    });
+    expect(row).toMatchObject({
+      status: 'QUOTED',
+      price: 95,
+      leadTimeDays: 7,
+      currency: 'USD',
+    });
+    expect(row.quotedAt).toBeInstanceOf(Date);
+  });
+
+  it('records a refusal without a price', () => {
+    const r = rfq([{ vendor: 'v1', status: 'SENT', price: 90 }]);
+    const row = RFQService.recordQuote(r, 'v1', {
+      declined: true,
+      remarks: 'Out of stock',
+    });
+    expect(row).toMatchObject({
+      status: 'DECLINED',
+      price: null,
+      remarks: 'Out of stock',
+    });
+  });
+
+  it('refuses vendors not invited, RFQs not sent and partial quotes', () => {
+    const r = rfq([{ vendor: 'v1', status: 'SENT' }]);
+    expect(() =>
+      RFQService.recordQuote(r, 'v9', { price: 1, leadTimeDays: 1 })
+    ).toThrow('❌ Vendor v9 was not invited to RFQ RFQ-001.');
+    expect(() => RFQService.recordQuote(r, 'v1', { price: 1 })).toThrow(
+      '❌ A quote needs a price and a lead time.'
+    );
+    expect(() =>
+      RFQService.recordQuote(rfq([], { status: 'Draft' }), 'v1', {})
+    ).toThrow('❌ RFQ RFQ-001 is Draft; quotes are taken on Sent RFQs.');
+  });
+});
+
+describe('RFQService.compare', () => {
+  it('ranks the quotes by their total in the company\'s currency', async () => {
+    vendorsOf();
+    ratesOf();
+    const cmp = await RFQService.compare(
+      rfq([
+        quote('v1', { price: 1000 }),
+        quote('v2', { price: 12, currency: 'USD', leadTimeDays: 5 }),
+        { vendor: 'v3', status: 'SENT' },
+      ]),
+      AT
+    );
+    expect(cmp.quotes).toEqual([
+      expect.objectContaining({
+        vendor: 'v2',
+        vendorName: 'Globex',
+        total: 120,
+        totalBase: 9960,
+        unitPriceBase: 996,
+        exchangeRate: 83,
+        rank: 1,
+        cheapest: true,
+        fastest: true,
+      }),
+      expect.objectContaining({
+        vendor: 'v1',
+        totalBase: 10000,
+        rank: 2,
+        cheapest: false,
+        fastest: false,
+      }),
+      {
+        vendor: 'v3',
+        vendorCode: undefined,
+        vendorName: undefined,
+        status: 'SENT',
+        sentAt: undefined,
+      },
+    ]);
+  });
+
+  it('breaks a tie on the shorter lead time', async () => {
+    vendorsOf();
+    ratesOf();
+    const cmp = await RFQService.compare(
+      rfq([quote('v1'), quote('v2', { leadTimeDays: 3 })]),
+      AT
+    );
+    expect(cmp.quotes.map((q) => [q.vendor, q.rank, q.cheapest])).toEqual([
+      ['v2', 1, true],
+      ['v1', 2, true],
+    ]);
+  });
+
+  it('flags expired quotes and lead times past the required date', async () => {
+    vendorsOf();
+    ratesOf();
+    const cmp = await RFQService.compare(
+      rfq(
+        [
+          quote('v1', { validUntil: new Date('2025-05-31'), leadTimeDays: 20 }),
+          quote('v2', { validUntil: new Date('2025-06-30'), leadTimeDays: 5 }),
+        ],
+        { requiredBy: new Date('2025-06-10') }
+      ),
+      AT
+    );
+    expect(
+      cmp.quotes.map(({ vendor, expired, late }) => [vendor, expired, late])
+    ).toEqual([
+      ['v2', false, false],
+      ['v1', true, true],
+    ]);
+  });
+});
+
+describe('RFQService.award', () => {
+  const requisition = () => ({
+    _id: 'pr1',
+    transition: jest.fn(),
+    save: jest.fn(async () => {}),
+  });
+
+  /** Stub the requisition, the vendor's terms and the new order. */
+  const stub = (req) => {
+    jest
+      .spyOn(PurchaseRequisitionModel, 'findById')
+      .mockReturnValue({ session: async () => req });
+    jest.spyOn(VendorModel, 'findById').mockReturnValue({
+      select: () => ({ session: async () => ({ paymentTerms: 'NET30' }) }),
+    });
+    return jest
+      .spyOn(PurchaseOrderModel, 'create')
+      .mockImplementation(async ([po]) => [{ _id: 'po1', ...po }]);
+  };
+
+  it('raises the order at the quoted terms and links it', async () => {
+    const req = requisition();
+    const create = stub(req);
+    const r = rfq([quote('v1', { price: 95, discount: 5, charges: 20 })]);
+    const order = await RFQService.award(
+      r,
+      'v1',
+      { remarks: 'Urgent', price: 1, vendor: 'v9' },
+      'buyer'
+    );
+
+    expect(create.mock.calls[0][0][0]).toMatchObject({
+      paymentTerms: 'NET30',
+      remarks: 'Urgent',
+      company: 'C1',
+      vendor: 'v1',
+      item: 'i1',
+      quantity: 10,
+      price: 95,
+      discount: 5,
+      charges: 20,
+      requisition: 'pr1',
+      rfq: 'rfq1',
+      createdBy: 'buyer',
+    });
+    expect(r).toMatchObject({
+      status: 'Awarded',
+      awardedVendor: 'v1',
+      purchaseOrder: order._id,
+    });
+    expect(req.transition).toHaveBeenCalledWith('Ordered');
+    expect(req.purchaseOrder).toBe('po1');
+  });
+
+  it('refuses an expired quote', async () => {
+    stub(requisition());
+    await expect(
+      RFQService.award(
+        rfq([quote('v1', { validUntil: new Date('2020-01-31') })]),
+        'v1'
+      )
+    ).rejects.toThrow(
+      '❌ The quote expired on 2020-01-31; ask the vendor to renew it.'
+    );
+  });
+
+  it('refuses a vendor without a quote', async () => {
+    await expect(
+      RFQService.award(rfq([{ vendor: 'v1', status: 'DECLINED' }]), 'v1')
+    ).rejects.toThrow('❌ Vendor v1 has no quote on RFQ RFQ-001.');
+  });
+});
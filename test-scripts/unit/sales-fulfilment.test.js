@@ -0,0 +1,159 @@
+/**
+ * Unit tests for partial shipments and deliveries: the status an order's
+ * line quantities imply, what a shipment may still take from each line and
+ * the share of a line's amounts a partial move carries.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+// the order model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { deriveFulfilmentStatus } =
+  await import('../../models/salesorder.model.js');
+const { checkOpenQty } =
+  await import('../../controllers/salesShipment.controller.js');
+const { default: SalesStockService } =
+  await import('../../services/salesStock.service.js');
+
+const line = (quantity, shippedQty = 0, deliveredQty = 0, invoicedQty = 0) => ({
+  quantity,
+  shippedQty,
+  deliveredQty,
+  invoicedQty,
+});
+
+describe('deriveFulfilmentStatus', () => {
+  it('stays Confirmed until something moves', () => {
+    expect(deriveFulfilmentStatus([line(5), line(3)])).toBe('Confirmed');
+    expect(deriveFulfilmentStatus([])).toBe('Confirmed');
+  });
+
+  it('is partially shipped until every line is shipped', () => {
+    expect(deriveFulfilmentStatus([line(5, 5), line(3)])).toBe(
+      'PartiallyShipped'
+    );
+    expect(deriveFulfilmentStatus([line(5, 5), line(3, 3)])).toBe('Shipped');
+  });
+
+  it('puts delivery over shipment', () => {
+    expect(deriveFulfilmentStatus([line(5, 5, 2), line(3, 3)])).toBe(
+      'PartiallyDelivered'
+    );
+    expect(deriveFulfilmentStatus([line(5, 5, 5), line(3, 3, 3)])).toBe(
+      'Delivered'
+    );
+  });
+
+  it('puts invoicing over delivery', () => {
+    expect(deriveFulfilmentStatus([line(5, 5, 5, 5), line(3, 3, 3)])).toBe(
+      'PartiallyInvoiced'
+    );
+    expect(deriveFulfilmentStatus([line(5, 5, 5, 5), line(3, 3, 3, 3)])).toBe(
+      'Invoiced'
+    );
+  });
+
+  it('ignores lines with nothing ordered', () => {
+    expect(deriveFulfilmentStatus([line(5, 5), line(0)])).toBe('Shipped');
+  });
+});
+
+describe('checkOpenQty', () => {
+  const order = {
+    orderNum: 'SO-1',
+    lines: [
+      { lineNum: '1', item: 'pen', ...line(10, 4) },
+      { lineNum: '2', item: 'ink', ...line(3) },
+    ],
+  };
+  const shipOpen = (ol) => ol.quantity - ol.shippedQty;
+
+  it('adds up the quantities asked of one line', () => {
+    expect(
+      checkOpenQty(
+        order,
+        [
+          { lineNum: 1, qty: 2.5 },
+          { lineNum: '1', qty: '3.5' },
+          { lineNum: '2', qty: 1 },
+        ],
+        shipOpen,
+        'ship'
+      )
+    ).toEqual([
+      { lineNum: '1', item: 'pen', qty: 6 },
+      { lineNum: '2', item: 'ink', qty: 1 },
+    ]);
+  });
+
+  it('refuses more than is still open on the line', () => {
+    expect(() =>
+      checkOpenQty(order, [{ lineNum: '1', qty: 6.01 }], shipOpen, 'ship')
+    ).toThrow('Cannot ship 6.01 on line 1; only 6 is open.');
+  });
+
+  it('refuses an unknown line, no lines and nothing to move', () => {
+    expect(() =>
+      checkOpenQty(order, [{ lineNum: '9', qty: 1 }], shipOpen, 'ship')
+    ).toThrow('Line 9 does not exist on SO-1.');
+    expect(() => checkOpenQty(order, [], shipOpen, 'deliver')).toThrow(
+      'At least one line is required to deliver.'
+    );
+    expect(() =>
+      checkOpenQty(order, [{ lineNum: '2', qty: 0 }], shipOpen, 'ship')
+    ).toThrow('Quantity for line 2 must be positive.');
+  });
+});
+
+describe('SalesStockService.stockLines', () => {
+  const order = {
+    warehouse: 'WH1',
+    lines: [
+      {
+        lineNum: '1',
+        item: 'pen',
+        quantity: 3,
+        price: 10,
+        tax: 18,
+        discountAmt: 3,
+        charges: 1,
+        taxAmount: 5.22,
+        withholdingTaxAmt: 0.29,
+        dims: { warehouse: 'WH2' },
+      },
+      { lineNum: '2', item: 'ink', quantity: 1, price: 4 },
+    ],
+  };
+
+  it('moves every line in full by default', () => {
+    const lines = SalesStockService.stockLines(order);
+    expect(lines.map((l) => [l.lineNum, l.quantity])).toEqual([
+      [1, 3],
+      [2, 1],
+    ]);
+    expect(lines[0].dims.warehouse).toBe('WH2');
+    expect(lines[1].dims.warehouse).toBe('WH1');
+  });
+
+  it('carries a partial move\'s share of the line amounts', () => {
+    const [ln] = SalesStockService.stockLines(order, [
+      { lineNum: '1', quantity: 1, costPrice: 6 },
+    ]);
+    expect(ln).toMatchObject({
+      quantity: 1,
+      price: 10,
+      discountAmt: 1,
+      charges: 0.33,
+      taxAmount: 1.74,
+      withholdingTaxAmt: 0.1,
+      costPrice: 6,
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for pricing sales order lines: discount, charges, GST and
+ * withholding per line, and the header totals they roll up into.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+// the order model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { computeSalesLine, summariseSalesLines } =
+  await import('../../models/salesorder.model.js');
+
+const pen = (over = {}) => ({
+  quantity: 3,
+  price: 10,
+  discount: 10,
+  charges: 1,
+  tax: 18,
+  withholdingTax: 1,
+  ...over,
+});
+
+describe('computeSalesLine', () => {
+  it('discounts the gross, then adds charges, GST and withholding', () => {
+    expect(computeSalesLine(pen())).toMatchObject({
+      discountAmt: 3,
+      lineAmt: 28,
+      taxAmount: 5.04,
+      cgst: 2.52,
+      sgst: 2.52,
+      igst: 0,
+      withholdingTaxAmt: 0.28,
+      netAmtAfterTax: 33.04,
+    });
+  });
+
+  it('charges IGST across states', () => {
+    expect(computeSalesLine(pen(), 'INTER')).toMatchObject({
+      taxAmount: 5.04,
+      cgst: 0,
+      sgst: 0,
+      igst: 5.04,
+    });
+  });
+
+  it('leaves reverse-charge GST off the invoice total', () => {
+    const line = computeSalesLine(pen({ reverseCharge: true }));
+    expect(line).toMatchObject({ taxAmount: 0, netAmtAfterTax: 28 });
+    expect(line.cgst + line.sgst).toBe(5.04);
+  });
+
+  it('rounds every amount to the paisa', () => {
+    expect(
+      computeSalesLine({ quantity: 7, price: 3.33, discount: 12.5, tax: 5 })
+    ).toMatchObject({
+      discountAmt: 2.91,
+      lineAmt: 20.4,
+      taxAmount: 1.02,
+      netAmtAfterTax: 21.42,
+    });
+  });
+
+  it('treats missing inputs as zero', () => {
+    expect(computeSalesLine({})).toMatchObject({
+      discountAmt: 0,
+      lineAmt: 0,
+      taxAmount: 0,
+      netAmtAfterTax: 0,
+    });
+  });
+});
+
+describe('summariseSalesLines', () => {
+  it('adds the lines up, withholding on top of the receivable', () => {
+    const lines = [
+      computeSalesLine(pen()),
+      computeSalesLine(pen({ quantity: 1, price: 4, discount: 0, charges: 0 })),
+    ];
+    expect(summariseSalesLines(lines)).toEqual({
+      quantity: 4,
+      charges: 1,
+      discountAmt: 3,
+      lineAmt: 32,
+      taxAmount: 5.76,
+      cgst: 2.88,
+      sgst: 2.88,
+      igst: 0,
+      withholdingTaxAmt: 0.32,
+      netAmtAfterTax: 37.76,
+      netAR: 38.08,
+    });
+  });
+
+  it('is all zero without lines', () => {
+    expect(summariseSalesLines().netAR).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for pairing a sales return with the invoice it credits and
+ * for cancelling an invoice that has returns (orders stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the order model reaches index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: SalesReturnService } =
+  await import('../../services/salesReturn.service.js');
+const { SalesOrderModel } = await import('../../models/salesorder.model.js');
+
+const CUSTOMER = '64b0000000000000000000a1';
+const PEN = '64b0000000000000000000b1';
+const INK = '64b0000000000000000000b2';
+
+const original = (over = {}) => ({
+  _id: 'so1',
+  orderNum: 'SO-1',
+  orderType: 'Sales',
+  status: 'Invoiced',
+  customer: CUSTOMER,
+  invoiceNum: 'SINV/2526/000001',
+  lines: [
+    {
+      lineNum: '1',
+      item: PEN,
+      price: 10,
+      discount: 5,
+      invoicedQty: 10,
+      returnedQty: 2,
+    },
+    {
+      lineNum: '2',
+      item: INK,
+      price: 4,
+      discount: 0,
+      invoicedQty: 5,
+      returnedQty: 0,
+    },
+  ],
+  ensureLines() {},
+  ...over,
+});
+
+const ret = (lines) => ({
+  orderType: 'Return',
+  customer: CUSTOMER,
+  returnOf: { salesOrder: 'so1' },
+  lines,
+});
+
+const stub = (doc) =>
+  jest
+    .spyOn(SalesOrderModel, 'findById')
+    .mockReturnValue({ session: async () => doc });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('SalesReturnService.resolve', () => {
+  it('pairs lines by originalLineNum, else by item', async () => {
+    stub(original());
+    const { pairs } = await SalesReturnService.resolve(
+      ret([
+        { lineNum: '1', item: INK, quantity: 1, price: 4 },
+        {
+          lineNum: '2',
+          item: PEN,
+          originalLineNum: '1',
+          quantity: 3,
+          price: 10,
+          discount: 5,
+        },
+      ])
+    );
+    expect(pairs.map((p) => p.originalLine.lineNum)).toEqual(['2', '1']);
+  });
+
+  it('refuses to return more than is invoiced and not yet returned', async () => {
+    stub(original());
+    await expect(
+      SalesReturnService.resolve(
+        ret([
+          { lineNum: '1', item: PEN, quantity: 5, price: 10, discount: 5 },
+          { lineNum: '2', item: PEN, quantity: 4, price: 10, discount: 5 },
+        ])
+      )
+    ).rejects.toThrow(
+      'Line 2: returning 9 exceeds the 8 invoiced and not yet returned on line 1 of SO-1.'
+    );
+  });
+
+  it('credits at the original price only', async () => {
+    stub(original());
+    await expect(
+      SalesReturnService.resolve(
+        ret([{ lineNum: '1', item: PEN, quantity: 1, price: 12, discount: 5 }])
+      )
+    ).rejects.toThrow(
+      'Line 1: price 12 differs from the 10 on line 1 of SO-1.'
+    );
+  });
+
+  it('credits at the original discount only', async () => {
+    stub(original());
+    await expect(
+      SalesReturnService.resolve(
+        ret([{ lineNum: '1', item: PEN, quantity: 1, price: 10 }])
+      )
+    ).rejects.toThrow(
+      'Line 1: discount 0 differs from the 5 on line 1 of SO-1.'
+    );
+  });
+
+  it('refuses a return against a cancelled invoice', async () => {
+    stub(original({ status: 'Cancelled' }));
+    await expect(
+      SalesReturnService.resolve(
+        ret([{ lineNum: '1', item: PEN, quantity: 1, price: 10, discount: 5 }])
+      )
+    ).rejects.toThrow('Original sales order SO-1 has not been invoiced.');
+  });
+
+  it('refuses another customer\'s order', async () => {
+    stub(original({ customer: '64b0000000000000000000a2' }));
+    await expect(
+      SalesReturnService.resolve(
+        ret([{ lineNum: '1', item: PEN, quantity: 1, price: 10, discount: 5 }])
+      )
+    ).rejects.toThrow('Original sales order SO-1 belongs to another customer.');
+  });
+});
+
+describe('SalesReturnService.assertNotReturned', () => {
+  const returns = (rows) =>
+    jest.spyOn(SalesOrderModel, 'find').mockReturnValue({
+      select: () => ({ session: async () => rows }),
+    });
+
+  it('lets an invoice without posted returns be cancelled', async () => {
+    const find = returns([]);
+    await SalesReturnService.assertNotReturned(original(), 'session');
+    expect(find.mock.calls[0][0]).toEqual({
+      orderType: 'Return',
+      'returnOf.salesOrder': 'so1',
+      status: 'Invoiced',
+    });
+  });
+
+  it('names the returns to cancel first', async () => {
+    returns([{ orderNum: 'SR-1' }, { orderNum: 'SR-2' }]);
+    await expect(
+      SalesReturnService.assertNotReturned(original())
+    ).rejects.toThrow(
+      'Sales order SO-1 has posted returns (SR-1, SR-2); cancel them first.'
+    );
+  });
+});
+
+describe('SalesReturnService.recordReturned', () => {
+  it('books the returned quantity and takes it back on cancelling', async () => {
+    const doc = original();
+    doc.save = jest.fn(async () => doc);
+    const pairs = [
+      { line: { quantity: 3 }, originalLine: doc.lines[0] },
+      { line: { quantity: 1.5 }, originalLine: doc.lines[1] },
+    ];
+    await SalesReturnService.recordReturned({ original: doc, pairs }, 's', 1);
+    expect(doc.lines.map((l) => l.returnedQty)).toEqual([5, 1.5]);
+    await SalesReturnService.recordReturned({ original: doc, pairs }, 's', -1);
+    expect(doc.lines.map((l) => l.returnedQty)).toEqual([2, 0]);
+    expect(doc.save).toHaveBeenCalledWith({ session: 's' });
+  });
+
+  it('never takes back more than was returned', async () => {
+    const doc = original();
+    doc.save = async () => doc;
+    await SalesReturnService.recordReturned(
+      {
+        original: doc,
+        pairs: [{ line: { quantity: 5 }, originalLine: doc.lines[0] }],
+      },
+      null,
+      -1
+    );
+    expect(doc.lines[0].returnedQty).toBe(0);
+  });
+});
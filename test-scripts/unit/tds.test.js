@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the TDS on an amount: single and annual thresholds, tax
+ * on the excess (194Q) and the rate by PAN. The party, the section and the
+ * deductee's entries of the year are stubbed.
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import TDSService from '../../services/tds.service.js';
+import { TDSEntryModel } from '../../models/tds.model.js';
+
+const VENDOR = '64b000000000000000000002';
+const COMPANY_PAN = 'AAACA1234F'; // fourth letter C: a company
+const INDIVIDUAL_PAN = 'ABCPE1234F'; // fourth letter P: an individual
+
+const SECTIONS = {
+  // contractors: 30,000 a payment or 1,00,000 a year
+  '194C': {
+    code: '194C',
+    rate: 2,
+    rateIndividual: 1,
+    rateNoPAN: 20,
+    singleThreshold: 30000,
+    annualThreshold: 100000,
+    deductOnExcess: false,
+  },
+  // purchase of goods: on what the year passes 50 lakh by
+  '194Q': {
+    code: '194Q',
+    rate: 0.1,
+    rateIndividual: null,
+    rateNoPAN: 5,
+    singleThreshold: 0,
+    annualThreshold: 5000000,
+    deductOnExcess: true,
+  },
+};
+
+/**
+ * Stub the vendor (with `pan` and `tdsSection`), the sections and what
+ * the deductee's entries of the year add up to.
+ */
+const stub = ({ pan = COMPANY_PAN, tdsSection = '194C', year = null }) => {
+  const vendor = { _id: VENDOR, code: 'V1', name: 'Acme', panNum: pan };
+  const query = {
+    select: () => query,
+    session: () => query,
+    lean: async () => ({ ...vendor, tdsSection }),
+  };
+  jest.spyOn(mongoose, 'model').mockReturnValue({ findById: () => query });
+  jest
+    .spyOn(TDSService, 'sectionOf')
+    .mockImplementation(async (code) => SECTIONS[code]);
+  return jest.spyOn(TDSEntryModel, 'aggregate').mockReturnValue({
+    session: async () => (year ? [year] : []),
+  });
+};
+
+const compute = (amount, opts = {}) =>
+  TDSService.compute('AP', {
+    party: VENDOR,
+    amount,
+    date: new Date('2025-06-15'),
+    ...opts,
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('TDSService.compute', () => {
+  it('deducts nothing within the single and annual thresholds', async () => {
+    stub({});
+    const tds = await compute(25000);
+    expect(tds).toMatchObject({
+      section: '194C',
+      financialYear: '2025-26',
+      quarter: 'Q1',
+      baseAmount: 25000,
+      taxableAmount: 0,
+      tdsAmount: 0,
+    });
+  });
+
+  it('taxes a payment above the single threshold', async () => {
+    stub({});
+    const tds = await compute(35000);
+    expect(tds).toMatchObject({ taxableAmount: 35000, rate: 2, tdsAmount: 700 });
+  });
+
+  it('taxes individuals at their own rate', async () => {
+    stub({ pan: INDIVIDUAL_PAN });
+    const tds = await compute(35000);
+    expect(tds).toMatchObject({ deducteeType: 'P', rate: 1, tdsAmount: 350 });
+  });
+
+  it('taxes everything not yet taxed once the year passes the threshold', async () => {
+    stub({ year: { base: 90000, taxed: 0 } });
+    const tds = await compute(20000);
+    expect(tds).toMatchObject({ taxableAmount: 110000, tdsAmount: 2200 });
+  });
+
+  it('does not tax what was taxed before again', async () => {
+    stub({ year: { base: 140000, taxed: 140000 } });
+    const tds = await compute(10000);
+    expect(tds).toMatchObject({ taxableAmount: 10000, tdsAmount: 200 });
+  });
+
+  it('taxes only the excess over the annual threshold under 194Q', async () => {
+    stub({ tdsSection: '194Q', year: { base: 4900000, taxed: 0 } });
+    const tds = await compute(200000);
+    expect(tds).toMatchObject({
+      section: '194Q',
+      taxableAmount: 100000,
+      rate: 0.1,
+      tdsAmount: 100,
+    });
+  });
+
+  it('deducts at the higher no-PAN rate and counts by party', async () => {
+    const aggregate = stub({ pan: '' });
+    const tds = await compute(35000);
+    expect(tds).toMatchObject({ pan: '', deducteeType: '', rate: 20 });
+    expect(tds.tdsAmount).toBe(7000);
+    const [{ $match }] = aggregate.mock.calls[0][0];
+    expect($match.vendor).toBe(VENDOR);
+    expect($match.pan).toBeUndefined();
+  });
+
+  it('counts the year by PAN when there is one', async () => {
+    const aggregate = stub({});
+    await compute(1000, { section: '194C' });
+    const [{ $match }] = aggregate.mock.calls[0][0];
+    expect($match).toMatchObject({
+      side: 'AP',
+      section: '194C',
+      financialYear: '2025-26',
+      pan: COMPANY_PAN,
+    });
+  });
+
+  it('is null without a section', async () => {
+    stub({ tdsSection: '' });
+    expect(await compute(35000)).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the trial balance: opening, period and closing columns,
+ * signed by each account's normal balance and rolled up the chart
+ * (movements, chart and fiscal calendar stubbed).
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+
+// the voucher service's models reach index.js, which would start the server
+jest.unstable_mockModule('../../index.js', () => {
+  const debug = () => {};
+  return {
+    dbgModels: debug,
+    dbgRedis: debug,
+    dbgEmail: debug,
+  };
+});
+const { default: FinancialReportService } =
+  await import('../../services/financialReport.service.js');
+
+const FROM = new Date('2025-04-01');
+const TO = new Date('2025-06-30T23:59:59.999');
+
+const entry = (
+  accountCode,
+  type,
+  normalBalance,
+  parent = null,
+  isLeaf = true
+) => [
+  accountCode,
+  {
+    accountCode,
+    accountName: `Account ${accountCode}`,
+    type,
+    normalBalance,
+    isLeaf,
+    parentAccountCode: parent,
+    level: parent ? 2 : 1,
+    path: parent ? [parent, accountCode] : [accountCode],
+  },
+];
+
+const CHART = new Map([
+  entry('1', 'ASSET', 'DEBIT', null, false),
+  entry('1.1', 'ASSET', 'DEBIT', '1'),
+  entry('1.2', 'ASSET', 'DEBIT', '1'),
+  entry('4', 'REVENUE', 'CREDIT', null, false),
+  entry('4.1', 'REVENUE', 'CREDIT', '4'),
+  entry('3.1', 'EQUITY', 'CREDIT'),
+]);
+
+const move = (openingDebit, openingCredit, periodDebit, periodCredit) => ({
+  openingDebit,
+  openingCredit,
+  periodDebit,
+  periodCredit,
+});
+
+const stub = (movements) => {
+  jest
+    .spyOn(FinancialReportService, 'resolveRange')
+    .mockResolvedValue({ from: FROM, to: TO });
+  jest.spyOn(FinancialReportService, 'chart').mockResolvedValue(CHART);
+  return jest
+    .spyOn(FinancialReportService, 'accountMovements')
+    .mockResolvedValue(new Map(Object.entries(movements)));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('FinancialReportService.trialBalance', () => {
+  it('signs each balance by the account\'s normal side and proves the totals', async () => {
+    stub({
+      1.1: move(1000, 0, 500, 200),
+      3.1: move(0, 1000, 0, 0),
+      4.1: move(0, 0, 0, 300),
+    });
+    const tb = await FinancialReportService.trialBalance({});
+    expect(tb.data).toEqual([
+      expect.objectContaining({
+        accountCode: '1.1',
+        openingBalance: 1000,
+        periodDebit: 500,
+        periodCredit: 200,
+        closingBalance: 1300,
+      }),
+      expect.objectContaining({
+        accountCode: '3.1',
+        openingBalance: 1000,
+        closingBalance: 1000,
+      }),
+      expect.objectContaining({
+        accountCode: '4.1',
+        periodCredit: 300,
+        closingBalance: 300,
+      }),
+    ]);
+    expect(tb.totals).toEqual({
+      openingDebit: 1000,
+      openingCredit: 1000,
+      periodDebit: 500,
+      periodCredit: 500,
+      closingDebit: 1300,
+      closingCredit: 1300,
+    });
+    expect(tb.balanced).toBe(true);
+  });
+
+  it('rolls accounts up to the level asked for', async () => {
+    stub({
+      1.1: move(100, 0, 0, 0),
+      1.2: move(50, 0, 25, 0),
+      4.1: move(0, 0, 0, 175),
+    });
+    const tb = await FinancialReportService.trialBalance({ level: '1' });
+    expect(tb.data.map((r) => [r.accountCode, r.closingBalance])).toEqual([
+      ['1', 175],
+      ['4', 175],
+    ]);
+    expect(tb.difference).toEqual({ opening: 150, period: -150, closing: 0 });
+    expect(tb.balanced).toBe(false);
+  });
+
+  it('reports a code missing from the chart by its system type', async () => {
+    stub({ SALES_REVENUE: move(0, 0, 0, 80), 1.1: move(0, 0, 80, 0) });
+    const tb = await FinancialReportService.trialBalance({});
+    expect(tb.data[1]).toMatchObject({
+      accountCode: 'SALES_REVENUE',
+      type: 'REVENUE',
+      normalBalance: 'CREDIT',
+      inChart: false,
+      closingBalance: 80,
+    });
+  });
+
+  it('lists untouched leaf accounts only when asked', async () => {
+    stub({ 1.1: move(10, 0, 0, 0), 3.1: move(0, 10, 0, 0) });
+    const all = await FinancialReportService.trialBalance({
+      includeZero: true,
+    });
+    expect(all.data.map((r) => r.accountCode)).toEqual([
+      '1.1',
+      '1.2',
+      '3.1',
+      '4.1',
+    ]);
+  });
+
+  it('takes whole levels from 1 only', () => {
+    expect(FinancialReportService.parseLevel('')).toBeNull();
+    expect(FinancialReportService.parseLevel('2')).toBe(2);
+    expect(() => FinancialReportService.parseLevel('0')).toThrow(
+      'level must be a whole number from 1.'
+    );
+  });
+});
+
+describe('FinancialReportService.matchStages', () => {
+  it('filters vouchers by company and lines by dimension', () => {
+    const company = '64b000000000000000000001';
+    const site = '64b0000000000000000000e1';
+    const { voucher, line } = FinancialReportService.matchStages({
+      company,
+      dimensions: { site, warehouse: '' },
+    });
+    expect(String(voucher.company)).toBe(company);
+    expect(Object.keys(line)).toEqual(['lines.dims.site']);
+    expect(String(line['lines.dims.site'])).toBe(site);
+  });
+
+  it('refuses unknown dimensions and bad IDs', () => {
+    expect(() =>
+      FinancialReportService.matchStages({ dimensions: { planet: 'x' } })
+    ).toThrow(/^Unknown dimension planet; use one of /);
+    expect(() =>
+      FinancialReportService.matchStages({ company: 'nope' })
+    ).toThrow('Invalid company ID.');
+  });
+});